@@ -2,26 +2,251 @@ import {
   initAudio,
   startAudio,
   stopAudio,
-  getAudioContext,
+  setDetectionListener,
+  setStrumErrorListener,
+  setStrumListener,
+  setStrumTargets,
+  setHopSize,
+  setPitchRange,
+  setDetector,
+  setDetectorOptions,
+  listInputDevices,
+  getInputDevice,
+  getActiveInputDevice,
+  setInputDevice,
+  setDeviceChangeListener,
+  setCaptureSettings,
+  loadAudioFile,
+  playAudioFile,
+  pauseAudioFile,
+  seekAudioFile,
+  getFilePlayback,
+  computeFilePitchTrack,
 } from "./audio-input.js";
-import { detectPitch } from "./yin-algorithm.js";
-import { frequencyToNote, setReferenceFrequency } from "./note-mapping.js";
-import { updateUI } from "./tuner-ui.js";
+import { pitchTrackToCsv } from "./pitch-track.js";
+import {
+  DEFAULT_CAPTURE_SETTINGS,
+  resolveCaptureSettings,
+} from "./capture-settings.js";
+import { getPitchRange } from "./pitch-range.js";
+import { DEFAULT_DETECTOR, listDetectors } from "./pitch-detectors.js";
+import {
+  frequencyToNote,
+  frequencyToTargetNote,
+  frequencyToTargetPitch,
+  getKeyFrequency,
+  getKeyName,
+  getKeyPitches,
+  getNoteFrequency,
+  getNoteName,
+  getReferenceFrequency,
+  setNoteNaming,
+  setReferenceFrequency,
+  setScale,
+  setTemperament,
+} from "./note-mapping.js";
+import {
+  getTuning,
+  listTunings,
+  parseTuning,
+  resolveStrings,
+} from "./instrument-tunings.js";
+import {
+  getStringProgress,
+  resetStringProgress,
+  setStrings,
+  trackString,
+} from "./string-tuner.js";
+import {
+  describeTarget,
+  getExercise,
+  listExercises,
+  parseExercise,
+  registerExercise,
+  resolveExercise,
+} from "./exercises.js";
+import {
+  getExerciseProgress,
+  resetExerciseProgress,
+  setExercise,
+  trackTarget,
+} from "./exercise-trainer.js";
+import { parseKeyboardMapping, parseScala } from "./scala.js";
+import {
+  MAX_REFERENCE_FREQUENCY,
+  MIN_REFERENCE_FREQUENCY,
+  addCalibrationReading,
+  resetCalibration,
+} from "./calibration.js";
+import {
+  DEFAULT_TEMPERAMENT,
+  getTemperament,
+  listTemperaments,
+} from "./temperaments.js";
+import {
+  isTonePlaying,
+  playTone,
+  setToneEndedListener,
+  setToneVolume,
+  stopTone,
+} from "./tone-generator.js";
+import { DEFAULT_TIMBRE, listTimbres } from "./timbres.js";
+import {
+  describeNoteSummary,
+  endSession,
+  isSessionActive,
+  parseSession,
+  recordReading,
+  sessionToCsv,
+  sessionToJson,
+  startSession,
+  summarizeSession,
+} from "./practice-session.js";
+import {
+  deleteSession,
+  listSessions,
+  loadSession,
+  saveSession,
+} from "./session-store.js";
+import {
+  updateUI,
+  updateLevelMeter,
+  showStrings,
+  updateStrings,
+  setDisplayMode,
+  drawStrobe,
+  showHistory,
+  drawHistory,
+  showExercise,
+  showStrumGauge,
+  updateStrumGauge,
+  setGaugeRange,
+} from "./tuner-ui.js";
+import {
+  getSettings,
+  loadSettings,
+  parseSettingsQuery,
+  resetSettings,
+  settingsToQuery,
+  updateSettings,
+} from "./settings.js";
+import {
+  HISTORY_SECONDS,
+  addHistoryPoint,
+  clearHistory,
+  getHistoryEnd,
+  getHistorySegments,
+} from "./pitch-history.js";
+import { resetSmoother, smoothPitch } from "./pitch-smoother.js";
+import {
+  getGateOptions,
+  isHolding,
+  markStable,
+  resetGate,
+  rmsToDb,
+  setGateOptions,
+  updateGate,
+} from "./input-gate.js";
 
 // ── constants ──
-const SMOOTHING_FRAMES = 3;
-/** @type {number} */
-const CONFIDENCE_THRESHOLD = 0.15;
+/** Samples between detections in the pitch worklet (~23 ms at 44.1 kHz) */
+const HOP_SIZE = 1024;
+/** Temperament dropdown value of a loaded Scala scale */
+const SCALA_TEMPERAMENT = "scala";
+/** Instrument dropdown value of plain chromatic tuning (no strings) */
+const CHROMATIC_INSTRUMENT = "";
+/** Instrument dropdown value of the tuning typed in by the user */
+const CUSTOM_INSTRUMENT = "custom";
+/** Exercise dropdown value for no exercise */
+const NO_EXERCISE = "";
+/** Exercise id of the exercise loaded from a file */
+const IMPORTED_EXERCISE = "imported";
+// localStorage key of the loaded exercise's JSON
+const IMPORTED_EXERCISE_STORAGE_KEY = "justtuner.importedExercise";
+/** Notes offered for the reference tone (MIDI C2–C6) and the default */
+const TONE_LOWEST_NOTE = 36;
+const TONE_HIGHEST_NOTE = 84;
+const DEFAULT_TONE_NOTE = 69; // A4
+/** Seconds a string's strum reading is shown after it was last heard */
+const STRUM_HOLD_TIME = 2;
+/** Milliseconds a download's object URL is kept for the browser to fetch */
+const DOWNLOAD_URL_LIFETIME = 10000;
 
 // ── application state ──
 /** @type {boolean} */
 let isRunning = false;
 /** @type {number | null} */
 let animationId = null;
-/** @type {number[]} */
-let frequencyHistory = [];
 /** @type {boolean} */
 let audioInitialized = false;
+/**
+ * Most recent smoothed note; only this one is ever rendered.
+ * @type {ReturnType<typeof frequencyToNote>}
+ */
+let latestNote = null;
+/** @type {boolean} */
+let hasPendingUpdate = false;
+/** Whether latestNote is a frozen reading kept after the signal dropped */
+let latestNoteHeld = false;
+/**
+ * Last note that passed every gate, kept through attacks and release tails.
+ * @type {ReturnType<typeof frequencyToNote>}
+ */
+let lastStableNote = null;
+/** Latest input level in dBFS, for the level meter */
+let latestLevel = -Infinity;
+/** @type {boolean} */
+let latestGateOpen = false;
+/** @type {import("./capture-settings.js").CaptureSettings} */
+let captureSettings = { ...DEFAULT_CAPTURE_SETTINGS };
+/**
+ * Offline pitch track of the loaded audio file, once analysed.
+ * @type {import("./pitch-track.js").PitchTrackPoint[] | null}
+ */
+let filePitchTrack = null;
+/** Name of the loaded audio file, used for the export file name */
+let audioFileName = "";
+/** Incremented per loaded file so a stale analysis can be discarded */
+let audioFileCount = 0;
+/**
+ * Scala scale loaded from files, offered in the temperament dropdown.
+ * @type {{
+ *   scale: import("./scala.js").Scale,
+ *   mapping: import("./scala.js").KeyboardMapping | null
+ * } | null}
+ */
+let scalaTuning = null;
+/** Whether readings are measured against an instrument's strings */
+let instrumentMode = false;
+/**
+ * Strings the strum check measures and the pitch each is tuned to: the
+ * instrument's strings, less any a Scala scale leaves unmapped.
+ * @type {ReturnType<typeof getKeyPitches>}
+ */
+let strumStrings = [];
+/**
+ * Latest strum check reading of each string and its audio-clock time (s).
+ * @type {({note: NonNullable<ReturnType<typeof frequencyToTargetNote>>, time: number} | null)[]}
+ */
+let strumReadings = [];
+/** Audio-clock time (s) of the latest strum check */
+let latestStrumTime = 0;
+/** Whether readings are measured against an exercise's targets */
+let exerciseMode = false;
+/** Exercise step last shown, -1 to show the current one afresh */
+let exerciseStep = -1;
+/**
+ * Drone the exercise is sounding (MIDI note), or null.
+ * @type {number | null}
+ */
+let exerciseDrone = null;
+/** Whether detections are calibrating the reference from a played A */
+let calibrating = false;
+/**
+ * Practice session shown in the summary and offered for export.
+ * @type {import("./practice-session.js").Session | null}
+ */
+let selectedSession = null;
 
 // DOM elements – initialized in initApp()
 /** @type {HTMLButtonElement} */
@@ -30,8 +255,102 @@ let toggleButton;
 let statusText;
 /** @type {HTMLElement} */
 let statusElement;
+/** @type {HTMLInputElement} */
+let referenceFrequencyInput;
+/** @type {HTMLButtonElement} */
+let calibrateButton;
+/** @type {HTMLSelectElement} */
+let temperamentSelect;
+/** @type {HTMLSelectElement} */
+let temperamentTonicSelect;
+/** @type {HTMLInputElement} */
+let scalaFileInput;
+/** @type {HTMLSelectElement} */
+let displayModeSelect;
+/** @type {HTMLSelectElement} */
+let gaugeRangeSelect;
+/** @type {HTMLInputElement} */
+let showHistoryInput;
+/** @type {HTMLSelectElement} */
+let toneNoteSelect;
+/** @type {HTMLSelectElement} */
+let toneTimbreSelect;
+/** @type {HTMLInputElement} */
+let toneVolumeInput;
+/** @type {HTMLInputElement} */
+let toneDroneInput;
+/** @type {HTMLButtonElement} */
+let toneButton;
+/** @type {HTMLSelectElement} */
+let transpositionSelect;
+/** @type {HTMLSelectElement} */
+let nameSystemSelect;
+/** @type {HTMLSelectElement} */
+let spellingSelect;
+/** @type {HTMLSelectElement} */
+let namingKeySelect;
+/** @type {HTMLSelectElement} */
+let octaveStyleSelect;
+/** @type {HTMLSelectElement} */
+let instrumentSelect;
+/** @type {HTMLInputElement} */
+let customTuningInput;
+/** @type {HTMLInputElement} */
+let strumCheckInput;
+/** @type {HTMLSelectElement} */
+let exerciseSelect;
+/** @type {HTMLInputElement} */
+let exerciseFileInput;
 /** @type {HTMLSelectElement} */
-let referenceFrequencySelect;
+let pitchRangeSelect;
+/** @type {HTMLSelectElement} */
+let detectorSelect;
+/** @type {HTMLSelectElement} */
+let inputDeviceSelect;
+/** @type {HTMLInputElement} */
+let confidenceThresholdInput;
+/** @type {HTMLInputElement} */
+let yinThresholdInput;
+/** @type {HTMLInputElement} */
+let gateLevelInput;
+/** @type {HTMLInputElement} */
+let holdTimeInput;
+/** @type {HTMLInputElement} */
+let inputGainInput;
+/** @type {HTMLSelectElement} */
+let inputChannelSelect;
+/** @type {HTMLInputElement} */
+let autoGainInput;
+/** @type {HTMLInputElement} */
+let audioFileInput;
+/** @type {HTMLElement} */
+let filePlayer;
+/** @type {HTMLButtonElement} */
+let filePlayButton;
+/** @type {HTMLInputElement} */
+let fileSeekInput;
+/** @type {HTMLElement} */
+let fileTimeText;
+/** @type {HTMLButtonElement} */
+let fileExportButton;
+/** @type {HTMLButtonElement} */
+let sessionButton;
+/** @type {HTMLSelectElement} */
+let sessionSelect;
+/** @type {HTMLButtonElement} */
+let sessionCsvButton;
+/** @type {HTMLButtonElement} */
+let sessionJsonButton;
+/** @type {HTMLButtonElement} */
+let sessionDeleteButton;
+/** @type {HTMLInputElement} */
+let sessionFileInput;
+/** @type {HTMLElement} */
+let sessionSummaryList;
+/** @type {HTMLButtonElement} */
+let shareSettingsButton;
+/** @type {HTMLButtonElement} */
+let resetSettingsButton;
 
 /**
  * Fetch a DOM element by ID and ensure it exists.
@@ -44,23 +363,6 @@ function getRequiredElement(id) {
   return element;
 }
 
-// ── utility helpers ──
-
-/**
- * Return the arithmetic mean of a numeric array.
- * @param {number[]} array
- * @returns {number} 0 if the array is empty
- */
-function average(array) {
-  if (array.length === 0) return 0;
-
-  let total = 0;
-  for (let i = 0; i < array.length; i++) {
-    total += array[i];
-  }
-  return total / array.length;
-}
-
 // ── audio helpers ──
 
 /**
@@ -73,8 +375,9 @@ async function initializeAudio() {
 
   try {
     statusText.textContent = "Requesting microphone access...";
-    await initAudio();
+    await initAudio(captureSettings);
     audioInitialized = true;
+    filePlayer.hidden = true; // the microphone replaced any audio file
     statusText.textContent = "Ready to tune";
     statusElement.classList.remove("error");
     statusElement.classList.add("success");
@@ -86,13 +389,32 @@ async function initializeAudio() {
   }
 }
 
+/**
+ * Forget everything learned from previous detections: pitch smoother,
+ * held note, gate state and the pending display update.
+ * @returns {void}
+ */
+function resetTracking() {
+  resetSmoother();
+  latestNote = null;
+  latestNoteHeld = false;
+  lastStableNote = null;
+  latestLevel = -Infinity;
+  latestGateOpen = false;
+  hasPendingUpdate = false;
+  resetGate();
+}
+
 /**
  * Start the tuning detection loop
  * @returns {void}
  */
 function startTuning() {
   isRunning = true;
-  frequencyHistory = []; // Clear history on start
+  resetTracking(); // Clear history on start
+  resetStringProgress(); // every string needs tuning again
+  resetExerciseProgress(); // and the exercise starts over
+  clearHistory(); // the new audio clock starts again at 0
   toggleButton.classList.add("active");
   toggleButton.textContent = "Stop Tuning";
   statusText.textContent = "Tuning...";
@@ -100,7 +422,7 @@ function startTuning() {
   statusElement.classList.add("success");
 
   startAudio();
-  detectionLoop();
+  renderLoop();
 }
 
 /**
@@ -109,7 +431,8 @@ function startTuning() {
  */
 function stopTuning() {
   isRunning = false;
-  frequencyHistory = []; // Clear history on stop
+  resetTracking(); // Clear history on stop
+  if (calibrating) stopCalibration();
   toggleButton.classList.remove("active");
   toggleButton.textContent = "Start Tuning";
   statusText.textContent = "Ready to tune";
@@ -123,115 +446,1820 @@ function stopTuning() {
   // stops showing the orange dot
   stopAudio();
   audioInitialized = false;
+  filePlayer.hidden = true; // stopping also unloads an audio file
 
   // Reset display
   updateUI(null);
+  drawStrobe(performance.now() / 1000);
+  updateLevelMeter(-Infinity, getGateOptions().openLevel, false);
+  strumReadings = [];
+  updateStrumGauge([]);
+  if (isSessionActive()) finishPracticeSession();
 }
 
-// ── detection loop ──
+// ── detection handling ──
 
 /**
- * Main detection loop - runs at ~60 fps via requestAnimationFrame
+ * Handle one detection posted by the pitch worklet. Runs once per hop,
+ * independent of the display refresh rate, so smoothing keeps working
+ * while the tab is throttled.
+ *
+ * Detections are only used while the noise gate is in its sustain phase:
+ * the transient right after an attack is skipped, and when nothing usable
+ * arrives the last stable note is held for the gate's hold time.
+ *
+ * @param {import("./pitch-detectors.js").PitchDetection | null} detection
+ * @param {number} level - Input RMS of the latest hop
+ * @param {number} time - Audio-clock time of the detection in seconds
  * @returns {void}
  */
-function detectionLoop() {
+function handleDetection(detection, level, time) {
   if (!isRunning) return;
 
-  try {
-    // Get current waveform from audio input
-    const audioContext = getAudioContext();
-    if (!audioContext) {
-      // audio not initialized — schedule next frame and exit this iteration
-      animationId = requestAnimationFrame(detectionLoop);
-      return;
+  latestLevel = rmsToDb(level);
+  const { phase, onset } = updateGate(latestLevel, time);
+  latestGateOpen = phase !== "closed";
+
+  // A new attack starts a new note - don't smooth across it
+  if (onset) resetSmoother();
+
+  let note = null;
+  let held = false;
+
+  // Only use voiced detections that pass the confidence gate
+  if (
+    phase === "sustain" &&
+    detection &&
+    detection.voiced &&
+    detection.confidence >= getSettings().confidenceThreshold
+  ) {
+    // Outlier-rejected, adaptively smoothed frequency for the display
+    const frequency = smoothPitch(detection.frequency);
+    if (exerciseMode) {
+      // once the exercise is done, fall back to the nearest note
+      note = trackTarget(frequency, time) ?? frequencyToNote(frequency);
+    } else if (instrumentMode) {
+      note = trackString(frequency, time);
+    } else {
+      note = frequencyToNote(frequency);
+    }
+    lastStableNote = note;
+    markStable(time);
+    if (calibrating) {
+      finishCalibration(addCalibrationReading(detection.frequency, time));
+    }
+  } else {
+    if (instrumentMode) trackString(null, time); // not held in tune
+    if (exerciseMode) trackTarget(null, time); // may end an attempt
+    if (calibrating) addCalibrationReading(null, time); // not held steady
+    // Freeze the last stable reading for a moment instead of blanking
+    if (lastStableNote && isHolding(time)) {
+      note = lastStableNote;
+      held = true;
+    } else {
+      // Nothing usable for longer than the hold time - start afresh
+      lastStableNote = null;
+      resetSmoother();
     }
-    const waveform = audioContext.getWaveform();
-    const sampleRate = audioContext.sampleRate;
+  }
+
+  // held readings are frozen, so the graph and the practice log show a
+  // pause instead
+  const liveNote = held ? null : note;
+  addHistoryPoint(time, liveNote);
+  recordReading(liveNote, time);
+
+  latestNote = note;
+  latestNoteHeld = held;
+  hasPendingUpdate = true;
+}
+
+/**
+ * Handle one strum check made by the strum worker: keep each string's
+ * reading, measured against that string, for STRUM_HOLD_TIME so strings
+ * that fade sooner stay on the gauge. Ignored while the noise gate is
+ * closed.
+ * @param {(import("./strum-analysis.js").StrumString | null)[]} strings
+ * @param {number} time - Audio-clock time of the check in seconds
+ * @returns {void}
+ */
+function handleStrum(strings, time) {
+  if (!isRunning) return;
+  latestStrumTime = time;
+  if (!latestGateOpen) return;
+
+  strings.forEach((reading, index) => {
+    // a check made before the strings changed may have more of them
+    const target = strumStrings[index];
+    if (!reading || !target) return;
+    const note = frequencyToTargetPitch(
+      reading.frequency,
+      target.midiNote,
+      target.frequency,
+    );
+    if (note) strumReadings[index] = { note, time };
+  });
+  hasPendingUpdate = true;
+}
+
+/**
+ * Show why strum checks failed in the status line.
+ * @param {string} message
+ * @returns {void}
+ */
+function handleStrumError(message) {
+  statusText.textContent = `Strum check failed: ${message}`;
+  statusElement.classList.add("error");
+}
 
-    // Detect pitch (returns { frequency, confidence } or null)
-    const detection = detectPitch(waveform, sampleRate);
+/**
+ * Strum check readings to show: each string's latest, if recent enough.
+ * @returns {(ReturnType<typeof frequencyToTargetNote>)[]}
+ */
+function getStrumNotes() {
+  return strumStrings.map((_, index) => {
+    const reading = strumReadings[index];
+    return reading && latestStrumTime - reading.time <= STRUM_HOLD_TIME
+      ? reading.note
+      : null;
+  });
+}
 
-    let note = null;
+/**
+ * Render loop - runs at display rate via requestAnimationFrame and draws
+ * only the latest detection, dropping any that arrived in between.
+ * @returns {void}
+ */
+function renderLoop() {
+  if (!isRunning) return;
 
-    // Only use detection if confidence is low enough
-    if (detection && detection.confidence < CONFIDENCE_THRESHOLD) {
-      // Append value to the end of the array.
-      frequencyHistory.push(detection.frequency);
+  updateFilePlayer();
 
-      // Keep history size limited
-      if (frequencyHistory.length > SMOOTHING_FRAMES) {
-        // Removes the first element from the array
-        frequencyHistory.shift();
+  if (hasPendingUpdate) {
+    hasPendingUpdate = false;
+    try {
+      updateUI(latestNote, latestNoteHeld, instrumentMode || exerciseMode);
+      if (instrumentMode) {
+        const { activeString, done } = getStringProgress();
+        updateStrings(activeString, done);
       }
+      if (exerciseMode) updateExercise();
+      if (strumReadings.length > 0) updateStrumGauge(getStrumNotes());
+      updateLevelMeter(latestLevel, getGateOptions().openLevel, latestGateOpen);
+      drawHistory(getHistorySegments(), getHistoryEnd(), HISTORY_SECONDS);
+    } catch (error) {
+      console.error("Error in render loop:", error);
+    }
+  }
 
-      // Use averaged frequency for smoother display
-      const avgFrequency = average(frequencyHistory);
-      note = frequencyToNote(avgFrequency);
-    } else {
-      // No confident detection - clear history
-      frequencyHistory = [];
+  // the strobe moves every frame, not just when a detection arrives
+  drawStrobe(performance.now() / 1000);
+
+  animationId = requestAnimationFrame(renderLoop);
+}
+
+// ── audio file source ──
+
+/**
+ * Format seconds as m:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Show the file's playback position and state in the player controls.
+ * @returns {void}
+ */
+function updateFilePlayer() {
+  const playback = getFilePlayback();
+  if (!playback) return;
+
+  fileSeekInput.max = String(playback.duration);
+  fileSeekInput.value = String(playback.position);
+  fileTimeText.textContent = `${formatTime(playback.position)} / ${formatTime(playback.duration)}`;
+  filePlayButton.textContent = playback.playing ? "Pause" : "Play";
+}
+
+/**
+ * Summarise a pitch track for the status line: the average distance from
+ * the nearest note over the frames that pass the confidence gate.
+ * @param {import("./pitch-track.js").PitchTrackPoint[]} track
+ * @returns {string}
+ */
+function describePitchTrack(track) {
+  let total = 0;
+  let count = 0;
+  for (const point of track) {
+    const note =
+      point.voiced && point.confidence >= getSettings().confidenceThreshold
+        ? frequencyToNote(point.frequency)
+        : null;
+    if (note) {
+      total += Math.abs(note.cents);
+      count++;
     }
+  }
+  if (count === 0) return "No clear notes found in the recording";
+  return `Recording analysed: ±${(total / count).toFixed(1)} cents on average`;
+}
+
+/**
+ * Load an audio file as the source, show the player and compute its
+ * offline pitch track. The microphone is released.
+ * @async
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function openAudioFile(file) {
+  const fileId = ++audioFileCount;
+  if (isRunning) stopTuning();
+
+  filePitchTrack = null;
+  fileExportButton.disabled = true;
+  statusElement.classList.remove("error");
+  statusText.textContent = `Loading ${file.name}...`;
+
+  try {
+    await loadAudioFile(file);
+  } catch (error) {
+    console.error("Failed to load audio file:", error);
+    if (fileId !== audioFileCount) return;
+    statusText.textContent = "Could not read this audio file";
+    statusElement.classList.add("error");
+    filePlayer.hidden = true;
+    return;
+  }
+  if (fileId !== audioFileCount) return;
+
+  audioFileName = file.name;
+  filePlayer.hidden = false;
+  updateFilePlayer();
 
-    // Update UI
-    updateUI(note);
+  try {
+    const track = await computeFilePitchTrack((fraction) => {
+      if (fileId === audioFileCount && !isRunning) {
+        statusText.textContent = `Analysing recording... ${Math.round(fraction * 100)}%`;
+      }
+    });
+    if (fileId !== audioFileCount) return;
+    filePitchTrack = track;
+    fileExportButton.disabled = false;
+    if (!isRunning) statusText.textContent = describePitchTrack(track);
   } catch (error) {
-    console.error("Error in detection loop:", error);
+    console.error("Failed to analyse audio file:", error);
   }
+}
 
-  animationId = requestAnimationFrame(detectionLoop);
+/**
+ * Change handler for the audio file input.
+ * @returns {void}
+ */
+function handleAudioFileChange() {
+  const file = audioFileInput.files && audioFileInput.files[0];
+  if (file) openAudioFile(file);
+  audioFileInput.value = ""; // picking the same file again still fires
 }
 
-// ── initialization ──
+/**
+ * Drop handler: open the first dropped audio file.
+ * @param {DragEvent} event
+ * @returns {void}
+ */
+function handleFileDrop(event) {
+  event.preventDefault();
+  const file = event.dataTransfer && event.dataTransfer.files[0];
+  if (file && file.type.startsWith("audio/")) openAudioFile(file);
+}
 
 /**
- * Click handler for the toggle button.  Handles lazy audio setup and
- * starts/stops the tuning loop.
+ * Click handler for the file play/pause button. Playing starts the
+ * tuning display, so the recording is read like live input.
+ * @returns {void}
+ */
+function handleFilePlayClick() {
+  const playback = getFilePlayback();
+  if (!playback) return;
+
+  if (playback.playing) {
+    pauseAudioFile();
+  } else {
+    if (!isRunning) startTuning();
+    playAudioFile();
+  }
+  updateFilePlayer();
+}
+
+/**
+ * Input handler for the file position slider.
+ * @returns {void}
+ */
+function handleFileSeek() {
+  seekAudioFile(Number(fileSeekInput.value));
+  resetSmoother(); // don't smooth across the jump
+  updateFilePlayer();
+}
+
+/**
+ * Click handler for the export button: download the offline pitch track
+ * as CSV.
+ * @returns {void}
+ */
+function handleFileExportClick() {
+  if (!filePitchTrack) return;
+
+  downloadText(
+    `${audioFileName.replace(/\.[^.]*$/, "")}-pitch.csv`,
+    "text/csv",
+    pitchTrackToCsv(filePitchTrack),
+  );
+}
+
+/**
+ * Let the browser save some text as a file.
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ * @param {string} text
+ * @returns {void}
+ */
+function downloadText(fileName, type, text) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // The download starts asynchronously; revoking right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+}
+
+// ── practice sessions ──
+
+/**
+ * Click handler for the session button: start logging every held note
+ * (starting the tuner if needed), or finish and save the session.
  * @returns {Promise<void>}
  */
-async function handleToggleClick() {
-  if (!audioInitialized) {
-    await initializeAudio();
-    if (!audioInitialized) return;
+async function handleSessionClick() {
+  if (isSessionActive()) {
+    await finishPracticeSession();
+    return;
   }
+  if (!(await ensureTuning())) return;
 
-  if (isRunning) {
-    stopTuning();
-  } else {
-    startTuning();
+  startSession(Date.now());
+  sessionButton.textContent = "Stop session";
+  statusText.textContent = "Practice session running...";
+}
+
+/**
+ * End the running session, save it and show its summary.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function finishPracticeSession() {
+  const session = endSession(Date.now());
+  sessionButton.textContent = "Start session";
+  if (!session || session.notes.length === 0) {
+    statusText.textContent = "No notes were held long enough to log";
+    return;
+  }
+
+  try {
+    session.id = await saveSession(session);
+    statusText.textContent = `Session saved: ${session.notes.length} notes`;
+  } catch (error) {
+    console.error("Failed to save practice session:", error);
+    statusText.textContent = "Could not save the session (export it instead)";
+    statusElement.classList.add("error");
   }
+  await populateSessionSelect(session.id);
+  showSession(session);
 }
 
 /**
- * Change handler for the reference frequency dropdown.
- * Updates the note-mapping module and clears the smoothing buffer so
- * stale data from a different reference doesn't bleed through.
+ * Show a session's per-note summary and offer it for export.
+ * @param {import("./practice-session.js").Session | null} session
  * @returns {void}
  */
-function handleReferenceChange() {
-  const value = Number(referenceFrequencySelect.value);
-  setReferenceFrequency(value);
-  frequencyHistory = [];
+function showSession(session) {
+  selectedSession = session;
+  sessionSummaryList.replaceChildren(
+    ...(session ? summarizeSession(session) : []).map((summary) => {
+      const item = document.createElement("li");
+      item.textContent = describeNoteSummary(summary);
+      return item;
+    }),
+  );
+  sessionCsvButton.disabled = !session;
+  sessionJsonButton.disabled = !session;
+  sessionDeleteButton.disabled = session?.id === undefined;
 }
 
 /**
- * Query DOM elements and attach event listeners. Called once on load.
+ * Fill the saved sessions dropdown, newest first.
+ * @async
+ * @param {number} [selectedId] - Session to select
+ * @returns {Promise<void>}
  */
-function initApp() {
-  // DOM elements
-  toggleButton = /** @type {HTMLButtonElement} */ (
-    getRequiredElement("toggleButton")
+async function populateSessionSelect(selectedId) {
+  /** @type {{id: number, startedAt: number, noteCount: number}[]} */
+  let sessions = [];
+  try {
+    sessions = await listSessions();
+  } catch (error) {
+    console.warn("Could not list practice sessions:", error);
+  }
+
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = sessions.length
+    ? "Saved sessions"
+    : "No saved sessions";
+  sessionSelect.replaceChildren(placeholder);
+  for (const { id, startedAt, noteCount } of sessions) {
+    const option = document.createElement("option");
+    option.value = String(id);
+    option.textContent = `${new Date(startedAt).toLocaleString()} (${noteCount} notes)`;
+    sessionSelect.append(option);
+  }
+  sessionSelect.value = selectedId === undefined ? "" : String(selectedId);
+}
+
+/**
+ * Change handler for the saved sessions dropdown.
+ * @returns {Promise<void>}
+ */
+async function handleSessionSelectChange() {
+  if (sessionSelect.value === "") {
+    showSession(null);
+    return;
+  }
+  try {
+    showSession(await loadSession(Number(sessionSelect.value)));
+  } catch (error) {
+    console.error("Failed to load practice session:", error);
+    showSession(null);
+  }
+}
+
+/**
+ * File name for an exported session, from its start time.
+ * @param {import("./practice-session.js").Session} session
+ * @param {string} extension
+ * @returns {string} E.g. "practice-2024-05-01T18-30.csv"
+ */
+function sessionFileName(session, extension) {
+  const start = new Date(session.startedAt).toISOString().slice(0, 16);
+  return `practice-${start.replace(":", "-")}.${extension}`;
+}
+
+/**
+ * Click handler for the session CSV export button.
+ * @returns {void}
+ */
+function handleSessionCsvClick() {
+  if (!selectedSession) return;
+  downloadText(
+    sessionFileName(selectedSession, "csv"),
+    "text/csv",
+    sessionToCsv(selectedSession),
   );
-  statusText = getRequiredElement("statusText");
-  statusElement = getRequiredElement("status");
-  referenceFrequencySelect = /** @type {HTMLSelectElement} */ (
-    getRequiredElement("referenceFrequency")
+}
+
+/**
+ * Click handler for the session JSON export button.
+ * @returns {void}
+ */
+function handleSessionJsonClick() {
+  if (!selectedSession) return;
+  downloadText(
+    sessionFileName(selectedSession, "json"),
+    "application/json",
+    sessionToJson(selectedSession),
   );
+}
 
-  // button handler
-  toggleButton.addEventListener("click", handleToggleClick);
+/**
+ * Click handler for the session delete button.
+ * @returns {Promise<void>}
+ */
+async function handleSessionDeleteClick() {
+  if (selectedSession?.id === undefined) return;
+  try {
+    await deleteSession(selectedSession.id);
+  } catch (error) {
+    console.error("Failed to delete practice session:", error);
+    return;
+  }
+  showSession(null);
+  await populateSessionSelect();
+}
+
+/**
+ * Change handler for the session import input: read an exported CSV or
+ * JSON session, save it and show it. Parse errors are shown in the status
+ * line.
+ * @returns {Promise<void>}
+ */
+async function handleSessionFileChange() {
+  const file = sessionFileInput.files && sessionFileInput.files[0];
+  sessionFileInput.value = ""; // picking the same file again still fires
+  if (!file) return;
 
-  // reference frequency handler
-  referenceFrequencySelect.addEventListener("change", handleReferenceChange);
+  /** @type {import("./practice-session.js").Session} */
+  let session;
+  try {
+    session = parseSession(await file.text());
+  } catch (error) {
+    console.warn("Could not import practice session:", error);
+    statusText.textContent =
+      error instanceof Error ? error.message : String(error);
+    statusElement.classList.add("error");
+    return;
+  }
+
+  statusElement.classList.remove("error");
+  try {
+    session.id = await saveSession(session);
+    statusText.textContent = `Imported ${file.name}`;
+  } catch (error) {
+    console.error("Failed to save practice session:", error);
+    statusText.textContent = `Imported ${file.name} (not saved)`;
+  }
+  await populateSessionSelect(session.id);
+  showSession(session);
+}
+
+// ── settings ──
+
+/**
+ * Show the current settings in their controls and apply each of them, as
+ * if it had just been changed there.
+ * @returns {void}
+ */
+function applySettings() {
+  const settings = getSettings();
+  referenceFrequencyInput.value = String(settings.referenceFrequency);
+  temperamentSelect.value = settings.temperament;
+  temperamentTonicSelect.value = String(settings.temperamentTonic);
+  displayModeSelect.value = settings.displayMode;
+  gaugeRangeSelect.value = String(settings.gaugeRange);
+  showHistoryInput.checked = settings.showHistory;
+  transpositionSelect.value = String(settings.transposition);
+  nameSystemSelect.value = settings.nameSystem;
+  spellingSelect.value = settings.spelling;
+  namingKeySelect.value = String(settings.namingKey);
+  octaveStyleSelect.value = settings.octaveStyle;
+  instrumentSelect.value = settings.instrument;
+  customTuningInput.value = settings.customTuning;
+  strumCheckInput.checked = settings.strumCheck;
+  exerciseSelect.value = settings.exercise; // none if not loaded here
+  pitchRangeSelect.value = settings.pitchRange;
+  detectorSelect.value = settings.detector;
+  confidenceThresholdInput.value = String(settings.confidenceThreshold);
+  yinThresholdInput.value = String(settings.yinThreshold);
+  gateLevelInput.value = String(settings.gateLevel);
+  holdTimeInput.value = String(settings.holdTime);
+  toneTimbreSelect.value = settings.toneTimbre;
+  toneVolumeInput.value = String(settings.toneVolume);
+
+  handleReferenceChange();
+  handleTemperamentChange();
+  handleDisplayModeChange();
+  handleGaugeRangeChange();
+  handleShowHistoryChange();
+  handleNamingChange();
+  handleInstrumentChange();
+  handleExerciseChange();
+  handlePitchRangeChange();
+  handleDetectorChange();
+  handleConfidenceThresholdChange();
+  handleYinThresholdChange();
+  handleGateLevelChange();
+  handleHoldTimeChange();
+  handleToneTimbreChange();
+  handleToneVolumeChange();
+  applyCaptureSettings({
+    inputGain: settings.inputGain,
+    channel: settings.inputChannel,
+    autoGainControl: settings.autoGain,
+  });
+  showCaptureSettings();
+  // the device list shows the preferred device once it is set
+  setInputDevice(settings.inputDevice || null)
+    .then(populateInputDeviceSelect)
+    .catch((error) => console.error("Failed to switch input device:", error));
+}
+
+/**
+ * Take over the settings of a shared link, remember and apply them, then
+ * drop them from the address so a reload keeps later changes. Invalid ones,
+ * and links from a newer version (which are left alone), are reported in
+ * the status line.
+ * @returns {void}
+ */
+function applyLinkSettings() {
+  /** @type {ReturnType<typeof parseSettingsQuery>} */
+  let link;
+  try {
+    link = parseSettingsQuery(location.search);
+  } catch (error) {
+    console.warn("Ignoring the settings link:", error);
+    statusText.textContent =
+      error instanceof Error ? error.message : String(error);
+    statusElement.classList.add("error");
+    return;
+  }
+  if (!link) return;
+
+  updateSettings(link.settings);
+  history.replaceState(null, "", location.pathname + location.hash);
+  applySettings();
+  if (link.invalid.length > 0) {
+    statusText.textContent = `Ignored invalid settings in the link: ${link.invalid.join(", ")}`;
+    statusElement.classList.add("error");
+  } else {
+    statusText.textContent = "Using the settings from the link";
+  }
+}
+
+/**
+ * Click handler for the share button: copy a link to the current setup.
+ * If the clipboard is not available, the link is put in the address bar
+ * to copy from there.
+ * @returns {Promise<void>}
+ */
+async function handleShareSettingsClick() {
+  const url = new URL(location.href);
+  url.search = settingsToQuery(getSettings());
+  url.hash = "";
+  statusElement.classList.remove("error");
+  try {
+    await navigator.clipboard.writeText(url.href);
+    statusText.textContent = "Link to these settings copied";
+  } catch (error) {
+    console.warn("Could not copy the settings link:", error);
+    history.replaceState(null, "", url);
+    statusText.textContent =
+      "Copy the link to these settings from the address bar";
+  }
+}
+
+/**
+ * Click handler for the reset button: back to the default settings, after
+ * asking.
+ * @returns {void}
+ */
+function handleResetSettingsClick() {
+  if (!confirm("Reset all settings to their defaults?")) return;
+  resetSettings();
+  applySettings();
+  statusElement.classList.remove("error");
+  statusText.textContent = "Settings reset to defaults";
+}
+
+// ── initialization ──
+
+/**
+ * Start tuning if it isn't running, asking for the microphone if needed.
+ * @async
+ * @returns {Promise<boolean>} Whether tuning is running
+ */
+async function ensureTuning() {
+  if (isRunning) return true;
+  if (!audioInitialized) {
+    await initializeAudio();
+    if (!audioInitialized) return false;
+  }
+  startTuning();
+  return true;
+}
+
+/**
+ * Click handler for the toggle button.  Handles lazy audio setup and
+ * starts/stops the tuning loop.
+ * @returns {Promise<void>}
+ */
+async function handleToggleClick() {
+  // checked first: a playing audio file runs without the microphone
+  if (isRunning) {
+    stopTuning();
+    return;
+  }
+
+  if (!audioInitialized) {
+    await initializeAudio();
+    if (!audioInitialized) return;
+  }
+
+  startTuning();
+}
+
+/**
+ * Use and remember a new A4 reference frequency. Resets the pitch smoother
+ * so stale data from a different reference doesn't bleed through.
+ * @param {number} frequency - Reference frequency in Hz
+ * @returns {void}
+ */
+function applyReferenceFrequency(frequency) {
+  setReferenceFrequency(frequency);
+  referenceFrequencyInput.value = String(frequency);
+  updateSettings({ referenceFrequency: frequency });
+  resetSmoother();
+  retuneTone();
+  applyStrumTargets();
+}
+
+/**
+ * Change handler for the reference frequency input.
+ * Values outside MIN_REFERENCE_FREQUENCY–MAX_REFERENCE_FREQUENCY are
+ * ignored and the input is reset to the current reference.
+ * @returns {void}
+ */
+function handleReferenceChange() {
+  const value = Number(referenceFrequencyInput.value);
+  if (
+    referenceFrequencyInput.value === "" ||
+    !(value >= MIN_REFERENCE_FREQUENCY && value <= MAX_REFERENCE_FREQUENCY)
+  ) {
+    referenceFrequencyInput.value = String(getReferenceFrequency());
+    return;
+  }
+  applyReferenceFrequency(Math.round(value * 10) / 10);
+}
+
+/**
+ * Click handler for the calibrate button: start listening for a sustained
+ * A (starting the tuner if needed), or cancel a calibration in progress.
+ * @returns {Promise<void>}
+ */
+async function handleCalibrateClick() {
+  if (calibrating) {
+    stopCalibration();
+    statusText.textContent = "Calibration cancelled";
+    return;
+  }
+  if (!(await ensureTuning())) return;
+
+  calibrating = true;
+  resetCalibration();
+  calibrateButton.textContent = "Cancel";
+  statusText.textContent = "Play and hold an A...";
+}
+
+/**
+ * Apply the result of calibration once the A has been held long enough.
+ * @param {number | null} reference - Calibrated A4 in Hz, or null if still
+ *   listening
+ * @returns {void}
+ */
+function finishCalibration(reference) {
+  if (reference === null) return;
+  stopCalibration();
+  applyReferenceFrequency(reference);
+  statusText.textContent = `Calibrated to A4 = ${reference.toFixed(1)} Hz`;
+}
+
+/**
+ * Stop listening for the calibration A.
+ * @returns {void}
+ */
+function stopCalibration() {
+  calibrating = false;
+  calibrateButton.textContent = "Calibrate";
+}
+
+/**
+ * Change handler for the temperament and tonic dropdowns.
+ * Retunes the note targets and resets the pitch smoother. The tonic only
+ * matters for unequal temperaments, so it is disabled for equal temperament
+ * and Scala scales (which carry their own mapping). A Scala scale is not
+ * remembered, as its files are not.
+ * @returns {void}
+ */
+function handleTemperamentChange() {
+  const id = temperamentSelect.value;
+  if (id === SCALA_TEMPERAMENT && scalaTuning) {
+    setScale(scalaTuning.scale, scalaTuning.mapping);
+  } else {
+    const tonic = Number(temperamentTonicSelect.value);
+    setScale(null);
+    setTemperament(getTemperament(id), tonic);
+    updateSettings({ temperament: id, temperamentTonic: tonic });
+  }
+  temperamentTonicSelect.disabled =
+    id === DEFAULT_TEMPERAMENT || id === SCALA_TEMPERAMENT;
+  resetSmoother();
+  populateToneNoteSelect();
+  retuneTone();
+  applyStrumTargets();
+}
+
+/**
+ * Change handler for the Scala file input: load the chosen .scl file (and
+ * .kbm keyboard mapping, if one was picked with it), add it to the
+ * temperament dropdown and select it. Parse errors are shown in the status
+ * line with their line number.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleScalaFileChange() {
+  const files = Array.from(scalaFileInput.files ?? []);
+  scalaFileInput.value = ""; // picking the same files again still fires
+
+  const scaleFile = files.find((file) => /\.scl$/i.test(file.name));
+  const mappingFile = files.find((file) => /\.kbm$/i.test(file.name));
+  if (!scaleFile) {
+    statusText.textContent = "Choose a .scl file (and optionally a .kbm)";
+    statusElement.classList.add("error");
+    return;
+  }
+
+  /** @type {NonNullable<typeof scalaTuning>} */
+  let tuning;
+  try {
+    tuning = {
+      scale: parseScala(await scaleFile.text()),
+      mapping: mappingFile
+        ? parseKeyboardMapping(await mappingFile.text())
+        : null,
+    };
+    setScale(tuning.scale, tuning.mapping);
+  } catch (error) {
+    console.warn("Could not load Scala files:", error);
+    statusText.textContent =
+      error instanceof Error ? error.message : String(error);
+    statusElement.classList.add("error");
+    return;
+  }
+  scalaTuning = tuning;
+
+  let option = Array.from(temperamentSelect.options).find(
+    ({ value }) => value === SCALA_TEMPERAMENT,
+  );
+  if (!option) {
+    option = document.createElement("option");
+    option.value = SCALA_TEMPERAMENT;
+    temperamentSelect.append(option);
+  }
+  option.textContent = `Scala: ${tuning.scale.description || scaleFile.name}`;
+  temperamentSelect.value = SCALA_TEMPERAMENT;
+  temperamentTonicSelect.disabled = true;
+  resetSmoother();
+  populateToneNoteSelect();
+  retuneTone();
+  applyStrumTargets();
+
+  statusElement.classList.remove("error");
+  statusText.textContent = `Loaded ${scaleFile.name} (${tuning.scale.steps.length} notes per period)`;
+}
+
+/**
+ * Change handler for the display dropdown: needle gauge or strobe.
+ * @returns {void}
+ */
+function handleDisplayModeChange() {
+  const mode = /** @type {import("./tuner-ui.js").DisplayMode} */ (
+    displayModeSelect.value
+  );
+  setDisplayMode(mode);
+  updateSettings({ displayMode: mode });
+}
+
+/**
+ * Change handler for the gauge range dropdown (cents either side).
+ * @returns {void}
+ */
+function handleGaugeRangeChange() {
+  const cents = Number(gaugeRangeSelect.value);
+  setGaugeRange(cents);
+  updateSettings({ gaugeRange: cents });
+  drawHistory(getHistorySegments(), getHistoryEnd(), HISTORY_SECONDS);
+}
+
+/**
+ * Change handler for the history checkbox.
+ * @returns {void}
+ */
+function handleShowHistoryChange() {
+  showHistory(showHistoryInput.checked);
+  updateSettings({ showHistory: showHistoryInput.checked });
+  drawHistory(getHistorySegments(), getHistoryEnd(), HISTORY_SECONDS);
+}
+
+/**
+ * Play the chosen reference tone, tuned to the current reference and
+ * temperament or Scala scale, or retune and re-voice the one sounding.
+ * @returns {void}
+ */
+function startTone() {
+  const frequency = getKeyFrequency(Number(toneNoteSelect.value));
+  if (frequency === null) return; // the scale leaves every offered key unmapped
+  playTone(frequency, {
+    timbre: toneTimbreSelect.value,
+    sustain: toneDroneInput.checked,
+  });
+  toneButton.textContent = "Stop";
+}
+
+/**
+ * Keep a sounding tone on the current tuning after it changed.
+ * @returns {void}
+ */
+function retuneTone() {
+  if (exerciseDrone !== null) {
+    playExerciseDrone(exerciseDrone);
+  } else if (isTonePlaying()) {
+    startTone();
+  }
+}
+
+/**
+ * Click handler for the tone button: play or stop the reference tone.
+ * @returns {void}
+ */
+function handleToneClick() {
+  if (isTonePlaying()) {
+    stopTone();
+  } else {
+    exerciseDrone = null; // the exercise's next drone replaces it again
+    startTone();
+  }
+}
+
+/**
+ * Change handler for the tone volume slider; also applies to a sounding
+ * tone.
+ * @returns {void}
+ */
+function handleToneVolumeChange() {
+  setToneVolume(Number(toneVolumeInput.value));
+  updateSettings({ toneVolume: Number(toneVolumeInput.value) });
+}
+
+/**
+ * Change handler for the tone timbre dropdown; also re-voices a sounding
+ * tone.
+ * @returns {void}
+ */
+function handleToneTimbreChange() {
+  updateSettings({ toneTimbre: toneTimbreSelect.value });
+  retuneTone();
+}
+
+/**
+ * Called when the tone stops, by itself or from the button.
+ * @returns {void}
+ */
+function handleToneEnded() {
+  toneButton.textContent = "Play";
+  exerciseDrone = null;
+}
+
+/**
+ * Change handler for the transposition and note naming dropdowns.
+ * Renames notes from the next reading on, and the instrument's strings
+ * right away. The key only matters for key-aware spelling and movable do.
+ * @returns {void}
+ */
+function handleNamingChange() {
+  const system = /** @type {import("./note-naming.js").NameSystem} */ (
+    nameSystemSelect.value
+  );
+  const spelling = /** @type {import("./note-naming.js").Spelling} */ (
+    spellingSelect.value
+  );
+  const octaves = /** @type {import("./note-naming.js").OctaveStyle} */ (
+    octaveStyleSelect.value
+  );
+  const key = Number(namingKeySelect.value);
+  const transposition = Number(transpositionSelect.value);
+  setNoteNaming({ system, spelling, octaves, key, transposition });
+  updateSettings({
+    nameSystem: system,
+    spelling,
+    namingKey: key,
+    octaveStyle: octaves,
+    transposition,
+  });
+  namingKeySelect.disabled = spelling !== "key" && system !== "solfege-movable";
+
+  const { strings, activeString, done } = getStringProgress();
+  showStrings(strings.map(getNoteName));
+  updateStrings(activeString, done);
+  applyStrumTargets();
+  populateToneNoteSelect();
+  if (exerciseMode) updateExercise();
+}
+
+/**
+ * Tune against the given strings, or chromatically if there are none.
+ * Progress on the previous strings is dropped.
+ * @param {readonly number[]} midiNotes - Open strings as MIDI note numbers
+ * @returns {void}
+ */
+function applyInstrumentStrings(midiNotes) {
+  instrumentMode = midiNotes.length > 0;
+  setStrings(midiNotes);
+  showStrings(midiNotes.map(getNoteName));
+  strumCheckInput.disabled = !instrumentMode;
+  applyStrumTargets();
+  resetSmoother();
+}
+
+/**
+ * Start or stop strum checks for the instrument's strings, as tuned in the
+ * current reference and temperament or Scala scale. Strings the scale
+ * leaves unmapped are not checked. Previous readings are dropped.
+ * @returns {void}
+ */
+function applyStrumTargets() {
+  const enabled = instrumentMode && strumCheckInput.checked;
+  strumStrings = enabled ? getKeyPitches(getStringProgress().strings) : [];
+  setStrumTargets(
+    strumStrings.length > 0
+      ? strumStrings.map(({ frequency }) => frequency)
+      : null,
+  );
+  strumReadings = [];
+  showStrumGauge(
+    strumStrings.map(({ midiNote }) => getKeyName(midiNote) ?? ""),
+  );
+}
+
+/**
+ * Change handler for the strum check checkbox.
+ * @returns {void}
+ */
+function handleStrumCheckChange() {
+  updateSettings({ strumCheck: strumCheckInput.checked });
+  applyStrumTargets();
+}
+
+/**
+ * Change handler for the instrument dropdown.
+ * Switches between chromatic tuning, a preset and the custom tuning, whose
+ * input is only shown while it is selected.
+ * @returns {void}
+ */
+function handleInstrumentChange() {
+  const id = instrumentSelect.value;
+  customTuningInput.hidden = id !== CUSTOM_INSTRUMENT;
+  updateSettings({ instrument: id });
+
+  if (id === CHROMATIC_INSTRUMENT) {
+    applyInstrumentStrings([]);
+  } else if (id === CUSTOM_INSTRUMENT) {
+    handleCustomTuningChange();
+  } else {
+    applyInstrumentStrings(resolveStrings(getTuning(id).strings));
+  }
+}
+
+/**
+ * Change handler for the custom tuning input: note names separated by
+ * spaces or commas. A malformed name is reported in the status line and
+ * the previous strings are kept; valid tunings are remembered. Until one is
+ * typed in, tuning stays chromatic.
+ * @returns {void}
+ */
+function handleCustomTuningChange() {
+  /** @type {string[]} */
+  let strings;
+  try {
+    strings = parseTuning(customTuningInput.value);
+  } catch (error) {
+    if (customTuningInput.value.trim() === "") {
+      applyInstrumentStrings([]); // not typed in yet
+      return;
+    }
+    console.warn("Ignoring custom tuning:", error);
+    statusText.textContent =
+      error instanceof Error ? error.message : String(error);
+    statusElement.classList.add("error");
+    return;
+  }
+  statusElement.classList.remove("error");
+  updateSettings({ customTuning: customTuningInput.value });
+  applyInstrumentStrings(resolveStrings(strings));
+}
+
+// ── ear-training exercises ──
+
+/**
+ * Run the given exercise from its first target, or stop exercising.
+ * @param {string} id - Exercise id, or NO_EXERCISE
+ * @returns {void}
+ */
+function applyExercise(id) {
+  updateSettings({ exercise: id });
+  exerciseMode = id !== NO_EXERCISE;
+  exerciseStep = -1;
+  resetSmoother();
+  if (exerciseMode) {
+    setExercise(resolveExercise(getExercise(id)));
+    updateExercise();
+  } else {
+    showExercise(null);
+    if (exerciseDrone !== null) playExerciseDrone(null);
+  }
+}
+
+/**
+ * Show the current target and score, and sound the target's drone when
+ * the exercise moves on to it.
+ * @returns {void}
+ */
+function updateExercise() {
+  const { targets, step, hits, misses, lastResult, done } =
+    getExerciseProgress();
+  const attempts = hits + misses;
+  const parts = [
+    done ? "Done" : `Step ${step + 1} of ${targets.length}`,
+    `${hits} ${hits === 1 ? "hit" : "hits"}, ` +
+      `${misses} ${misses === 1 ? "miss" : "misses"}`,
+  ];
+  if (attempts > 0) {
+    parts.push(`score ${Math.round((100 * hits) / attempts)}%`);
+  }
+  showExercise({
+    target: done
+      ? "Exercise complete"
+      : `Play ${describeTarget(targets[step])}`,
+    score: parts.join(" · "),
+    result: lastResult,
+  });
+
+  if (step !== exerciseStep) {
+    exerciseStep = step;
+    playExerciseDrone(done ? null : targets[step].drone);
+  }
+}
+
+/**
+ * Sound a drone under the exercise through the reference tone, or stop
+ * the one it is sounding.
+ * @param {number | null} midiNote - Drone note, or null for none
+ * @returns {void}
+ */
+function playExerciseDrone(midiNote) {
+  if (midiNote === null) {
+    if (exerciseDrone !== null) stopTone();
+    return;
+  }
+  playTone(getNoteFrequency(midiNote), {
+    timbre: toneTimbreSelect.value,
+    sustain: true,
+  });
+  toneButton.textContent = "Stop";
+  exerciseDrone = midiNote;
+}
+
+/**
+ * Change handler for the exercise dropdown.
+ * @returns {void}
+ */
+function handleExerciseChange() {
+  applyExercise(exerciseSelect.value);
+}
+
+/**
+ * Change handler for the exercise file input: load an exercise written as
+ * JSON, offer it in the dropdown and start it. It is remembered for next
+ * time; read and parse errors are shown in the status line.
+ * @returns {Promise<void>}
+ */
+async function handleExerciseFileChange() {
+  const file = exerciseFileInput.files && exerciseFileInput.files[0];
+  exerciseFileInput.value = ""; // picking the same file again still fires
+  if (!file) return;
+
+  let text;
+  try {
+    text = await file.text();
+    registerExercise(IMPORTED_EXERCISE, parseExercise(text));
+  } catch (error) {
+    console.warn("Could not load exercise:", error);
+    statusText.textContent =
+      error instanceof Error ? error.message : String(error);
+    statusElement.classList.add("error");
+    return;
+  }
+  statusElement.classList.remove("error");
+  saveImportedExercise(text);
+  populateExerciseSelect();
+  exerciseSelect.value = IMPORTED_EXERCISE;
+  applyExercise(IMPORTED_EXERCISE);
+}
+
+/**
+ * Register the exercise loaded from a file last time, if any.
+ * @returns {void}
+ */
+function loadImportedExercise() {
+  let text = null;
+  try {
+    text = localStorage.getItem(IMPORTED_EXERCISE_STORAGE_KEY);
+  } catch {
+    return; // storage disabled (private mode, file://)
+  }
+  if (text === null) return;
+  try {
+    registerExercise(IMPORTED_EXERCISE, parseExercise(text));
+  } catch (error) {
+    console.warn("Ignoring remembered exercise:", error);
+  }
+}
+
+/**
+ * Remember the JSON of the exercise loaded from a file in localStorage.
+ * @param {string} text
+ * @returns {void}
+ */
+function saveImportedExercise(text) {
+  try {
+    localStorage.setItem(IMPORTED_EXERCISE_STORAGE_KEY, text);
+  } catch (error) {
+    console.warn("Could not remember exercise:", error);
+  }
+}
+
+/**
+ * Change handler for the pitch range dropdown.
+ * Tells the detector which register to search (which also picks its window
+ * size) and resets the pitch smoother.
+ * @returns {void}
+ */
+function handlePitchRangeChange() {
+  setPitchRange(getPitchRange(pitchRangeSelect.value));
+  updateSettings({ pitchRange: pitchRangeSelect.value });
+  resetSmoother();
+}
+
+/**
+ * Change handler for the pitch detector dropdown.
+ * Switches the estimator in the worklet and resets the pitch smoother so
+ * readings from the two detectors are not smoothed together.
+ * @returns {void}
+ */
+function handleDetectorChange() {
+  setDetector(detectorSelect.value);
+  updateSettings({ detector: detectorSelect.value });
+  resetSmoother();
+}
+
+/**
+ * Change handler for the input device dropdown.
+ * Switches the microphone live (if running) and remembers the choice.
+ * The pitch smoother is reset as the new device may hear another source.
+ * @returns {Promise<void>}
+ */
+async function handleInputDeviceChange() {
+  try {
+    await setInputDevice(inputDeviceSelect.value || null);
+    updateSettings({ inputDevice: inputDeviceSelect.value });
+    resetSmoother();
+  } catch (error) {
+    console.error("Failed to switch input device:", error);
+    statusText.textContent = "Input device unavailable";
+    statusElement.classList.add("error");
+  }
+}
+
+/**
+ * Change handler for the confidence gate input.
+ * Invalid values are rejected by updateSettings and the input is reset.
+ * @returns {void}
+ */
+function handleConfidenceThresholdChange() {
+  try {
+    updateSettings({
+      confidenceThreshold: Number(confidenceThresholdInput.value),
+    });
+    resetSmoother();
+  } catch (error) {
+    console.warn("Ignoring confidence threshold:", error);
+    confidenceThresholdInput.value = String(getSettings().confidenceThreshold);
+  }
+}
+
+/**
+ * Change handler for the YIN threshold input.
+ * Invalid values are rejected by setDetectorOptions and the input is reset.
+ * @returns {void}
+ */
+function handleYinThresholdChange() {
+  try {
+    setDetectorOptions({ yinThreshold: Number(yinThresholdInput.value) });
+    updateSettings({ yinThreshold: Number(yinThresholdInput.value) });
+    resetSmoother();
+  } catch (error) {
+    console.warn("Ignoring YIN threshold:", error);
+    yinThresholdInput.value = String(getSettings().yinThreshold);
+  }
+}
+
+/**
+ * Change handler for the noise gate level input (dBFS).
+ * Invalid values are rejected by setGateOptions and the input is reset.
+ * @returns {void}
+ */
+function handleGateLevelChange() {
+  try {
+    setGateOptions({ openLevel: Number(gateLevelInput.value) });
+    updateSettings({ gateLevel: getGateOptions().openLevel });
+  } catch (error) {
+    console.warn("Ignoring noise gate level:", error);
+    gateLevelInput.value = String(getGateOptions().openLevel);
+  }
+  updateLevelMeter(latestLevel, getGateOptions().openLevel, latestGateOpen);
+}
+
+/**
+ * Change handler for the hold time input (seconds).
+ * Invalid values are rejected by setGateOptions and the input is reset.
+ * @returns {void}
+ */
+function handleHoldTimeChange() {
+  try {
+    setGateOptions({ holdTime: Number(holdTimeInput.value) });
+    updateSettings({ holdTime: getGateOptions().holdTime });
+  } catch (error) {
+    console.warn("Ignoring hold time:", error);
+    holdTimeInput.value = String(getGateOptions().holdTime);
+  }
+}
+
+/**
+ * Apply changed capture settings (gain, channel, browser processing).
+ * Invalid values are rejected and the inputs are reset to the current
+ * settings. A running setup is rebuilt by the audio module.
+ * @param {Partial<import("./capture-settings.js").CaptureSettings>} changes
+ * @returns {Promise<void>}
+ */
+async function applyCaptureSettings(changes) {
+  try {
+    captureSettings = resolveCaptureSettings(changes, captureSettings);
+  } catch (error) {
+    console.warn("Ignoring capture setting:", error);
+    showCaptureSettings();
+    return;
+  }
+  updateSettings({
+    inputGain: captureSettings.inputGain,
+    inputChannel: captureSettings.channel,
+    autoGain: captureSettings.autoGainControl,
+  });
+
+  try {
+    await setCaptureSettings(captureSettings);
+    resetSmoother();
+  } catch (error) {
+    console.error("Failed to apply capture settings:", error);
+    statusText.textContent = "Input device unavailable";
+    statusElement.classList.add("error");
+  }
+}
+
+/**
+ * Show the current capture settings in their inputs.
+ * @returns {void}
+ */
+function showCaptureSettings() {
+  inputGainInput.value = String(captureSettings.inputGain);
+  inputChannelSelect.value = captureSettings.channel;
+  autoGainInput.checked = captureSettings.autoGainControl;
+}
+
+/**
+ * Change handler for the input gain input (dB).
+ * @returns {Promise<void>}
+ */
+function handleInputGainChange() {
+  return applyCaptureSettings({ inputGain: Number(inputGainInput.value) });
+}
+
+/**
+ * Change handler for the input channel dropdown.
+ * @returns {Promise<void>}
+ */
+function handleInputChannelChange() {
+  return applyCaptureSettings({
+    channel: /** @type {import("./capture-settings.js").CaptureChannel} */ (
+      inputChannelSelect.value
+    ),
+  });
+}
+
+/**
+ * Change handler for the automatic gain control checkbox.
+ * @returns {Promise<void>}
+ */
+function handleAutoGainChange() {
+  return applyCaptureSettings({ autoGainControl: autoGainInput.checked });
+}
+
+/**
+ * Fill the detector dropdown from the detector registry.
+ * @returns {void}
+ */
+function populateDetectorSelect() {
+  for (const { id, label } of listDetectors()) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    option.selected = id === DEFAULT_DETECTOR;
+    detectorSelect.append(option);
+  }
+}
+
+/**
+ * Fill the temperament dropdown from the temperament registry.
+ * @returns {void}
+ */
+function populateTemperamentSelect() {
+  for (const { id, label } of listTemperaments()) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    option.selected = id === DEFAULT_TEMPERAMENT;
+    temperamentSelect.append(option);
+  }
+}
+
+/**
+ * Fill the tone note dropdown, named in the current convention (or by
+ * scale degree while a Scala scale is set, leaving out unmapped keys) and
+ * keeping the selection where it still exists.
+ * @returns {void}
+ */
+function populateToneNoteSelect() {
+  const selected = toneNoteSelect.value || String(DEFAULT_TONE_NOTE);
+  toneNoteSelect.replaceChildren();
+  for (let midi = TONE_LOWEST_NOTE; midi <= TONE_HIGHEST_NOTE; midi++) {
+    const name = getKeyName(midi);
+    if (name === null) continue;
+    const option = document.createElement("option");
+    option.value = String(midi);
+    option.textContent = name;
+    toneNoteSelect.append(option);
+  }
+  toneNoteSelect.value = selected;
+  if (toneNoteSelect.selectedIndex < 0) toneNoteSelect.selectedIndex = 0;
+}
+
+/**
+ * Fill the timbre dropdown from the timbre registry.
+ * @returns {void}
+ */
+function populateToneTimbreSelect() {
+  for (const { id, label } of listTimbres()) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    option.selected = id === DEFAULT_TIMBRE;
+    toneTimbreSelect.append(option);
+  }
+}
+
+/**
+ * Fill the exercise dropdown: none and the exercise registry (including
+ * one loaded from a file).
+ * @returns {void}
+ */
+function populateExerciseSelect() {
+  exerciseSelect.replaceChildren();
+  for (const { id, label } of [
+    { id: NO_EXERCISE, label: "None" },
+    ...listExercises(),
+  ]) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    exerciseSelect.append(option);
+  }
+}
+
+/**
+ * Fill the instrument dropdown: chromatic, the tuning registry and the
+ * custom tuning.
+ * @returns {void}
+ */
+function populateInstrumentSelect() {
+  const options = [
+    { id: CHROMATIC_INSTRUMENT, label: "Chromatic" },
+    ...listTunings(),
+    { id: CUSTOM_INSTRUMENT, label: "Custom" },
+  ];
+  for (const { id, label } of options) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    instrumentSelect.append(option);
+  }
+}
+
+/**
+ * Fill the input device dropdown with the currently connected inputs.
+ * Called on load, once permission is granted (labels become readable) and
+ * whenever devices are plugged in or out.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function populateInputDeviceSelect() {
+  /** @type {{deviceId: string, label: string}[]} */
+  let devices = [];
+  try {
+    devices = await listInputDevices();
+  } catch (error) {
+    console.warn("Could not list input devices:", error);
+  }
+
+  // show the device actually in use, falling back to the preferred one
+  const selectedId = getActiveInputDevice() ?? getInputDevice() ?? "";
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = "Default input";
+  inputDeviceSelect.replaceChildren(defaultOption);
+
+  for (const { deviceId, label } of devices) {
+    if (deviceId === "default") continue; // same as the option above
+    const option = document.createElement("option");
+    option.value = deviceId;
+    option.textContent = label;
+    inputDeviceSelect.append(option);
+  }
+  inputDeviceSelect.value =
+    selectedId !== "default" && devices.some((d) => d.deviceId === selectedId)
+      ? selectedId
+      : "";
+}
+
+/**
+ * Query DOM elements and attach event listeners. Called once on load.
+ */
+function initApp() {
+  // DOM elements
+  toggleButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("toggleButton")
+  );
+  statusText = getRequiredElement("statusText");
+  statusElement = getRequiredElement("status");
+  referenceFrequencyInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("referenceFrequency")
+  );
+  calibrateButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("calibrateButton")
+  );
+  temperamentSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("temperament")
+  );
+  temperamentTonicSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("temperamentTonic")
+  );
+  scalaFileInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("scalaFile")
+  );
+  displayModeSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("displayMode")
+  );
+  gaugeRangeSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("gaugeRange")
+  );
+  showHistoryInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("showHistory")
+  );
+  toneNoteSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("toneNote")
+  );
+  toneTimbreSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("toneTimbre")
+  );
+  toneVolumeInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("toneVolume")
+  );
+  toneDroneInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("toneDrone")
+  );
+  toneButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("toneButton")
+  );
+  transpositionSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("transposition")
+  );
+  nameSystemSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("nameSystem")
+  );
+  spellingSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("spelling")
+  );
+  namingKeySelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("namingKey")
+  );
+  octaveStyleSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("octaveStyle")
+  );
+  instrumentSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("instrument")
+  );
+  customTuningInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("customTuning")
+  );
+  strumCheckInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("strumCheck")
+  );
+  exerciseSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("exercise")
+  );
+  exerciseFileInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("exerciseFile")
+  );
+  pitchRangeSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("pitchRange")
+  );
+  detectorSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("detector")
+  );
+  inputDeviceSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("inputDevice")
+  );
+  confidenceThresholdInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("confidenceThreshold")
+  );
+  yinThresholdInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("yinThreshold")
+  );
+  gateLevelInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("gateLevel")
+  );
+  holdTimeInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("holdTime")
+  );
+  inputGainInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("inputGain")
+  );
+  inputChannelSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("inputChannel")
+  );
+  autoGainInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("autoGain")
+  );
+  audioFileInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("audioFile")
+  );
+  filePlayer = getRequiredElement("filePlayer");
+  filePlayButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("filePlayButton")
+  );
+  fileSeekInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("fileSeek")
+  );
+  fileTimeText = getRequiredElement("fileTime");
+  fileExportButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("fileExportButton")
+  );
+  sessionButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("sessionButton")
+  );
+  sessionSelect = /** @type {HTMLSelectElement} */ (
+    getRequiredElement("sessionSelect")
+  );
+  sessionCsvButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("sessionCsvButton")
+  );
+  sessionJsonButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("sessionJsonButton")
+  );
+  sessionDeleteButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("sessionDeleteButton")
+  );
+  sessionFileInput = /** @type {HTMLInputElement} */ (
+    getRequiredElement("sessionFile")
+  );
+  sessionSummaryList = getRequiredElement("sessionSummary");
+  shareSettingsButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("shareSettingsButton")
+  );
+  resetSettingsButton = /** @type {HTMLButtonElement} */ (
+    getRequiredElement("resetSettingsButton")
+  );
+
+  // button handler
+  toggleButton.addEventListener("click", handleToggleClick);
+
+  // reference frequency handlers
+  referenceFrequencyInput.addEventListener("change", handleReferenceChange);
+  calibrateButton.addEventListener("click", handleCalibrateClick);
+
+  // temperament handlers
+  populateTemperamentSelect();
+  temperamentSelect.addEventListener("change", handleTemperamentChange);
+  temperamentTonicSelect.addEventListener("change", handleTemperamentChange);
+  scalaFileInput.addEventListener("change", handleScalaFileChange);
+
+  // display mode handlers
+  displayModeSelect.addEventListener("change", handleDisplayModeChange);
+  gaugeRangeSelect.addEventListener("change", handleGaugeRangeChange);
+  showHistoryInput.addEventListener("change", handleShowHistoryChange);
+
+  // transposition and note naming handlers
+  for (const select of [
+    transpositionSelect,
+    nameSystemSelect,
+    spellingSelect,
+    namingKeySelect,
+    octaveStyleSelect,
+  ]) {
+    select.addEventListener("change", handleNamingChange);
+  }
+
+  // instrument handlers
+  populateInstrumentSelect();
+  instrumentSelect.addEventListener("change", handleInstrumentChange);
+  customTuningInput.addEventListener("change", handleCustomTuningChange);
+  strumCheckInput.addEventListener("change", handleStrumCheckChange);
+
+  // exercise handlers
+  loadImportedExercise();
+  populateExerciseSelect();
+  exerciseSelect.addEventListener("change", handleExerciseChange);
+  exerciseFileInput.addEventListener("change", handleExerciseFileChange);
+
+  // pitch range handler
+  pitchRangeSelect.addEventListener("change", handlePitchRangeChange);
+
+  // pitch detector handler
+  populateDetectorSelect();
+  detectorSelect.addEventListener("change", handleDetectorChange);
+
+  // input device handlers; the list refreshes as devices come and go
+  inputDeviceSelect.addEventListener("change", handleInputDeviceChange);
+  setDeviceChangeListener(populateInputDeviceSelect);
+
+  // audio file source handlers (chosen or dropped anywhere on the page)
+  audioFileInput.addEventListener("change", handleAudioFileChange);
+  document.body.addEventListener("dragover", (event) => event.preventDefault());
+  document.body.addEventListener("drop", handleFileDrop);
+  filePlayButton.addEventListener("click", handleFilePlayClick);
+  fileSeekInput.addEventListener("input", handleFileSeek);
+  fileExportButton.addEventListener("click", handleFileExportClick);
+
+  // reference tone handlers; the tone plays on while tuning
+  populateToneNoteSelect();
+  populateToneTimbreSelect();
+  toneButton.addEventListener("click", handleToneClick);
+  toneNoteSelect.addEventListener("change", retuneTone);
+  toneTimbreSelect.addEventListener("change", handleToneTimbreChange);
+  toneDroneInput.addEventListener("change", retuneTone);
+  toneVolumeInput.addEventListener("input", handleToneVolumeChange);
+  setToneEndedListener(handleToneEnded);
+
+  // practice session handlers
+  populateSessionSelect();
+  sessionButton.addEventListener("click", handleSessionClick);
+  sessionSelect.addEventListener("change", handleSessionSelectChange);
+  sessionCsvButton.addEventListener("click", handleSessionCsvClick);
+  sessionJsonButton.addEventListener("click", handleSessionJsonClick);
+  sessionDeleteButton.addEventListener("click", handleSessionDeleteClick);
+  sessionFileInput.addEventListener("change", handleSessionFileChange);
+
+  // capture settings handlers
+  showCaptureSettings();
+  inputGainInput.addEventListener("change", handleInputGainChange);
+  inputChannelSelect.addEventListener("change", handleInputChannelChange);
+  autoGainInput.addEventListener("change", handleAutoGainChange);
+
+  // detection gate handlers
+  confidenceThresholdInput.addEventListener(
+    "change",
+    handleConfidenceThresholdChange,
+  );
+  yinThresholdInput.addEventListener("change", handleYinThresholdChange);
+
+  // noise gate handlers
+  gateLevelInput.addEventListener("change", handleGateLevelChange);
+  holdTimeInput.addEventListener("change", handleHoldTimeChange);
+  updateLevelMeter(-Infinity, getGateOptions().openLevel, false);
+
+  // detections arrive from the audio worklet
+  setHopSize(HOP_SIZE);
+  setDetectionListener(handleDetection);
+  setStrumListener(handleStrum);
+  setStrumErrorListener(handleStrumError);
+
+  // settings handlers; the remembered settings apply, then a shared link's
+  shareSettingsButton.addEventListener("click", handleShareSettingsClick);
+  resetSettingsButton.addEventListener("click", handleResetSettingsClick);
+  const invalid = loadSettings();
+  if (invalid.length > 0) {
+    console.warn("Reset invalid remembered settings:", invalid.join(", "));
+  }
+  applySettings();
+  applyLinkSettings();
 }
 
 // start the app
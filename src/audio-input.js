@@ -1,63 +1,875 @@
+import {
+  DEFAULT_PITCH_RANGE,
+  getPitchRange,
+  getWindowSize,
+  validatePitchRange,
+} from "./pitch-range.js";
+import { DEFAULT_DETECTOR, getDetector } from "./pitch-detectors.js";
+import { resolveDetectorOptions } from "./voicing.js";
+import { validateStrumTargets } from "./strum-analysis.js";
+import { computePitchTrack, selectChannel } from "./pitch-track.js";
+import {
+  dbToGain,
+  needsNewStream,
+  resolveCaptureSettings,
+  toAudioConstraints,
+} from "./capture-settings.js";
+
+/**
+ * @typedef {import("./pitch-detectors.js").PitchDetection} PitchDetection
+ */
+
 /** @type {AudioContext | null} */
 let audioContext = null;
-/** @type {AnalyserNode | null} */
-let analyserNode = null;
 /** @type {MediaStreamAudioSourceNode | null} */
 let mediaStreamAudioSourceNode = null;
 /** @type {MediaStream | null} */
 let micStream = null;
+/** @type {AudioWorkletNode | null} */
+let pitchProcessorNode = null;
+/**
+ * Measures the strings from the worklet's strum frames (strum-worker.js).
+ * @type {Worker | null}
+ */
+let strumWorker = null;
+/**
+ * Manual input gain; every source feeds this node.
+ * @type {GainNode | null}
+ */
+let inputGainNode = null;
+/**
+ * Splits a stereo input when a single channel is analysed.
+ * @type {ChannelSplitterNode | null}
+ */
+let channelSplitterNode = null;
+/**
+ * Channels delivered by the current source (microphone or file).
+ * @type {number}
+ */
+let sourceChannelCount = 1;
+/**
+ * Decoded audio file, when a recording is the source instead of the mic.
+ * @type {AudioBuffer | null}
+ */
+let fileBuffer = null;
+/**
+ * Plays fileBuffer; recreated on every play or seek (one-shot node).
+ * @type {AudioBufferSourceNode | null}
+ */
+let fileSourceNode = null;
+/** File position in seconds while paused */
+let filePosition = 0;
+/** Context time at which the file's position 0 would have played */
+let fileStartTime = 0;
+/**
+ * Called whenever the set of input devices, or the one in use, changes.
+ * @type {(() => void) | null}
+ */
+let deviceChangeListener = null;
+/**
+ * Receives every detection posted by the pitch processor worklet, with the
+ * input RMS level of the latest hop.
+ * @type {((detection: PitchDetection | null, level: number, time: number) => void) | null}
+ */
+let detectionListener = null;
+/**
+ * Receives every strum check made by the strum worker while strum targets
+ * are set: one reading (or null) per string.
+ * @type {((strings: (import("./strum-analysis.js").StrumString | null)[], time: number) => void) | null}
+ */
+let strumListener = null;
+/**
+ * Told why strum checks failed: an analysis that threw, or a worker that
+ * could not run (after which strum checks stay off until audio restarts).
+ * @type {((message: string) => void) | null}
+ */
+let strumErrorListener = null;
+
+const DEFAULT_HOP_SIZE = 1024; // samples between detections
+
+/** @type {number} */
+let hopSize = DEFAULT_HOP_SIZE;
+/**
+ * Frequency range the detector searches; also decides its window size.
+ * @type {{minFrequency: number, maxFrequency: number}}
+ */
+let pitchRange = getPitchRange(DEFAULT_PITCH_RANGE);
+/** @type {string} */
+let detectorId = DEFAULT_DETECTOR;
+/** @type {import("./voicing.js").DetectorOptions} */
+let detectorOptions = resolveDetectorOptions();
+/**
+ * Open strings' frequencies for strum checks, or null while they are off.
+ * @type {readonly number[] | null}
+ */
+let strumTargets = null;
+/** @type {import("./capture-settings.js").CaptureSettings} */
+let captureSettings = resolveCaptureSettings();
+/**
+ * Preferred input device id, or null for the system default. Used whenever
+ * that device is plugged in.
+ * @type {string | null}
+ */
+let inputDeviceId = null;
+/**
+ * Incremented on every device switch so a slow getUserMedia() that was
+ * overtaken by a newer switch can be discarded.
+ * @type {number}
+ */
+let deviceSwitchCount = 0;
+
+/**
+ * Open a microphone stream, preferring the given device. Falls back to the
+ * system default when that device is missing.
+ * @param {string | null} deviceId - Device to open, or null for the default
+ * @returns {Promise<MediaStream>}
+ */
+async function openMicStream(deviceId) {
+  if (deviceId) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: toAudioConstraints(captureSettings, deviceId),
+      });
+    } catch (error) {
+      // a denied permission fails the default device just the same
+      if (error instanceof DOMException && error.name === "NotAllowedError") {
+        throw error;
+      }
+      console.warn(`Input device ${deviceId} unavailable, using default`);
+    }
+  }
+  return navigator.mediaDevices.getUserMedia({
+    audio: toAudioConstraints(captureSettings, null),
+  });
+}
 
 /**
- * Initialize audio context and request microphone access
+ * Id of the device a stream is actually capturing from.
+ * @param {MediaStream | null} stream
+ * @returns {string | null}
+ */
+function getStreamDeviceId(stream) {
+  const track = stream ? stream.getAudioTracks()[0] : undefined;
+  return (track && track.getSettings().deviceId) || null;
+}
+
+/**
+ * Start analysing a new microphone stream. The new source is connected
+ * before the old one is dropped, so the worklet keeps its buffered audio
+ * and pitch history across the switch.
+ * @param {MediaStream} stream
+ * @returns {void}
+ */
+function attachMicStream(stream) {
+  if (!audioContext) return;
+
+  const previousStream = micStream;
+  const previousSource = mediaStreamAudioSourceNode;
+
+  micStream = stream;
+  for (const track of stream.getAudioTracks()) {
+    // unplugging a device usually ends its track before devicechange fires
+    track.addEventListener("ended", handleDeviceChange);
+  }
+  const track = stream.getAudioTracks()[0];
+  sourceChannelCount = (track && track.getSettings().channelCount) || 1;
+  mediaStreamAudioSourceNode = audioContext.createMediaStreamSource(stream);
+  if (inputGainNode) mediaStreamAudioSourceNode.connect(inputGainNode);
+
+  if (previousSource) previousSource.disconnect();
+  if (previousStream) stopStream(previousStream);
+
+  // the new device may have a different number of channels
+  routeChannels();
+}
+
+/**
+ * Stop analysing the microphone and release it (the graph stays up).
+ * @returns {void}
+ */
+function detachMic() {
+  navigator.mediaDevices.removeEventListener(
+    "devicechange",
+    handleDeviceChange,
+  );
+  deviceSwitchCount++; // discard any switch still in flight
+
+  if (micStream) {
+    // stop every track obtained from the stream
+    stopStream(micStream);
+    micStream = null;
+  }
+
+  if (mediaStreamAudioSourceNode) {
+    mediaStreamAudioSourceNode.disconnect();
+    mediaStreamAudioSourceNode = null;
+  }
+}
+
+/**
+ * Index of the input channel to analyse, or null to mix all channels.
+ * A mono source has nothing to pick from, so it is always mixed.
+ * @returns {number | null}
+ */
+function getAnalysedChannel() {
+  if (captureSettings.channel === "sum") return null;
+  if (sourceChannelCount < 2) return null;
+  return captureSettings.channel === "left" ? 0 : 1;
+}
+
+/**
+ * (Re)connect the input gain to the pitch processor, either with all
+ * channels (down-mixed by the node) or through a splitter that passes only
+ * the selected one.
+ * @returns {void}
+ */
+function routeChannels() {
+  if (!audioContext || !inputGainNode || !pitchProcessorNode) return;
+
+  inputGainNode.disconnect();
+  if (channelSplitterNode) {
+    channelSplitterNode.disconnect();
+    channelSplitterNode = null;
+  }
+
+  const channel = getAnalysedChannel();
+  if (channel === null) {
+    inputGainNode.connect(pitchProcessorNode);
+    return;
+  }
+
+  channelSplitterNode = audioContext.createChannelSplitter(2);
+  inputGainNode.connect(channelSplitterNode);
+  channelSplitterNode.connect(pitchProcessorNode, channel);
+}
+
+/**
+ * Stop every track of a stream and forget its ended listeners.
+ * @param {MediaStream} stream
+ * @returns {void}
+ */
+function stopStream(stream) {
+  for (const track of stream.getTracks()) {
+    track.removeEventListener("ended", handleDeviceChange);
+    track.stop();
+  }
+}
+
+/**
+ * Reopen the microphone on the preferred device if it is not the one in
+ * use (or the current one went away), keeping the audio graph intact.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function switchToPreferredDevice() {
+  if (!audioContext || !micStream) return; // not using the microphone
+
+  const switchId = ++deviceSwitchCount;
+  const stream = await openMicStream(inputDeviceId);
+  if (switchId !== deviceSwitchCount || !audioContext) {
+    stopStream(stream); // overtaken by a newer switch, or audio stopped
+    return;
+  }
+  attachMicStream(stream);
+  if (deviceChangeListener) deviceChangeListener();
+}
+
+/**
+ * Handle devices being plugged in or out. Moves to the preferred device
+ * when it (re)appears and back to the default when the current one is gone.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleDeviceChange() {
+  if (deviceChangeListener) deviceChangeListener();
+  if (!audioContext) return;
+
+  try {
+    const devices = await listInputDevices();
+    const track = micStream ? micStream.getAudioTracks()[0] : undefined;
+    const currentId = getStreamDeviceId(micStream);
+    const currentGone =
+      !track ||
+      track.readyState === "ended" ||
+      !devices.some((device) => device.deviceId === currentId);
+    const preferredBack =
+      inputDeviceId !== null &&
+      inputDeviceId !== currentId &&
+      devices.some((device) => device.deviceId === inputDeviceId);
+
+    if (currentGone || preferredBack) {
+      await switchToPreferredDevice();
+    }
+  } catch (error) {
+    console.error("Input device switch failed:", error);
+  }
+}
+
+/**
+ * Create the audio context and the analysis graph shared by every source:
+ * input gain → (channel splitter) → pitch processor worklet.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function createAudioGraph() {
+  // Create audio context (standard Web Audio API).
+  // In a browser environment the constructor is provided as a global.
+  // No import is necessary.
+  // Node or other non-browser runtimes won't have this object.
+  audioContext = new AudioContext();
+
+  // Pitch detection runs in an AudioWorklet on the audio thread, fed with
+  // every raw sample instead of one analyser snapshot per animation frame.
+  // The module URL is resolved against this module, not the page, so it
+  // loads from wherever the app is served.
+  await audioContext.audioWorklet.addModule(
+    new URL("./pitch-processor.js", import.meta.url),
+  );
+  pitchProcessorNode = new AudioWorkletNode(audioContext, "pitch-processor", {
+    numberOfInputs: 1,
+    // no outputs: the node is a sink and is processed without being
+    // connected to the destination
+    numberOfOutputs: 0,
+    processorOptions: {
+      hopSize,
+      range: pitchRange,
+      detector: detectorId,
+      detectorOptions,
+      strumTargets,
+    },
+  });
+  pitchProcessorNode.port.onmessage = handleProcessorMessage;
+
+  // The strum FFT is too slow for the audio thread: the worklet posts its
+  // frames here and they are analysed in a worker
+  strumWorker = new Worker(new URL("./strum-worker.js", import.meta.url), {
+    type: "module",
+  });
+  strumWorker.onmessage = handleStrumWorkerMessage;
+  strumWorker.onerror = handleStrumWorkerFailure;
+  strumWorker.onmessageerror = handleStrumWorkerFailure;
+
+  // Manual gain stage ahead of channel selection and analysis
+  inputGainNode = audioContext.createGain();
+  inputGainNode.gain.value = dbToGain(captureSettings.inputGain);
+  routeChannels();
+}
+
+/**
+ * Initialize audio context and request microphone access.
+ * The microphone replaces a loaded audio file as the source.
  * @async
+ * @param {Partial<import("./capture-settings.js").CaptureSettings>} [settings]
+ *   Capture settings; missing fields keep their current values. If the
+ *   microphone is already in use, the setup is rebuilt to match.
  * @throws {Error} If microphone access is denied
+ * @throws {RangeError} If a capture setting is out of range
  * @returns {Promise<void>}
  */
-export async function initAudio() {
-  if (audioContext) {
-    return; // Already initialized
+export async function initAudio(settings) {
+  if (micStream) {
+    // Already initialized
+    if (settings) await setCaptureSettings(settings);
+    return;
+  }
+  if (settings) {
+    captureSettings = resolveCaptureSettings(settings, captureSettings);
   }
 
+  /** @type {MediaStream | null} */
+  let stream = null;
   try {
-    // Get microphone access
-    micStream = await navigator.mediaDevices.getUserMedia({
-      audio: {
-        echoCancellation: false,
-        noiseSuppression: false,
-        autoGainControl: true,
-      },
+    // Get microphone access (preferred device if it is plugged in)
+    stream = await openMicStream(inputDeviceId);
+    if (!audioContext) await createAudioGraph();
+    unloadAudioFile();
+
+    // Connect microphone to the pitch processor
+    attachMicStream(stream);
+    navigator.mediaDevices.addEventListener("devicechange", handleDeviceChange);
+
+    console.log("Audio initialized:", {
+      sampleRate: audioContext?.sampleRate,
+      detectionWindow: audioContext
+        ? getWindowSize(pitchRange, audioContext.sampleRate)
+        : null,
+      inputDevice: getStreamDeviceId(micStream),
+      captureSettings,
     });
+    // device labels are only readable once permission has been granted
+    if (deviceChangeListener) deviceChangeListener();
+  } catch (error) {
+    console.error("Audio initialization failed:", error);
+    if (stream && stream !== micStream) stopStream(stream);
+    stopAudio();
+    throw error;
+  }
+}
 
-    // Create audio context (standard Web Audio API).
-    // In a browser environment the constructor is provided as a global.
-    // No import is necessary.
-    // Node or other non-browser runtimes won't have this object.
-    audioContext = new AudioContext();
+/**
+ * Forward detection messages from the pitch processor worklet, and its
+ * strum frames to the strum worker. Configurations it rejected are logged;
+ * the setters validate first, so these should not happen.
+ * @param {MessageEvent} event
+ * @returns {void}
+ */
+function handleProcessorMessage(event) {
+  const message = event.data;
+  if (message && message.type === "detection" && detectionListener) {
+    detectionListener(message.detection, message.level, message.time);
+  } else if (message && message.type === "configureError") {
+    console.error("Pitch processor rejected its configuration:", message.error);
+  } else if (message && message.type === "strumFrame") {
+    const { frame, targets, time } = message;
+    if (strumWorker) {
+      strumWorker.postMessage(
+        { frame, sampleRate: audioContext?.sampleRate, targets, time },
+        [frame.buffer],
+      );
+    } else {
+      returnStrumFrame(frame); // the worker failed
+    }
+  }
+}
 
-    // Create analyser node
-    analyserNode = audioContext.createAnalyser();
+/**
+ * Hand a strum frame back to the worklet to be refilled.
+ * @param {Float32Array} frame
+ * @returns {void}
+ */
+function returnStrumFrame(frame) {
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({ type: "strumFrame", frame }, [
+      frame.buffer,
+    ]);
+  }
+}
 
-    // FFT size in powers of 2 only.
-    // [32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768]
-    // Default is 2048, but we use 4096 for better low-frequency resolution.
-    analyserNode.fftSize = 4096;
+/**
+ * Forward a strum check from the strum worker, and hand its frame back to
+ * the worklet to be refilled.
+ * @param {MessageEvent} event
+ * @returns {void}
+ */
+function handleStrumWorkerMessage(event) {
+  const { strings, error, time, frame } = event.data;
+  if (error !== undefined) {
+    console.error("Strum check failed:", error);
+    if (strumErrorListener) strumErrorListener(error);
+  } else if (strumTargets && strumListener) {
+    // checks still in the worker when strum targets were cleared are dropped
+    strumListener(strings, time);
+  }
+  returnStrumFrame(frame);
+}
 
-    // Higher = smoother FFT output but slower response
-    analyserNode.smoothingTimeConstant = 0.8;
+/**
+ * The strum worker could not load, or one of its messages could not be
+ * read: stop using it, and have the worklet forget the frames it holds so
+ * they are handed straight back from now on.
+ * @param {Event} event - ErrorEvent or MessageEvent
+ * @returns {void}
+ */
+function handleStrumWorkerFailure(event) {
+  event.preventDefault();
+  const message =
+    event instanceof ErrorEvent && event.message
+      ? event.message
+      : "the strum worker stopped";
+  console.error("Strum worker failed:", message);
+  if (strumWorker) {
+    strumWorker.terminate();
+    strumWorker = null;
+  }
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({ type: "strumFramesLost" });
+  }
+  if (strumErrorListener) strumErrorListener(message);
+}
 
-    // Connect microphone to analyser
-    mediaStreamAudioSourceNode =
-      audioContext.createMediaStreamSource(micStream);
-    mediaStreamAudioSourceNode.connect(analyserNode);
+/**
+ * Register the callback that receives pitch detections from the worklet.
+ * Only one listener is kept; pass null to remove it.
+ * @param {((detection: PitchDetection | null, level: number, time: number) => void) | null} listener
+ * @returns {void}
+ */
+export function setDetectionListener(listener) {
+  detectionListener = listener;
+}
 
-    console.log("Audio initialized:", {
-      sampleRate: audioContext.sampleRate,
-      fftSize: analyserNode.fftSize,
+/**
+ * Register the callback that receives strum checks from the strum worker.
+ * Only one listener is kept; pass null to remove it.
+ * @param {((strings: (import("./strum-analysis.js").StrumString | null)[], time: number) => void) | null} listener
+ * @returns {void}
+ */
+export function setStrumListener(listener) {
+  strumListener = listener;
+}
+
+/**
+ * Register the callback told when strum checks fail.
+ * Only one listener is kept; pass null to remove it.
+ * @param {((message: string) => void) | null} listener
+ * @returns {void}
+ */
+export function setStrumErrorListener(listener) {
+  strumErrorListener = listener;
+}
+
+/**
+ * Turn strum checks on for the given open strings, or off. While on, all
+ * strings are measured at once a few times a second, alongside the pitch
+ * detection, from frames the worklet hands to the strum worker.
+ * Applies immediately if audio is running, otherwise on the next initAudio().
+ * @param {readonly number[] | null} targets - Target frequency of each
+ *   string in Hz, or null to stop
+ * @returns {void}
+ * @throws {RangeError} If a target is not a frequency > 0
+ */
+export function setStrumTargets(targets) {
+  strumTargets = targets ? validateStrumTargets(targets) : null;
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({ type: "configure", strumTargets });
+  }
+}
+
+/**
+ * Change the number of samples between pitch detections.
+ * Applies immediately if audio is running, otherwise on the next initAudio().
+ * @param {number} samples - Positive integer sample count
+ * @returns {void}
+ */
+export function setHopSize(samples) {
+  if (!Number.isInteger(samples) || samples <= 0) {
+    throw new RangeError(`Hop size must be a positive integer, got ${samples}`);
+  }
+  hopSize = samples;
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({ type: "configure", hopSize });
+  }
+}
+
+/**
+ * Set the frequency range the detector searches. The worklet resizes its
+ * analysis window to suit: long for low registers, short for high ones.
+ * Applies immediately if audio is running, otherwise on the next initAudio().
+ * @param {{minFrequency: number, maxFrequency: number}} range
+ * @returns {void}
+ */
+export function setPitchRange(range) {
+  pitchRange = validatePitchRange(range);
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({
+      type: "configure",
+      range: pitchRange,
+    });
+  }
+}
+
+/**
+ * Choose the pitch detector (by registry id) that the worklet runs.
+ * Applies immediately if audio is running, otherwise on the next initAudio().
+ * @param {string} id - A detector id from pitch-detectors.js
+ * @returns {void}
+ */
+export function setDetector(id) {
+  getDetector(id); // throws on unknown ids before they reach the worklet
+  detectorId = id;
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({ type: "configure", detector: id });
+  }
+}
+
+/**
+ * Update detector tuning options (YIN threshold, voicing floor).
+ * Missing fields keep their current values.
+ * Applies immediately if audio is running, otherwise on the next initAudio().
+ * @param {Partial<import("./voicing.js").DetectorOptions>} options
+ * @returns {void}
+ */
+export function setDetectorOptions(options) {
+  detectorOptions = resolveDetectorOptions(options, detectorOptions);
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({
+      type: "configure",
+      detectorOptions,
     });
+  }
+}
+
+/**
+ * List the audio input devices. Labels are empty until microphone
+ * permission has been granted (i.e. before the first initAudio()).
+ * @async
+ * @returns {Promise<{deviceId: string, label: string}[]>}
+ */
+export async function listInputDevices() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "audioinput" && device.deviceId)
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Input ${index + 1}`,
+    }));
+}
+
+/**
+ * Preferred input device id, or null for the system default.
+ * @returns {string | null}
+ */
+export function getInputDevice() {
+  return inputDeviceId;
+}
+
+/**
+ * Id of the device currently being analysed, or null when audio is off.
+ * May differ from getInputDevice() while the preferred one is unplugged.
+ * @returns {string | null}
+ */
+export function getActiveInputDevice() {
+  return getStreamDeviceId(micStream);
+}
+
+/**
+ * Choose the input device.
+ * Switches live, without losing detection state, if audio is running;
+ * otherwise applies on the next initAudio().
+ * @async
+ * @param {string | null} deviceId - Device id from listInputDevices(), or
+ *   null for the system default
+ * @returns {Promise<void>}
+ */
+export async function setInputDevice(deviceId) {
+  inputDeviceId = deviceId || null;
+  await switchToPreferredDevice();
+}
+
+/**
+ * Register a callback for input device changes: devices plugged in or out,
+ * and live switches. Only one listener is kept; pass null to remove it.
+ * @param {(() => void) | null} listener
+ * @returns {void}
+ */
+export function setDeviceChangeListener(listener) {
+  deviceChangeListener = listener;
+}
+
+/**
+ * Current capture settings.
+ * @returns {Readonly<import("./capture-settings.js").CaptureSettings>}
+ */
+export function getCaptureSettings() {
+  return captureSettings;
+}
+
+/**
+ * Update capture settings. Missing fields keep their current values.
+ * If audio is running, gain changes apply at once, a channel change
+ * rewires the graph and browser processing changes reopen the microphone;
+ * otherwise they apply on the next initAudio().
+ * @async
+ * @param {Partial<import("./capture-settings.js").CaptureSettings>} settings
+ * @throws {RangeError} If a value is out of range
+ * @returns {Promise<void>}
+ */
+export async function setCaptureSettings(settings) {
+  const next = resolveCaptureSettings(settings, captureSettings);
+  const reopen = needsNewStream(captureSettings, next);
+  captureSettings = next;
+
+  if (!audioContext) return;
+
+  if (inputGainNode) {
+    // short ramp instead of a step, to avoid a click
+    inputGainNode.gain.setTargetAtTime(
+      dbToGain(captureSettings.inputGain),
+      audioContext.currentTime,
+      0.02,
+    );
+  }
+  if (reopen && micStream) {
+    await switchToPreferredDevice();
+  } else {
+    routeChannels();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Audio file source
+// ---------------------------------------------------------------------------
+
+/**
+ * Stop the file's source node without touching the playback position.
+ * @returns {void}
+ */
+function stopFileSource() {
+  if (!fileSourceNode) return;
+  fileSourceNode.onended = null;
+  fileSourceNode.stop();
+  fileSourceNode.disconnect();
+  fileSourceNode = null;
+}
+
+/**
+ * Stop playback and forget the loaded file.
+ * @returns {void}
+ */
+function unloadAudioFile() {
+  stopFileSource();
+  fileBuffer = null;
+  filePosition = 0;
+}
+
+/**
+ * Tell the worklet to drop buffered audio and pitch history, so a seek does
+ * not splice two parts of a recording into one analysis window.
+ * @returns {void}
+ */
+function resetPitchProcessor() {
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.postMessage({ type: "reset" });
+  }
+}
+
+/**
+ * Decode an audio file (WAV, MP3, OGG, … whatever the browser supports)
+ * and make it the source instead of the microphone. The microphone is
+ * released; playback starts paused at the beginning.
+ * @async
+ * @param {Blob} file - A chosen or dropped file
+ * @throws {Error} If the file cannot be decoded
+ * @returns {Promise<{duration: number, sampleRate: number, channels: number}>}
+ */
+export async function loadAudioFile(file) {
+  const data = await file.arrayBuffer();
+  try {
+    if (!audioContext) await createAudioGraph();
   } catch (error) {
     console.error("Audio initialization failed:", error);
+    stopAudio();
     throw error;
   }
+  const context = /** @type {AudioContext} */ (audioContext);
+  const buffer = await context.decodeAudioData(data);
+
+  detachMic();
+  unloadAudioFile();
+  fileBuffer = buffer;
+  sourceChannelCount = buffer.numberOfChannels;
+  routeChannels();
+  resetPitchProcessor();
+
+  return {
+    duration: buffer.duration,
+    sampleRate: buffer.sampleRate,
+    channels: buffer.numberOfChannels,
+  };
+}
+
+/**
+ * Play the loaded file from the current position through the detection
+ * pipeline (and the speakers). Does nothing without a file.
+ * @returns {void}
+ */
+export function playAudioFile() {
+  if (!audioContext || !fileBuffer || fileSourceNode) return;
+  if (filePosition >= fileBuffer.duration) filePosition = 0;
+
+  const source = audioContext.createBufferSource();
+  source.buffer = fileBuffer;
+  if (inputGainNode) source.connect(inputGainNode);
+  source.connect(audioContext.destination);
+  source.onended = () => {
+    // reached the end of the file (stop() clears this handler first)
+    if (fileSourceNode !== source) return;
+    fileSourceNode = null;
+    filePosition = fileBuffer ? fileBuffer.duration : 0;
+  };
+  source.start(0, filePosition);
+
+  fileSourceNode = source;
+  fileStartTime = audioContext.currentTime - filePosition;
+}
+
+/**
+ * Pause file playback, keeping the position.
+ * @returns {void}
+ */
+export function pauseAudioFile() {
+  if (!fileSourceNode) return;
+  filePosition = getFilePosition();
+  stopFileSource();
+}
+
+/**
+ * Move file playback to a position; keeps playing if it was playing.
+ * @param {number} seconds - Position from the start of the file
+ * @returns {void}
+ */
+export function seekAudioFile(seconds) {
+  if (!fileBuffer) return;
+  if (!Number.isFinite(seconds)) {
+    throw new RangeError(
+      `Seek position must be a finite number, got ${seconds}`,
+    );
+  }
+
+  const wasPlaying = fileSourceNode !== null;
+  stopFileSource();
+  filePosition = Math.max(0, Math.min(fileBuffer.duration, seconds));
+  resetPitchProcessor();
+  if (wasPlaying) playAudioFile();
+}
+
+/**
+ * Current file position in seconds.
+ * @returns {number}
+ */
+function getFilePosition() {
+  if (!fileSourceNode || !audioContext || !fileBuffer) return filePosition;
+  return Math.min(
+    fileBuffer.duration,
+    audioContext.currentTime - fileStartTime,
+  );
+}
+
+/**
+ * Playback state of the loaded file, or null when the source is not a file.
+ * @returns {{duration: number, position: number, playing: boolean} | null}
+ */
+export function getFilePlayback() {
+  if (!fileBuffer) return null;
+  return {
+    duration: fileBuffer.duration,
+    position: getFilePosition(),
+    playing: fileSourceNode !== null,
+  };
+}
+
+/**
+ * Pitch track over the whole loaded file, computed offline with the
+ * current range, detector, detector options, hop size and capture channel.
+ * @async
+ * @param {(fraction: number) => void} [onProgress] - Progress, 0..1
+ * @returns {Promise<import("./pitch-track.js").PitchTrackPoint[]>}
+ * @throws {Error} If no file is loaded
+ */
+export async function computeFilePitchTrack(onProgress) {
+  if (!fileBuffer) {
+    throw new Error("No audio file loaded");
+  }
+
+  const channels = [];
+  for (let c = 0; c < fileBuffer.numberOfChannels; c++) {
+    channels.push(fileBuffer.getChannelData(c));
+  }
+  return computePitchTrack(
+    selectChannel(channels, captureSettings.channel),
+    fileBuffer.sampleRate,
+    { range: pitchRange, detector: detectorId, detectorOptions, hopSize },
+    onProgress,
+  );
 }
 
 /**
@@ -86,52 +898,37 @@ export async function startAudio() {
  * @returns {void}
  */
 export function stopAudio() {
-  if (micStream) {
-    // stop every track obtained from the stream
-    const tracks = micStream.getTracks();
-    for (let i = 0; i < tracks.length; i++) {
-      tracks[i].stop();
-    }
-    micStream = null;
+  detachMic();
+  unloadAudioFile();
+
+  if (inputGainNode) {
+    inputGainNode.disconnect();
+    inputGainNode = null;
   }
 
-  if (mediaStreamAudioSourceNode) {
-    mediaStreamAudioSourceNode.disconnect();
-    mediaStreamAudioSourceNode = null;
+  if (channelSplitterNode) {
+    channelSplitterNode.disconnect();
+    channelSplitterNode = null;
+  }
+
+  if (pitchProcessorNode) {
+    pitchProcessorNode.port.onmessage = null;
+    pitchProcessorNode.disconnect();
+    pitchProcessorNode = null;
+  }
+
+  if (strumWorker) {
+    strumWorker.onmessage = null;
+    strumWorker.onerror = null;
+    strumWorker.onmessageerror = null;
+    strumWorker.terminate();
+    strumWorker = null;
   }
 
   if (audioContext) {
     audioContext.close();
     audioContext = null;
   }
-
-  analyserNode = null;
-}
-
-/**
- * Read-only accessor for other modules (no globals).
- * @returns {{
- *   instance: AudioContext,
- *   analyserNode: AnalyserNode,
- *   sampleRate: number,
- *   getWaveform: () => Float32Array
- * } | null}
- */
-export function getAudioContext() {
-  if (!audioContext || !analyserNode) return null;
-  // Capture local reference so the closure below
-  // doesn't need to re-check null
-  const node = analyserNode;
-  return {
-    instance: audioContext,
-    analyserNode: node,
-    sampleRate: audioContext.sampleRate,
-    getWaveform: () => {
-      const buffer = new Float32Array(node.fftSize);
-      node.getFloatTimeDomainData(buffer);
-      return buffer;
-    },
-  };
 }
 
 // Cleanup on page unload
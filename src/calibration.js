@@ -0,0 +1,106 @@
+/**
+ * Reference frequency calibration.
+ *
+ * Sets the A4 reference from a sustained A played by a piano or an
+ * ensemble: readings are collected until the pitch has stayed steady for
+ * CALIBRATION_TIME, then their median is moved into the A4 octave. Any
+ * dropout or change of note starts the collection over. Only a note within
+ * MAX_SHIFT_CENTS of the current reference's A counts as an A, so the G♯ or
+ * B♭ next to it is never taken for one.
+ */
+
+import { getReferenceFrequency } from "./note-mapping.js";
+
+// Range of the reference frequency control (Hz)
+export const MIN_REFERENCE_FREQUENCY = 400;
+export const MAX_REFERENCE_FREQUENCY = 480;
+
+/** Seconds the A has to be held steady */
+export const CALIBRATION_TIME = 2;
+/** Readings further than this from the median (cents) restart collection */
+const MAX_DEVIATION_CENTS = 10;
+/** Furthest (cents) a calibration may move the reference: half a semitone */
+const MAX_SHIFT_CENTS = 50;
+
+/**
+ * Frequencies of the current steady stretch, and when it began.
+ * @type {number[]}
+ */
+let readings = [];
+/** Audio-clock time (s) of the first reading in `readings` */
+let startTime = 0;
+
+/**
+ * Start collecting from scratch.
+ * @returns {void}
+ */
+export function resetCalibration() {
+  readings = [];
+  startTime = 0;
+}
+
+/**
+ * Median of a list of numbers.
+ * @param {readonly number[]} values - At least one value
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Reference frequency implied by an A in any octave.
+ * @param {number} frequency - Pitch of the A in Hz (> 0)
+ * @param {number} [current] - Current A4 in Hz (defaults to the reference
+ *   frequency set in note-mapping.js)
+ * @returns {number | null} A4 in Hz rounded to 0.1 Hz, or null if the note
+ *   is more than MAX_SHIFT_CENTS from an A of the current reference (not an
+ *   A) or the result falls outside
+ *   MIN_REFERENCE_FREQUENCY–MAX_REFERENCE_FREQUENCY
+ */
+export function referenceFromA(frequency, current = getReferenceFrequency()) {
+  const octaves = Math.round(Math.log2(frequency / current));
+  const shifted = frequency / 2 ** octaves;
+  if (Math.abs(1200 * Math.log2(shifted / current)) > MAX_SHIFT_CENTS) {
+    return null;
+  }
+  const reference = Math.round(shifted * 10) / 10;
+  return reference >= MIN_REFERENCE_FREQUENCY &&
+    reference <= MAX_REFERENCE_FREQUENCY
+    ? reference
+    : null;
+}
+
+/**
+ * Add one reading. Called once per detection hop while calibrating.
+ * @param {number | null} frequency - Detected pitch in Hz, or null when
+ *   nothing usable was detected (which restarts collection)
+ * @param {number} time - Audio-clock time of the reading in seconds
+ * @returns {number | null} The calibrated A4 reference in Hz once the A has
+ *   been held steady for CALIBRATION_TIME, otherwise null
+ */
+export function addCalibrationReading(frequency, time) {
+  if (!frequency || frequency <= 0 || referenceFromA(frequency) === null) {
+    resetCalibration();
+    return null;
+  }
+
+  if (
+    readings.length > 0 &&
+    Math.abs(1200 * Math.log2(frequency / median(readings))) >
+      MAX_DEVIATION_CENTS
+  ) {
+    resetCalibration();
+  }
+  if (readings.length === 0) startTime = time;
+  readings.push(frequency);
+
+  if (time - startTime < CALIBRATION_TIME) return null;
+  const reference = referenceFromA(median(readings));
+  resetCalibration();
+  return reference;
+}
@@ -0,0 +1,136 @@
+/**
+ * Microphone capture settings: browser processing constraints, a manual
+ * input gain stage and which channel of a stereo input is analysed.
+ *
+ * Browser voice processing (echo cancellation, noise suppression, automatic
+ * gain) is tuned for speech and can smear or pump a sustained note, so
+ * instrument interfaces usually want all of it off and a fixed gain instead.
+ */
+
+/** @typedef {"sum" | "left" | "right"} CaptureChannel */
+
+/**
+ * @typedef {{
+ *   echoCancellation: boolean,
+ *   noiseSuppression: boolean,
+ *   autoGainControl: boolean,
+ *   inputGain: number,
+ *   channel: CaptureChannel
+ * }} CaptureSettings
+ *   echoCancellation - browser echo cancellation
+ *   noiseSuppression - browser noise suppression
+ *   autoGainControl - browser automatic gain control
+ *   inputGain - manual gain (dB) applied before analysis
+ *   channel - channel to analyse: "sum" mixes all, or "left" / "right"
+ */
+
+/** @type {readonly CaptureChannel[]} */
+export const CAPTURE_CHANNELS = Object.freeze(["sum", "left", "right"]);
+
+// Manual gain limits (dB)
+export const MIN_INPUT_GAIN = -20;
+export const MAX_INPUT_GAIN = 40;
+
+/** @type {Readonly<CaptureSettings>} */
+export const DEFAULT_CAPTURE_SETTINGS = Object.freeze({
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: true, // helps quiet built-in phone microphones
+  inputGain: 0,
+  channel: /** @type {CaptureChannel} */ ("sum"),
+});
+
+/**
+ * Merge partial settings over a base set and validate the result.
+ * @param {Partial<CaptureSettings>} [settings] - Fields to override
+ * @param {Readonly<CaptureSettings>} [base] - Values for missing fields
+ * @returns {CaptureSettings}
+ * @throws {RangeError} If a value is out of range
+ */
+export function resolveCaptureSettings(
+  settings = {},
+  base = DEFAULT_CAPTURE_SETTINGS,
+) {
+  const resolved = { ...base, ...settings };
+
+  for (const key of /** @type {const} */ ([
+    "echoCancellation",
+    "noiseSuppression",
+    "autoGainControl",
+  ])) {
+    if (typeof resolved[key] !== "boolean") {
+      throw new RangeError(`${key} must be a boolean, got ${resolved[key]}`);
+    }
+  }
+  if (
+    !Number.isFinite(resolved.inputGain) ||
+    resolved.inputGain < MIN_INPUT_GAIN ||
+    resolved.inputGain > MAX_INPUT_GAIN
+  ) {
+    throw new RangeError(
+      `Input gain must be between ${MIN_INPUT_GAIN} and ${MAX_INPUT_GAIN} dB, got ${resolved.inputGain}`,
+    );
+  }
+  if (!CAPTURE_CHANNELS.includes(resolved.channel)) {
+    throw new RangeError(
+      `Channel must be one of ${CAPTURE_CHANNELS.join(", ")}, got ${resolved.channel}`,
+    );
+  }
+
+  return {
+    echoCancellation: resolved.echoCancellation,
+    noiseSuppression: resolved.noiseSuppression,
+    autoGainControl: resolved.autoGainControl,
+    inputGain: resolved.inputGain,
+    channel: resolved.channel,
+  };
+}
+
+/**
+ * getUserMedia() audio constraints for a set of capture settings.
+ * A single channel can only be picked from a stereo stream, so stereo is
+ * requested (not required) in that case.
+ * @param {Readonly<CaptureSettings>} settings
+ * @param {string | null} deviceId - Exact device to open, or null
+ * @returns {MediaTrackConstraints}
+ */
+export function toAudioConstraints(settings, deviceId) {
+  /** @type {MediaTrackConstraints} */
+  const constraints = {
+    echoCancellation: settings.echoCancellation,
+    noiseSuppression: settings.noiseSuppression,
+    autoGainControl: settings.autoGainControl,
+  };
+  if (settings.channel !== "sum") {
+    constraints.channelCount = { ideal: 2 };
+  }
+  if (deviceId) {
+    constraints.deviceId = { exact: deviceId };
+  }
+  return constraints;
+}
+
+/**
+ * Whether switching between two settings needs a new microphone stream.
+ * Gain alone is applied on the live graph.
+ * @param {Readonly<CaptureSettings>} a
+ * @param {Readonly<CaptureSettings>} b
+ * @returns {boolean}
+ */
+export function needsNewStream(a, b) {
+  return (
+    a.echoCancellation !== b.echoCancellation ||
+    a.noiseSuppression !== b.noiseSuppression ||
+    a.autoGainControl !== b.autoGainControl ||
+    (a.channel === "sum") !== (b.channel === "sum")
+  );
+}
+
+/**
+ * Convert decibels to a linear gain factor.
+ * @param {number} db
+ * @returns {number}
+ */
+export function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
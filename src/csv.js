@@ -0,0 +1,71 @@
+/**
+ * CSV records as in RFC 4180.
+ *
+ * A field holding a comma, a double quote or a line break is written in
+ * double quotes, with its double quotes doubled. Note names need this: in
+ * Helmholtz notation the low octaves are written with commas ("E,,").
+ */
+
+/**
+ * Join values into one CSV record, quoting the fields that need it.
+ * @param {readonly (string | number)[]} values
+ * @returns {string} The record, without a line break
+ */
+export function formatCsvRecord(values) {
+  return values
+    .map((value) => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+/**
+ * Split one CSV record (a single line) into its fields, unquoting them.
+ * @param {string} line - The record, without its line break
+ * @returns {string[]} Field values
+ * @throws {SyntaxError} If a quoted field is not closed or is followed by
+ *   anything but a comma, or an unquoted field contains a double quote
+ */
+export function parseCsvRecord(line) {
+  /** @type {string[]} */
+  const values = [];
+  let index = 0;
+  for (;;) {
+    let value = "";
+    if (line[index] === '"') {
+      // Quoted: runs to the next quote that is not doubled
+      index++;
+      for (;;) {
+        const quote = line.indexOf('"', index);
+        if (quote < 0) {
+          throw new SyntaxError(`field ${values.length + 1} is not closed`);
+        }
+        value += line.slice(index, quote);
+        index = quote + 1;
+        if (line[index] !== '"') break;
+        value += '"';
+        index++;
+      }
+      if (index < line.length && line[index] !== ",") {
+        throw new SyntaxError(
+          `expected a comma after quoted field ${values.length + 1}`,
+        );
+      }
+    } else {
+      const comma = line.indexOf(",", index);
+      const fieldEnd = comma < 0 ? line.length : comma;
+      value = line.slice(index, fieldEnd);
+      if (value.includes('"')) {
+        throw new SyntaxError(
+          `field ${values.length + 1} has a quote but is not quoted`,
+        );
+      }
+      index = fieldEnd;
+    }
+
+    values.push(value);
+    if (index >= line.length) return values;
+    index++; // past the comma
+  }
+}
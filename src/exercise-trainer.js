@@ -0,0 +1,157 @@
+/**
+ * Runs an ear-training exercise (see exercises.js).
+ *
+ * Fed with each usable pitch, it measures the pitch against the current
+ * target instead of the nearest note and scores attempts. An attempt is one
+ * continuous note: it is a hit once it has stayed within the exercise's
+ * tolerance for HIT_HOLD_TIME seconds, which moves on to the next target,
+ * and a miss if it stops before that after at least MIN_ATTEMPT_TIME
+ * (shorter blips don't count). After a hit the player has to stop before
+ * the next target is judged.
+ */
+
+import { frequencyToTargetPitch } from "./note-mapping.js";
+import { getTargetFrequency } from "./exercises.js";
+
+/** Seconds a note must stay within tolerance to count as a hit */
+export const HIT_HOLD_TIME = 0.5;
+/** Notes that stop sooner than this (s) are not judged */
+export const MIN_ATTEMPT_TIME = 0.3;
+/** Readings further apart than this (s) belong to separate attempts */
+const RELEASE_GAP = 0.25;
+
+/**
+ * @typedef {{
+ *   targets: readonly import("./exercises.js").ExerciseTarget[],
+ *   step: number,
+ *   hits: number,
+ *   misses: number,
+ *   lastResult: "hit" | "miss" | null,
+ *   done: boolean
+ * }} ExerciseProgress
+ *   targets - the exercise's targets in order
+ *   step - index of the current target (targets.length once done)
+ *   hits, misses - attempts judged so far
+ *   lastResult - how the latest attempt was judged, null before the first
+ *   done - whether every target has been hit
+ */
+
+/** @type {import("./exercises.js").ExerciseTarget[]} */
+let targets = [];
+/** Cents either side of a target that count as a hit */
+let tolerance = 0;
+let step = 0;
+let hits = 0;
+let misses = 0;
+/** @type {"hit" | "miss" | null} */
+let lastResult = null;
+/** Audio-clock time (s) the current attempt started, or null */
+let attemptStart = /** @type {number | null} */ (null);
+/** Audio-clock time (s) of the latest reading */
+let lastReadingTime = -Infinity;
+/** Audio-clock time (s) the attempt came within tolerance, or null */
+let onTargetSince = /** @type {number | null} */ (null);
+/** Whether the note that hit the last target is still sounding */
+let awaitingRelease = false;
+
+/**
+ * Set the exercise to run and start over.
+ * @param {{tolerance: number, targets: readonly import("./exercises.js").ExerciseTarget[]}} exercise
+ *   A resolved exercise (see resolveExercise)
+ * @returns {void}
+ */
+export function setExercise(exercise) {
+  targets = [...exercise.targets];
+  tolerance = exercise.tolerance;
+  resetExerciseProgress();
+}
+
+/**
+ * Go back to the first target and clear the score.
+ * @returns {void}
+ */
+export function resetExerciseProgress() {
+  step = 0;
+  hits = 0;
+  misses = 0;
+  lastResult = null;
+  attemptStart = null;
+  lastReadingTime = -Infinity;
+  onTargetSince = null;
+  awaitingRelease = false;
+}
+
+/**
+ * Get the targets, the current one and the score.
+ * @returns {ExerciseProgress}
+ */
+export function getExerciseProgress() {
+  return {
+    targets,
+    step,
+    hits,
+    misses,
+    lastResult,
+    done: step >= targets.length,
+  };
+}
+
+/**
+ * End the current attempt: a miss if it lasted long enough to judge and
+ * never hit.
+ * @returns {void}
+ */
+function releaseAttempt() {
+  if (
+    attemptStart !== null &&
+    lastReadingTime - attemptStart >= MIN_ATTEMPT_TIME
+  ) {
+    misses++;
+    lastResult = "miss";
+  }
+  attemptStart = null;
+  onTargetSince = null;
+  awaitingRelease = false;
+}
+
+/**
+ * Track one reading. Called once per detection hop.
+ * @param {number | null} frequency - Smoothed pitch in Hz, or null when
+ *   nothing usable was detected (which restarts the on-target timer)
+ * @param {number} time - Audio-clock time of the reading in seconds
+ * @returns {ReturnType<typeof frequencyToTargetPitch>} The pitch measured
+ *   against the current target, or null (also once the exercise is done)
+ */
+export function trackTarget(frequency, time) {
+  if (time - lastReadingTime > RELEASE_GAP) releaseAttempt();
+  if (frequency === null) {
+    onTargetSince = null;
+    return null;
+  }
+  if (step >= targets.length) return null;
+
+  const target = targets[step];
+  const note = frequencyToTargetPitch(
+    frequency,
+    target.midiNote,
+    getTargetFrequency(target),
+  );
+  lastReadingTime = time;
+  if (!note || awaitingRelease) return note;
+
+  attemptStart ??= time;
+  if (Math.abs(note.cents) <= tolerance) {
+    onTargetSince ??= time;
+    if (time - onTargetSince >= HIT_HOLD_TIME) {
+      hits++;
+      lastResult = "hit";
+      step++;
+      attemptStart = null;
+      onTargetSince = null;
+      awaitingRelease = true;
+    }
+  } else {
+    onTargetSince = null;
+  }
+  return note;
+}
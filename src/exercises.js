@@ -0,0 +1,359 @@
+/**
+ * Ear-training exercise registry.
+ *
+ * An exercise is a sequence of targets to sing or play, written as JSON so
+ * teachers can share their own:
+ *
+ *   {
+ *     "label": "Thirds over D",
+ *     "tolerance": 10,
+ *     "steps": [
+ *       { "note": "A4" },
+ *       { "drone": "D4", "interval": "M3", "tuning": "pure" },
+ *       { "key": "G3", "scale": "major", "degree": 5 }
+ *     ]
+ *   }
+ *
+ * A step is a fixed note, an interval above a drone note, or a degree (1–8)
+ * of the major or minor scale on a tonic. Intervals and degrees are either
+ * pure (just ratios above the drone or tonic) or tempered (the notes as
+ * tuned in the active temperament): a pure major third is 13.7 cents flatter
+ * than an equal-tempered one. The tolerance is in cents either side.
+ */
+
+import {
+  getNoteFrequency,
+  getNoteName,
+  parseNoteName,
+} from "./note-mapping.js";
+
+/** Cents either side of the target that count as a hit, if not given */
+export const DEFAULT_TOLERANCE = 10;
+
+/** @typedef {"pure" | "tempered"} IntervalTuning */
+
+/**
+ * @typedef {{note: string}
+ *   | {drone: string, interval: string, tuning?: IntervalTuning}
+ *   | {key: string, scale?: string, degree: number, tuning?: IntervalTuning}
+ * } ExerciseStep
+ *   note - note name in scientific pitch notation (see parseNoteName)
+ *   drone, interval - drone note and interval id above it ("M3", "P5", …)
+ *   key, scale, degree - tonic note, "major" (default) or "minor", 1–8
+ *   tuning - "tempered" (default) or "pure"
+ */
+
+/**
+ * @typedef {{label: string, tolerance?: number, steps: readonly ExerciseStep[]}} Exercise
+ *   label - name shown in the settings UI
+ *   tolerance - cents either side of the target (default DEFAULT_TOLERANCE)
+ *   steps - targets in the order they are played
+ */
+
+/**
+ * @typedef {{
+ *   midiNote: number,
+ *   drone: number | null,
+ *   pure: boolean,
+ *   interval: string | null,
+ *   scale: string | null,
+ *   degree: number | null
+ * }} ExerciseTarget
+ *   midiNote - the note to play (sounding MIDI number)
+ *   drone - note to sound underneath (the drone or tonic), or null
+ *   pure - whether the target is a just ratio above the drone
+ *   interval - interval id of an interval step, else null
+ *   scale, degree - scale and degree of a degree step, else null
+ */
+
+/**
+ * Intervals up to an octave: semitones, just (5-limit) ratio and name as
+ * used in a sentence.
+ * @type {Map<string, {semitones: number, ratio: number, label: string}>}
+ */
+const INTERVALS = new Map([
+  ["P1", { semitones: 0, ratio: 1, label: "unison" }],
+  ["m2", { semitones: 1, ratio: 16 / 15, label: "minor second" }],
+  ["M2", { semitones: 2, ratio: 9 / 8, label: "major second" }],
+  ["m3", { semitones: 3, ratio: 6 / 5, label: "minor third" }],
+  ["M3", { semitones: 4, ratio: 5 / 4, label: "major third" }],
+  ["P4", { semitones: 5, ratio: 4 / 3, label: "fourth" }],
+  ["TT", { semitones: 6, ratio: 45 / 32, label: "tritone" }],
+  ["P5", { semitones: 7, ratio: 3 / 2, label: "fifth" }],
+  ["m6", { semitones: 8, ratio: 8 / 5, label: "minor sixth" }],
+  ["M6", { semitones: 9, ratio: 5 / 3, label: "major sixth" }],
+  ["m7", { semitones: 10, ratio: 9 / 5, label: "minor seventh" }],
+  ["M7", { semitones: 11, ratio: 15 / 8, label: "major seventh" }],
+  ["P8", { semitones: 12, ratio: 2, label: "octave" }],
+]);
+
+/** Intervals of scale degrees 1–8 above the tonic */
+const SCALES = new Map([
+  ["major", ["P1", "M2", "M3", "P4", "P5", "M6", "M7", "P8"]],
+  ["minor", ["P1", "M2", "m3", "P4", "P5", "m6", "m7", "P8"]],
+]);
+
+/** @type {Map<string, Exercise>} */
+const exercises = new Map();
+
+/**
+ * Look up an interval by id.
+ * @param {string} id
+ * @returns {{semitones: number, ratio: number, label: string}}
+ * @throws {RangeError} If there is no such interval
+ */
+function getInterval(id) {
+  const interval = INTERVALS.get(id);
+  if (!interval) {
+    throw new RangeError(
+      `Interval must be one of ${[...INTERVALS.keys()].join(", ")}, got "${id}"`,
+    );
+  }
+  return interval;
+}
+
+/**
+ * Whether a step asks for a pure interval.
+ * @param {IntervalTuning | undefined} tuning
+ * @returns {boolean}
+ * @throws {RangeError} If the tuning is neither "pure" nor "tempered"
+ */
+function isPure(tuning = "tempered") {
+  if (tuning !== "pure" && tuning !== "tempered") {
+    throw new RangeError(
+      `Tuning must be "pure" or "tempered", got "${tuning}"`,
+    );
+  }
+  return tuning === "pure";
+}
+
+/**
+ * Work out the note to play for one step.
+ * @param {ExerciseStep} step
+ * @returns {ExerciseTarget}
+ * @throws {RangeError} If a note name, interval, scale, degree or tuning is
+ *   invalid, or the target lies outside MIDI 0–127
+ */
+export function resolveStep(step) {
+  /** @type {ExerciseTarget} */
+  let target;
+  if ("note" in step) {
+    target = {
+      midiNote: parseNoteName(step.note),
+      drone: null,
+      pure: false,
+      interval: null,
+      scale: null,
+      degree: null,
+    };
+  } else if ("interval" in step) {
+    const drone = parseNoteName(step.drone);
+    target = {
+      midiNote: drone + getInterval(step.interval).semitones,
+      drone,
+      pure: isPure(step.tuning),
+      interval: step.interval,
+      scale: null,
+      degree: null,
+    };
+  } else if ("degree" in step) {
+    const { scale = "major", degree } = step;
+    const intervals = SCALES.get(scale);
+    if (!intervals) {
+      throw new RangeError(`Scale must be "major" or "minor", got "${scale}"`);
+    }
+    if (!Number.isInteger(degree) || degree < 1 || degree > 8) {
+      throw new RangeError(`Degree must be from 1 to 8, got ${degree}`);
+    }
+    const tonic = parseNoteName(step.key);
+    target = {
+      midiNote: tonic + getInterval(intervals[degree - 1]).semitones,
+      drone: tonic,
+      pure: isPure(step.tuning),
+      interval: intervals[degree - 1],
+      scale,
+      degree,
+    };
+  } else {
+    throw new RangeError(
+      'A step needs a "note", a "drone" and "interval", or a "key" and "degree"',
+    );
+  }
+
+  if (target.midiNote > 127) {
+    throw new RangeError("Target is above MIDI note 127");
+  }
+  return target;
+}
+
+/**
+ * Check an exercise and work out its targets.
+ * @param {Exercise} exercise
+ * @returns {{tolerance: number, targets: ExerciseTarget[]}}
+ * @throws {RangeError} If there are no steps, a step is invalid or the
+ *   tolerance is not more than 0 and at most 50 cents
+ */
+export function resolveExercise(exercise) {
+  const { tolerance = DEFAULT_TOLERANCE, steps } = exercise;
+  if (!(tolerance > 0 && tolerance <= 50)) {
+    throw new RangeError(
+      `Tolerance must be between 0 and 50 cents, got ${tolerance}`,
+    );
+  }
+  if (steps.length === 0) {
+    throw new RangeError("An exercise needs at least one step");
+  }
+  return { tolerance, targets: steps.map(resolveStep) };
+}
+
+/**
+ * Parse an exercise written as JSON (see the format at the top).
+ * @param {string} text
+ * @returns {Exercise}
+ * @throws {SyntaxError} If the JSON is malformed or describes no valid
+ *   exercise (naming the step at fault)
+ */
+export function parseExercise(text) {
+  /** @param {string} message */
+  const error = (message) => new SyntaxError(`Exercise JSON: ${message}`);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (cause) {
+    throw error(cause instanceof Error ? cause.message : String(cause));
+  }
+  if (typeof data?.label !== "string" || !Array.isArray(data.steps)) {
+    throw error('expected an object with a "label" and "steps"');
+  }
+
+  /** @type {Exercise} */
+  const exercise = {
+    label: data.label,
+    tolerance: data.tolerance,
+    steps: data.steps,
+  };
+  exercise.steps.forEach((step, index) => {
+    try {
+      if (typeof step !== "object" || step === null) {
+        throw new RangeError("expected an object");
+      }
+      resolveStep(step);
+    } catch (cause) {
+      throw error(
+        `step ${index + 1}: ${cause instanceof Error ? cause.message : cause}`,
+      );
+    }
+  });
+  try {
+    resolveExercise(exercise);
+  } catch (cause) {
+    throw error(cause instanceof Error ? cause.message : String(cause));
+  }
+  return exercise;
+}
+
+/**
+ * Frequency to play for a target, in the current reference: the note as
+ * tuned in the active temperament, or for a pure target the just ratio
+ * above the drone as tuned there.
+ * @param {ExerciseTarget} target
+ * @returns {number} Hz
+ */
+export function getTargetFrequency(target) {
+  if (target.pure && target.drone !== null && target.interval !== null) {
+    return getNoteFrequency(target.drone) * getInterval(target.interval).ratio;
+  }
+  return getNoteFrequency(target.midiNote);
+}
+
+/**
+ * What to play, in the current note naming.
+ * @param {ExerciseTarget} target
+ * @returns {string} E.g. "A4", "a major third above D4 (pure)" or
+ *   "degree 5 of G3 major"
+ */
+export function describeTarget(target) {
+  if (target.drone === null || target.interval === null) {
+    return getNoteName(target.midiNote);
+  }
+  const tuning = target.pure ? " (pure)" : "";
+  const drone = getNoteName(target.drone);
+  if (target.degree !== null) {
+    return `degree ${target.degree} of ${drone} ${target.scale}${tuning}`;
+  }
+  const { label } = getInterval(target.interval);
+  const article = /^[aeiou]/.test(label) ? "an" : "a";
+  return `${article} ${label} above ${drone}${tuning}`;
+}
+
+/**
+ * Add an exercise to the registry (or replace one with the same id).
+ * @param {string} id - Stable identifier stored in settings
+ * @param {Exercise} exercise
+ * @returns {void}
+ * @throws {RangeError} If the exercise is invalid (see resolveExercise)
+ */
+export function registerExercise(id, exercise) {
+  resolveExercise(exercise);
+  exercises.set(id, exercise);
+}
+
+/**
+ * Look up an exercise by id.
+ * @param {string} id
+ * @returns {Exercise}
+ * @throws {RangeError} If no exercise is registered under that id
+ */
+export function getExercise(id) {
+  const exercise = exercises.get(id);
+  if (!exercise) {
+    throw new RangeError(`Unknown exercise: ${id}`);
+  }
+  return exercise;
+}
+
+/**
+ * List registered exercises in registration order.
+ * @returns {{id: string, label: string}[]}
+ */
+export function listExercises() {
+  return Array.from(exercises, ([id, { label }]) => ({ id, label }));
+}
+
+// ── built-in exercises ──
+registerExercise("pure-intervals-d", {
+  label: "Pure intervals over D",
+  steps: ["P5", "M3", "m3", "P4", "M6", "P8"].map((interval) => ({
+    drone: "D4",
+    interval,
+    tuning: "pure",
+  })),
+});
+// the same third twice: the pure one is 13.7 cents lower
+registerExercise("thirds-pure-tempered", {
+  label: "Major thirds, pure and tempered",
+  steps: ["C4", "F3", "G3"].flatMap((drone) => [
+    { drone, interval: "M3", tuning: "tempered" },
+    { drone, interval: "M3", tuning: "pure" },
+  ]),
+});
+registerExercise("g-major-scale", {
+  label: "G major scale (just)",
+  steps: [1, 2, 3, 4, 5, 6, 7, 8].map((degree) => ({
+    key: "G3",
+    degree,
+    tuning: "pure",
+  })),
+});
+registerExercise("a-minor-scale", {
+  label: "A minor scale",
+  steps: [1, 2, 3, 4, 5, 6, 7, 8].map((degree) => ({
+    key: "A3",
+    scale: "minor",
+    degree,
+  })),
+});
+registerExercise("tuning-notes", {
+  label: "Tuning notes (A, D, G)",
+  steps: [{ note: "A4" }, { note: "D4" }, { note: "G3" }],
+});
@@ -0,0 +1,195 @@
+/**
+ * Radix-2 FFT helpers shared by the pitch detectors.
+ *
+ * Buffers and twiddle tables are cached per transform size, so repeated
+ * calls with the same window length (the normal case in the detection
+ * loop) do not allocate.
+ */
+
+/**
+ * @typedef {{
+ *   real: Float64Array,
+ *   imag: Float64Array,
+ *   cos: Float64Array,
+ *   sin: Float64Array,
+ *   reversed: Uint32Array
+ * }} FFTWorkspace
+ */
+
+/** @type {Map<number, FFTWorkspace>} */
+const workspaces = new Map();
+
+/**
+ * Smallest power of two that is >= n.
+ * @param {number} n - Positive integer
+ * @returns {number}
+ */
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+}
+
+/**
+ * Get (or build) the cached scratch buffers and tables for a given size.
+ * @param {number} size - Transform size (power of two)
+ * @returns {FFTWorkspace}
+ */
+function getWorkspace(size) {
+  const cached = workspaces.get(size);
+  if (cached) return cached;
+
+  const half = size / 2;
+  const cos = new Float64Array(half);
+  const sin = new Float64Array(half);
+  for (let i = 0; i < half; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = Math.sin((2 * Math.PI * i) / size);
+  }
+
+  // bit-reversal permutation for the iterative Cooley–Tukey passes
+  const bits = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) {
+      r = (r << 1) | ((i >> b) & 1);
+    }
+    reversed[i] = r;
+  }
+
+  const workspace = {
+    real: new Float64Array(size),
+    imag: new Float64Array(size),
+    cos,
+    sin,
+    reversed,
+  };
+  workspaces.set(size, workspace);
+  return workspace;
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ * The inverse transform is unscaled (caller divides by the size).
+ * @param {Float64Array} real - Real parts (length must be a power of two)
+ * @param {Float64Array} imag - Imaginary parts (same length as real)
+ * @param {boolean} [inverse=false] - Compute the inverse transform
+ * @returns {void}
+ */
+export function fft(real, imag, inverse = false) {
+  const size = real.length;
+  if (size !== imag.length || (size & (size - 1)) !== 0) {
+    throw new RangeError(
+      `FFT size must be a power of two with matching buffers, got ${size}`,
+    );
+  }
+
+  const { cos, sin, reversed } = getWorkspace(size);
+
+  for (let i = 0; i < size; i++) {
+    const j = reversed[i];
+    if (j > i) {
+      let tmp = real[i];
+      real[i] = real[j];
+      real[j] = tmp;
+      tmp = imag[i];
+      imag[i] = imag[j];
+      imag[j] = tmp;
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let length = 2; length <= size; length *= 2) {
+    const halfLength = length / 2;
+    const step = size / length;
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < halfLength; k++) {
+        const wr = cos[k * step];
+        const wi = sign * sin[k * step];
+        const a = start + k;
+        const b = a + halfLength;
+        const tr = real[b] * wr - imag[b] * wi;
+        const ti = real[b] * wi + imag[b] * wr;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Power spectrum of Hann-windowed samples, zero-padded to `size`.
+ * @param {Float32Array} samples - Time-domain audio samples
+ * @param {number} size - Transform size (power of two, >= samples.length)
+ * @param {Float64Array} [power] - Output of size / 2 + 1 values to reuse;
+ *   a new one is allocated if omitted
+ * @returns {Float64Array} |X[k]|² for bins k = 0 … size / 2
+ */
+export function powerSpectrum(
+  samples,
+  size,
+  power = new Float64Array(size / 2 + 1),
+) {
+  const n = samples.length;
+  if (n > size) {
+    throw new RangeError(
+      `Spectrum size must be at least the ${n} samples, got ${size}`,
+    );
+  }
+  if (power.length !== size / 2 + 1) {
+    throw new RangeError(
+      `Spectrum output must hold ${size / 2 + 1} bins, got ${power.length}`,
+    );
+  }
+  const { real, imag } = getWorkspace(size);
+
+  real.fill(0);
+  imag.fill(0);
+  for (let i = 0; i < n; i++) {
+    real[i] = samples[i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n));
+  }
+
+  fft(real, imag);
+  for (let k = 0; k < power.length; k++) {
+    power[k] = real[k] * real[k] + imag[k] * imag[k];
+  }
+  return power;
+}
+
+/**
+ * Linear (non-circular) autocorrelation for lags 0..maxLag via the
+ * Wiener–Khinchin theorem: zero-pad, FFT, take |X|², inverse FFT.
+ *
+ * r[tau] = Σ x[j]·x[j + tau] for j = 0 … N − 1 − tau
+ *
+ * @param {Float32Array} samples - Time-domain audio samples
+ * @param {number} maxLag - Largest lag to return (clamped to N − 1)
+ * @returns {Float64Array} Autocorrelation values, indexed by lag
+ */
+export function autocorrelation(samples, maxLag) {
+  const n = samples.length;
+  const lags = Math.min(maxLag, n - 1) + 1;
+  // padding to >= n + maxLag keeps the circular wrap-around out of range
+  const size = nextPowerOfTwo(n + lags);
+  const { real, imag } = getWorkspace(size);
+
+  real.fill(0);
+  imag.fill(0);
+  real.set(samples);
+
+  fft(real, imag);
+  for (let i = 0; i < size; i++) {
+    real[i] = real[i] * real[i] + imag[i] * imag[i];
+    imag[i] = 0;
+  }
+  fft(real, imag, true);
+
+  const result = new Float64Array(lags);
+  for (let tau = 0; tau < lags; tau++) {
+    result[tau] = real[tau] / size;
+  }
+  return result;
+}
@@ -0,0 +1,165 @@
+/**
+ * Noise gate with hysteresis and onset (attack) detection.
+ *
+ * Fed once per detection hop with the input level, it reports which phase
+ * the signal is in:
+ *   "closed"  – below the gate, nothing is playing
+ *   "attack"  – a note just started; its transient is not trusted yet
+ *   "sustain" – a note is ringing and detections can be used
+ *
+ * The gate opens at `openLevel` and only closes again `hysteresis` dB
+ * lower, so a level hovering around the threshold does not chatter. A new
+ * attack is also recognised while the gate is open when the level jumps by
+ * `onsetRise` dB from one hop to the next (a re-plucked string).
+ *
+ * The gate also times the hold: after the last usable reading, the display
+ * keeps it for `holdTime` seconds instead of blanking.
+ */
+
+/**
+ * @typedef {{
+ *   openLevel: number,
+ *   hysteresis: number,
+ *   onsetRise: number,
+ *   attackTime: number,
+ *   holdTime: number
+ * }} GateOptions
+ *   openLevel - level (dBFS) at which the gate opens
+ *   hysteresis - dB below openLevel at which it closes again
+ *   onsetRise - hop-to-hop level rise (dB) treated as a new attack
+ *   attackTime - seconds of detections skipped after an attack
+ *   holdTime - seconds the last stable reading is kept when signal drops
+ */
+
+/** @typedef {"closed" | "attack" | "sustain"} GatePhase */
+
+/** @type {Readonly<GateOptions>} */
+export const DEFAULT_GATE_OPTIONS = Object.freeze({
+  openLevel: -50,
+  hysteresis: 6,
+  onsetRise: 9,
+  attackTime: 0.06,
+  holdTime: 0.8,
+});
+
+// Floor for level conversion so silence maps to a finite value
+const MIN_LEVEL_DB = -120;
+
+/** @type {GateOptions} */
+let gateOptions = { ...DEFAULT_GATE_OPTIONS };
+/** @type {boolean} */
+let isOpen = false;
+/** @type {number} */
+let previousLevel = MIN_LEVEL_DB;
+/** @type {number} */
+let attackEndTime = -Infinity;
+/** @type {number} */
+let stableTime = -Infinity;
+
+/**
+ * Convert a linear RMS level to dBFS.
+ * @param {number} rms - Linear level (1 = full scale)
+ * @returns {number} Level in dBFS, never below -120
+ */
+export function rmsToDb(rms) {
+  if (!(rms > 0)) return MIN_LEVEL_DB;
+  return Math.max(MIN_LEVEL_DB, 20 * Math.log10(rms));
+}
+
+/**
+ * Get the current gate options.
+ * @returns {Readonly<GateOptions>}
+ */
+export function getGateOptions() {
+  return gateOptions;
+}
+
+/**
+ * Update gate options. Missing fields keep their current values.
+ * @param {Partial<GateOptions>} options
+ * @returns {void}
+ * @throws {RangeError} If a value is out of range
+ */
+export function setGateOptions(options) {
+  const next = { ...gateOptions, ...options };
+
+  if (!Number.isFinite(next.openLevel) || next.openLevel > 0) {
+    throw new RangeError(
+      `Gate level must be a finite dBFS value <= 0, got ${next.openLevel}`,
+    );
+  }
+  for (const key of /** @type {const} */ ([
+    "hysteresis",
+    "onsetRise",
+    "attackTime",
+    "holdTime",
+  ])) {
+    if (!Number.isFinite(next[key]) || next[key] < 0) {
+      throw new RangeError(`Gate ${key} must be a finite number >= 0`);
+    }
+  }
+
+  gateOptions = next;
+}
+
+/**
+ * Close the gate and forget the level history (e.g. when tuning stops).
+ * @returns {void}
+ */
+export function resetGate() {
+  isOpen = false;
+  previousLevel = MIN_LEVEL_DB;
+  attackEndTime = -Infinity;
+  stableTime = -Infinity;
+}
+
+/**
+ * Note that a usable reading arrived, which starts the hold time over.
+ * @param {number} time - Time of the reading in seconds (audio clock)
+ * @returns {void}
+ */
+export function markStable(time) {
+  stableTime = time;
+}
+
+/**
+ * Whether the last usable reading is still within the hold time.
+ * @param {number} time - Current time in seconds (audio clock)
+ * @returns {boolean}
+ */
+export function isHolding(time) {
+  return time - stableTime <= gateOptions.holdTime;
+}
+
+/**
+ * Feed one hop's input level and get the current phase.
+ * @param {number} level - Input level in dBFS
+ * @param {number} time - Time of the hop in seconds (audio clock)
+ * @returns {{phase: GatePhase, onset: boolean}}
+ *   onset is true on the hop where a new attack was detected
+ */
+export function updateGate(level, time) {
+  const { openLevel, hysteresis, onsetRise, attackTime } = gateOptions;
+  let onset = false;
+
+  if (!isOpen && level >= openLevel) {
+    isOpen = true;
+    onset = true;
+  } else if (isOpen && level < openLevel - hysteresis) {
+    isOpen = false;
+  } else if (isOpen && level - previousLevel >= onsetRise) {
+    onset = true;
+  }
+  previousLevel = level;
+
+  if (onset) {
+    attackEndTime = time + attackTime;
+  }
+
+  /** @type {GatePhase} */
+  let phase = "closed";
+  if (isOpen) {
+    phase = time < attackEndTime ? "attack" : "sustain";
+  }
+  return { phase, onset };
+}
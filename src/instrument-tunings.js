@@ -0,0 +1,126 @@
+/**
+ * Instrument tuning registry.
+ *
+ * A tuning lists an instrument's open strings from lowest to highest as
+ * note names in scientific pitch notation (see parseNoteName). Instrument
+ * mode guides the player through them string by string.
+ */
+
+import { parseNoteName } from "./note-mapping.js";
+
+/**
+ * @typedef {{label: string, strings: readonly string[]}} InstrumentTuning
+ *   label - name shown in the settings UI
+ *   strings - open strings, lowest (or first, for re-entrant tunings) first
+ */
+
+/** @type {Map<string, InstrumentTuning>} */
+const tunings = new Map();
+
+/**
+ * Convert a tuning's note names to MIDI note numbers.
+ * @param {readonly string[]} strings - Note names such as "E2" or "C♯4"
+ * @returns {number[]}
+ * @throws {RangeError} If there are no strings or a name is malformed
+ */
+export function resolveStrings(strings) {
+  if (strings.length === 0) {
+    throw new RangeError("A tuning needs at least one string");
+  }
+  return strings.map(parseNoteName);
+}
+
+/**
+ * Parse a tuning typed by the user: note names separated by spaces or
+ * commas, e.g. "D2 A2 D3 G3 B3 E4".
+ * @param {string} text
+ * @returns {string[]} The note names
+ * @throws {RangeError} If there are no strings or a name is malformed
+ */
+export function parseTuning(text) {
+  const strings = text.split(/[\s,]+/).filter((name) => name !== "");
+  resolveStrings(strings);
+  return strings;
+}
+
+/**
+ * Add a tuning to the registry (or replace one with the same id).
+ * @param {string} id - Stable identifier stored in settings
+ * @param {InstrumentTuning} tuning
+ * @returns {void}
+ * @throws {RangeError} If a string's note name is malformed
+ */
+export function registerTuning(id, tuning) {
+  resolveStrings(tuning.strings);
+  tunings.set(id, tuning);
+}
+
+/**
+ * Look up a tuning by id.
+ * @param {string} id
+ * @returns {InstrumentTuning}
+ * @throws {RangeError} If no tuning is registered under that id
+ */
+export function getTuning(id) {
+  const tuning = tunings.get(id);
+  if (!tuning) {
+    throw new RangeError(`Unknown instrument tuning: ${id}`);
+  }
+  return tuning;
+}
+
+/**
+ * List registered tunings in registration order.
+ * @returns {{id: string, label: string}[]}
+ */
+export function listTunings() {
+  return Array.from(tunings, ([id, { label }]) => ({ id, label }));
+}
+
+// ── built-in tunings ──
+registerTuning("guitar", {
+  label: "Guitar (standard)",
+  strings: ["E2", "A2", "D3", "G3", "B3", "E4"],
+});
+registerTuning("guitar-drop-d", {
+  label: "Guitar (drop D)",
+  strings: ["D2", "A2", "D3", "G3", "B3", "E4"],
+});
+registerTuning("guitar-dadgad", {
+  label: "Guitar (DADGAD)",
+  strings: ["D2", "A2", "D3", "G3", "A3", "D4"],
+});
+registerTuning("guitar-open-g", {
+  label: "Guitar (open G)",
+  strings: ["D2", "G2", "D3", "G3", "B3", "D4"],
+});
+registerTuning("bass-4", {
+  label: "Bass (4-string)",
+  strings: ["E1", "A1", "D2", "G2"],
+});
+registerTuning("bass-5", {
+  label: "Bass (5-string)",
+  strings: ["B0", "E1", "A1", "D2", "G2"],
+});
+// re-entrant: the G string sits above C
+registerTuning("ukulele", {
+  label: "Ukulele",
+  strings: ["G4", "C4", "E4", "A4"],
+});
+registerTuning("violin", {
+  label: "Violin",
+  strings: ["G3", "D4", "A4", "E5"],
+});
+registerTuning("viola", {
+  label: "Viola",
+  strings: ["C3", "G3", "D4", "A4"],
+});
+registerTuning("cello", {
+  label: "Cello",
+  strings: ["C2", "G2", "D3", "A3"],
+});
+// tuned in pairs (courses) like the violin
+registerTuning("mandolin", {
+  label: "Mandolin",
+  strings: ["G3", "D4", "A4", "E5"],
+});
@@ -0,0 +1,187 @@
+/**
+ * McLeod Pitch Method (MPM) for pitch detection
+ *
+ * Implementation based on:
+ * McLeod, P., & Wyvill, G. (2005). A smarter way to find pitch. Proceedings
+ * of the International Computer Music Conference (ICMC), 138–141.
+ */
+
+import { autocorrelation } from "./fft.js";
+import { MIN_FREQUENCY, MAX_FREQUENCY } from "./pitch-range.js";
+import {
+  DEFAULT_DETECTOR_OPTIONS,
+  VOICED_CLARITY,
+  computeRMS,
+  scoreConfidence,
+} from "./voicing.js";
+
+// A key maximum is accepted if it reaches this fraction of the highest one.
+// Lower values favour longer periods (fewer octave-too-high errors).
+const CUTOFF = 0.93; // Value suggested by the original MPM paper
+
+/**
+ * Detect pitch from audio waveform using the McLeod Pitch Method
+ * @param {Float32Array} waveform - Time-domain audio samples
+ * @param {number} sampleRate - Sample rate in Hz (e.g., 44100)
+ * @param {{minFrequency: number, maxFrequency: number}} [range]
+ *   Frequency range to search (defaults to MIN_FREQUENCY–MAX_FREQUENCY)
+ * @param {import("./voicing.js").DetectorOptions} [options]
+ *   Voicing floor (defaults to DEFAULT_DETECTOR_OPTIONS)
+ * @returns {{
+ *   frequency: number,
+ *   confidence: number,
+ *   clarity: number,
+ *   voiced: boolean,
+ *   corrected: boolean
+ * } | null} Detection result, or null if no pitch found
+ */
+export function detectPitch(
+  waveform,
+  sampleRate,
+  range = { minFrequency: MIN_FREQUENCY, maxFrequency: MAX_FREQUENCY },
+  options = DEFAULT_DETECTOR_OPTIONS,
+) {
+  if (!waveform || waveform.length === 0) {
+    return null;
+  }
+
+  const tauMin = Math.max(1, Math.floor(sampleRate / range.maxFrequency));
+  const tauMax = Math.min(
+    Math.floor(sampleRate / range.minFrequency),
+    waveform.length - 2,
+  );
+  if (tauMin >= tauMax) {
+    return null;
+  }
+
+  const nsdf = computeNSDF(waveform, tauMax + 1);
+  const peak = pickPeak(nsdf, tauMin, tauMax);
+  if (!peak) {
+    return null;
+  }
+
+  const frequency = sampleRate / peak.tau;
+  if (frequency < range.minFrequency || frequency > range.maxFrequency) {
+    return null;
+  }
+
+  const rms = computeRMS(waveform);
+  const clarity = Math.max(0, Math.min(1, peak.value));
+
+  return {
+    frequency,
+    confidence: scoreConfidence(clarity, rms, options.minRms), // 0..1
+    clarity, // Height of the chosen NSDF peak (1 = perfectly periodic)
+    voiced: clarity >= VOICED_CLARITY && rms >= options.minRms,
+    corrected: false, // MPM's key-maximum rule has no octave correction
+  };
+}
+
+/**
+ * Normalized Square Difference Function (NSDF).
+ *
+ * n(tau) = 2·r(tau) / m(tau), where r is the autocorrelation and
+ * m(tau) = Σ (x[j]² + x[j + tau]²) over the overlapping samples. m is kept
+ * as a running sum, so the whole function costs one FFT autocorrelation.
+ * Values lie in [-1, 1]; 1 means the signal repeats exactly after tau.
+ *
+ * @param {Float32Array} audioSamples - Time-domain audio samples
+ * @param {number} maxLag - Largest lag to evaluate
+ * @returns {Float32Array} NSDF values, indexed by lag
+ */
+function computeNSDF(audioSamples, maxLag) {
+  const n = audioSamples.length;
+  const acf = autocorrelation(audioSamples, maxLag);
+  const nsdf = new Float32Array(acf.length);
+
+  let m = 2 * acf[0];
+  for (let tau = 0; tau < acf.length; tau++) {
+    if (tau > 0) {
+      const head = audioSamples[tau - 1];
+      const tail = audioSamples[n - tau];
+      m -= head * head + tail * tail;
+    }
+    // Protect against division by zero (silence)
+    nsdf[tau] = m > 0 ? (2 * acf[tau]) / m : 0;
+  }
+
+  return nsdf;
+}
+
+/**
+ * Peak picking.
+ * Collects the highest maximum of each positive lobe of the NSDF (the "key
+ * maxima"), refines each with parabolic interpolation, then returns the
+ * first one that reaches CUTOFF × the highest. (Comparing the integer-lag
+ * values instead undersells short periods that fall between samples, and
+ * high notes drop an octave.)
+ *
+ * @param {Float32Array} nsdf - NSDF values
+ * @param {number} tauMin - Minimum tau in samples
+ * @param {number} tauMax - Maximum tau in samples
+ * @returns {{tau: number, value: number} | null} Interpolated peak
+ */
+function pickPeak(nsdf, tauMin, tauMax) {
+  /** @type {number[]} */
+  const keyMaxima = [];
+
+  // Skip the central lobe around tau = 0 (trivially ≈ 1)
+  let tau = 1;
+  while (tau < tauMax && nsdf[tau] > 0) tau++;
+
+  let lobeMax = -1;
+  for (; tau <= tauMax; tau++) {
+    if (nsdf[tau] > 0) {
+      if (
+        tau >= tauMin &&
+        (lobeMax < 0 || nsdf[tau] > nsdf[lobeMax]) &&
+        nsdf[tau] >= nsdf[tau - 1] &&
+        nsdf[tau] >= nsdf[tau + 1]
+      ) {
+        lobeMax = tau;
+      }
+    } else if (lobeMax >= 0) {
+      // negative-going zero crossing closes the lobe
+      keyMaxima.push(lobeMax);
+      lobeMax = -1;
+    }
+  }
+  if (lobeMax >= 0) keyMaxima.push(lobeMax);
+
+  if (keyMaxima.length === 0) return null;
+
+  const peaks = keyMaxima.map((lag) => refinePeak(nsdf, lag));
+  let highest = 0;
+  for (const peak of peaks) {
+    highest = Math.max(highest, peak.value);
+  }
+
+  const threshold = CUTOFF * highest;
+  return peaks.find((peak) => peak.value >= threshold) ?? null;
+}
+
+/**
+ * Parabolic interpolation through the peak and its two neighbours.
+ * @param {Float32Array} nsdf - NSDF values
+ * @param {number} tau - Integer peak position
+ * @returns {{tau: number, value: number}} Interpolated position and height
+ */
+function refinePeak(nsdf, tau) {
+  if (tau < 1 || tau + 1 >= nsdf.length) {
+    return { tau, value: nsdf[tau] };
+  }
+
+  const left = nsdf[tau - 1];
+  const center = nsdf[tau];
+  const right = nsdf[tau + 1];
+  const denominator = left - 2 * center + right;
+  if (denominator === 0) {
+    return { tau, value: center };
+  }
+
+  const offset = (0.5 * (left - right)) / denominator;
+  return {
+    tau: tau + offset,
+    value: center - 0.25 * (left - right) * offset,
+  };
+}
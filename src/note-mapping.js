@@ -1,10 +1,48 @@
+import {
+  DEFAULT_NOTE_NAMING,
+  nameNote,
+  resolveNoteNaming,
+} from "./note-naming.js";
+
 const SEMITONE_RATIO = 2 ** (1 / 12);
-const DEFAULT_REFERENCE_FREQUENCY = 440; // A4
+export const DEFAULT_REFERENCE_FREQUENCY = 440; // A4
 const REFERENCE_MIDI = 69; // MIDI note number for A4
 
 /** @type {number} */
 let referenceFrequency = DEFAULT_REFERENCE_FREQUENCY;
 
+/**
+ * Offset of each pitch class (0=C … 11=B) from equal temperament in cents,
+ * for the active temperament and tonic. A is always 0, so the reference
+ * note keeps the reference frequency.
+ * @type {number[]}
+ */
+let pitchClassOffsets = new Array(12).fill(0);
+
+/**
+ * How notes are named and which transposition they are written in.
+ * @type {import("./note-naming.js").NoteNaming}
+ */
+let noteNaming = { ...DEFAULT_NOTE_NAMING };
+
+/**
+ * Keys of the active Scala scale, or null for 12-note mapping.
+ * @type {{
+ *   keys: {midiNote: number, degree: number, period: number, cents: number}[],
+ *   referenceFrequency: number | null
+ * } | null}
+ *   keys - every mapped key with its pitch in cents from the reference key
+ *   referenceFrequency - frequency of the reference key in Hz, or null to
+ *     use the A4 reference frequency
+ */
+let activeScale = null;
+
+// Without a keyboard mapping, keys map one-to-one onto scale degrees with
+// degree 0 on middle C and A4 as the reference key (as in Scala itself)
+const DEFAULT_MIDDLE_NOTE = 60;
+// Periods are numbered like octaves: the middle note's period is 4
+const MIDDLE_PERIOD = 4;
+
 const NOTE_NAMES = [
   "C",
   "C♯",
@@ -33,7 +71,7 @@ function frequencyToMidiNote(frequency) {
 
 /**
  * Convert MIDI note number to frequency
- * @param {number} midiNote - MIDI note number (0-127)
+ * @param {number} midiNote - MIDI note number (0-127, may be fractional)
  * @returns {number} Frequency in Hz
  */
 function midiNoteToFrequency(midiNote) {
@@ -41,18 +79,150 @@ function midiNoteToFrequency(midiNote) {
 }
 
 /**
- * Get note name from MIDI note number
- * @param {number} midiNote - MIDI note number (0-127)
- * @returns {{name: string, octave: number}} Note information
+ * Tempered position of a note: its MIDI number moved by the temperament's
+ * offset for its pitch class.
+ * @param {number} midiNote - MIDI note number (integer)
+ * @returns {number} MIDI note number (floating point)
+ */
+function temperedMidiNote(midiNote) {
+  return midiNote + pitchClassOffsets[midiNote % 12] / 100;
+}
+
+/**
+ * Find the note whose tempered pitch is closest. Offsets stay well under a
+ * semitone, so only the nearest equal-tempered note and its neighbours
+ * can win.
+ * @param {number} midiNote - MIDI note number (floating point)
+ * @returns {number} MIDI note number (integer)
+ */
+function findNearestNote(midiNote) {
+  const rounded = Math.round(midiNote);
+  let nearest = rounded;
+  for (const candidate of [rounded - 1, rounded + 1]) {
+    if (
+      Math.abs(midiNote - temperedMidiNote(candidate)) <
+      Math.abs(midiNote - temperedMidiNote(nearest))
+    ) {
+      nearest = candidate;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Get note name from MIDI note number, as written in the active naming
+ * convention and transposition
+ * @param {number} midiNote - Sounding MIDI note number (0-127)
+ * @returns {{name: string, octave: number, displayName: string}} Note
+ *   information
  */
 function midiNoteToName(midiNote) {
-  // position within the 12‑note octave cycle (0=C, 1=C♯, … 11=B)
-  const noteIndex = midiNote % 12;
-  const name = NOTE_NAMES[noteIndex];
+  return nameNote(midiNote, noteNaming);
+}
 
-  const octave = Math.floor(midiNote / 12) - 1;
+/**
+ * Parse a note name in scientific pitch notation ("E2", "C♯4", "Bb3").
+ * @param {string} text - Letter, optional ♯/# or ♭/b, octave (-1 to 9)
+ * @returns {number} MIDI note number
+ * @throws {RangeError} If the name is malformed or outside MIDI 0–127
+ */
+export function parseNoteName(text) {
+  const match = /^([A-G])([♯#♭b]?)(-?\d)$/.exec(text.trim());
+  const midiNote = match
+    ? 12 * (Number(match[3]) + 1) +
+      NOTE_NAMES.indexOf(match[1]) +
+      (match[2] === "" ? 0 : "♯#".includes(match[2]) ? 1 : -1)
+    : NaN;
+  if (!(midiNote >= 0 && midiNote <= 127)) {
+    throw new RangeError(
+      `Note name must look like "E2", "C♯4" or "Bb3", got "${text}"`,
+    );
+  }
+  return midiNote;
+}
 
-  return { name, octave };
+/**
+ * Name of a MIDI note as shown in the display ("C♯4", or e.g. "d′" for a
+ * B♭ instrument in Helmholtz notation).
+ * @param {number} midiNote - Sounding MIDI note number (integer)
+ * @returns {string}
+ */
+export function getNoteName(midiNote) {
+  return midiNoteToName(midiNote).displayName;
+}
+
+/**
+ * Frequency of a note as tuned in the active temperament and reference,
+ * e.g. for a string or an exercise target. Scala scales don't apply (see
+ * getKeyFrequency).
+ * @param {number} midiNote - MIDI note number (integer)
+ * @returns {number} Frequency in Hz
+ */
+export function getNoteFrequency(midiNote) {
+  return midiNoteToFrequency(temperedMidiNote(midiNote));
+}
+
+/**
+ * Name of the pitch a key plays, as frequencyToNote reports it: the scale
+ * degree and period while a Scala scale is set, the note name otherwise.
+ * @param {number} midiNote - MIDI note number (integer)
+ * @returns {string | null} Display name, or null if the scale leaves the
+ *   key unmapped
+ */
+export function getKeyName(midiNote) {
+  if (!activeScale) return getNoteName(midiNote);
+  const key = findScaleKey(midiNote, activeScale);
+  return key ? scaleKeyName(key) : null;
+}
+
+/**
+ * Frequency a key plays, e.g. for the reference tone: its scale degree
+ * while a Scala scale is set, the note as tuned in the active temperament
+ * otherwise.
+ * @param {number} midiNote - MIDI note number (integer)
+ * @returns {number | null} Frequency in Hz, or null if the scale leaves the
+ *   key unmapped
+ */
+export function getKeyFrequency(midiNote) {
+  if (!activeScale) return getNoteFrequency(midiNote);
+  const key = findScaleKey(midiNote, activeScale);
+  return key ? scaleKeyFrequency(key, activeScale) : null;
+}
+
+/**
+ * Pitches a set of keys play, e.g. an instrument's strings for the strum
+ * check: each key with its frequency from getKeyFrequency, leaving out the
+ * keys a Scala scale leaves unmapped.
+ * @param {readonly number[]} midiNotes - MIDI note numbers (integers)
+ * @returns {{midiNote: number, frequency: number}[]} In the keys' order
+ */
+export function getKeyPitches(midiNotes) {
+  return midiNotes.flatMap((midiNote) => {
+    const frequency = getKeyFrequency(midiNote);
+    return frequency === null ? [] : [{ midiNote, frequency }];
+  });
+}
+
+/**
+ * Change how notes are named: name system, accidentals, octave notation,
+ * key and the transposition of the instrument (names show written pitch;
+ * frequencies, cents and midiNote stay at sounding pitch). Scala scale
+ * degrees are not renamed.
+ * @param {Partial<import("./note-naming.js").NoteNaming>} naming - Fields
+ *   to change
+ * @returns {void}
+ * @throws {RangeError} If a value is out of range
+ */
+export function setNoteNaming(naming) {
+  noteNaming = resolveNoteNaming(naming, noteNaming);
+}
+
+/**
+ * Get the current naming convention.
+ * @returns {Readonly<import("./note-naming.js").NoteNaming>}
+ */
+export function getNoteNaming() {
+  return noteNaming;
 }
 
 /**
@@ -78,7 +248,194 @@ export function setReferenceFrequency(frequency) {
 }
 
 /**
- * Convert frequency to note with cents offset
+ * Tune notes to a temperament instead of equal temperament.
+ * @param {import("./temperaments.js").Temperament} temperament - Offsets
+ *   from equal temperament, counted from the tonic (see temperaments.js)
+ * @param {number} [tonic=0] - Pitch class of the tonic (0=C … 11=B)
+ * @returns {void}
+ * @throws {RangeError} If the offsets are not 12 finite numbers or the tonic
+ *   is not an integer from 0 to 11
+ */
+export function setTemperament(temperament, tonic = 0) {
+  const { offsets } = temperament;
+  if (offsets.length !== 12 || !offsets.every(Number.isFinite)) {
+    throw new RangeError(
+      `Temperament must have 12 finite cent offsets, got ${offsets}`,
+    );
+  }
+  if (!Number.isInteger(tonic) || tonic < 0 || tonic > 11) {
+    throw new RangeError(
+      `Tonic must be a pitch class from 0 to 11, got ${tonic}`,
+    );
+  }
+
+  const rotated = Array.from(
+    { length: 12 },
+    (_, pitchClass) => offsets[(pitchClass - tonic + 12) % 12],
+  );
+  // keep A on the reference frequency
+  const referenceOffset = rotated[REFERENCE_MIDI % 12];
+  pitchClassOffsets = rotated.map((offset) => offset - referenceOffset);
+}
+
+/**
+ * Map notes onto a Scala scale instead of the 12 notes of a temperament.
+ * Each mapped MIDI key plays one scale degree; frequencyToNote then reports
+ * the key nearest to the detected pitch.
+ * @param {import("./scala.js").Scale | null} scale - Parsed .scl file, or
+ *   null to return to 12-note mapping
+ * @param {import("./scala.js").KeyboardMapping | null} [mapping=null]
+ *   Parsed .kbm file; without one every key plays the next degree, degree 0
+ *   on middle C and A4 on the reference frequency
+ * @returns {void}
+ * @throws {RangeError} If the mapping's reference key plays no degree
+ */
+export function setScale(scale, mapping = null) {
+  if (!scale) {
+    activeScale = null;
+    return;
+  }
+
+  const { steps } = scale;
+  const size = steps.length;
+  const period = steps[size - 1];
+
+  /**
+   * Pitch of a degree counted from degree 0, across periods.
+   * @param {number} degree
+   * @returns {number} Cents
+   */
+  const degreeCents = (degree) => {
+    const index = ((degree % size) + size) % size;
+    const periods = (degree - index) / size;
+    return periods * period + (index === 0 ? 0 : steps[index - 1]);
+  };
+
+  /**
+   * Degree played by a key (counted from degree 0 across periods).
+   * @param {number} key
+   * @returns {number | null} null if the key is unmapped
+   */
+  const keyDegree = (key) => {
+    if (!mapping) return key - DEFAULT_MIDDLE_NOTE;
+    if (key < mapping.firstNote || key > mapping.lastNote) return null;
+    const offset = key - mapping.middleNote;
+    if (mapping.size === 0) return offset;
+
+    const slot = ((offset % mapping.size) + mapping.size) % mapping.size;
+    const repetitions = (offset - slot) / mapping.size;
+    const degree = mapping.mapping[slot];
+    return degree === null || degree === undefined
+      ? null
+      : repetitions * mapping.octaveDegree + degree;
+  };
+
+  const referenceNote = mapping ? mapping.referenceNote : REFERENCE_MIDI;
+  const referenceDegree = keyDegree(referenceNote);
+  if (referenceDegree === null) {
+    throw new RangeError(
+      `Reference key ${referenceNote} is not mapped to a scale degree`,
+    );
+  }
+  const referenceCents = degreeCents(referenceDegree);
+
+  const keys = [];
+  for (let key = 0; key <= 127; key++) {
+    const degree = keyDegree(key);
+    if (degree === null) continue;
+    const index = ((degree % size) + size) % size;
+    keys.push({
+      midiNote: key,
+      degree: index,
+      period: MIDDLE_PERIOD + (degree - index) / size,
+      cents: degreeCents(degree) - referenceCents,
+    });
+  }
+
+  activeScale = {
+    keys,
+    referenceFrequency: mapping ? mapping.referenceFrequency : null,
+  };
+}
+
+/**
+ * @typedef {NonNullable<typeof activeScale>["keys"][number]} ScaleKey
+ */
+
+/**
+ * Find a key of a Scala scale.
+ * @param {number} midiNote - MIDI note number (integer)
+ * @param {NonNullable<typeof activeScale>} scale
+ * @returns {ScaleKey | null} null if the key is unmapped
+ */
+function findScaleKey(midiNote, scale) {
+  return scale.keys.find((key) => key.midiNote === midiNote) ?? null;
+}
+
+/**
+ * Display name of a scale key: degree and period, e.g. "3 (4)".
+ * @param {ScaleKey} key
+ * @returns {string}
+ */
+function scaleKeyName(key) {
+  return `${key.degree} (${key.period})`;
+}
+
+/**
+ * Pitch of a scale key.
+ * @param {ScaleKey} key
+ * @param {NonNullable<typeof activeScale>} scale
+ * @returns {number} Frequency in Hz
+ */
+function scaleKeyFrequency(key, scale) {
+  const reference = scale.referenceFrequency ?? referenceFrequency;
+  return reference * 2 ** (key.cents / 1200);
+}
+
+/**
+ * Map a frequency onto the nearest key of the active Scala scale.
+ * @param {number} frequency - Frequency in Hz (> 0)
+ * @param {NonNullable<typeof activeScale>} scale
+ * @returns {ReturnType<typeof frequencyToNote>}
+ */
+function frequencyToScaleDegree(frequency, scale) {
+  const reference = scale.referenceFrequency ?? referenceFrequency;
+  const cents = 1200 * Math.log2(frequency / reference);
+
+  let nearest = null;
+  for (const key of scale.keys) {
+    if (
+      !nearest ||
+      Math.abs(cents - key.cents) < Math.abs(cents - nearest.cents)
+    ) {
+      nearest = key;
+    }
+  }
+  if (!nearest) return null;
+
+  const deviation = cents - nearest.cents;
+  const name = String(nearest.degree);
+  return {
+    name, // scale degree (0 = 1/1)
+    octave: nearest.period, // period, numbered like octaves
+    cents: deviation,
+    frequency,
+    targetFrequency: scaleKeyFrequency(nearest, scale),
+    midiNote: nearest.midiNote, // key playing the degree
+    displayName: scaleKeyName(nearest),
+    inTune: Math.abs(deviation) < 5,
+    almostInTune: Math.abs(deviation) < 20,
+  };
+}
+
+/**
+ * Convert frequency to note with cents offset.
+ * While a Scala scale is set (setScale), the nearest scale degree is
+ * returned instead: name is the degree, octave the period.
+ * Cents and target frequency are measured against the note as tuned in the
+ * active temperament (equal temperament unless setTemperament was called).
+ * Name, octave and displayName are written pitch in the naming convention
+ * set by setNoteNaming; midiNote is the sounding note.
  * @param {number} frequency - Frequency in Hz
  * @returns {{
  *   name: string,
@@ -96,23 +453,75 @@ export function frequencyToNote(frequency) {
   if (!frequency || frequency <= 0) {
     return null;
   }
+  if (activeScale) {
+    return frequencyToScaleDegree(frequency, activeScale);
+  }
 
-  const midiNote = frequencyToMidiNote(frequency);
-  const nearestMidiNote = Math.round(midiNote);
+  return describeNote(
+    frequency,
+    findNearestNote(frequencyToMidiNote(frequency)),
+  );
+}
 
-  const cents = 100 * (midiNote - nearestMidiNote);
+/**
+ * Measure a frequency against one given note instead of the nearest one,
+ * e.g. the string being tuned. The note is tuned in the active temperament;
+ * Scala scales don't apply, as the note is named by its MIDI number.
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} midiNote - Target note (MIDI number, integer)
+ * @returns {ReturnType<typeof frequencyToNote>} Note information with
+ *   cents from the target (may exceed ±50), or null if invalid frequency
+ */
+export function frequencyToTargetNote(frequency, midiNote) {
+  if (!frequency || frequency <= 0) {
+    return null;
+  }
+  return describeNote(frequency, midiNote);
+}
+
+/**
+ * Measure a frequency against an exact pitch rather than a note of the
+ * temperament, e.g. a pure interval above a drone.
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} midiNote - Note the pitch is named as (MIDI number,
+ *   integer)
+ * @param {number} targetFrequency - The pitch in Hz (> 0)
+ * @returns {ReturnType<typeof frequencyToNote>} Note information with
+ *   cents from the pitch, or null if invalid frequency
+ */
+export function frequencyToTargetPitch(frequency, midiNote, targetFrequency) {
+  if (!frequency || frequency <= 0) {
+    return null;
+  }
+  return describeNote(frequency, midiNote, targetFrequency);
+}
+
+/**
+ * Describe a frequency relative to a note as tuned in the active
+ * temperament, or to another pitch named as that note.
+ * @param {number} frequency - Frequency in Hz (> 0)
+ * @param {number} targetMidiNote - MIDI note number (integer)
+ * @param {number} [targetFrequency] - Pitch to measure against in Hz;
+ *   defaults to the note as tuned in the active temperament
+ * @returns {NonNullable<ReturnType<typeof frequencyToNote>>}
+ */
+function describeNote(
+  frequency,
+  targetMidiNote,
+  targetFrequency = midiNoteToFrequency(temperedMidiNote(targetMidiNote)),
+) {
+  const cents = 1200 * Math.log2(frequency / targetFrequency);
 
-  const { name, octave } = midiNoteToName(nearestMidiNote);
-  const targetFrequency = midiNoteToFrequency(nearestMidiNote);
+  const { name, octave, displayName } = midiNoteToName(targetMidiNote);
 
   return {
     name,
     octave,
-    cents, // -50 to +50 cents from target
+    cents, // about -50 to +50 cents from the nearest note
     frequency, // Detected frequency
     targetFrequency, // Expected frequency for the note
-    midiNote: nearestMidiNote, // rounded/target note
-    displayName: `${name}${octave}`,
+    midiNote: targetMidiNote, // rounded/target note (sounding)
+    displayName,
     inTune: Math.abs(cents) < 5,
     almostInTune: Math.abs(cents) < 20,
   };
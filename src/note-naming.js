@@ -0,0 +1,246 @@
+/**
+ * Note naming conventions.
+ *
+ * Turns MIDI note numbers into the names a player reads: letter names or
+ * German names (H for B, B for B♭), fixed-do or movable-do solfège, with
+ * sharps, flats or the accidentals of a key, in scientific (C4) or
+ * Helmholtz (c′) octave notation. Transposing instruments read written
+ * pitch: a B♭ trumpet sounding concert B♭3 reads C4.
+ */
+
+/** @typedef {"letter" | "german" | "solfege-fixed" | "solfege-movable"} NameSystem */
+/** @typedef {"sharps" | "flats" | "key"} Spelling */
+/** @typedef {"scientific" | "helmholtz"} OctaveStyle */
+
+/**
+ * @typedef {{
+ *   system: NameSystem,
+ *   spelling: Spelling,
+ *   octaves: OctaveStyle,
+ *   key: number,
+ *   transposition: number
+ * }} NoteNaming
+ *   system - letter, German, fixed-do or movable-do solfège names
+ *   spelling - black keys as sharps, as flats, or as the key signature has
+ *   octaves - scientific (C4 = middle C) or Helmholtz (c′ = middle C)
+ *   key - written key (0=C … 11=B, major), for key-aware spelling and
+ *     movable do
+ *   transposition - semitones from sounding to written pitch, e.g. 2 for a
+ *     B♭ instrument
+ */
+
+/** @type {readonly NameSystem[]} */
+export const NAME_SYSTEMS = Object.freeze([
+  "letter",
+  "german",
+  "solfege-fixed",
+  "solfege-movable",
+]);
+/** @type {readonly Spelling[]} */
+export const SPELLINGS = Object.freeze(["sharps", "flats", "key"]);
+/** @type {readonly OctaveStyle[]} */
+export const OCTAVE_STYLES = Object.freeze(["scientific", "helmholtz"]);
+
+// Transposition limits (semitones), enough for baritone and bass saxophones
+export const MIN_TRANSPOSITION = -24;
+export const MAX_TRANSPOSITION = 24;
+
+/** @type {Readonly<NoteNaming>} */
+export const DEFAULT_NOTE_NAMING = Object.freeze({
+  system: /** @type {NameSystem} */ ("letter"),
+  spelling: /** @type {Spelling} */ ("sharps"),
+  octaves: /** @type {OctaveStyle} */ ("scientific"),
+  key: 0,
+  transposition: 0,
+});
+
+/**
+ * Names of the 12 pitch classes per system, spelled with sharps and with
+ * flats. Movable-do names are counted from the key's tonic instead of C.
+ * @type {Record<NameSystem, {sharps: string[], flats: string[]}>}
+ */
+const PITCH_CLASS_NAMES = {
+  letter: {
+    sharps: ["C", "C♯", "D", "D♯", "E", "F", "F♯", "G", "G♯", "A", "A♯", "B"],
+    flats: ["C", "D♭", "D", "E♭", "E", "F", "G♭", "G", "A♭", "A", "B♭", "B"],
+  },
+  german: {
+    sharps: [
+      "C",
+      "Cis",
+      "D",
+      "Dis",
+      "E",
+      "F",
+      "Fis",
+      "G",
+      "Gis",
+      "A",
+      "Ais",
+      "H",
+    ],
+    flats: ["C", "Des", "D", "Es", "E", "F", "Ges", "G", "As", "A", "B", "H"],
+  },
+  "solfege-fixed": {
+    sharps: [
+      "Do",
+      "Do♯",
+      "Re",
+      "Re♯",
+      "Mi",
+      "Fa",
+      "Fa♯",
+      "Sol",
+      "Sol♯",
+      "La",
+      "La♯",
+      "Si",
+    ],
+    flats: [
+      "Do",
+      "Re♭",
+      "Re",
+      "Mi♭",
+      "Mi",
+      "Fa",
+      "Sol♭",
+      "Sol",
+      "La♭",
+      "La",
+      "Si♭",
+      "Si",
+    ],
+  },
+  "solfege-movable": {
+    sharps: [
+      "Do",
+      "Di",
+      "Re",
+      "Ri",
+      "Mi",
+      "Fa",
+      "Fi",
+      "Sol",
+      "Si",
+      "La",
+      "Li",
+      "Ti",
+    ],
+    flats: [
+      "Do",
+      "Ra",
+      "Re",
+      "Me",
+      "Mi",
+      "Fa",
+      "Se",
+      "Sol",
+      "Le",
+      "La",
+      "Te",
+      "Ti",
+    ],
+  },
+};
+
+// Major keys whose signature has flats: D♭, E♭, F, A♭, B♭ (F♯ uses sharps)
+const FLAT_KEYS = [1, 3, 5, 8, 10];
+
+/**
+ * Merge partial naming options over a base set and validate the result.
+ * @param {Partial<NoteNaming>} [naming] - Fields to override
+ * @param {Readonly<NoteNaming>} [base] - Values for missing fields
+ * @returns {NoteNaming}
+ * @throws {RangeError} If a value is out of range
+ */
+export function resolveNoteNaming(naming = {}, base = DEFAULT_NOTE_NAMING) {
+  const resolved = { ...base, ...naming };
+
+  if (!NAME_SYSTEMS.includes(resolved.system)) {
+    throw new RangeError(
+      `Name system must be one of ${NAME_SYSTEMS.join(", ")}, got ${resolved.system}`,
+    );
+  }
+  if (!SPELLINGS.includes(resolved.spelling)) {
+    throw new RangeError(
+      `Spelling must be one of ${SPELLINGS.join(", ")}, got ${resolved.spelling}`,
+    );
+  }
+  if (!OCTAVE_STYLES.includes(resolved.octaves)) {
+    throw new RangeError(
+      `Octave style must be one of ${OCTAVE_STYLES.join(", ")}, got ${resolved.octaves}`,
+    );
+  }
+  if (
+    !Number.isInteger(resolved.key) ||
+    resolved.key < 0 ||
+    resolved.key > 11
+  ) {
+    throw new RangeError(
+      `Key must be a pitch class from 0 to 11, got ${resolved.key}`,
+    );
+  }
+  if (
+    !Number.isInteger(resolved.transposition) ||
+    resolved.transposition < MIN_TRANSPOSITION ||
+    resolved.transposition > MAX_TRANSPOSITION
+  ) {
+    throw new RangeError(
+      `Transposition must be a whole number of semitones between ${MIN_TRANSPOSITION} and ${MAX_TRANSPOSITION}, got ${resolved.transposition}`,
+    );
+  }
+
+  return {
+    system: resolved.system,
+    spelling: resolved.spelling,
+    octaves: resolved.octaves,
+    key: resolved.key,
+    transposition: resolved.transposition,
+  };
+}
+
+/**
+ * Octave written in Helmholtz notation: from c (the octave below middle C)
+ * upwards names are lower case with a prime per octave (c′ = middle C),
+ * below it upper case with a comma per octave (C, = C1).
+ * @param {string} name - Pitch class name
+ * @param {number} octave - Scientific octave number
+ * @returns {string}
+ */
+function toHelmholtz(name, octave) {
+  if (octave >= 3) {
+    return name.toLowerCase() + "′".repeat(octave - 3);
+  }
+  return name + ",".repeat(2 - octave);
+}
+
+/**
+ * Name a note as written for the player.
+ * @param {number} midiNote - Sounding MIDI note number (integer)
+ * @param {Readonly<NoteNaming>} [naming]
+ * @returns {{name: string, octave: number, displayName: string}} Name of
+ *   the pitch class, scientific octave number and the full name to show,
+ *   all of the written note
+ */
+export function nameNote(midiNote, naming = DEFAULT_NOTE_NAMING) {
+  const written = midiNote + naming.transposition;
+  const pitchClass = ((written % 12) + 12) % 12;
+  const octave = Math.floor(written / 12) - 1;
+
+  const flats =
+    naming.spelling === "flats" ||
+    (naming.spelling === "key" && FLAT_KEYS.includes(naming.key));
+  const names = PITCH_CLASS_NAMES[naming.system][flats ? "flats" : "sharps"];
+  const name =
+    names[
+      naming.system === "solfege-movable"
+        ? (pitchClass - naming.key + 12) % 12
+        : pitchClass
+    ];
+
+  const displayName =
+    naming.octaves === "helmholtz"
+      ? toHelmholtz(name, octave)
+      : `${name}${octave}`;
+  return { name, octave, displayName };
+}
@@ -0,0 +1,69 @@
+/**
+ * Tracks the last stable pitch that the detectors use for octave-error
+ * correction (the `previousFrequency` argument of a DetectFunction).
+ *
+ * Shared by the live pitch processor worklet and the offline pitch track so
+ * both follow a note the same way.
+ */
+
+// The previous stable pitch is forgotten after this many unvoiced
+// detections
+const CONTINUITY_RESET_DETECTIONS = 10;
+// A correction that keeps firing this many times in a row is taken as a
+// real note change. An octave error comes and goes from one hop to the
+// next; a raw estimate that disagrees for three hops (~70 ms) is a new note.
+export const NOTE_CHANGE_DETECTIONS = 3;
+
+export class PitchContinuity {
+  constructor() {
+    /**
+     * Last stable pitch in Hz, or null when there is none.
+     * @type {number | null}
+     */
+    this.previousFrequency = null;
+    /** @type {number} */
+    this.unvoicedCount = 0;
+    /** @type {number} */
+    this.correctionCount = 0;
+  }
+
+  /**
+   * Forget the stable pitch (e.g. after seeking in a recording).
+   * @returns {void}
+   */
+  reset() {
+    this.previousFrequency = null;
+    this.unvoicedCount = 0;
+    this.correctionCount = 0;
+  }
+
+  /**
+   * Remember the last stable pitch for the detector's octave correction.
+   * @param {import("./pitch-detectors.js").PitchDetection | null} detection
+   * @returns {void}
+   */
+  update(detection) {
+    if (!detection || !detection.voiced) {
+      this.unvoicedCount++;
+      if (this.unvoicedCount >= CONTINUITY_RESET_DETECTIONS) {
+        this.previousFrequency = null;
+      }
+      return;
+    }
+    this.unvoicedCount = 0;
+
+    if (!detection.corrected) {
+      this.correctionCount = 0;
+      this.previousFrequency = detection.frequency;
+      return;
+    }
+
+    // A raw estimate that keeps disagreeing is a new note, not an error:
+    // drop the reference so the next detection is taken as is
+    this.correctionCount++;
+    if (this.correctionCount >= NOTE_CHANGE_DETECTIONS) {
+      this.correctionCount = 0;
+      this.previousFrequency = null;
+    }
+  }
+}
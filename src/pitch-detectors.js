@@ -0,0 +1,87 @@
+/**
+ * Pitch detector registry.
+ *
+ * Every detector shares one interface: it takes a waveform, its sample rate
+ * and the frequency range to search, and returns a PitchDetection (or null
+ * when no pitch is found). Detectors are looked up by id, so the worklet and
+ * the settings UI only ever deal with ids.
+ */
+
+import { detectPitch as detectPitchYIN } from "./yin-algorithm.js";
+import { detectPitch as detectPitchMPM } from "./mcleod-algorithm.js";
+
+/**
+ * @typedef {{
+ *   frequency: number,
+ *   confidence: number,
+ *   clarity: number,
+ *   voiced: boolean,
+ *   corrected: boolean
+ * }} PitchDetection
+ *   frequency - detected fundamental in Hz
+ *   confidence - 0 (no trust) to 1 (certain), same scale for every detector
+ *   clarity - how periodic the signal is, 0 (noise) to 1 (pure tone)
+ *   voiced - detector's voiced/unvoiced decision (level and periodicity)
+ *   corrected - the detector overrode its raw estimate (octave/fifth error
+ *     correction against the previous stable pitch)
+ */
+
+/**
+ * @typedef {(
+ *   waveform: Float32Array,
+ *   sampleRate: number,
+ *   range?: {minFrequency: number, maxFrequency: number},
+ *   options?: import("./voicing.js").DetectorOptions,
+ *   previousFrequency?: number | null
+ * ) => PitchDetection | null} DetectFunction
+ */
+
+/**
+ * @typedef {{label: string, detect: DetectFunction}} PitchDetector
+ */
+
+/** @type {Map<string, PitchDetector>} */
+const detectors = new Map();
+
+export const DEFAULT_DETECTOR = "yin";
+
+/**
+ * Add a detector to the registry (or replace one with the same id).
+ * @param {string} id - Stable identifier stored in settings
+ * @param {PitchDetector} detector
+ * @returns {void}
+ */
+export function registerDetector(id, detector) {
+  if (typeof detector.detect !== "function") {
+    throw new TypeError(`Detector "${id}" must provide a detect() function`);
+  }
+  detectors.set(id, detector);
+}
+
+/**
+ * Look up a detector by id.
+ * @param {string} id
+ * @returns {PitchDetector}
+ * @throws {RangeError} If no detector is registered under that id
+ */
+export function getDetector(id) {
+  const detector = detectors.get(id);
+  if (!detector) {
+    throw new RangeError(`Unknown pitch detector: ${id}`);
+  }
+  return detector;
+}
+
+/**
+ * List registered detectors in registration order.
+ * @returns {{id: string, label: string}[]}
+ */
+export function listDetectors() {
+  return Array.from(detectors, ([id, { label }]) => ({ id, label }));
+}
+
+// ── built-in detectors ──
+// YIN copes well with plucked strings and strong harmonics; MPM tracks
+// voice and other signals with weak fundamentals more smoothly.
+registerDetector("yin", { label: "YIN", detect: detectPitchYIN });
+registerDetector("mpm", { label: "McLeod (MPM)", detect: detectPitchMPM });
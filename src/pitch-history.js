@@ -0,0 +1,121 @@
+/**
+ * Recent pitch readings for the history graph.
+ *
+ * Keeps the last HISTORY_SECONDS of displayed readings, in cents from
+ * their target note, and splits them into runs that can be drawn as one
+ * line: a run ends where the note changes or nothing was detected (a
+ * pause), so the graph never bridges a silence or joins two notes.
+ */
+
+/** Seconds of history kept and shown */
+export const HISTORY_SECONDS = 10;
+/** Readings further apart than this (s) are not joined */
+const MAX_GAP = 0.25;
+
+/**
+ * @typedef {{time: number, cents: number, midiNote: number, name: string} | {time: number, cents: null}} HistoryPoint
+ *   time - audio-clock time of the reading (s)
+ *   cents - deviation from the target note, null for no reading (pause)
+ *   midiNote, name - the target note and its displayed name
+ */
+
+/**
+ * @typedef {{
+ *   midiNote: number,
+ *   name: string,
+ *   noteChange: boolean,
+ *   points: {time: number, cents: number}[]
+ * }} HistorySegment
+ *   midiNote, name - the note of this run
+ *   noteChange - whether the run starts a different note than the one
+ *     before it (or is the first), so it gets a marker
+ *   points - readings in time order
+ */
+
+/** @type {HistoryPoint[]} */
+let points = [];
+
+/**
+ * Forget the history, e.g. when tuning starts again.
+ * @returns {void}
+ */
+export function clearHistory() {
+  points = [];
+}
+
+/**
+ * Record one reading. Called once per detection hop.
+ * @param {number} time - Audio-clock time of the reading in seconds
+ * @param {{cents: number, midiNote: number, displayName: string} | null} note
+ *   The reading as displayed, or null if nothing (live) was detected
+ * @returns {void}
+ */
+export function addHistoryPoint(time, note) {
+  // a new audio context starts its clock at 0 again
+  if (points.length > 0 && time < points[points.length - 1].time) {
+    clearHistory();
+  }
+
+  points.push(
+    note
+      ? {
+          time,
+          cents: note.cents,
+          midiNote: note.midiNote,
+          name: note.displayName,
+        }
+      : { time, cents: null },
+  );
+
+  const start = time - HISTORY_SECONDS;
+  let expired = 0;
+  while (expired < points.length - 1 && points[expired + 1].time <= start) {
+    expired++;
+  }
+  if (expired > 0) points.splice(0, expired);
+}
+
+/**
+ * Time of the latest reading, which the graph scrolls with.
+ * @returns {number | null} Seconds, or null if there is no history
+ */
+export function getHistoryEnd() {
+  return points.length > 0 ? points[points.length - 1].time : null;
+}
+
+/**
+ * The history as drawable runs, oldest first.
+ * @returns {HistorySegment[]}
+ */
+export function getHistorySegments() {
+  /** @type {HistorySegment[]} */
+  const segments = [];
+  /** @type {HistorySegment | null} */
+  let current = null;
+  let previousTime = -Infinity;
+  let previousNote = -1;
+
+  for (const point of points) {
+    if (point.cents === null) {
+      current = null;
+    } else {
+      if (
+        !current ||
+        current.midiNote !== point.midiNote ||
+        point.time - previousTime > MAX_GAP
+      ) {
+        current = {
+          midiNote: point.midiNote,
+          name: point.name,
+          noteChange: point.midiNote !== previousNote,
+          points: [],
+        };
+        segments.push(current);
+        previousNote = point.midiNote;
+      }
+      current.points.push({ time: point.time, cents: point.cents });
+    }
+    previousTime = point.time;
+  }
+  return segments;
+}
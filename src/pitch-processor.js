@@ -0,0 +1,381 @@
+/**
+ * AudioWorklet processor that runs pitch detection on the audio thread.
+ *
+ * Raw input samples are collected into a circular buffer sized for the
+ * pitch range being searched (see getWindowSize). Every `hopSize` samples
+ * the latest window is passed to the selected detector (see
+ * pitch-detectors.js) together with that range and the result is posted to
+ * the main thread as
+ *   { type: "detection", detection, level, time }
+ * where `detection` is the detector output (or null), `level` is the RMS of
+ * the newest hop (for the level meter and noise gate) and `time` is the
+ * audio-clock time (seconds) at the end of the analysed window.
+ *
+ * A `{ type: "reset" }` message discards buffered audio and pitch history.
+ * A `{ type: "configure" }` message that fails validation is ignored and
+ * answered with `{ type: "configureError", error }`, the error's message.
+ *
+ * While strum targets are configured (the open strings' frequencies), a
+ * longer frame is also kept and every STRUM_HOP_SIZE samples it is posted
+ * as
+ *   { type: "strumFrame", frame, targets, time }
+ * for strum-worker.js to measure all strings at once: the FFT that takes
+ * is too slow for a render quantum. The frame's buffer is transferred, and
+ * the main thread sends it back as `{ type: "strumFrame", frame }` once it
+ * has been analysed, to be refilled. At most MAX_STRUM_FRAMES_OUT are out
+ * at a time; while they are, strum checks are skipped. A
+ * `{ type: "strumFramesLost" }` message (the worker failed) forgets the
+ * frames still out.
+ *
+ * Loaded with `audioContext.audioWorklet.addModule()` from audio-input.js.
+ */
+
+import { DEFAULT_DETECTOR, getDetector } from "./pitch-detectors.js";
+import { computeRMS, resolveDetectorOptions } from "./voicing.js";
+import { PitchContinuity } from "./pitch-continuity.js";
+import { getStrumWindowSize, validateStrumTargets } from "./strum-analysis.js";
+import {
+  DEFAULT_PITCH_RANGE,
+  getPitchRange,
+  getWindowSize,
+  validatePitchRange,
+} from "./pitch-range.js";
+
+const DEFAULT_HOP_SIZE = 1024; // samples
+const STRUM_HOP_SIZE = 4096; // samples between strum checks
+const MAX_STRUM_FRAMES_OUT = 2; // strum frames being analysed at once
+
+/**
+ * Globals provided by AudioWorkletGlobalScope (not part of the DOM lib).
+ * @type {{
+ *   AudioWorkletProcessor: new () => { port: MessagePort },
+ *   registerProcessor: (name: string, processor: Function) => void,
+ *   sampleRate: number,
+ *   currentTime: number
+ * }}
+ */
+const workletScope = /** @type {any} */ (globalThis);
+
+/**
+ * @typedef {{minFrequency: number, maxFrequency: number}} FrequencyRange
+ * @typedef {import("./voicing.js").DetectorOptions} DetectorOptions
+ */
+
+/**
+ * Validate a search range sent from the main thread.
+ * @param {FrequencyRange | undefined} value
+ * @param {FrequencyRange} fallback - Returned when value is missing
+ * @returns {FrequencyRange}
+ */
+function toFrequencyRange(value, fallback) {
+  if (value === undefined) return fallback;
+  return validatePitchRange(value);
+}
+
+/**
+ * Validate the strum targets sent from the main thread.
+ * @param {readonly number[] | null | undefined} value
+ * @param {readonly number[] | null} fallback - Returned when value is
+ *   missing
+ * @returns {readonly number[] | null} null when strum checks are off
+ */
+function toStrumTargets(value, fallback) {
+  if (value === undefined) return fallback;
+  if (value === null) return null;
+  return validateStrumTargets(value);
+}
+
+/**
+ * Validate a positive integer sample count.
+ * @param {unknown} value
+ * @param {number} fallback - Returned when value is missing
+ * @param {string} label - Used in the error message
+ * @returns {number}
+ */
+function toSampleCount(value, fallback, label) {
+  if (value === undefined) return fallback;
+  if (typeof value !== "number" || !Number.isInteger(value) || value <= 0) {
+    throw new RangeError(`${label} must be a positive integer, got ${value}`);
+  }
+  return value;
+}
+
+class PitchProcessor extends workletScope.AudioWorkletProcessor {
+  /**
+   * @param {{processorOptions?: {hopSize?: number, range?: FrequencyRange, detector?: string, detectorOptions?: Partial<DetectorOptions>, strumTargets?: readonly number[] | null}}} [options]
+   */
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+
+    /** @type {number} */
+    this.hopSize = toSampleCount(
+      processorOptions.hopSize,
+      DEFAULT_HOP_SIZE,
+      "hopSize",
+    );
+    /** @type {import("./pitch-detectors.js").PitchDetector} */
+    this.detector = getDetector(processorOptions.detector ?? DEFAULT_DETECTOR);
+    /** @type {DetectorOptions} */
+    this.detectorOptions = resolveDetectorOptions(
+      processorOptions.detectorOptions,
+    );
+    /** @type {FrequencyRange} */
+    this.range = toFrequencyRange(
+      processorOptions.range,
+      getPitchRange(DEFAULT_PITCH_RANGE),
+    );
+    /** @type {Float32Array} */
+    this.ring = new Float32Array(0);
+    /** @type {Float32Array} */
+    this.frame = new Float32Array(0);
+    /** @type {number} */
+    this.writeIndex = 0;
+    /** @type {number} */
+    this.samplesBuffered = 0;
+    /** @type {number} */
+    this.samplesSinceDetection = 0;
+    /** Last stable pitch, for the detector's octave-error correction */
+    this.continuity = new PitchContinuity();
+    /** @type {readonly number[] | null} */
+    this.strumTargets = toStrumTargets(processorOptions.strumTargets, null);
+    /** @type {Float32Array} */
+    this.strumRing = new Float32Array(0);
+    /**
+     * Strum frames sent back after analysis, to be refilled
+     * @type {Float32Array[]}
+     */
+    this.spareStrumFrames = [];
+    /** @type {number} */
+    this.strumFramesOut = 0;
+    /** @type {number} */
+    this.strumWriteIndex = 0;
+    /** @type {number} */
+    this.strumSamplesBuffered = 0;
+    /** @type {number} */
+    this.samplesSinceStrum = 0;
+
+    this.resize(getWindowSize(this.range, workletScope.sampleRate));
+    this.resizeStrum();
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * Reallocate the analysis buffers and discard buffered audio.
+   * @param {number} windowSize - Analysis window in samples
+   * @returns {void}
+   */
+  resize(windowSize) {
+    this.ring = new Float32Array(windowSize);
+    this.frame = new Float32Array(windowSize);
+    this.writeIndex = 0;
+    this.samplesBuffered = 0;
+    this.samplesSinceDetection = 0;
+  }
+
+  /**
+   * (Re)allocate the strum ring, or free it while strum checks are off,
+   * and discard buffered audio. Spare frames of another size are dropped.
+   * @returns {void}
+   */
+  resizeStrum() {
+    const size = this.strumTargets
+      ? getStrumWindowSize(
+          workletScope.sampleRate,
+          Math.min(...this.strumTargets),
+        )
+      : 0;
+    if (size !== this.strumRing.length) {
+      this.strumRing = new Float32Array(size);
+      this.spareStrumFrames = [];
+    }
+    this.strumWriteIndex = 0;
+    this.strumSamplesBuffered = 0;
+    this.samplesSinceStrum = 0;
+  }
+
+  /**
+   * Handle a configuration, reset or returned strum frame message from the
+   * main thread.
+   * @param {{type: string, hopSize?: number, range?: FrequencyRange, detector?: string, detectorOptions?: Partial<DetectorOptions>, strumTargets?: readonly number[] | null, frame?: Float32Array}} message
+   * @returns {void}
+   */
+  handleMessage(message) {
+    if (!message) return;
+    if (message.type === "strumFrame") {
+      this.strumFramesOut = Math.max(0, this.strumFramesOut - 1);
+      if (message.frame && message.frame.length === this.strumRing.length) {
+        this.spareStrumFrames.push(message.frame);
+      }
+      return;
+    }
+    if (message.type === "strumFramesLost") {
+      this.strumFramesOut = 0;
+      return;
+    }
+    if (message.type === "reset") {
+      // the input jumped (e.g. a seek in a recording): drop old audio
+      this.resize(this.ring.length);
+      this.resizeStrum();
+      this.continuity.reset();
+      return;
+    }
+    if (message.type !== "configure") return;
+
+    // a throw here would only reach the worklet's processorerror event
+    try {
+      this.configure(message);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      this.port.postMessage({ type: "configureError", error: reason });
+    }
+  }
+
+  /**
+   * Apply a configuration message. Every field is validated before any is
+   * applied, so a rejected message changes nothing.
+   * @param {{hopSize?: number, range?: FrequencyRange, detector?: string, detectorOptions?: Partial<DetectorOptions>, strumTargets?: readonly number[] | null}} message
+   * @returns {void}
+   * @throws {RangeError} If a field is invalid
+   */
+  configure(message) {
+    const hopSize = toSampleCount(message.hopSize, this.hopSize, "hopSize");
+    const range = toFrequencyRange(message.range, this.range);
+    const detector =
+      message.detector !== undefined
+        ? getDetector(message.detector)
+        : this.detector;
+    const detectorOptions =
+      message.detectorOptions !== undefined
+        ? resolveDetectorOptions(message.detectorOptions, this.detectorOptions)
+        : this.detectorOptions;
+    const strumTargets = toStrumTargets(
+      message.strumTargets,
+      this.strumTargets,
+    );
+
+    this.hopSize = hopSize;
+    this.range = range;
+    this.detector = detector;
+    this.detectorOptions = detectorOptions;
+    if (message.strumTargets !== undefined) {
+      this.strumTargets = strumTargets;
+      this.resizeStrum();
+    }
+
+    // a lower bottom note needs a longer window, a higher one a shorter
+    const windowSize = getWindowSize(this.range, workletScope.sampleRate);
+    if (windowSize !== this.ring.length) {
+      this.resize(windowSize);
+    }
+  }
+
+  /**
+   * Called by the audio thread for every 128-sample render quantum.
+   * @param {Float32Array[][]} inputs
+   * @returns {boolean} true to keep the processor alive
+   */
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels || channels.length === 0) return true;
+
+    const quantumLength = channels[0].length;
+    const windowSize = this.ring.length;
+
+    for (let i = 0; i < quantumLength; i++) {
+      // Down-mix to mono the same way an AnalyserNode would
+      let sample = 0;
+      for (let c = 0; c < channels.length; c++) {
+        sample += channels[c][i];
+      }
+      this.ring[this.writeIndex] = sample / channels.length;
+      this.writeIndex = (this.writeIndex + 1) % windowSize;
+      if (this.strumTargets) {
+        this.bufferStrum(sample / channels.length, this.strumTargets, i + 1);
+      }
+
+      if (this.samplesBuffered < windowSize) this.samplesBuffered++;
+      this.samplesSinceDetection++;
+
+      if (
+        this.samplesBuffered === windowSize &&
+        this.samplesSinceDetection >= this.hopSize
+      ) {
+        this.samplesSinceDetection = 0;
+        this.detect(i + 1);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Unroll the circular buffer into a time-ordered frame and detect pitch.
+   * @param {number} quantumOffset - Samples of the current render quantum
+   *   already written, used to timestamp the end of the analysed window
+   * @returns {void}
+   */
+  detect(quantumOffset) {
+    const tail = this.ring.subarray(this.writeIndex);
+    this.frame.set(tail);
+    this.frame.set(this.ring.subarray(0, this.writeIndex), tail.length);
+
+    const detection = this.detector.detect(
+      this.frame,
+      workletScope.sampleRate,
+      this.range,
+      this.detectorOptions,
+      this.continuity.previousFrequency,
+    );
+    this.continuity.update(detection);
+    const time =
+      workletScope.currentTime + quantumOffset / workletScope.sampleRate;
+
+    // level of the samples that arrived since the previous detection
+    const hopStart = Math.max(0, this.frame.length - this.hopSize);
+    const level = computeRMS(this.frame.subarray(hopStart));
+
+    this.port.postMessage({ type: "detection", detection, level, time });
+  }
+
+  /**
+   * Add one sample to the strum ring and post a frame for the strings to be
+   * checked every STRUM_HOP_SIZE samples once it is full.
+   * @param {number} sample - Down-mixed input sample
+   * @param {readonly number[]} targets - Open strings' frequencies (Hz)
+   * @param {number} quantumOffset - Samples of the current render quantum
+   *   written, including this one
+   * @returns {void}
+   */
+  bufferStrum(sample, targets, quantumOffset) {
+    const size = this.strumRing.length;
+    this.strumRing[this.strumWriteIndex] = sample;
+    this.strumWriteIndex = (this.strumWriteIndex + 1) % size;
+    if (this.strumSamplesBuffered < size) this.strumSamplesBuffered++;
+    this.samplesSinceStrum++;
+    if (
+      this.strumSamplesBuffered < size ||
+      this.samplesSinceStrum < STRUM_HOP_SIZE
+    ) {
+      return;
+    }
+    this.samplesSinceStrum = 0;
+    // the analysis is behind: skip this check rather than queue frames
+    if (this.strumFramesOut >= MAX_STRUM_FRAMES_OUT) return;
+
+    // only allocates until the first frames come back
+    const frame = this.spareStrumFrames.pop() ?? new Float32Array(size);
+    const tail = this.strumRing.subarray(this.strumWriteIndex);
+    frame.set(tail);
+    frame.set(this.strumRing.subarray(0, this.strumWriteIndex), tail.length);
+    const time =
+      workletScope.currentTime + quantumOffset / workletScope.sampleRate;
+    this.strumFramesOut++;
+    this.port.postMessage({ type: "strumFrame", frame, targets, time }, [
+      frame.buffer,
+    ]);
+  }
+}
+
+workletScope.registerProcessor("pitch-processor", PitchProcessor);
@@ -0,0 +1,115 @@
+/**
+ * Pitch search ranges and the analysis window each one needs.
+ *
+ * Low registers need long windows (the buffer must hold several periods of
+ * the lowest note), while high registers can use short windows for a faster
+ * response. The detector is told which range it is searching so it does not
+ * waste time on lags outside it.
+ */
+
+// For context, the lowest note of 5 string bass is B0 = 30.9 Hz.
+// The highest note on a standard piano is C8 = 4186.01 Hz
+export const MIN_FREQUENCY = 27; // Hz
+export const MAX_FREQUENCY = 5000; // Hz
+
+// The window must hold at least this many periods of the lowest frequency:
+// one for the lag itself plus enough overlap for a stable comparison.
+const MIN_PERIODS_PER_WINDOW = 3;
+const MIN_WINDOW_SIZE = 1024; // samples
+const MAX_WINDOW_SIZE = 16384; // samples
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   minFrequency: number,
+ *   maxFrequency: number
+ * }} PitchRange
+ */
+
+/**
+ * Selectable ranges, keyed by the value used in the UI.
+ * @type {Record<string, PitchRange>}
+ */
+export const PITCH_RANGES = {
+  full: {
+    label: "Full (A0–C8)",
+    minFrequency: MIN_FREQUENCY,
+    maxFrequency: MAX_FREQUENCY,
+  },
+  bass: {
+    label: "Bass (A0–G4)",
+    minFrequency: MIN_FREQUENCY,
+    maxFrequency: 400,
+  },
+  guitar: {
+    label: "Guitar & voice (C2–C6)",
+    minFrequency: 60,
+    maxFrequency: 1100,
+  },
+  high: {
+    label: "High (C4–C8)",
+    minFrequency: 250,
+    maxFrequency: MAX_FREQUENCY,
+  },
+};
+
+export const DEFAULT_PITCH_RANGE = "full";
+
+/**
+ * Look up a range by key.
+ * @param {string} key - One of the PITCH_RANGES keys
+ * @returns {PitchRange}
+ * @throws {RangeError} If the key is unknown
+ */
+export function getPitchRange(key) {
+  // own keys only, so "constructor" & co. are unknown too
+  const range = Object.keys(PITCH_RANGES).includes(key)
+    ? PITCH_RANGES[key]
+    : null;
+  if (!range) {
+    throw new RangeError(`Unknown pitch range: ${key}`);
+  }
+  return range;
+}
+
+/**
+ * Check that a range is usable by the detector and strip any extra fields.
+ * @param {{minFrequency: number, maxFrequency: number}} range
+ * @returns {{minFrequency: number, maxFrequency: number}}
+ * @throws {RangeError} If the bounds are not ordered numbers within
+ *   MIN_FREQUENCY–MAX_FREQUENCY
+ */
+export function validatePitchRange(range) {
+  const { minFrequency, maxFrequency } = range;
+  if (
+    !(minFrequency >= MIN_FREQUENCY) ||
+    !(maxFrequency <= MAX_FREQUENCY) ||
+    maxFrequency <= minFrequency
+  ) {
+    throw new RangeError(
+      `Invalid pitch range: ${minFrequency}–${maxFrequency} Hz`,
+    );
+  }
+  return { minFrequency, maxFrequency };
+}
+
+/**
+ * Analysis window (in samples, a power of two) needed to detect down to the
+ * range's lowest frequency at the given sample rate.
+ *
+ * E.g. full range at 44.1 kHz: tauMax ≈ 1633 → 3 periods ≈ 4900 → 8192.
+ *
+ * @param {{minFrequency: number}} range - Range being searched
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Window size in samples
+ */
+export function getWindowSize(range, sampleRate) {
+  const longestPeriod = Math.ceil(sampleRate / range.minFrequency);
+  const required = longestPeriod * MIN_PERIODS_PER_WINDOW;
+
+  let windowSize = MIN_WINDOW_SIZE;
+  while (windowSize < required && windowSize < MAX_WINDOW_SIZE) {
+    windowSize *= 2;
+  }
+  return windowSize;
+}
@@ -0,0 +1,109 @@
+/**
+ * Pitch smoothing for the display.
+ *
+ * Works in semitone (MIDI) space rather than Hz, so the same amount of
+ * smoothing applies to every register and a cent is a cent everywhere.
+ *
+ * - Outliers: a frame more than NOTE_CHANGE_CENTS away from the current
+ *   estimate (a wrong-octave frame, a glitch) is held back. Only when
+ *   CONFIRM_FRAMES such frames in a row agree with each other is it a new
+ *   note: the filter then resets straight to their median.
+ * - Adaptive exponential filter: the smoothing factor grows with the
+ *   deviation, so a steady note is smoothed heavily while a slide or
+ *   vibrato is followed without lag.
+ */
+
+const NOTE_CHANGE_CENTS = 50; // beyond this a frame is a candidate jump
+const CONFIRM_FRAMES = 2; // consistent frames needed to accept a jump
+const CANDIDATE_SPREAD_CENTS = 50; // max spread among those frames
+const MIN_ALPHA = 0.15; // smoothing factor for a perfectly steady pitch
+const FULL_ALPHA_CENTS = 20; // deviation at which the filter stops smoothing
+
+/** @type {number | null} */
+let estimate = null; // semitones
+/** @type {number[]} */
+let candidates = []; // semitones
+
+/**
+ * Frequency to (floating) semitones relative to A4 = 440 Hz.
+ * The reference does not matter here; it is only a log scale.
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number}
+ */
+function toSemitones(frequency) {
+  return 69 + 12 * Math.log2(frequency / 440);
+}
+
+/**
+ * Inverse of toSemitones.
+ * @param {number} semitones
+ * @returns {number} Frequency in Hz
+ */
+function toFrequency(semitones) {
+  return 440 * 2 ** ((semitones - 69) / 12);
+}
+
+/**
+ * Median of a small numeric array.
+ * @param {number[]} values - Non-empty array
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Forget the current estimate. Call when a new note starts (attack) or the
+ * input changes (reference, detector, ...).
+ * @returns {void}
+ */
+export function resetSmoother() {
+  estimate = null;
+  candidates = [];
+}
+
+/**
+ * Feed one detected frequency and get the smoothed one.
+ * @param {number} frequency - Raw detected frequency in Hz (> 0)
+ * @returns {number} Smoothed frequency in Hz
+ */
+export function smoothPitch(frequency) {
+  const semitones = toSemitones(frequency);
+
+  if (estimate === null) {
+    estimate = semitones;
+    return frequency;
+  }
+
+  const deviationCents = 100 * (semitones - estimate);
+
+  if (Math.abs(deviationCents) > NOTE_CHANGE_CENTS) {
+    candidates.push(semitones);
+    if (candidates.length > CONFIRM_FRAMES) candidates.shift();
+
+    const spread = 100 * (Math.max(...candidates) - Math.min(...candidates));
+    if (
+      candidates.length === CONFIRM_FRAMES &&
+      spread <= CANDIDATE_SPREAD_CENTS
+    ) {
+      // A new note is clearly being played - jump to it
+      estimate = median(candidates);
+      candidates = [];
+    }
+    // Otherwise treat the frame as an outlier and keep the old estimate
+    return toFrequency(estimate);
+  }
+
+  candidates = [];
+
+  const alpha = Math.min(
+    1,
+    Math.max(MIN_ALPHA, Math.abs(deviationCents) / FULL_ALPHA_CENTS),
+  );
+  estimate += alpha * (semitones - estimate);
+  return toFrequency(estimate);
+}
@@ -0,0 +1,210 @@
+/**
+ * Offline pitch track over a whole recording.
+ *
+ * Runs a detector from the registry over the samples with the same window
+ * size, hop and octave-error correction as the live pitch processor, so a
+ * recording is read the way the tuner would have heard it. Uses no browser
+ * APIs.
+ */
+
+import { formatCsvRecord } from "./csv.js";
+import { DEFAULT_DETECTOR, getDetector } from "./pitch-detectors.js";
+import { PitchContinuity } from "./pitch-continuity.js";
+import {
+  DEFAULT_PITCH_RANGE,
+  getPitchRange,
+  getWindowSize,
+  validatePitchRange,
+} from "./pitch-range.js";
+import { computeRMS, resolveDetectorOptions } from "./voicing.js";
+import { frequencyToNote } from "./note-mapping.js";
+
+/**
+ * @typedef {{
+ *   time: number,
+ *   frequency: number,
+ *   confidence: number,
+ *   clarity: number,
+ *   voiced: boolean,
+ *   level: number
+ * }} PitchTrackPoint
+ *   time - centre of the analysed window, in seconds from the start
+ *   frequency - detected frequency in Hz (NaN when nothing was found)
+ *   confidence - detector confidence, 0..1
+ *   clarity - detector clarity, 0..1
+ *   voiced - whether the detector judged the frame voiced
+ *   level - RMS of the hop around the window centre
+ */
+
+/**
+ * @typedef {{
+ *   range?: {minFrequency: number, maxFrequency: number},
+ *   detector?: string,
+ *   detectorOptions?: Partial<import("./voicing.js").DetectorOptions>,
+ *   hopSize?: number,
+ *   windowSize?: number
+ * }} PitchTrackOptions
+ *   windowSize defaults to getWindowSize(range, sampleRate)
+ */
+
+const DEFAULT_HOP_SIZE = 1024; // samples, as in the live worklet
+// Frames analysed between yields to the event loop, so long recordings
+// don't freeze the page
+const FRAMES_PER_CHUNK = 32;
+
+/**
+ * Detect pitch over a whole recording.
+ * @async
+ * @param {Float32Array} samples - Mono time-domain samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {PitchTrackOptions} [options]
+ * @param {(fraction: number) => void} [onProgress] - Called between
+ *   chunks with the fraction of the recording analysed so far (0..1)
+ * @returns {Promise<PitchTrackPoint[]>} One point per hop, in time order
+ * @throws {RangeError} If an option is out of range
+ */
+export async function computePitchTrack(
+  samples,
+  sampleRate,
+  options = {},
+  onProgress,
+) {
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0) {
+    throw new RangeError(
+      `Sample rate must be a finite number > 0, got ${sampleRate}`,
+    );
+  }
+  const range = validatePitchRange(
+    options.range ?? getPitchRange(DEFAULT_PITCH_RANGE),
+  );
+  const detector = getDetector(options.detector ?? DEFAULT_DETECTOR);
+  const detectorOptions = resolveDetectorOptions(options.detectorOptions);
+  const hopSize = options.hopSize ?? DEFAULT_HOP_SIZE;
+  const windowSize = options.windowSize ?? getWindowSize(range, sampleRate);
+  if (!Number.isInteger(hopSize) || hopSize <= 0) {
+    throw new RangeError(`Hop size must be a positive integer, got ${hopSize}`);
+  }
+  if (!Number.isInteger(windowSize) || windowSize <= 0) {
+    throw new RangeError(
+      `Window size must be a positive integer, got ${windowSize}`,
+    );
+  }
+
+  const continuity = new PitchContinuity();
+  /** @type {PitchTrackPoint[]} */
+  const track = [];
+  const lastStart = samples.length - windowSize;
+
+  for (let start = 0; start <= lastStart; start += hopSize) {
+    const frame = samples.subarray(start, start + windowSize);
+    const detection = detector.detect(
+      frame,
+      sampleRate,
+      range,
+      detectorOptions,
+      continuity.previousFrequency,
+    );
+    continuity.update(detection);
+
+    const centre = start + windowSize / 2;
+    const hopStart = Math.max(0, Math.round(centre - hopSize / 2));
+
+    track.push({
+      time: centre / sampleRate,
+      frequency: detection ? detection.frequency : NaN,
+      confidence: detection ? detection.confidence : 0,
+      clarity: detection ? detection.clarity : 0,
+      voiced: detection ? detection.voiced : false,
+      level: computeRMS(samples.subarray(hopStart, hopStart + hopSize)),
+    });
+
+    if (track.length % FRAMES_PER_CHUNK === 0) {
+      if (onProgress) onProgress(start / Math.max(1, lastStart));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  if (onProgress) onProgress(1);
+  return track;
+}
+
+/**
+ * Reduce multichannel audio to the mono signal that is analysed.
+ * @param {Float32Array[]} channels - One array per channel, equal lengths
+ * @param {import("./capture-settings.js").CaptureChannel} [channel="sum"]
+ *   "sum" averages all channels; "left" / "right" pick one (a mono
+ *   recording is used as is)
+ * @returns {Float32Array}
+ */
+export function selectChannel(channels, channel = "sum") {
+  if (channels.length === 0) return new Float32Array(0);
+  if (channels.length === 1) return channels[0];
+  if (channel === "left") return channels[0];
+  if (channel === "right") return channels[1];
+
+  const mono = new Float32Array(channels[0].length);
+  for (const data of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += data[i];
+    }
+  }
+  for (let i = 0; i < mono.length; i++) {
+    mono[i] /= channels.length;
+  }
+  return mono;
+}
+
+/**
+ * @typedef {{
+ *   time: number,
+ *   frequency: number | null,
+ *   confidence: number,
+ *   voiced: boolean,
+ *   note: string | null,
+ *   cents: number | null
+ * }} PitchTrackRow
+ */
+
+/**
+ * Describe each point of a pitch track with its note name and cents
+ * (relative to the current reference frequency). Unvoiced points keep
+ * their time and confidence with the pitch fields set to null.
+ * @param {PitchTrackPoint[]} track
+ * @returns {PitchTrackRow[]}
+ */
+export function toPitchTrackRows(track) {
+  return track.map((point) => {
+    const note = point.voiced ? frequencyToNote(point.frequency) : null;
+    return {
+      time: point.time,
+      frequency: note ? point.frequency : null,
+      confidence: point.confidence,
+      voiced: point.voiced,
+      note: note ? note.displayName : null,
+      cents: note ? note.cents : null,
+    };
+  });
+}
+
+/**
+ * Format a pitch track as CSV (see toPitchTrackRows); unvoiced points have
+ * empty pitch columns, and note names with commas (Helmholtz) are quoted.
+ * @param {PitchTrackPoint[]} track
+ * @returns {string} CSV text with a header row
+ */
+export function pitchTrackToCsv(track) {
+  const lines = ["time,frequency,confidence,voiced,note,cents"];
+  for (const row of toPitchTrackRows(track)) {
+    lines.push(
+      formatCsvRecord([
+        row.time.toFixed(3),
+        row.frequency === null ? "" : row.frequency.toFixed(2),
+        row.confidence.toFixed(3),
+        row.voiced ? 1 : 0,
+        row.note ?? "",
+        row.cents === null ? "" : row.cents.toFixed(1),
+      ]),
+    );
+  }
+  return lines.join("\n") + "\n";
+}
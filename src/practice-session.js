@@ -0,0 +1,393 @@
+/**
+ * Intonation practice sessions.
+ *
+ * While a session runs, every stable note is logged as one event: its
+ * name, mean and standard deviation in cents, how long it was held and
+ * when. Sessions are summarised per note ("your F♯4 is on average 12 cents
+ * sharp") and travel as CSV or JSON; see session-store.js for keeping them.
+ */
+
+import { formatCsvRecord, parseCsvRecord } from "./csv.js";
+
+/** Notes held for less than this (s) are not logged */
+export const MIN_NOTE_DURATION = 0.3;
+/** Readings further apart than this (s) belong to separate notes */
+const MAX_GAP = 0.25;
+/** Value of the "format" field of exported JSON */
+const JSON_FORMAT = "justtuner-session";
+const JSON_VERSION = 1;
+const CSV_HEADER = "timestamp,note,midi_note,mean_cents,sd_cents,duration";
+
+/**
+ * @typedef {{
+ *   timestamp: number,
+ *   name: string,
+ *   midiNote: number,
+ *   meanCents: number,
+ *   sdCents: number,
+ *   duration: number
+ * }} NoteEvent
+ *   timestamp - when the note started (ms since the epoch)
+ *   name, midiNote - the note as displayed and its MIDI number
+ *   meanCents, sdCents - mean and standard deviation of the readings
+ *   duration - seconds the note was held
+ */
+
+/**
+ * @typedef {{id?: number, startedAt: number, endedAt: number, notes: NoteEvent[]}} Session
+ *   id - key in the session store, once saved
+ *   startedAt, endedAt - ms since the epoch
+ *   notes - logged notes in the order played
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   midiNote: number,
+ *   count: number,
+ *   duration: number,
+ *   meanCents: number,
+ *   sdCents: number
+ * }} NoteSummary
+ *   count - times the note was played
+ *   duration - seconds held in total
+ *   meanCents, sdCents - over all its readings (weighted by duration)
+ */
+
+/**
+ * The session being recorded, or null.
+ * @type {Session | null}
+ */
+let session = null;
+/** Audio-clock time (s) of the first reading, null before it */
+let audioStart = /** @type {number | null} */ (null);
+/**
+ * Readings of the note being held.
+ * @type {{midiNote: number, name: string, start: number, last: number, count: number, sum: number, sumSquares: number} | null}
+ */
+let current = null;
+
+/**
+ * Start recording a session, replacing one in progress.
+ * @param {number} startedAt - Wall-clock time (ms since the epoch)
+ * @returns {void}
+ */
+export function startSession(startedAt) {
+  session = { startedAt, endedAt: startedAt, notes: [] };
+  audioStart = null;
+  current = null;
+}
+
+/**
+ * Whether a session is being recorded.
+ * @returns {boolean}
+ */
+export function isSessionActive() {
+  return session !== null;
+}
+
+/**
+ * Log the held note if it lasted long enough.
+ * @returns {void}
+ */
+function closeNote() {
+  if (!session || !current || audioStart === null) return;
+  const duration = current.last - current.start;
+  if (duration >= MIN_NOTE_DURATION) {
+    const mean = current.sum / current.count;
+    session.notes.push({
+      timestamp: Math.round(
+        session.startedAt + (current.start - audioStart) * 1000,
+      ),
+      name: current.name,
+      midiNote: current.midiNote,
+      meanCents: mean,
+      sdCents: Math.sqrt(
+        Math.max(0, current.sumSquares / current.count - mean * mean),
+      ),
+      duration,
+    });
+  }
+  current = null;
+}
+
+/**
+ * Record one reading. Called once per detection hop while a session runs.
+ * @param {{cents: number, midiNote: number, displayName: string} | null} note
+ *   A stable reading, or null when nothing (live) was detected
+ * @param {number} time - Audio-clock time of the reading in seconds
+ * @returns {void}
+ */
+export function recordReading(note, time) {
+  if (!session) return;
+  if (audioStart === null) audioStart = time;
+
+  if (
+    current &&
+    (!note ||
+      note.midiNote !== current.midiNote ||
+      time - current.last > MAX_GAP)
+  ) {
+    closeNote();
+  }
+  if (!note) return;
+
+  current ??= {
+    midiNote: note.midiNote,
+    name: note.displayName,
+    start: time,
+    last: time,
+    count: 0,
+    sum: 0,
+    sumSquares: 0,
+  };
+  current.last = time;
+  current.count++;
+  current.sum += note.cents;
+  current.sumSquares += note.cents * note.cents;
+}
+
+/**
+ * Stop recording.
+ * @param {number} endedAt - Wall-clock time (ms since the epoch)
+ * @returns {Session | null} The recorded session, or null if none ran
+ */
+export function endSession(endedAt) {
+  closeNote();
+  const finished = session;
+  session = null;
+  if (finished) finished.endedAt = endedAt;
+  return finished;
+}
+
+/**
+ * Summarise a session per note, lowest note first.
+ * @param {Session} recorded
+ * @returns {NoteSummary[]}
+ */
+export function summarizeSession(recorded) {
+  /** @type {Map<number, {name: string, count: number, duration: number, sum: number, sumSquares: number}>} */
+  const byNote = new Map();
+  for (const event of recorded.notes) {
+    const entry = byNote.get(event.midiNote) ?? {
+      name: event.name,
+      count: 0,
+      duration: 0,
+      sum: 0,
+      sumSquares: 0,
+    };
+    entry.count++;
+    entry.duration += event.duration;
+    entry.sum += event.duration * event.meanCents;
+    entry.sumSquares +=
+      event.duration * (event.sdCents ** 2 + event.meanCents ** 2);
+    byNote.set(event.midiNote, entry);
+  }
+
+  return Array.from(byNote, ([midiNote, entry]) => {
+    const meanCents = entry.duration > 0 ? entry.sum / entry.duration : 0;
+    const variance =
+      entry.duration > 0
+        ? entry.sumSquares / entry.duration - meanCents ** 2
+        : 0;
+    return {
+      name: entry.name,
+      midiNote,
+      count: entry.count,
+      duration: entry.duration,
+      meanCents,
+      sdCents: Math.sqrt(Math.max(0, variance)),
+    };
+  }).sort((a, b) => a.midiNote - b.midiNote);
+}
+
+/**
+ * One sentence about a note's intonation.
+ * @param {NoteSummary} summary
+ * @returns {string} E.g. "Your F♯4 is on average 12 cents sharp (±4 cents,
+ *   played 3 times for 5.2 s)"
+ */
+export function describeNoteSummary(summary) {
+  const cents = Math.round(summary.meanCents);
+  const average =
+    cents === 0
+      ? "in tune"
+      : `${Math.abs(cents)} cents ${cents > 0 ? "sharp" : "flat"}`;
+  const times = summary.count === 1 ? "once" : `${summary.count} times`;
+  return (
+    `Your ${summary.name} is on average ${average} ` +
+    `(±${Math.round(summary.sdCents)} cents, played ${times} for ${summary.duration.toFixed(1)} s)`
+  );
+}
+
+/**
+ * Format a session as CSV, one row per note. Note names with commas (as in
+ * Helmholtz notation) are quoted.
+ * @param {Session} recorded
+ * @returns {string} CSV text with a header row
+ */
+export function sessionToCsv(recorded) {
+  const lines = [CSV_HEADER];
+  for (const event of recorded.notes) {
+    lines.push(
+      formatCsvRecord([
+        new Date(event.timestamp).toISOString(),
+        event.name,
+        event.midiNote,
+        event.meanCents.toFixed(2),
+        event.sdCents.toFixed(2),
+        event.duration.toFixed(3),
+      ]),
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Format a session as JSON.
+ * @param {Session} recorded
+ * @returns {string}
+ */
+export function sessionToJson(recorded) {
+  return JSON.stringify(
+    {
+      format: JSON_FORMAT,
+      version: JSON_VERSION,
+      startedAt: new Date(recorded.startedAt).toISOString(),
+      endedAt: new Date(recorded.endedAt).toISOString(),
+      notes: recorded.notes.map((event) => ({
+        ...event,
+        timestamp: new Date(event.timestamp).toISOString(),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Number from an imported field; empty or missing fields are NaN.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  return value === undefined || value === null || String(value).trim() === ""
+    ? NaN
+    : Number(value);
+}
+
+/**
+ * Check and convert the fields of one imported note.
+ * @param {Record<string, unknown>} fields
+ * @param {(message: string) => SyntaxError} error
+ * @returns {NoteEvent}
+ */
+function toNoteEvent(fields, error) {
+  const timestamp = Date.parse(String(fields.timestamp));
+  const midiNote = toNumber(fields.midiNote);
+  const meanCents = toNumber(fields.meanCents);
+  const sdCents = toNumber(fields.sdCents);
+  const duration = toNumber(fields.duration);
+  if (Number.isNaN(timestamp)) {
+    throw error(`expected an ISO timestamp, got "${fields.timestamp}"`);
+  }
+  if (typeof fields.name !== "string" || fields.name === "") {
+    throw error("expected a note name");
+  }
+  if (!Number.isInteger(midiNote)) {
+    throw error(`expected a MIDI note number, got "${fields.midiNote}"`);
+  }
+  if (!Number.isFinite(meanCents) || !(sdCents >= 0) || !(duration >= 0)) {
+    throw error("expected numbers for the cents and duration");
+  }
+  return {
+    timestamp,
+    name: fields.name,
+    midiNote,
+    meanCents,
+    sdCents,
+    duration,
+  };
+}
+
+/**
+ * Read a session exported as JSON or CSV (sessionToJson, sessionToCsv).
+ * @param {string} text
+ * @returns {Session} The session, without an id
+ * @throws {SyntaxError} If the text is neither (with the line for CSV)
+ */
+export function parseSession(text) {
+  if (text.trimStart().startsWith("{")) {
+    /** @param {string} message */
+    const error = (message) => new SyntaxError(`Session JSON: ${message}`);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (cause) {
+      throw error(cause instanceof Error ? cause.message : String(cause));
+    }
+    if (data?.format !== JSON_FORMAT || !Array.isArray(data.notes)) {
+      throw error("not an exported practice session");
+    }
+    if (data.version > JSON_VERSION) {
+      throw error(`version ${data.version} is newer than this tuner`);
+    }
+    const notes = data.notes.map(
+      (
+        /** @type {Record<string, unknown>} */ fields,
+        /** @type {number} */ index,
+      ) =>
+        toNoteEvent(fields, (message) =>
+          error(`note ${index + 1}: ${message}`),
+        ),
+    );
+    const startedAt = Date.parse(data.startedAt);
+    const endedAt = Date.parse(data.endedAt);
+    if (Number.isNaN(startedAt) || Number.isNaN(endedAt)) {
+      throw error("expected ISO timestamps for startedAt and endedAt");
+    }
+    return { startedAt, endedAt, notes };
+  }
+
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== CSV_HEADER) {
+    throw new SyntaxError(
+      `Session CSV line 1: expected the header "${CSV_HEADER}"`,
+    );
+  }
+  /** @type {NoteEvent[]} */
+  const notes = [];
+  lines.slice(1).forEach((line, index) => {
+    if (line.trim() === "") return;
+    /** @param {string} message */
+    const error = (message) =>
+      new SyntaxError(`Session CSV line ${index + 2}: ${message}`);
+    /** @type {string[]} */
+    let values;
+    try {
+      values = parseCsvRecord(line);
+    } catch (cause) {
+      throw error(cause instanceof Error ? cause.message : String(cause));
+    }
+    if (values.length !== 6) {
+      throw error(`expected 6 values, found ${values.length}`);
+    }
+    const [timestamp, name, midiNote, meanCents, sdCents, duration] = values;
+    notes.push(
+      toNoteEvent(
+        { timestamp, name, midiNote, meanCents, sdCents, duration },
+        error,
+      ),
+    );
+  });
+  if (notes.length === 0) {
+    throw new SyntaxError(`Session CSV line ${lines.length}: no notes found`);
+  }
+
+  const last = notes[notes.length - 1];
+  return {
+    startedAt: notes[0].timestamp,
+    endedAt: last.timestamp + last.duration * 1000,
+    notes,
+  };
+}
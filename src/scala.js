@@ -0,0 +1,236 @@
+/**
+ * Scala tuning files.
+ *
+ * Parses scales (.scl) and keyboard mappings (.kbm) in the formats of the
+ * Scala program (https://www.huygens-fokker.org/scala/scl_format.html and
+ * .../help.htm#mappings). Lines starting with "!" are comments; only the
+ * first word of each value line is read, the rest is free text.
+ */
+
+/**
+ * @typedef {{description: string, steps: number[]}} Scale
+ *   description - the file's description line
+ *   steps - pitch of degrees 1 … N in cents above degree 0 (1/1, implied);
+ *     the last one is the period, usually the octave (1200)
+ */
+
+/**
+ * @typedef {{
+ *   size: number,
+ *   firstNote: number,
+ *   lastNote: number,
+ *   middleNote: number,
+ *   referenceNote: number,
+ *   referenceFrequency: number,
+ *   octaveDegree: number,
+ *   mapping: (number | null)[]
+ * }} KeyboardMapping
+ *   size - keys in the repeating pattern; 0 maps keys linearly onto degrees
+ *   firstNote, lastNote - range of MIDI keys that are mapped
+ *   middleNote - key that plays degree 0
+ *   referenceNote, referenceFrequency - key tuned to a given frequency (Hz)
+ *   octaveDegree - degrees one repetition of the pattern moves up
+ *   mapping - degree played by each key of the pattern, null if unmapped
+ */
+
+/**
+ * Non-comment lines with their 1-based line numbers.
+ * @param {string} text
+ * @returns {{text: string, line: number}[]}
+ */
+function readLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ text: line.trim(), line: index + 1 }))
+    .filter(({ text }) => !text.startsWith("!"));
+}
+
+/**
+ * First word of a line.
+ * @param {string} text
+ * @returns {string}
+ */
+function firstWord(text) {
+  return text.split(/\s+/)[0];
+}
+
+/**
+ * Parse one pitch: cents if it contains a period, otherwise a ratio
+ * ("3/2") or a whole number ("2", meaning 2/1).
+ * @param {string} word
+ * @returns {number | null} Cents, or null if the pitch is malformed
+ */
+function parsePitch(word) {
+  if (word.includes(".")) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? Number(word) : null;
+  }
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(word);
+  if (!match) return null;
+  const numerator = Number(match[1]);
+  const denominator = match[2] === undefined ? 1 : Number(match[2]);
+  if (numerator === 0 || denominator === 0) return null;
+  return 1200 * Math.log2(numerator / denominator);
+}
+
+/**
+ * Parse a Scala scale file.
+ * @param {string} text - Contents of a .scl file
+ * @returns {Scale}
+ * @throws {SyntaxError} If the file is malformed (with its line number)
+ */
+export function parseScala(text) {
+  const lines = readLines(text);
+  const lastLine = text.split(/\r?\n/).length;
+
+  /**
+   * @param {number} line
+   * @param {string} message
+   * @returns {SyntaxError}
+   */
+  const error = (line, message) =>
+    new SyntaxError(`Scala file line ${line}: ${message}`);
+
+  if (lines.length < 2) {
+    throw error(lastLine, "expected a description and the number of notes");
+  }
+  const [descriptionLine, countLine, ...rest] = lines;
+  const pitchLines = rest.filter(({ text }) => text !== "");
+
+  const countWord = firstWord(countLine.text);
+  const count = Number(countWord);
+  if (!/^\d+$/.test(countWord) || count === 0) {
+    throw error(
+      countLine.line,
+      `expected the number of notes (at least 1), got "${countLine.text}"`,
+    );
+  }
+
+  /** @type {number[]} */
+  const steps = [];
+  for (const { text: pitchText, line } of pitchLines.slice(0, count)) {
+    const cents = parsePitch(firstWord(pitchText));
+    if (cents === null) {
+      throw error(
+        line,
+        `expected a ratio (3/2) or cents (701.955), got "${pitchText}"`,
+      );
+    }
+    steps.push(cents);
+  }
+  if (steps.length < count) {
+    throw error(lastLine, `expected ${count} notes, found ${steps.length}`);
+  }
+  if (!(steps[count - 1] > 0)) {
+    throw error(
+      pitchLines[count - 1].line,
+      "the last note (the period) must be above 1/1",
+    );
+  }
+
+  return { description: descriptionLine.text, steps };
+}
+
+/**
+ * Parse a Scala keyboard mapping file.
+ * @param {string} text - Contents of a .kbm file
+ * @returns {KeyboardMapping}
+ * @throws {SyntaxError} If the file is malformed (with its line number)
+ */
+export function parseKeyboardMapping(text) {
+  const lines = readLines(text).filter(({ text }) => text !== "");
+  const lastLine = text.split(/\r?\n/).length;
+
+  /**
+   * @param {number} line
+   * @param {string} message
+   * @returns {SyntaxError}
+   */
+  const error = (line, message) =>
+    new SyntaxError(`Keyboard mapping line ${line}: ${message}`);
+
+  const fields = [
+    "map size",
+    "first MIDI note",
+    "last MIDI note",
+    "middle note",
+    "reference note",
+    "reference frequency",
+    "octave degree",
+  ];
+  if (lines.length < fields.length) {
+    throw error(lastLine, `expected the ${fields[lines.length]}`);
+  }
+
+  /**
+   * Read a whole number from one of the header lines.
+   * @param {number} index
+   * @param {boolean} isNote - Whether the number is a MIDI note (0–127)
+   * @returns {number}
+   */
+  const readInteger = (index, isNote) => {
+    const { text: value, line } = lines[index];
+    const word = firstWord(value);
+    if (!/^\d+$/.test(word) || (isNote && Number(word) > 127)) {
+      throw error(
+        line,
+        `expected the ${fields[index]}${isNote ? " (0–127)" : ""}, got "${value}"`,
+      );
+    }
+    return Number(word);
+  };
+
+  const size = readInteger(0, false);
+  const firstNote = readInteger(1, true);
+  const lastNote = readInteger(2, true);
+  const middleNote = readInteger(3, true);
+  const referenceNote = readInteger(4, true);
+  const octaveDegree = readInteger(6, false);
+  if (size > 128) {
+    throw error(lines[0].line, `the map size must be at most 128, got ${size}`);
+  }
+  if (lastNote < firstNote) {
+    throw error(
+      lines[2].line,
+      `the last MIDI note (${lastNote}) is below the first (${firstNote})`,
+    );
+  }
+
+  const frequencyLine = lines[5];
+  const referenceFrequency = Number(firstWord(frequencyLine.text));
+  if (!Number.isFinite(referenceFrequency) || referenceFrequency <= 0) {
+    throw error(
+      frequencyLine.line,
+      `expected the reference frequency in Hz, got "${frequencyLine.text}"`,
+    );
+  }
+
+  // keys the file leaves out at the end are unmapped
+  /** @type {(number | null)[]} */
+  const mapping = new Array(size).fill(null);
+  const mappingLines = lines.slice(fields.length);
+  if (mappingLines.length > size) {
+    throw error(
+      mappingLines[size].line,
+      `expected ${size} mapping entries, found more`,
+    );
+  }
+  mappingLines.forEach(({ text: value, line }, key) => {
+    const word = firstWord(value);
+    if (word === "x") return;
+    if (!/^\d+$/.test(word)) {
+      throw error(line, `expected a scale degree or "x", got "${value}"`);
+    }
+    mapping[key] = Number(word);
+  });
+
+  return {
+    size,
+    firstNote,
+    lastNote,
+    middleNote,
+    referenceNote,
+    referenceFrequency,
+    octaveDegree,
+    mapping,
+  };
+}
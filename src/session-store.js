@@ -0,0 +1,110 @@
+/**
+ * Practice sessions kept in IndexedDB, so they survive reloads and can be
+ * compared later. Sessions are stored whole (see practice-session.js) under
+ * an auto-incremented id.
+ */
+
+const DATABASE_NAME = "justtuner";
+const DATABASE_VERSION = 1;
+const SESSION_STORE = "sessions";
+
+/** @type {Promise<IDBDatabase> | null} */
+let databasePromise = null;
+
+/**
+ * Wait for an IndexedDB request.
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function whenDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and on first use create) the database. Opened once per page.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SESSION_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    };
+    databasePromise = whenDone(request);
+    // let a later call retry, e.g. after storage was unblocked
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Object store of the sessions in a new transaction.
+ * @param {IDBTransactionMode} mode
+ * @returns {Promise<IDBObjectStore>}
+ */
+async function getSessionStore(mode) {
+  const database = await openDatabase();
+  return database.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+}
+
+/**
+ * Save a session.
+ * @async
+ * @param {import("./practice-session.js").Session} session - Saved as a new
+ *   session unless it has an id
+ * @returns {Promise<number>} Its id
+ * @throws {DOMException} If IndexedDB is unavailable (e.g. private mode)
+ */
+export async function saveSession(session) {
+  const store = await getSessionStore("readwrite");
+  return /** @type {number} */ (await whenDone(store.put(session)));
+}
+
+/**
+ * Load one session.
+ * @async
+ * @param {number} id
+ * @returns {Promise<import("./practice-session.js").Session | null>}
+ */
+export async function loadSession(id) {
+  const store = await getSessionStore("readonly");
+  return (await whenDone(store.get(id))) ?? null;
+}
+
+/**
+ * List saved sessions, newest first, without their notes.
+ * @async
+ * @returns {Promise<{id: number, startedAt: number, noteCount: number}[]>}
+ */
+export async function listSessions() {
+  const store = await getSessionStore("readonly");
+  /** @type {import("./practice-session.js").Session[]} */
+  const sessions = await whenDone(store.getAll());
+  return sessions
+    .map(({ id, startedAt, notes }) => ({
+      id: /** @type {number} */ (id),
+      startedAt,
+      noteCount: notes.length,
+    }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Delete a saved session.
+ * @async
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id) {
+  const store = await getSessionStore("readwrite");
+  await whenDone(store.delete(id));
+}
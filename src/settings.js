@@ -0,0 +1,552 @@
+/**
+ * Settings store: every user setting in one validated object, remembered in
+ * localStorage and shareable as a link.
+ *
+ * The stored copy carries SETTINGS_VERSION. When the layout changes, the
+ * version goes up and a migration is added to MIGRATIONS that turns the
+ * previous layout into the new one, so remembered settings survive updates.
+ * Version 0 is the separate localStorage keys used before this store.
+ *
+ * The settings that describe the tuner setup (reference, temperament, note
+ * names, instrument, detection, …) can be written to a URL query string, so
+ * a choir director can send everyone the same setup; device-specific ones
+ * (input device and gain, tone volume) are left out. Only values that
+ * differ from the defaults are written, after the version under LINK_KEY
+ * that marks the query as settings; a link gives every shared setting, so
+ * opening it gives the same setup whatever was set before. Links from an
+ * older version go through MIGRATIONS like stored settings:
+ *
+ *   ?jt=1&referenceFrequency=442&temperament=vallotti&temperamentTonic=2
+ */
+
+import {
+  MAX_REFERENCE_FREQUENCY,
+  MIN_REFERENCE_FREQUENCY,
+} from "./calibration.js";
+import {
+  CAPTURE_CHANNELS,
+  DEFAULT_CAPTURE_SETTINGS,
+  resolveCaptureSettings,
+} from "./capture-settings.js";
+import { DEFAULT_GATE_OPTIONS } from "./input-gate.js";
+import { getTuning, parseTuning } from "./instrument-tunings.js";
+import { DEFAULT_REFERENCE_FREQUENCY } from "./note-mapping.js";
+import { DEFAULT_NOTE_NAMING, resolveNoteNaming } from "./note-naming.js";
+import { DEFAULT_DETECTOR, getDetector } from "./pitch-detectors.js";
+import { DEFAULT_PITCH_RANGE, getPitchRange } from "./pitch-range.js";
+import { DEFAULT_TEMPERAMENT, getTemperament } from "./temperaments.js";
+import { DEFAULT_TIMBRE, getTimbre } from "./timbres.js";
+import { DEFAULT_TONE_VOLUME } from "./tone-generator.js";
+import { VOICED_CLARITY, resolveDetectorOptions } from "./voicing.js";
+
+/** Layout version of the stored settings (see MIGRATIONS) */
+export const SETTINGS_VERSION = 1;
+
+/** Cents either side of the target the gauge can show */
+export const GAUGE_RANGES = Object.freeze([10, 25, 50]);
+
+/**
+ * @typedef {{
+ *   referenceFrequency: number,
+ *   temperament: string,
+ *   temperamentTonic: number,
+ *   nameSystem: import("./note-naming.js").NameSystem,
+ *   spelling: import("./note-naming.js").Spelling,
+ *   namingKey: number,
+ *   octaveStyle: import("./note-naming.js").OctaveStyle,
+ *   transposition: number,
+ *   instrument: string,
+ *   customTuning: string,
+ *   strumCheck: boolean,
+ *   exercise: string,
+ *   displayMode: import("./tuner-ui.js").DisplayMode,
+ *   gaugeRange: number,
+ *   showHistory: boolean,
+ *   pitchRange: string,
+ *   detector: string,
+ *   confidenceThreshold: number,
+ *   yinThreshold: number,
+ *   gateLevel: number,
+ *   holdTime: number,
+ *   inputDevice: string,
+ *   inputGain: number,
+ *   inputChannel: import("./capture-settings.js").CaptureChannel,
+ *   autoGain: boolean,
+ *   toneTimbre: string,
+ *   toneVolume: number
+ * }} Settings
+ *   referenceFrequency - A4 in Hz (MIN_REFERENCE_FREQUENCY–MAX_REFERENCE_FREQUENCY)
+ *   temperament, temperamentTonic - temperament id and its tonic (0–11)
+ *   nameSystem, spelling, namingKey, octaveStyle, transposition - note
+ *     naming (see note-naming.js)
+ *   instrument - tuning id, "" for chromatic tuning or "custom"
+ *   customTuning - note names of the custom tuning, as typed in
+ *   strumCheck - whether all strings are checked at once
+ *   exercise - exercise id, or "" for none (ids that are not registered
+ *     when it is applied, like a file loaded elsewhere, mean none)
+ *   displayMode - needle gauge or strobe
+ *   gaugeRange - cents either side shown by the gauge (one of GAUGE_RANGES)
+ *   showHistory - whether the pitch history graph is shown
+ *   pitchRange, detector - pitch range key and detector id
+ *   confidenceThreshold - minimum detector confidence to show a note
+ *     (VOICED_CLARITY–1; the default 0.85 is the original YIN gate of a
+ *     CMNDF dip below 0.15)
+ *   yinThreshold - YIN absolute threshold (see voicing.js)
+ *   gateLevel, holdTime - noise gate open level (dBFS) and hold time (s)
+ *   inputDevice - preferred input device id, "" for the system default
+ *   inputGain, inputChannel, autoGain - capture settings
+ *   toneTimbre, toneVolume - reference tone timbre id and volume (0–1)
+ */
+
+/** @type {Readonly<Settings>} */
+export const DEFAULT_SETTINGS = Object.freeze({
+  referenceFrequency: DEFAULT_REFERENCE_FREQUENCY,
+  temperament: DEFAULT_TEMPERAMENT,
+  temperamentTonic: 0,
+  nameSystem: DEFAULT_NOTE_NAMING.system,
+  spelling: DEFAULT_NOTE_NAMING.spelling,
+  namingKey: DEFAULT_NOTE_NAMING.key,
+  octaveStyle: DEFAULT_NOTE_NAMING.octaves,
+  transposition: DEFAULT_NOTE_NAMING.transposition,
+  instrument: "",
+  customTuning: "",
+  strumCheck: false,
+  exercise: "",
+  displayMode: /** @type {import("./tuner-ui.js").DisplayMode} */ ("needle"),
+  gaugeRange: 50,
+  showHistory: false,
+  pitchRange: DEFAULT_PITCH_RANGE,
+  detector: DEFAULT_DETECTOR,
+  confidenceThreshold: 0.85,
+  yinThreshold: resolveDetectorOptions().yinThreshold,
+  gateLevel: DEFAULT_GATE_OPTIONS.openLevel,
+  holdTime: DEFAULT_GATE_OPTIONS.holdTime,
+  inputDevice: "",
+  inputGain: DEFAULT_CAPTURE_SETTINGS.inputGain,
+  inputChannel: DEFAULT_CAPTURE_SETTINGS.channel,
+  autoGain: DEFAULT_CAPTURE_SETTINGS.autoGainControl,
+  toneTimbre: DEFAULT_TIMBRE,
+  toneVolume: DEFAULT_TONE_VOLUME,
+});
+
+/**
+ * Settings written to a shared link: the whole setup except what belongs
+ * to the device it runs on.
+ * @type {readonly (keyof Settings)[]}
+ */
+const SHARED_SETTINGS = Object.freeze(
+  /** @type {(keyof Settings)[]} */ (Object.keys(DEFAULT_SETTINGS)).filter(
+    (key) =>
+      ![
+        "inputDevice",
+        "inputGain",
+        "inputChannel",
+        "autoGain",
+        "toneTimbre",
+        "toneVolume",
+      ].includes(key),
+  ),
+);
+
+// localStorage key of the settings and their version
+const STORAGE_KEY = "justtuner.settings";
+// Query parameter holding the version of a settings link. Namespaced, so
+// the query of a page that links here (a cache-busting ?v=3) is not taken
+// for settings.
+const LINK_KEY = "jt";
+/** localStorage keys of the settings remembered before version 1 */
+const LEGACY_STORAGE_KEYS = Object.freeze({
+  referenceFrequency: "justtuner.referenceFrequency",
+  customTuning: "justtuner.customTuning",
+  inputDevice: "justtuner.inputDevice",
+});
+
+/**
+ * Upgrades of the stored settings: MIGRATIONS[n] turns the values stored by
+ * version n into those of version n + 1. Values that are still invalid
+ * afterwards fall back to their defaults.
+ * @type {((values: Record<string, unknown>) => Record<string, unknown>)[]}
+ */
+const MIGRATIONS = [
+  // 0 → 1: the separate keys held strings
+  ({ referenceFrequency, ...values }) =>
+    referenceFrequency === undefined
+      ? values
+      : { ...values, referenceFrequency: Number(referenceFrequency) },
+];
+
+/**
+ * Check the value of each setting; each throws a RangeError if invalid.
+ * The type has already been checked against the default.
+ * @type {{[K in keyof Settings]: (value: Settings[K]) => void}}
+ */
+const VALIDATORS = {
+  referenceFrequency: (value) => {
+    if (!(
+      value >= MIN_REFERENCE_FREQUENCY && value <= MAX_REFERENCE_FREQUENCY
+    )) {
+      throw new RangeError(
+        `Reference must be between ${MIN_REFERENCE_FREQUENCY} and ${MAX_REFERENCE_FREQUENCY} Hz, got ${value}`,
+      );
+    }
+  },
+  temperament: (value) => getTemperament(value),
+  temperamentTonic: (value) => {
+    if (!Number.isInteger(value) || value < 0 || value > 11) {
+      throw new RangeError(
+        `Tonic must be a pitch class from 0 to 11, got ${value}`,
+      );
+    }
+  },
+  nameSystem: (value) => resolveNoteNaming({ system: value }),
+  spelling: (value) => resolveNoteNaming({ spelling: value }),
+  namingKey: (value) => resolveNoteNaming({ key: value }),
+  octaveStyle: (value) => resolveNoteNaming({ octaves: value }),
+  transposition: (value) => resolveNoteNaming({ transposition: value }),
+  instrument: (value) => {
+    if (value !== "" && value !== "custom") getTuning(value);
+  },
+  customTuning: (value) => {
+    if (value.trim() !== "") parseTuning(value);
+  },
+  strumCheck: () => {},
+  exercise: () => {},
+  displayMode: (value) => {
+    if (value !== "needle" && value !== "strobe") {
+      throw new RangeError(
+        `Display mode must be "needle" or "strobe", got ${value}`,
+      );
+    }
+  },
+  gaugeRange: (value) => {
+    if (!GAUGE_RANGES.includes(value)) {
+      throw new RangeError(
+        `Gauge range must be one of ${GAUGE_RANGES.join(", ")} cents, got ${value}`,
+      );
+    }
+  },
+  showHistory: () => {},
+  pitchRange: (value) => getPitchRange(value),
+  detector: (value) => getDetector(value),
+  confidenceThreshold: (value) => {
+    if (!(value >= VOICED_CLARITY && value <= 1)) {
+      throw new RangeError(
+        `Confidence threshold must be between ${VOICED_CLARITY} and 1, got ${value}`,
+      );
+    }
+  },
+  yinThreshold: (value) => resolveDetectorOptions({ yinThreshold: value }),
+  gateLevel: (value) => {
+    if (!Number.isFinite(value) || value > 0) {
+      throw new RangeError(
+        `Gate level must be a finite dBFS value <= 0, got ${value}`,
+      );
+    }
+  },
+  holdTime: (value) => {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new RangeError(`Hold time must be a finite number >= 0`);
+    }
+  },
+  inputDevice: () => {},
+  inputGain: (value) => resolveCaptureSettings({ inputGain: value }),
+  inputChannel: (value) => {
+    if (!CAPTURE_CHANNELS.includes(value)) {
+      throw new RangeError(
+        `Channel must be one of ${CAPTURE_CHANNELS.join(", ")}, got ${value}`,
+      );
+    }
+  },
+  autoGain: () => {},
+  toneTimbre: (value) => getTimbre(value),
+  toneVolume: (value) => {
+    if (!(value >= 0 && value <= 1)) {
+      throw new RangeError(`Tone volume must be between 0 and 1, got ${value}`);
+    }
+  },
+};
+
+/** @type {Settings} */
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Merge changed settings over a base set and validate them.
+ * @param {Partial<Settings>} changes - Settings to change
+ * @param {Readonly<Settings>} [base] - Values of the others
+ * @returns {Settings}
+ * @throws {RangeError} If a setting is unknown or a value is invalid
+ */
+export function resolveSettings(changes, base = DEFAULT_SETTINGS) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (!Object.keys(DEFAULT_SETTINGS).includes(key)) {
+      throw new RangeError(`Unknown setting: ${key}`);
+    }
+    const setting = /** @type {keyof Settings} */ (key);
+    const type = typeof DEFAULT_SETTINGS[setting];
+    if (typeof value !== type) {
+      throw new RangeError(`${key} must be a ${type}, got ${value}`);
+    }
+    /** @type {(value: unknown) => void} */ (VALIDATORS[setting])(value);
+  }
+  return { ...base, ...changes };
+}
+
+/**
+ * Keep the valid settings among untrusted values.
+ * @param {Record<string, unknown>} values - Setting values by name;
+ *   unknown names are ignored
+ * @returns {{settings: Partial<Settings>, invalid: string[]}} The valid
+ *   settings, and the names of the invalid ones
+ */
+function pickValidSettings(values) {
+  /** @type {Record<string, unknown>} */
+  const valid = {};
+  const invalid = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (!Object.keys(DEFAULT_SETTINGS).includes(key)) continue;
+    try {
+      resolveSettings({ [key]: value });
+      valid[key] = value;
+    } catch {
+      invalid.push(key);
+    }
+  }
+  return { settings: /** @type {Partial<Settings>} */ (valid), invalid };
+}
+
+/**
+ * Run the migrations from a version up to the current one.
+ * @param {Record<string, unknown>} values - Setting values of that version
+ * @param {number} version - Whole number >= 0
+ * @returns {Record<string, unknown>} Values in the current layout
+ */
+function runMigrations(values, version) {
+  let migrated = values;
+  for (let from = version; from < SETTINGS_VERSION; from++) {
+    migrated = MIGRATIONS[from](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Bring stored settings up to the current version.
+ * @param {{version: number, settings: Record<string, unknown>}} stored -
+ *   Settings as stored by some version (0 for the legacy keys)
+ * @returns {{settings: Settings, invalid: string[]}} Every setting, with
+ *   defaults for the missing and invalid ones, and the names of the invalid
+ *   ones. Settings a newer version added are dropped.
+ * @throws {RangeError} If the version is not a whole number >= 0
+ */
+export function migrateSettings(stored) {
+  const { version, settings: values } = stored;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new RangeError(
+      `Settings version must be a whole number >= 0, got ${version}`,
+    );
+  }
+  const picked = pickValidSettings(runMigrations(values, version));
+  return {
+    settings: { ...DEFAULT_SETTINGS, ...picked.settings },
+    invalid: picked.invalid,
+  };
+}
+
+/**
+ * Write the shared settings that differ from the defaults as a URL query.
+ * @param {Readonly<Settings>} values
+ * @returns {string} Query string without the leading "?"
+ */
+export function settingsToQuery(values) {
+  const params = new URLSearchParams({ [LINK_KEY]: String(SETTINGS_VERSION) });
+  for (const key of SHARED_SETTINGS) {
+    const value = values[key];
+    if (value === DEFAULT_SETTINGS[key]) continue;
+    params.set(
+      key,
+      typeof value === "boolean" ? (value ? "1" : "0") : String(value),
+    );
+  }
+  return params.toString();
+}
+
+/**
+ * Read the shared settings in a URL query (see settingsToQuery), migrating
+ * those of a link made by an older version.
+ * @param {string} query - Query string, with or without the leading "?";
+ *   other parameters are ignored
+ * @returns {{settings: Partial<Settings>, invalid: string[]} | null} Every
+ *   shared setting, with defaults for the missing and invalid ones, and the
+ *   names of the invalid ones; null if the query holds no settings
+ * @throws {RangeError} If the link's version is not a whole number >= 1 or
+ *   is newer than SETTINGS_VERSION
+ */
+export function parseSettingsQuery(query) {
+  const params = new URLSearchParams(query);
+  const versionText = params.get(LINK_KEY);
+  if (versionText === null) return null;
+  const version = Number(versionText);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new RangeError(
+      `Settings link version must be a whole number >= 1, got ${versionText}`,
+    );
+  }
+  if (version > SETTINGS_VERSION) {
+    throw new RangeError(
+      `Settings link version ${version} is newer than this tuner (${SETTINGS_VERSION})`,
+    );
+  }
+
+  /** @type {Record<string, unknown>} */
+  const linked = {};
+  for (const [key, text] of params) {
+    if (key !== LINK_KEY) linked[key] = text;
+  }
+  const migrated = runMigrations(linked, version);
+
+  /** @type {Record<string, unknown>} */
+  const values = {};
+  for (const key of SHARED_SETTINGS) {
+    const text = migrated[key];
+    if (text === undefined) continue;
+    if (typeof text !== "string") {
+      values[key] = text; // already converted by a migration
+      continue;
+    }
+    switch (typeof DEFAULT_SETTINGS[key]) {
+      case "number":
+        values[key] = text.trim() === "" ? NaN : Number(text);
+        break;
+      case "boolean":
+        values[key] = text === "1" ? true : text === "0" ? false : text;
+        break;
+      default:
+        values[key] = text;
+    }
+  }
+  const picked = pickValidSettings(values);
+  const shared = /** @type {Partial<Settings>} */ (
+    Object.fromEntries(
+      SHARED_SETTINGS.map((key) => [key, DEFAULT_SETTINGS[key]]),
+    )
+  );
+  return {
+    settings: { ...shared, ...picked.settings },
+    invalid: picked.invalid,
+  };
+}
+
+/**
+ * Get the current settings.
+ * @returns {Readonly<Settings>}
+ */
+export function getSettings() {
+  return settings;
+}
+
+/**
+ * Change settings and remember them. Missing fields keep their values.
+ * @param {Partial<Settings>} changes
+ * @returns {void}
+ * @throws {RangeError} If a setting is unknown or a value is invalid
+ */
+export function updateSettings(changes) {
+  settings = resolveSettings(changes, settings);
+  saveSettings();
+}
+
+/**
+ * Go back to the default settings and remember that.
+ * @returns {void}
+ */
+export function resetSettings() {
+  settings = { ...DEFAULT_SETTINGS };
+  saveSettings();
+}
+
+/**
+ * Read the remembered settings from localStorage, migrating those stored
+ * by an older version (and the legacy keys, which are then removed).
+ * Invalid values fall back to their defaults.
+ * @returns {string[]} Names of the remembered settings that were invalid
+ */
+export function loadSettings() {
+  const stored = readStoredSettings();
+  if (!stored) return [];
+
+  /** @type {ReturnType<typeof migrateSettings>} */
+  let migrated;
+  try {
+    migrated = migrateSettings(stored);
+  } catch (error) {
+    console.warn("Ignoring remembered settings:", error);
+    return [];
+  }
+  settings = migrated.settings;
+  if (stored.version < SETTINGS_VERSION) {
+    saveSettings();
+    removeLegacySettings();
+  }
+  return migrated.invalid;
+}
+
+/**
+ * Read the stored settings, or the legacy keys as version 0.
+ * @returns {{version: number, settings: Record<string, unknown>} | null}
+ *   null if nothing (readable) was stored
+ */
+function readStoredSettings() {
+  try {
+    const text = localStorage.getItem(STORAGE_KEY);
+    if (text !== null) {
+      const stored = JSON.parse(text);
+      if (typeof stored?.settings !== "object" || stored.settings === null) {
+        throw new SyntaxError("expected an object with settings");
+      }
+      return stored;
+    }
+
+    /** @type {Record<string, unknown>} */
+    const legacy = {};
+    for (const [key, storageKey] of Object.entries(LEGACY_STORAGE_KEYS)) {
+      const value = localStorage.getItem(storageKey);
+      if (value !== null) legacy[key] = value;
+    }
+    return Object.keys(legacy).length > 0
+      ? { version: 0, settings: legacy }
+      : null;
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      console.warn("Ignoring remembered settings:", error);
+    }
+    return null; // storage disabled (private mode, file://)
+  }
+}
+
+/**
+ * Remember the current settings in localStorage.
+ * @returns {void}
+ */
+function saveSettings() {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: SETTINGS_VERSION, settings }),
+    );
+  } catch (error) {
+    console.warn("Could not remember settings:", error);
+  }
+}
+
+/**
+ * Remove the keys migrated into the settings.
+ * @returns {void}
+ */
+function removeLegacySettings() {
+  try {
+    for (const storageKey of Object.values(LEGACY_STORAGE_KEYS)) {
+      localStorage.removeItem(storageKey);
+    }
+  } catch {
+    // storage disabled (private mode, file://)
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Guided string-by-string tuning for instrument mode.
+ *
+ * Fed with each usable pitch, it works out which of the instrument's open
+ * strings is being played (the nearest one) and measures the pitch against
+ * that string instead of the nearest chromatic note. A string is marked
+ * done once it has stayed in tune for DONE_HOLD_TIME seconds; the marks
+ * last until the strings change or the progress is reset.
+ */
+
+import { frequencyToTargetNote } from "./note-mapping.js";
+
+/** Seconds a string must stay in tune (±5 cents) to be marked done */
+export const DONE_HOLD_TIME = 1;
+
+/**
+ * @typedef {{
+ *   strings: readonly number[],
+ *   activeString: number,
+ *   done: readonly boolean[]
+ * }} StringProgress
+ *   strings - open strings as MIDI note numbers
+ *   activeString - index of the string last played, -1 before the first
+ *   done - per string, whether it has been held in tune
+ */
+
+/** @type {number[]} */
+let strings = [];
+/** @type {boolean[]} */
+let done = [];
+/** @type {number} */
+let activeString = -1;
+/** Audio-clock time (s) the active string came into tune, or null */
+let inTuneSince = /** @type {number | null} */ (null);
+
+/**
+ * Set the strings to tune and start over.
+ * @param {readonly number[]} midiNotes - Open strings as MIDI note numbers
+ * @returns {void}
+ */
+export function setStrings(midiNotes) {
+  strings = [...midiNotes];
+  resetStringProgress();
+}
+
+/**
+ * Clear the done marks and the active string.
+ * @returns {void}
+ */
+export function resetStringProgress() {
+  done = strings.map(() => false);
+  activeString = -1;
+  inTuneSince = null;
+}
+
+/**
+ * Get the strings and how far tuning has got.
+ * @returns {StringProgress}
+ */
+export function getStringProgress() {
+  return { strings, activeString, done };
+}
+
+/**
+ * Index of the string closest in pitch to a frequency.
+ * @param {number} frequency - Hz (> 0)
+ * @returns {number} -1 if there are no strings
+ */
+function findNearestString(frequency) {
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  strings.forEach((midiNote, index) => {
+    const target = frequencyToTargetNote(frequency, midiNote);
+    const distance = target ? Math.abs(target.cents) : Infinity;
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Track one reading. Called once per detection hop.
+ * @param {number | null} frequency - Smoothed pitch in Hz, or null when
+ *   nothing usable was detected (which restarts the in-tune timer)
+ * @param {number} time - Audio-clock time of the reading in seconds
+ * @returns {ReturnType<typeof frequencyToTargetNote>} The pitch measured
+ *   against the string being played, or null
+ */
+export function trackString(frequency, time) {
+  const index = frequency ? findNearestString(frequency) : -1;
+  if (index < 0 || frequency === null) {
+    inTuneSince = null;
+    return null;
+  }
+
+  if (index !== activeString) {
+    activeString = index;
+    inTuneSince = null;
+  }
+
+  const note = frequencyToTargetNote(frequency, strings[index]);
+  if (note && note.inTune) {
+    inTuneSince ??= time;
+    if (time - inTuneSince >= DONE_HOLD_TIME) done[index] = true;
+  } else {
+    inTuneSince = null;
+  }
+  return note;
+}
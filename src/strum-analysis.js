@@ -0,0 +1,246 @@
+/**
+ * Polyphonic strum check: every string of an instrument from one frame.
+ *
+ * The detectors assume a single fundamental, so a strummed chord confuses
+ * them. Here the strings' target pitches are known instead, and each string
+ * is measured from its own partials: the spectrum is searched for a peak
+ * within SEARCH_CENTS of every harmonic of the string's target, and the
+ * string reads its lowest partial found divided by its harmonic number.
+ * Real strings are stiff, so their higher partials run sharp of the
+ * harmonics; the lowest one is what a tuner reads from the string alone.
+ *
+ * Partials that lie close to a partial of another string that is sounding
+ * (the 3rd harmonic of a low E and the B string, say) cannot be told apart,
+ * so they are left out; every partial of the other string below the top of
+ * the spectrum counts, not just the ones searched. A string sounds if a
+ * partial no other string has stands out; one without such partials is
+ * taken to sound. A string with no partials of its own — one an octave
+ * above another, like D3 in drop D, or in equal temperament the B and high
+ * E of a guitar, which lie on the low E's 3rd and 4th harmonics — is
+ * unresolved while that string rings, and reads null.
+ */
+
+import { nextPowerOfTwo, powerSpectrum } from "./fft.js";
+
+/** Shortest analysed frame in seconds (rounded up to a power of two) */
+const WINDOW_SECONDS = 0.3;
+/** Periods of the lowest string the frame spans at least (bass strings) */
+const WINDOW_PERIODS = 20;
+/** The frame is zero-padded to this many times its length */
+const ZERO_PADDING = 2;
+/** Harmonics of each string searched */
+const HARMONICS = 8;
+/** How far (cents) a partial may be from its target and still be found */
+const SEARCH_CENTS = 40;
+const SEARCH_LOW = 2 ** (-SEARCH_CENTS / 1200);
+const SEARCH_HIGH = 2 ** (SEARCH_CENTS / 1200);
+/** Partials of two strings closer than this (cents) are ambiguous */
+const AMBIGUOUS_CENTS = 2 * SEARCH_CENTS;
+/** Peaks weaker than this (dB below the loudest peak) are ignored */
+const MIN_PEAK_DB = -35;
+/** Bins of the frame past which Hann sidelobes are below MIN_PEAK_DB */
+const LEAKAGE_BINS = 3;
+
+/**
+ * Power spectrum per transform size, reused by every check of that size
+ * @type {Map<number, Float64Array>}
+ */
+const spectra = new Map();
+
+/**
+ * @typedef {{frequency: number, level: number, partials: number}} StrumString
+ *   frequency - the string's pitch in Hz
+ *   level - its strongest partial, in dB relative to the loudest peak
+ *   partials - number of its own partials found
+ */
+
+/**
+ * Check that strum targets are usable and copy them.
+ * @param {readonly number[]} targets - Target frequency of each string (Hz)
+ * @returns {number[]}
+ * @throws {RangeError} If there are none, or one is not a frequency > 0
+ */
+export function validateStrumTargets(targets) {
+  if (
+    !Array.isArray(targets) ||
+    targets.length === 0 ||
+    !targets.every((frequency) => Number.isFinite(frequency) && frequency > 0)
+  ) {
+    throw new RangeError(
+      `Strum targets must be frequencies > 0, got ${targets}`,
+    );
+  }
+  return [...targets];
+}
+
+/**
+ * Samples analysed per strum check (a power of two): long enough to
+ * separate the partials of the lowest string from its neighbours'.
+ * @param {number} sampleRate - Hz
+ * @param {number} lowestFrequency - Target of the lowest string (Hz)
+ * @returns {number}
+ */
+export function getStrumWindowSize(sampleRate, lowestFrequency) {
+  const seconds = Math.max(WINDOW_SECONDS, WINDOW_PERIODS / lowestFrequency);
+  return nextPowerOfTwo(Math.round(seconds * sampleRate));
+}
+
+/**
+ * Harmonic numbers to measure each string from: those no partial of
+ * another sounding string is near — within AMBIGUOUS_CENTS, or close
+ * enough to leak a sidelobe into the search range, which at the bottom of
+ * a bass spans less than a bin. Another string's partial counts up to
+ * maxFrequency, even above the HARMONICS searched, as it is in the
+ * spectrum all the same.
+ * @param {readonly number[]} targets - Target frequency of each string (Hz)
+ * @param {readonly boolean[]} sounding - Per string, whether its partials
+ *   may be in the spectrum
+ * @param {number} maxFrequency - Highest partial considered (Hz)
+ * @param {number} resolution - One bin of the frame (Hz)
+ * @returns {number[][]} Per string, harmonic numbers from 1
+ */
+function selectHarmonics(targets, sounding, maxFrequency, resolution) {
+  /**
+   * @param {number} frequency - Partial of one string (Hz)
+   * @param {number} other - Target of another string (Hz)
+   * @returns {boolean} Whether a partial of the other string is near it
+   */
+  const isShared = (frequency, other) => {
+    const nearest = Math.max(1, Math.round(frequency / other));
+    return [nearest - 1, nearest, nearest + 1].some(
+      (j) =>
+        j >= 1 &&
+        j * other < maxFrequency &&
+        (Math.abs(1200 * Math.log2((j * other) / frequency)) <
+          AMBIGUOUS_CENTS ||
+          Math.abs(j * other - frequency) <
+            frequency * (SEARCH_HIGH - 1) + LEAKAGE_BINS * resolution),
+    );
+  };
+
+  return targets.map((target, string) => {
+    const own = [];
+    for (let k = 1; k <= HARMONICS && k * target < maxFrequency; k++) {
+      if (
+        targets.every(
+          (other, otherString) =>
+            otherString === string ||
+            !sounding[otherString] ||
+            !isShared(k * target, other),
+        )
+      ) {
+        own.push(k);
+      }
+    }
+    return own;
+  });
+}
+
+/**
+ * Measure every string of a strummed chord.
+ * @param {Float32Array} samples - Mono audio frame (see getStrumWindowSize)
+ * @param {number} sampleRate - Hz
+ * @param {readonly number[]} targets - Target frequency of each string (Hz,
+ *   > 0), e.g. the open strings as tuned in the active temperament
+ * @returns {(StrumString | null)[]} Per string, its pitch, or null if none
+ *   of its partials stands out (muted, or not played) or it is unresolved
+ *   (none of its partials is its own)
+ */
+export function analyseStrum(samples, sampleRate, targets) {
+  const size = ZERO_PADDING * nextPowerOfTwo(samples.length);
+  let power = spectra.get(size);
+  if (!power) {
+    power = new Float64Array(size / 2 + 1);
+    spectra.set(size, power);
+  }
+  powerSpectrum(samples, size, power);
+  const binWidth = sampleRate / size;
+  const nyquistBin = power.length - 1;
+
+  /**
+   * Lowest and highest bin of the search range around a partial.
+   * @param {number} frequency - Hz
+   * @returns {[number, number]}
+   */
+  const searchRange = (frequency) => [
+    Math.max(1, Math.floor((frequency * SEARCH_LOW) / binWidth)),
+    Math.min(nyquistBin - 1, Math.ceil((frequency * SEARCH_HIGH) / binWidth)),
+  ];
+
+  // loudest peak anywhere the strings have partials
+  let loudest = 0;
+  for (
+    let bin = searchRange(Math.min(...targets))[0];
+    bin < nyquistBin;
+    bin++
+  ) {
+    loudest = Math.max(loudest, power[bin]);
+  }
+  if (loudest === 0) return targets.map(() => null);
+  const floor = loudest * 10 ** (MIN_PEAK_DB / 10);
+
+  /**
+   * Strongest peak in the search range around a partial.
+   * @param {number} frequency - Expected frequency of the partial (Hz)
+   * @returns {{frequency: number, power: number} | null} null if there is
+   *   none above the floor
+   */
+  const findPeak = (frequency) => {
+    const [low, high] = searchRange(frequency);
+    let peak = low;
+    for (let bin = low + 1; bin <= high; bin++) {
+      if (power[bin] > power[peak]) peak = bin;
+    }
+    // at the edge the real peak lies outside the search range
+    if (peak === low || peak === high || power[peak] < floor) return null;
+
+    // parabolic interpolation of the log power around the peak
+    const a = Math.log(power[peak - 1]);
+    const b = Math.log(power[peak]);
+    const c = Math.log(power[peak + 1]);
+    const offset = (0.5 * (a - c)) / (a - 2 * b + c);
+    return { frequency: (peak + offset) * binWidth, power: power[peak] };
+  };
+
+  const maxFrequency = (sampleRate / 2) * 0.9;
+  const resolution = sampleRate / samples.length;
+  const unique = selectHarmonics(
+    targets,
+    targets.map(() => true),
+    maxFrequency,
+    resolution,
+  );
+  const sounding = targets.map(
+    (target, string) =>
+      unique[string].length === 0 ||
+      unique[string].some((k) => findPeak(k * target) !== null),
+  );
+  const harmonics = selectHarmonics(
+    targets,
+    sounding,
+    maxFrequency,
+    resolution,
+  );
+
+  return targets.map((target, string) => {
+    /** @type {{k: number, frequency: number} | null} */
+    let lowest = null;
+    let strongest = 0;
+    let partials = 0;
+
+    for (const k of harmonics[string]) {
+      const peak = findPeak(k * target);
+      if (!peak) continue;
+      if (!lowest) lowest = { k, frequency: peak.frequency };
+      strongest = Math.max(strongest, peak.power);
+      partials++;
+    }
+
+    if (!lowest) return null;
+    return {
+      frequency: lowest.frequency / lowest.k,
+      level: 10 * Math.log10(strongest / loudest),
+      partials,
+    };
+  });
+}
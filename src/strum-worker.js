@@ -0,0 +1,40 @@
+/**
+ * Web Worker that runs the strum checks off the audio thread.
+ *
+ * The pitch processor worklet posts every strum frame to the main thread,
+ * which hands it on here as
+ *   { frame, sampleRate, targets, time }
+ * All strings are measured from it (see strum-analysis.js) and the result
+ * is posted back as
+ *   { strings, time, frame }
+ * with one StrumString (or null) per target, or as
+ *   { error, time, frame }
+ * with the error's message if the analysis threw. The frame's buffer is
+ * transferred both ways, so the worklet can refill it.
+ *
+ * Started with `new Worker(url, { type: "module" })` from audio-input.js.
+ */
+
+import { analyseStrum } from "./strum-analysis.js";
+
+/**
+ * Globals provided by DedicatedWorkerGlobalScope (not part of the DOM lib).
+ * @type {{
+ *   onmessage: ((event: MessageEvent) => void) | null,
+ *   postMessage: (message: unknown, transfer: Transferable[]) => void
+ * }}
+ */
+const workerScope = /** @type {any} */ (globalThis);
+
+workerScope.onmessage = (event) => {
+  /** @type {{frame: Float32Array, sampleRate: number, targets: readonly number[], time: number}} */
+  const { frame, sampleRate, targets, time } = event.data;
+  try {
+    const strings = analyseStrum(frame, sampleRate, targets);
+    workerScope.postMessage({ strings, time, frame }, [frame.buffer]);
+  } catch (error) {
+    // the frame goes back all the same, or the worklet would run out
+    const message = error instanceof Error ? error.message : String(error);
+    workerScope.postMessage({ error: message, time, frame }, [frame.buffer]);
+  }
+};
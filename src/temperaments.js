@@ -0,0 +1,133 @@
+/**
+ * Temperament registry.
+ *
+ * A temperament is described by twelve offsets in cents from 12-tone equal
+ * temperament, one per pitch class counted upwards from the tonic (index 0
+ * is the tonic itself). Note mapping rotates them onto the chosen tonic, so
+ * every temperament here is defined once, from C.
+ */
+
+/**
+ * @typedef {{label: string, offsets: readonly number[]}} Temperament
+ *   label - name shown in the settings UI
+ *   offsets - 12 deviations from equal temperament in cents, from the tonic
+ */
+
+/** @type {Map<string, Temperament>} */
+const temperaments = new Map();
+
+export const DEFAULT_TEMPERAMENT = "equal";
+
+/**
+ * Offsets of a temperament given as frequency ratios above the tonic.
+ * @param {number[]} ratios - 12 ratios, the first being 1
+ * @returns {number[]} Offsets in cents from equal temperament
+ */
+function fromRatios(ratios) {
+  return ratios.map((ratio, step) => 1200 * Math.log2(ratio) - 100 * step);
+}
+
+/**
+ * Offsets of a regular temperament: a chain of identical fifths running
+ * from `lowest` fifths below the tonic to 11 − lowest above it.
+ * @param {number} fifth - Size of every fifth in cents
+ * @param {number} lowest - Fifths below the tonic (3 = from E♭ to G♯)
+ * @returns {number[]} Offsets in cents from equal temperament
+ */
+function fromFifths(fifth, lowest) {
+  const offsets = new Array(12).fill(0);
+  for (let k = -lowest; k < 12 - lowest; k++) {
+    const cents = (((k * fifth) % 1200) + 1200) % 1200;
+    const step = (((7 * k) % 12) + 12) % 12;
+    offsets[step] = cents - 100 * step;
+  }
+  return offsets;
+}
+
+/**
+ * Add a temperament to the registry (or replace one with the same id).
+ * @param {string} id - Stable identifier stored in settings
+ * @param {Temperament} temperament
+ * @returns {void}
+ * @throws {RangeError} If the offsets are not 12 finite numbers
+ */
+export function registerTemperament(id, temperament) {
+  const { offsets } = temperament;
+  if (offsets.length !== 12 || !offsets.every(Number.isFinite)) {
+    throw new RangeError(
+      `Temperament "${id}" must have 12 finite cent offsets, got ${offsets}`,
+    );
+  }
+  temperaments.set(id, temperament);
+}
+
+/**
+ * Look up a temperament by id.
+ * @param {string} id
+ * @returns {Temperament}
+ * @throws {RangeError} If no temperament is registered under that id
+ */
+export function getTemperament(id) {
+  const temperament = temperaments.get(id);
+  if (!temperament) {
+    throw new RangeError(`Unknown temperament: ${id}`);
+  }
+  return temperament;
+}
+
+/**
+ * List registered temperaments in registration order.
+ * @returns {{id: string, label: string}[]}
+ */
+export function listTemperaments() {
+  return Array.from(temperaments, ([id, { label }]) => ({ id, label }));
+}
+
+// ── built-in temperaments ──
+registerTemperament("equal", {
+  label: "Equal",
+  offsets: new Array(12).fill(0),
+});
+// 5-limit just intonation (pure thirds and fifths above the tonic)
+registerTemperament("just", {
+  label: "Just intonation",
+  offsets: fromRatios([
+    1,
+    16 / 15,
+    9 / 8,
+    6 / 5,
+    5 / 4,
+    4 / 3,
+    45 / 32,
+    3 / 2,
+    8 / 5,
+    5 / 3,
+    16 / 9,
+    15 / 8,
+  ]),
+});
+// pure fifths from E♭ to G♯, the wolf between them
+registerTemperament("pythagorean", {
+  label: "Pythagorean",
+  offsets: fromFifths(1200 * Math.log2(3 / 2), 3),
+});
+// fifths narrowed by a quarter syntonic comma, so major thirds are pure
+registerTemperament("meantone", {
+  label: "Quarter-comma meantone",
+  offsets: fromFifths(1200 * Math.log2(5 ** 0.25), 3),
+});
+registerTemperament("werckmeister3", {
+  label: "Werckmeister III",
+  offsets: [
+    0, -9.775, -7.82, -5.865, -9.775, -1.955, -11.73, -3.91, -7.82, -11.73,
+    -3.91, -7.82,
+  ],
+});
+// F–C–G–D–A–E–B narrowed by 1/6 Pythagorean comma, the other fifths pure
+registerTemperament("vallotti", {
+  label: "Vallotti",
+  offsets: [
+    0, -5.865, -3.91, -1.955, -7.82, 1.955, -7.82, -1.955, -3.91, -5.865, 0,
+    -9.775,
+  ],
+});
@@ -0,0 +1,90 @@
+/**
+ * Timbre registry for the reference tone.
+ *
+ * A timbre is a harmonic spectrum played as a Web Audio periodic wave,
+ * with an attack time so sustained timbres swell in like the instrument
+ * they imitate.
+ */
+
+/**
+ * @typedef {{label: string, harmonics: readonly number[], attack: number}} Timbre
+ *   label - name shown in the settings UI
+ *   harmonics - amplitude of partials 1, 2, 3, … (the wave is normalised)
+ *   attack - seconds to fade in
+ */
+
+/** @type {Map<string, Timbre>} */
+const timbres = new Map();
+
+export const DEFAULT_TIMBRE = "sine";
+
+/**
+ * Add a timbre to the registry (or replace one with the same id).
+ * @param {string} id - Stable identifier stored in settings
+ * @param {Timbre} timbre
+ * @returns {void}
+ * @throws {RangeError} If there are no harmonics, an amplitude is negative
+ *   or the attack time is not >= 0
+ */
+export function registerTimbre(id, timbre) {
+  const { harmonics, attack } = timbre;
+  if (
+    harmonics.length === 0 ||
+    !harmonics.every((amplitude) => amplitude >= 0) ||
+    !harmonics.some((amplitude) => amplitude > 0)
+  ) {
+    throw new RangeError(
+      `Timbre "${id}" needs non-negative harmonic amplitudes, got ${harmonics}`,
+    );
+  }
+  if (!(attack >= 0)) {
+    throw new RangeError(
+      `Timbre "${id}" attack must be >= 0 seconds, got ${attack}`,
+    );
+  }
+  timbres.set(id, timbre);
+}
+
+/**
+ * Look up a timbre by id.
+ * @param {string} id
+ * @returns {Timbre}
+ * @throws {RangeError} If no timbre is registered under that id
+ */
+export function getTimbre(id) {
+  const timbre = timbres.get(id);
+  if (!timbre) {
+    throw new RangeError(`Unknown timbre: ${id}`);
+  }
+  return timbre;
+}
+
+/**
+ * List registered timbres in registration order.
+ * @returns {{id: string, label: string}[]}
+ */
+export function listTimbres() {
+  return Array.from(timbres, ([id, { label }]) => ({ id, label }));
+}
+
+// ── built-in timbres ──
+registerTimbre("sine", {
+  label: "Sine",
+  harmonics: [1],
+  attack: 0.02,
+});
+// flue pipes: strong octave and twelfth, a few weak upper partials
+registerTimbre("organ", {
+  label: "Organ",
+  harmonics: [1, 0.5, 0.35, 0.25, 0, 0.15, 0, 0.1],
+  attack: 0.05,
+});
+// bowed string: sawtooth-like 1/n partials, softened towards the top
+registerTimbre("string", {
+  label: "Strings",
+  harmonics: Array.from(
+    { length: 24 },
+    (_, index) => Math.exp(-index / 12) / (index + 1),
+  ),
+  attack: 0.25,
+});
@@ -0,0 +1,162 @@
+/**
+ * Reference tone and drone output.
+ *
+ * Plays one pitch through the speakers in a chosen timbre, either for
+ * TONE_DURATION or sustained as a drone until stopped. It uses an audio
+ * context of its own, so the tone carries on when the tuner stops or
+ * switches its input. Retuning a sounding tone glides to the new pitch
+ * instead of restarting it.
+ */
+
+import { getTimbre } from "./timbres.js";
+
+/** Seconds a tone plays when it is not sustained as a drone */
+export const TONE_DURATION = 2;
+const RELEASE_TIME = 0.3; // seconds to fade out
+const GLIDE_TIME = 0.03; // time constant of a retune (s)
+export const DEFAULT_TONE_VOLUME = 0.5;
+
+/** @type {AudioContext | null} */
+let context = null;
+/** Master volume, shared by every tone */
+let volumeNode = /** @type {GainNode | null} */ (null);
+/** @type {OscillatorNode | null} */
+let oscillator = null;
+/** Attack/release envelope of the sounding tone */
+let envelope = /** @type {GainNode | null} */ (null);
+/** @type {ReturnType<typeof setTimeout> | null} */
+let stopTimer = null;
+/** @type {number} */
+let volume = DEFAULT_TONE_VOLUME;
+/** @type {(() => void) | null} */
+let endedListener = null;
+
+/**
+ * Periodic wave of a harmonic spectrum (all partials in sine phase).
+ * @param {AudioContext} audioContext
+ * @param {readonly number[]} harmonics - Amplitudes of partials 1, 2, …
+ * @returns {PeriodicWave}
+ */
+function createWave(audioContext, harmonics) {
+  const real = new Float32Array(harmonics.length + 1);
+  const imag = new Float32Array(harmonics.length + 1);
+  harmonics.forEach((amplitude, index) => {
+    imag[index + 1] = amplitude;
+  });
+  return audioContext.createPeriodicWave(real, imag);
+}
+
+/**
+ * Create the output context on first use. Has to happen in response to a
+ * user gesture, or the browser keeps it suspended.
+ * @returns {{audioContext: AudioContext, output: GainNode}}
+ */
+function getOutput() {
+  if (!context || !volumeNode) {
+    context = new AudioContext();
+    volumeNode = context.createGain();
+    volumeNode.gain.value = volume;
+    volumeNode.connect(context.destination);
+  }
+  if (context.state === "suspended") {
+    context.resume().catch((error) => {
+      console.warn("Tone AudioContext resume failed:", error);
+    });
+  }
+  return { audioContext: context, output: volumeNode };
+}
+
+/**
+ * Play a tone, or retune and re-voice the one sounding.
+ * @param {number} frequency - Pitch in Hz (finite and > 0)
+ * @param {{timbre: string, sustain: boolean}} options - Timbre id from the
+ *   registry; sustain keeps the tone going as a drone until stopTone()
+ * @returns {void}
+ * @throws {RangeError} If the frequency is invalid or the timbre unknown
+ */
+export function playTone(frequency, { timbre, sustain }) {
+  if (!Number.isFinite(frequency) || frequency <= 0) {
+    throw new RangeError(
+      `Tone frequency must be a finite number > 0, got ${frequency}`,
+    );
+  }
+  const { harmonics, attack } = getTimbre(timbre);
+  const { audioContext, output } = getOutput();
+  const now = audioContext.currentTime;
+  const wave = createWave(audioContext, harmonics);
+
+  if (oscillator && envelope) {
+    oscillator.setPeriodicWave(wave);
+    oscillator.frequency.setTargetAtTime(frequency, now, GLIDE_TIME);
+  } else {
+    oscillator = audioContext.createOscillator();
+    oscillator.setPeriodicWave(wave);
+    oscillator.frequency.value = frequency;
+    envelope = audioContext.createGain();
+    envelope.gain.setValueAtTime(0, now);
+    envelope.gain.linearRampToValueAtTime(1, now + attack);
+    oscillator.connect(envelope).connect(output);
+    oscillator.start(now);
+  }
+
+  if (stopTimer !== null) clearTimeout(stopTimer);
+  stopTimer = sustain ? null : setTimeout(stopTone, TONE_DURATION * 1000);
+}
+
+/**
+ * Fade out the sounding tone, if any.
+ * @returns {void}
+ */
+export function stopTone() {
+  if (stopTimer !== null) {
+    clearTimeout(stopTimer);
+    stopTimer = null;
+  }
+  if (!context || !oscillator || !envelope) return;
+
+  const now = context.currentTime;
+  const fading = envelope;
+  envelope.gain.cancelScheduledValues(now);
+  envelope.gain.setValueAtTime(envelope.gain.value, now);
+  envelope.gain.linearRampToValueAtTime(0, now + RELEASE_TIME);
+  oscillator.onended = () => fading.disconnect();
+  oscillator.stop(now + RELEASE_TIME);
+  oscillator = null;
+  envelope = null;
+
+  if (endedListener) endedListener();
+}
+
+/**
+ * Whether a tone is sounding (or about to start).
+ * @returns {boolean}
+ */
+export function isTonePlaying() {
+  return oscillator !== null;
+}
+
+/**
+ * Set the output volume, also of a sounding tone.
+ * @param {number} value - Linear gain, 0 to 1
+ * @returns {void}
+ * @throws {RangeError} If the volume is outside 0–1
+ */
+export function setToneVolume(value) {
+  if (!(value >= 0 && value <= 1)) {
+    throw new RangeError(`Tone volume must be between 0 and 1, got ${value}`);
+  }
+  volume = value;
+  if (context && volumeNode) {
+    volumeNode.gain.setTargetAtTime(value, context.currentTime, GLIDE_TIME);
+  }
+}
+
+/**
+ * Register the callback run when a tone stops, by itself or through
+ * stopTone(). Only one listener is kept; pass null to remove it.
+ * @param {(() => void) | null} listener
+ * @returns {void}
+ */
+export function setToneEndedListener(listener) {
+  endedListener = listener;
+}
@@ -1,8 +1,17 @@
 // -----------------------------------------------------------------------------
 // configuration
 // -----------------------------------------------------------------------------
-const GAUGE_RANGE = 50; // ±50 cents displayed
 const NEEDLE_CENTER = 50; // % position for center (in‑tune)
+const LEVEL_METER_FLOOR = -80; // dBFS shown at the left end of the meter
+const STROBE_SPEED = 0.5; // bands per second per cent, fundamental row
+const STROBE_BANDS = 6; // dark/light band pairs across the fundamental row
+const STROBE_ROWS = [1, 2, 4]; // partials shown, one row each; higher
+// partials drift proportionally faster, like the rings of a strobe disc
+
+const HISTORY_IN_TUNE = 5; // cents, shaded band around the target
+const HISTORY_ALMOST_IN_TUNE = 20; // cents, lighter band
+
+/** @typedef {"needle" | "strobe"} DisplayMode */
 
 /**
  * Get a required element by id and narrow its type for the checker.
@@ -19,6 +28,33 @@ function getRequiredElement(id) {
 const noteName = getRequiredElement("noteName");
 const noteFrequency = getRequiredElement("noteFrequency");
 const needle = getRequiredElement("needle");
+const gauge = getRequiredElement("gauge");
+const strobeCanvas = /** @type {HTMLCanvasElement} */ (
+  getRequiredElement("strobe")
+);
+const levelMeterFill = getRequiredElement("levelMeterFill");
+const levelMeterGate = getRequiredElement("levelMeterGate");
+const stringList = getRequiredElement("stringList");
+const strumGauge = getRequiredElement("strumGauge");
+const exercisePanel = getRequiredElement("exercisePanel");
+const exerciseTarget = getRequiredElement("exerciseTarget");
+const exerciseScore = getRequiredElement("exerciseScore");
+const historyCanvas = /** @type {HTMLCanvasElement} */ (
+  getRequiredElement("history")
+);
+
+/** @type {DisplayMode} */
+let displayMode = "needle";
+/** Cents either side of the target shown by the gauge (see setGaugeRange) */
+let gaugeRange = 50;
+/** Cents the strobe drifts by, null while it stands still */
+let strobeCents = /** @type {number | null} */ (null);
+/** Colour variable of the strobe bands, following the needle's colours */
+let strobeColor = "--text-secondary";
+/** Drift of the fundamental row, in bands */
+let strobePhase = 0;
+/** Time (s) of the last strobe frame, null before the first */
+let lastStrobeTime = /** @type {number | null} */ (null);
 
 // -----------------------------------------------------------------------------
 // public API
@@ -36,14 +72,24 @@ const needle = getRequiredElement("needle");
  *   inTune: boolean,
  *   almostInTune: boolean
  * } | null} note - Note data or null to reset display
+ * @param {boolean} [held=false] - The note is a frozen reading kept after
+ *   the signal dropped, shown dimmed
+ * @param {boolean} [showTarget=false] - Also show the target frequency, for
+ *   notes measured against a given string
  * @returns {void}
  */
-export function updateUI(note) {
+export function updateUI(note, held = false, showTarget = false) {
+  noteName.classList.toggle("held", held && note !== null);
+
+  // a frozen reading stops the strobe where it is
+  strobeCents = note && !held ? note.cents : null;
+
   if (!note) {
     // No note detected
     noteName.textContent = "—";
     noteFrequency.textContent = "0.0 Hz";
     resetNeedle();
+    strobeColor = "--text-secondary";
     return;
   }
 
@@ -51,10 +97,313 @@ export function updateUI(note) {
   noteName.textContent = note.displayName;
 
   // Update frequency display
-  noteFrequency.textContent = `${note.frequency.toFixed(1)} Hz`;
+  noteFrequency.textContent = showTarget
+    ? `${note.frequency.toFixed(1)} Hz → ${note.targetFrequency.toFixed(1)} Hz`
+    : `${note.frequency.toFixed(1)} Hz`;
 
   // Update needle position and color
   updateNeedle(note.cents, note.inTune, note.almostInTune);
+  strobeColor = note.inTune
+    ? "--accent"
+    : note.almostInTune
+      ? "--accent-warm"
+      : "--accent-cold";
+}
+
+/**
+ * Switch between the needle gauge and the strobe.
+ * @param {DisplayMode} mode
+ * @returns {void}
+ */
+export function setDisplayMode(mode) {
+  displayMode = mode;
+  gauge.hidden = mode !== "needle";
+  strobeCanvas.hidden = mode !== "strobe";
+  lastStrobeTime = null;
+  drawStrobe(0); // show the pattern right away, even when stopped
+}
+
+/**
+ * Set how many cents either side of the target the gauges and the history
+ * graph show; readings further off stop at the edge.
+ * @param {number} cents - > 0
+ * @returns {void}
+ * @throws {RangeError} If cents is not a number > 0
+ */
+export function setGaugeRange(cents) {
+  if (!(cents > 0 && Number.isFinite(cents))) {
+    throw new RangeError(
+      `Gauge range must be a number of cents > 0, got ${cents}`,
+    );
+  }
+  gaugeRange = cents;
+}
+
+/**
+ * Advance and draw the strobe. Called once per display frame: the bands
+ * drift by STROBE_SPEED bands per second per cent of deviation (up to
+ * ±gaugeRange), to the right when sharp, so even a fraction of a cent
+ * shows as a slow crawl and in tune they stand still.
+ * @param {number} time - Frame time in seconds
+ * @returns {void}
+ */
+export function drawStrobe(time) {
+  if (displayMode !== "strobe") return;
+
+  // catch up at most 0.1 s, e.g. after the tab was in the background
+  const elapsed =
+    lastStrobeTime === null ? 0 : Math.min(0.1, time - lastStrobeTime);
+  lastStrobeTime = time;
+  if (strobeCents !== null) {
+    const cents = Math.max(-gaugeRange, Math.min(gaugeRange, strobeCents));
+    strobePhase = (strobePhase + elapsed * cents * STROBE_SPEED) % 1;
+  }
+
+  // match the canvas to its displayed size for crisp bands
+  const scale = window.devicePixelRatio || 1;
+  const width = Math.round(strobeCanvas.clientWidth * scale);
+  const height = Math.round(strobeCanvas.clientHeight * scale);
+  if (strobeCanvas.width !== width || strobeCanvas.height !== height) {
+    strobeCanvas.width = width;
+    strobeCanvas.height = height;
+  }
+  const context = strobeCanvas.getContext("2d");
+  if (!context || width === 0) return;
+
+  const style = getComputedStyle(strobeCanvas);
+  context.fillStyle = style.getPropertyValue("--bg-secondary").trim();
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = style.getPropertyValue(strobeColor).trim();
+
+  const rowHeight = height / STROBE_ROWS.length;
+  STROBE_ROWS.forEach((partial, row) => {
+    const period = width / (STROBE_BANDS * partial);
+    // pixel speed grows with the partial
+    const drift = (strobePhase * partial * width) / STROBE_BANDS;
+    const offset = ((drift % period) + period) % period;
+    for (let x = offset - period; x < width; x += period) {
+      context.fillRect(x, row * rowHeight + 1, period / 2, rowHeight - 2);
+    }
+  });
+}
+
+/**
+ * Update the input level meter.
+ * @param {number} level - Input level in dBFS
+ * @param {number} gateLevel - Noise gate open threshold in dBFS
+ * @param {boolean} gateOpen - Whether the gate currently lets signal through
+ * @returns {void}
+ */
+export function updateLevelMeter(level, gateLevel, gateOpen) {
+  levelMeterFill.style.width = levelToPercent(level) + "%";
+  levelMeterFill.classList.toggle("gate-open", gateOpen);
+  levelMeterGate.style.left = levelToPercent(gateLevel) + "%";
+}
+
+/**
+ * Show the strings of the selected instrument, or hide the list.
+ * @param {readonly string[]} names - Note names, lowest string first; empty
+ *   to hide the list (chromatic mode)
+ * @returns {void}
+ */
+export function showStrings(names) {
+  stringList.replaceChildren(
+    ...names.map((name) => {
+      const item = document.createElement("span");
+      item.className = "string";
+      item.textContent = name;
+      return item;
+    }),
+  );
+  stringList.hidden = names.length === 0;
+}
+
+/**
+ * Show one small gauge per string for the strum check, or hide them.
+ * @param {readonly string[]} names - Note names, lowest string first; empty
+ *   to hide the gauges
+ * @returns {void}
+ */
+export function showStrumGauge(names) {
+  strumGauge.replaceChildren(
+    ...names.map((name) => {
+      const row = document.createElement("div");
+      row.className = "strum-string silent";
+      const label = document.createElement("span");
+      label.className = "strum-name";
+      label.textContent = name;
+      const track = document.createElement("div");
+      track.className = "gauge-track";
+      const stringNeedle = document.createElement("div");
+      stringNeedle.className = "gauge-needle";
+      track.append(stringNeedle);
+      const cents = document.createElement("span");
+      cents.className = "strum-cents";
+      cents.textContent = "—";
+      row.append(label, track, cents);
+      return row;
+    }),
+  );
+  strumGauge.hidden = names.length === 0;
+}
+
+/**
+ * Move each string's needle to its reading from the strum check.
+ * @param {readonly ({cents: number, inTune: boolean, almostInTune: boolean} | null)[]} strings
+ *   Per string, its reading, or null if it was not heard
+ * @returns {void}
+ */
+export function updateStrumGauge(strings) {
+  Array.from(strumGauge.children).forEach((row, index) => {
+    const reading = strings[index] ?? null;
+    const [, track, cents] = row.children;
+    row.classList.toggle("silent", reading === null);
+    if (!reading) {
+      cents.textContent = "—";
+      return;
+    }
+    const rounded = Math.round(reading.cents);
+    cents.textContent = rounded > 0 ? `+${rounded}` : String(rounded);
+    positionNeedle(
+      /** @type {HTMLElement} */ (track.firstElementChild),
+      reading.cents,
+      reading.inTune,
+      reading.almostInTune,
+    );
+  });
+}
+
+/**
+ * Mark the string being played and the strings already tuned.
+ * @param {number} activeString - Index of the string being played, or -1
+ * @param {readonly boolean[]} done - Per string, whether it is tuned
+ * @returns {void}
+ */
+export function updateStrings(activeString, done) {
+  Array.from(stringList.children).forEach((item, index) => {
+    item.classList.toggle("active", index === activeString);
+    item.classList.toggle("done", done[index] === true);
+  });
+}
+
+/**
+ * Show what to play next in an exercise and the score so far, or hide the
+ * exercise panel.
+ * @param {{target: string, score: string, result: "hit" | "miss" | null} | null} exercise
+ *   target - what to play; score - progress and score line; result - how
+ *   the latest attempt was judged (colours the score); null to hide
+ * @returns {void}
+ */
+export function showExercise(exercise) {
+  exercisePanel.hidden = !exercise;
+  if (!exercise) return;
+  exerciseTarget.textContent = exercise.target;
+  exerciseScore.textContent = exercise.score;
+  exercisePanel.classList.toggle("hit", exercise.result === "hit");
+  exercisePanel.classList.toggle("miss", exercise.result === "miss");
+}
+
+/**
+ * Show or hide the pitch history graph.
+ * @param {boolean} visible
+ * @returns {void}
+ */
+export function showHistory(visible) {
+  historyCanvas.hidden = !visible;
+}
+
+/**
+ * Draw the pitch history: cents from the target over the last `duration`
+ * seconds up to `end`, with the in-tune (±5 cents) and almost-in-tune
+ * (±20 cents) bands shaded. Each run is a separate line and every change
+ * of note gets a marker with the note's name.
+ * @param {readonly import("./pitch-history.js").HistorySegment[]} segments
+ * @param {number | null} end - Time of the right edge (latest reading), or
+ *   null for an empty graph
+ * @param {number} duration - Seconds across the graph
+ * @returns {void}
+ */
+export function drawHistory(segments, end, duration) {
+  if (historyCanvas.hidden) return;
+
+  const scale = window.devicePixelRatio || 1;
+  const width = Math.round(historyCanvas.clientWidth * scale);
+  const height = Math.round(historyCanvas.clientHeight * scale);
+  if (historyCanvas.width !== width || historyCanvas.height !== height) {
+    historyCanvas.width = width;
+    historyCanvas.height = height;
+  }
+  const context = historyCanvas.getContext("2d");
+  if (!context || width === 0) return;
+
+  const style = getComputedStyle(historyCanvas);
+  /** @param {string} name */
+  const color = (name) => style.getPropertyValue(name).trim();
+  /** @param {number} cents */
+  const toY = (cents) =>
+    height / 2 -
+    (Math.max(-gaugeRange, Math.min(gaugeRange, cents)) / gaugeRange) *
+      (height / 2);
+  /** @param {number} time */
+  const toX = (time) => width - ((end ?? time) - time) * (width / duration);
+
+  // background and tuning bands
+  context.fillStyle = color("--bg-secondary");
+  context.fillRect(0, 0, width, height);
+  context.globalAlpha = 0.15;
+  context.fillStyle = color("--accent-warm");
+  context.fillRect(
+    0,
+    toY(HISTORY_ALMOST_IN_TUNE),
+    width,
+    toY(-HISTORY_ALMOST_IN_TUNE) - toY(HISTORY_ALMOST_IN_TUNE),
+  );
+  context.globalAlpha = 0.3;
+  context.fillStyle = color("--accent");
+  context.fillRect(
+    0,
+    toY(HISTORY_IN_TUNE),
+    width,
+    toY(-HISTORY_IN_TUNE) - toY(HISTORY_IN_TUNE),
+  );
+  context.globalAlpha = 1;
+
+  // note change markers
+  context.strokeStyle = color("--text-secondary");
+  context.fillStyle = color("--text-secondary");
+  context.lineWidth = scale;
+  context.font = `${12 * scale}px sans-serif`;
+  context.textBaseline = "top";
+  for (const { name, noteChange, points } of segments) {
+    if (!noteChange) continue;
+    const x = toX(points[0].time);
+    context.setLineDash([3 * scale, 3 * scale]);
+    context.beginPath();
+    context.moveTo(x, 0);
+    context.lineTo(x, height);
+    context.stroke();
+    context.fillText(name, x + 3 * scale, 2 * scale);
+  }
+  context.setLineDash([]);
+
+  // readings, one line per run
+  context.strokeStyle = color("--text-primary");
+  context.lineWidth = 2 * scale;
+  context.lineJoin = "round";
+  for (const { points } of segments) {
+    context.beginPath();
+    points.forEach(({ time, cents }, index) => {
+      if (index === 0) {
+        context.moveTo(toX(time), toY(cents));
+      } else {
+        context.lineTo(toX(time), toY(cents));
+      }
+    });
+    if (points.length === 1) {
+      context.lineTo(toX(points[0].time) + scale, toY(points[0].cents));
+    }
+    context.stroke();
+  }
 }
 
 // -----------------------------------------------------------------------------
@@ -62,32 +411,54 @@ export function updateUI(note) {
 // -----------------------------------------------------------------------------
 /**
  * Update the cents gauge needle position and color
- * @param {number} cents - Cents offset from target (-50 to +50)
+ * @param {number} cents - Cents offset from target
  * @param {boolean} inTune - Whether note is in tune (±5 cents)
  * @param {boolean} almostInTune - Whether note is almost in tune (±20 cents)
  * @returns {void}
  */
 function updateNeedle(cents, inTune, almostInTune) {
+  positionNeedle(needle, cents, inTune, almostInTune);
+}
+
+/**
+ * Position a gauge needle (the main one or a string's) and color it
+ * @param {HTMLElement} element - A .gauge-needle
+ * @param {number} cents - Cents offset from target
+ * @param {boolean} inTune - Whether note is in tune (±5 cents)
+ * @param {boolean} almostInTune - Whether note is almost in tune (±20 cents)
+ * @returns {void}
+ */
+function positionNeedle(element, cents, inTune, almostInTune) {
   // Clamp cents to displayable range
-  const clampedCents = Math.max(-GAUGE_RANGE, Math.min(GAUGE_RANGE, cents));
+  const clampedCents = Math.max(-gaugeRange, Math.min(gaugeRange, cents));
 
   // Convert cents to percentage (0-100, where 50 = in-tune)
-  const needlePercent = NEEDLE_CENTER + (clampedCents / GAUGE_RANGE) * 50;
+  const needlePercent = NEEDLE_CENTER + (clampedCents / gaugeRange) * 50;
 
   // Update position
-  needle.style.left = needlePercent + "%";
+  element.style.left = needlePercent + "%";
 
   // Update color based on how in-tune we are
-  needle.className = "gauge-needle";
+  element.className = "gauge-needle";
   if (inTune) {
-    needle.classList.add("in-tune");
+    element.classList.add("in-tune");
   } else if (almostInTune) {
-    needle.classList.add("out-of-tune");
+    element.classList.add("out-of-tune");
   } else {
-    needle.classList.add("very-out-of-tune");
+    element.classList.add("very-out-of-tune");
   }
 }
 
+/**
+ * Map a dBFS level onto the meter width.
+ * @param {number} level - Level in dBFS
+ * @returns {number} Percentage (0-100)
+ */
+function levelToPercent(level) {
+  const clamped = Math.max(LEVEL_METER_FLOOR, Math.min(0, level));
+  return (1 - clamped / LEVEL_METER_FLOOR) * 100;
+}
+
 /**
  * Reset needle to center (in-tune position)
  * @returns {void}
@@ -0,0 +1,95 @@
+/**
+ * Voicing decision and confidence scoring shared by the pitch detectors.
+ *
+ * Every detector reports `confidence` on the same scale: 0 (no trust) to
+ * 1 (clean, periodic and loud enough), plus a separate `voiced` flag. The
+ * knobs behind both are runtime options rather than module constants.
+ *
+ * `voiced` is a loose floor (clarity of at least VOICED_CLARITY and a level
+ * above minRms); the tuner's "Min. confidence" gate is the strict decision
+ * and can only be set from that floor upwards, so it always takes effect.
+ */
+
+/** Lowest clarity (periodicity, 0..1) any detector reports as voiced */
+export const VOICED_CLARITY = 0.8;
+
+/**
+ * @typedef {{
+ *   yinThreshold: number,
+ *   minRms: number
+ * }} DetectorOptions
+ *   yinThreshold - YIN absolute threshold on the CMNDF dip (0–1), which
+ *     picks the candidate period; it does not decide voicing
+ *   minRms - input RMS below which a frame is always unvoiced
+ */
+
+/** @type {Readonly<DetectorOptions>} */
+export const DEFAULT_DETECTOR_OPTIONS = Object.freeze({
+  yinThreshold: 0.1, // Value suggested by the original YIN paper
+  minRms: 0.001, // ≈ −60 dBFS
+});
+
+/**
+ * Merge partial options over a base set and validate the result.
+ * @param {Partial<DetectorOptions>} [options] - Fields to override
+ * @param {Readonly<DetectorOptions>} [base] - Values for missing fields
+ * @returns {DetectorOptions}
+ * @throws {RangeError} If a value is out of range
+ */
+export function resolveDetectorOptions(
+  options = {},
+  base = DEFAULT_DETECTOR_OPTIONS,
+) {
+  const { yinThreshold = base.yinThreshold, minRms = base.minRms } = options;
+
+  if (
+    !Number.isFinite(yinThreshold) ||
+    yinThreshold <= 0 ||
+    yinThreshold >= 1
+  ) {
+    throw new RangeError(
+      `YIN threshold must be between 0 and 1 (exclusive), got ${yinThreshold}`,
+    );
+  }
+  if (!Number.isFinite(minRms) || minRms < 0) {
+    throw new RangeError(
+      `Minimum RMS must be a finite number >= 0, got ${minRms}`,
+    );
+  }
+
+  return { yinThreshold, minRms };
+}
+
+/**
+ * Root-mean-square level of a buffer, measured around its mean so a DC
+ * offset does not count as signal.
+ * @param {Float32Array} samples - Time-domain audio samples
+ * @returns {number} RMS in linear full-scale units (0 for empty buffers)
+ */
+export function computeRMS(samples) {
+  if (samples.length === 0) return 0;
+
+  let sum = 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i];
+    sumOfSquares += samples[i] * samples[i];
+  }
+  const mean = sum / samples.length;
+  return Math.sqrt(Math.max(0, sumOfSquares / samples.length - mean * mean));
+}
+
+/**
+ * Turn a detector's clarity into the shared 0..1 confidence.
+ * Confidence equals clarity for normal input levels and fades to 0 as the
+ * level approaches the voicing floor (full weight from 2 × minRms).
+ * @param {number} clarity - Periodicity of the chosen lag, 0..1
+ * @param {number} rms - Input RMS level
+ * @param {number} minRms - Voicing floor
+ * @returns {number} Confidence, 0..1 (higher is better)
+ */
+export function scoreConfidence(clarity, rms, minRms) {
+  const levelWeight =
+    minRms > 0 ? Math.max(0, Math.min(1, (rms - minRms) / minRms)) : 1;
+  return Math.max(0, Math.min(1, clarity)) * levelWeight;
+}
@@ -7,94 +7,140 @@
  * 111(4), 1917–1930. DOI: https://doi.org/10.1121/1.1458024
  */
 
-// For context, the lowest note of 5 string bass is B0 = 30.9 Hz.
-// The highest note on a standard piano is C8 = 4186.01 Hz
-const MIN_FREQUENCY = 27; // Hz
-const MAX_FREQUENCY = 5000; // Hz
+import { autocorrelation } from "./fft.js";
+import { MIN_FREQUENCY, MAX_FREQUENCY } from "./pitch-range.js";
+import {
+  DEFAULT_DETECTOR_OPTIONS,
+  VOICED_CLARITY,
+  computeRMS,
+  scoreConfidence,
+} from "./voicing.js";
+
 // To detect down to 27 Hz (A0/B0) at 44.1kHz, a max tau of ~1634 is needed.
-// YIN compares a window (W) to a shifted version of itself (W + tau).
-// Detecting these lows with 4096 samples requires at least 5730 total samples.
-// The input buffer (fttsize) is a power of 2. Therefore, 8192 is needed.
+// YIN compares a window (W) to a shifted version of itself (W + tau), so the
+// buffer must be sized for the lowest frequency searched: 8192 samples for
+// the full range, far less when only higher registers are expected.
+// See getWindowSize() in pitch-range.js.
 
+// The YIN threshold for pitch candidate selection is a runtime option
+// (options.yinThreshold, see voicing.js).
 
-// Internal YIN threshold for pitch candidate selection.
-const THRESHOLD = 0.1; // Value suggested by the original YIN paper
+// Octave/fifth error correction. Periods related to the raw estimate by
+// these ratios are re-scored against the previous stable pitch: < 1 means a
+// higher pitch than the raw estimate, > 1 a lower one.
+const CANDIDATE_RATIOS = [1 / 3, 1 / 2, 2 / 3, 3 / 2, 2, 3];
+// CMNDF penalty per octave of distance from the previous stable pitch
+const CONTINUITY_WEIGHT = 0.3;
+// A candidate dip may be at most this much worse than the raw one
+const CANDIDATE_MARGIN = 0.1;
+// Relative lag window searched for the dip around each candidate
+const CANDIDATE_SEARCH = 0.03;
 
 /**
  * Detect pitch from audio waveform using YIN algorithm
  * @param {Float32Array} waveform - Time-domain audio samples
  * @param {number} sampleRate - Sample rate in Hz (e.g., 44100)
- * @returns {{frequency: number, confidence: number} | null}
- *   Detection result, or null if no pitch found
+ * @param {{minFrequency: number, maxFrequency: number}} [range]
+ *   Frequency range to search (defaults to MIN_FREQUENCY–MAX_FREQUENCY)
+ * @param {import("./voicing.js").DetectorOptions} [options]
+ *   YIN threshold and voicing floor (defaults to DEFAULT_DETECTOR_OPTIONS)
+ * @param {number | null} [previousFrequency=null] - Last stable pitch in Hz,
+ *   used to correct octave and fifth errors; null disables the correction
+ * @returns {{
+ *   frequency: number,
+ *   confidence: number,
+ *   clarity: number,
+ *   voiced: boolean,
+ *   corrected: boolean
+ * } | null} Detection result, or null if no pitch found
  */
-export function detectPitch(waveform, sampleRate) {
+export function detectPitch(
+  waveform,
+  sampleRate,
+  range = { minFrequency: MIN_FREQUENCY, maxFrequency: MAX_FREQUENCY },
+  options = DEFAULT_DETECTOR_OPTIONS,
+  previousFrequency = null,
+) {
   if (!waveform || waveform.length === 0) {
     return null;
   }
 
+  const { minFrequency, maxFrequency } = range;
+
   // tau is the fundamental variable of the YIN algorithm.
   // It represents a time-shift (in samples) used to find the
   // repeating pattern in the waveform — the lag at which the
   // signal best matches a delayed copy of itself corresponds
   // to one full period of the fundamental frequency.
-  const tauMin = Math.floor(sampleRate / MAX_FREQUENCY);
-  const tauMax = Math.floor(sampleRate / MIN_FREQUENCY);
-
-  const cmndf = computeCMNDF(waveform, tauMin, tauMax);
+  const tauMin = Math.max(1, Math.floor(sampleRate / maxFrequency));
+  // Each lag needs at least as many overlapping samples as the lag itself,
+  // so a short buffer only searches the periods that fit in it twice
+  const tauMax = Math.min(
+    Math.floor(sampleRate / minFrequency),
+    Math.floor(waveform.length / 2),
+  );
 
-  // if computeCMNDF failed (e.g. no valid taus), quit early
-  if (!cmndf) {
+  // no valid taus (buffer shorter than two of the shortest periods)
+  if (tauMin >= tauMax) {
     return null;
   }
 
-  const tau = findBestTau(cmndf, THRESHOLD, tauMin, tauMax);
+  const df = computeDF(waveform, tauMax);
+  const cmndf = computeCMNDF(df);
 
-  // Get the confidence value (minimum probability)
-  const confidence = cmndf[tau];
+  const { yinThreshold, minRms } = options;
+  const rawTau = findBestTau(cmndf, yinThreshold, tauMin, tauMax);
+
+  // Re-check multiples and sub-multiples of the raw period against the
+  // previous stable pitch (harmonic-rich notes flip octaves otherwise)
+  const tau = previousFrequency
+    ? chooseCandidateTau(
+        cmndf,
+        rawTau,
+        tauMin,
+        tauMax,
+        sampleRate / previousFrequency,
+      )
+    : rawTau;
+
+  // Aperiodicity at the chosen lag (0 = perfectly periodic)
+  const aperiodicity = cmndf[tau];
 
   // Refine tau with parabolic interpolation (sub-sample precision)
-  const refinedTau = refineTau(cmndf, tau);
+  const refinedTau = refineTau(df, tau);
   const frequency = sampleRate / refinedTau;
 
   // Validate frequency range
-  if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) {
+  if (frequency < minFrequency || frequency > maxFrequency) {
     return null;
   }
 
-  // Return frequency with confidence measure
+  // Voiced if the raw dip is clear enough and the input is above the
+  // silence floor, on the same scale as MPM; the caller's confidence gate
+  // does the strict filtering. The raw dip decides, so a correction never
+  // turns an unvoiced frame voiced.
+  const rms = computeRMS(waveform);
+  const clarity = Math.max(0, Math.min(1, 1 - aperiodicity));
+
   return {
     frequency,
-    confidence, // Lower is more confident (0 = perfect, 1 = uncertain)
+    confidence: scoreConfidence(clarity, rms, minRms), // 0..1, higher is better
+    clarity, // 1 − CMNDF at the chosen lag
+    voiced: 1 - cmndf[rawTau] >= VOICED_CLARITY && rms >= minRms,
+    corrected: tau !== rawTau, // true if the raw estimate was overridden
   };
 }
 
 /**
- * Steps 2 & 3 — Difference function + Cumulative Mean
- * Normalized Difference Function (CMNDF).
- * Computes how well the waveform matches a delayed copy
- * of itself at each tau, then normalizes so tau=0 does
+ * Step 3 — Cumulative Mean Normalized Difference Function (CMNDF).
+ * Normalizes the difference function by its running mean so tau=0 does
  * not trivially win (CMNDF sets d'(0) = 1).
- * @param {Float32Array} audioSamples - Time-domain audio samples
- * @param {number} tauMin - Minimum tau in samples
- * @param {number} tauMax - Maximum tau in samples
+ * @param {Float32Array} df - Difference function, indexed by tau
  * @returns {Float32Array} Cumulative Mean Normalized Difference Function
  */
-function computeCMNDF(audioSamples, tauMin, tauMax) {
-  // Skip tau=0 (because difference is always zero) and set cmndf[0]=1
-  const startTau = Math.max(1, tauMin);
-  const maxTau = Math.min(tauMax, audioSamples.length - 1);
-  const df = new Float32Array(maxTau + 1);
+function computeCMNDF(df) {
+  const maxTau = df.length - 1;
   const cmndf = new Float32Array(maxTau + 1);
-
-  // If tauMin > maxTau there are no valid taus to evaluate
-  if (startTau > maxTau) return cmndf;
-
-  // Calculate difference function
-  for (let tau = 1; tau <= maxTau; tau++) {
-    df[tau] = computeDF(audioSamples, tau);
-  }
-
-  // Cumulative mean normalized difference function (CMNDF)
   cmndf[0] = 1;
 
   let cumulativeDF = 0;
@@ -113,44 +159,46 @@ function computeCMNDF(audioSamples, tauMin, tauMax) {
 }
 
 /**
- * Compute the difference function (DF) at a given lag tau.
- * THE DF is calculated using the autocorrelation function (ACF).
+ * Step 2 — Difference function (DF) for every lag 1..maxTau.
+ *
+ * d(tau) = Σ (x[j] − x[j+tau])² over the N − tau overlapping samples
+ *        = rHead(tau) + rShift(tau) − 2·r(tau),
+ * where rHead(tau) is the energy of the first N − tau samples, rShift(tau)
+ * the energy of the samples from tau onwards and r(tau) the
+ * autocorrelation at lag tau. (Counting the whole window's energy instead
+ * of rHead, as the original per-lag version did, adds a term that grows
+ * with tau and pulls low notes sharp.)
+ *
+ * r(tau) comes from a single FFT-based autocorrelation (O(N log N)) and
+ * both energies are kept as running sums, so nothing is recomputed per lag.
+ * Exported so tools/benchmark-yin.js can check it lag by lag against the
+ * direct sums.
  *
  * @param {Float32Array} audioSamples - Time-domain audio samples
- * @param {number} tau - Lag in samples (>=0 and < audioSamples.length)
- * @returns {number} Difference function value for the given tau
+ * @param {number} maxTau - Largest lag in samples (< audioSamples.length)
+ * @returns {Float32Array} Difference function values, indexed by tau
  */
-function computeDF(audioSamples, tau) {
-  // First energy term
-  const r0 = computeACF(audioSamples, 0);
-
-  // Second energy term (shifted by tau)
-  const rShift = computeACF(audioSamples.subarray(tau), 0);
+export function computeDF(audioSamples, maxTau) {
+  const df = new Float32Array(maxTau + 1);
+  const acf = autocorrelation(audioSamples, maxTau);
 
-  // ACF at lag tau
-  const rTau = computeACF(audioSamples, tau);
+  const n = audioSamples.length;
 
-  return r0 + rShift - 2 * rTau;
-}
+  // Energy of the overlapping head (x[0 … N−1−tau]) and tail
+  // (x[tau … N−1]), both updated incrementally
+  let rHead = acf[0];
+  let rShift = acf[0];
+  for (let tau = 1; tau <= maxTau; tau++) {
+    const head = audioSamples[n - tau];
+    const dropped = audioSamples[tau - 1];
+    rHead -= head * head;
+    rShift -= dropped * dropped;
 
-/**
- * Compute the autocorrelation function (ACF) at a given lag tau.
- *
- * @param {Float32Array} audioSamples - Time-domain audio samples
- * @param {number} tau - Lag in samples (>=0 and < audioSamples.length)
- * @returns {number} Autocorrelation value for the given tau
- */
-function computeACF(audioSamples, tau) {
-  // If the requested tau is outside the valid range we return 0.
-  const maxTau = audioSamples.length - 1;
-  if (tau < 0 || tau > maxTau) return 0;
-
-  let acf = 0;
-  const limit = audioSamples.length - tau;
-  for (let x = 0; x < limit; x++) {
-    acf += audioSamples[x] * audioSamples[x + tau];
+    // FFT round-off can push near-silent lags slightly below zero
+    df[tau] = Math.max(0, rHead + rShift - 2 * acf[tau]);
   }
-  return acf;
+
+  return df;
 }
 
 /**
@@ -158,13 +206,14 @@ function computeACF(audioSamples, tau) {
  * Finds the first tau whose CMNDF value drops below the
  * threshold and returns the bottom of that valley.
  * Falls back to the global minimum if no crossing is found.
+ * Exported so tools/checks/yin-algorithm.js can check both rules directly.
  * @param {Float32Array} cmndf - Normalized difference array (CMNDF)
  * @param {number} threshold - Confidence threshold (0-1)
  * @param {number} tauMin - Minimum tau in samples
  * @param {number} tauMax - Maximum tau in samples
  * @returns {number} Best tau candidate in samples
  */
-function findBestTau(cmndf, threshold, tauMin, tauMax) {
+export function findBestTau(cmndf, threshold, tauMin, tauMax) {
   for (let tau = tauMin; tau < tauMax; tau++) {
     if (cmndf[tau] < threshold) {
       // Initial tau below threshold may not be the valley bottom.
@@ -184,6 +233,54 @@ function findBestTau(cmndf, threshold, tauMin, tauMax) {
   return findGlobalMinIndex(cmndf, tauMin, tauMax);
 }
 
+/**
+ * Step 4b — Octave error correction.
+ * Scores the raw tau and the CMNDF dips near its multiples and
+ * sub-multiples (CANDIDATE_RATIOS). Each score is the dip depth plus a
+ * penalty for every octave away from the previous stable period, so a
+ * slightly shallower dip at the previous pitch wins over a jump to a
+ * harmonic.
+ * @param {Float32Array} cmndf - Normalized difference array (CMNDF)
+ * @param {number} rawTau - Tau chosen by findBestTau
+ * @param {number} tauMin - Minimum tau in samples
+ * @param {number} tauMax - Maximum tau in samples
+ * @param {number} previousTau - Period of the previous stable pitch
+ * @returns {number} Best tau candidate (rawTau if nothing beats it)
+ */
+function chooseCandidateTau(cmndf, rawTau, tauMin, tauMax, previousTau) {
+  const upper = Math.min(tauMax, cmndf.length - 1);
+
+  /**
+   * @param {number} tau
+   * @returns {number} Lower is better
+   */
+  const score = (tau) =>
+    cmndf[tau] + CONTINUITY_WEIGHT * Math.abs(Math.log2(tau / previousTau));
+
+  let bestTau = rawTau;
+  let bestScore = score(rawTau);
+  const maxDip = cmndf[rawTau] + CANDIDATE_MARGIN;
+
+  for (const ratio of CANDIDATE_RATIOS) {
+    const center = Math.round(rawTau * ratio);
+    const radius = Math.max(2, Math.round(center * CANDIDATE_SEARCH));
+    const start = Math.max(tauMin, center - radius);
+    const end = Math.min(upper, center + radius + 1);
+    if (start >= end) continue;
+
+    const tau = findGlobalMinIndex(cmndf, start, end);
+    if (cmndf[tau] > maxDip) continue;
+
+    const candidateScore = score(tau);
+    if (candidateScore < bestScore) {
+      bestTau = tau;
+      bestScore = candidateScore;
+    }
+  }
+
+  return bestTau;
+}
+
 /**
  * Locate the index of the minimum value within a slice of an array.
  *
@@ -210,25 +307,35 @@ function findGlobalMinIndex(array, start, end) {
 /**
  * Step 5 — Parabolic Interpolation.
  * Refines the integer tau estimate to sub-sample precision
- * by fitting a parabola through the three CMNDF values
+ * by fitting a parabola through the three difference-function values
  * around the best tau, yielding a more accurate (possibly fractional) lag.
  *
+ * The fit uses the raw difference function rather than the CMNDF, as the
+ * paper recommends: the CMNDF's normalization tilts the dip and biases
+ * the vertex, by several cents for short periods.
+ *
  * Because the points lie at tau−1, tau, and tau+1 the general vertex formula
- * simplifies to the compact symmetric expression used below.
+ * simplifies to the compact symmetric expression used below. Exported so
+ * tools/checks/yin-algorithm.js can check it on a dip of known vertex.
  *
- * @param {Float32Array} cmndf - Normalized difference array (CMNDF)
+ * @param {Float32Array} df - Difference function, indexed by tau
  * @param {number} tau - Best tau candidate in samples
  * @returns {number} interpolated tau (may be fractional) in samples
  */
-function refineTau(cmndf, tau) {
+export function refineTau(df, tau) {
   // Can't interpolate at boundaries — return the integer value
-  if (tau < 1 || tau + 1 >= cmndf.length) {
+  if (tau < 1 || tau + 1 >= df.length) {
     return tau;
   }
 
   // equally spaced neighbours (tau-1, tau, tau+1) --> simple vertex offset
-  const numerator = cmndf[tau - 1] - cmndf[tau + 1];
-  const denominator = cmndf[tau - 1] - 2 * cmndf[tau] + cmndf[tau + 1];
+  const numerator = df[tau - 1] - df[tau + 1];
+  const denominator = df[tau - 1] - 2 * df[tau] + df[tau + 1];
+
+  // Flat (silence, DC) or not a dip: nothing to interpolate
+  if (!(denominator > 0)) {
+    return tau;
+  }
 
   // Parabolic interpolation
   return tau + 0.5 * (numerator / denominator);
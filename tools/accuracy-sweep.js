@@ -0,0 +1,80 @@
+/**
+ * Accuracy sweep for the pitch detectors, and the runner of every check.
+ *
+ * Usage (from the repository root, Node 20.19+ / 22+):
+ *   node tools/accuracy-sweep.js [detector-id ...]
+ *
+ * Runs every registered detector (or the ones named) over synthetic tones
+ * at 44.1, 48 and 96 kHz, then the checks of each module in tools/checks/.
+ *
+ * Prints a summary per detector and sample rate and every failure; exits
+ * with code 1 if anything failed.
+ */
+
+import { listDetectors } from "../src/pitch-detectors.js";
+import { SAMPLE_RATES, listFailures } from "./checks/check.js";
+import { checkEdgeCases, sweepTones } from "./checks/detectors.js";
+import { checkYin } from "./checks/yin-algorithm.js";
+import { checkMcLeod } from "./checks/mcleod-algorithm.js";
+import { checkVoicing } from "./checks/voicing.js";
+import { checkPitchRanges } from "./checks/pitch-range.js";
+import { checkCaptureSettings } from "./checks/capture-settings.js";
+import { checkGate } from "./checks/input-gate.js";
+import { checkSmoother } from "./checks/pitch-smoother.js";
+import { checkContinuity } from "./checks/pitch-continuity.js";
+import { checkNoteMapping, checkTemperaments } from "./checks/note-mapping.js";
+import { checkScala } from "./checks/scala.js";
+import { checkNoteNaming } from "./checks/note-naming.js";
+import { checkCalibration } from "./checks/calibration.js";
+import { checkToneGenerator } from "./checks/tone-generator.js";
+import { checkHistory } from "./checks/pitch-history.js";
+import { checkPracticeSessions } from "./checks/practice-session.js";
+import { checkInstruments } from "./checks/instruments.js";
+import { checkExercises } from "./checks/exercises.js";
+import { checkStrum } from "./checks/strum-analysis.js";
+import { checkSettings } from "./checks/settings.js";
+import { checkPitchTrack } from "./checks/pitch-track.js";
+import { checkWavAnalysis } from "./checks/wav-analysis.js";
+
+const requested = process.argv.slice(2);
+const detectorIds = requested.length
+  ? requested
+  : listDetectors().map(({ id }) => id);
+
+for (const detectorId of detectorIds) {
+  for (const sampleRate of SAMPLE_RATES) {
+    sweepTones(detectorId, sampleRate);
+    checkEdgeCases(detectorId, sampleRate);
+  }
+}
+checkYin();
+checkMcLeod();
+checkVoicing();
+checkPitchRanges();
+checkCaptureSettings();
+checkGate();
+checkSmoother();
+checkContinuity();
+checkNoteMapping();
+checkTemperaments();
+checkScala();
+checkNoteNaming();
+checkCalibration();
+checkToneGenerator();
+checkHistory();
+checkPracticeSessions();
+checkInstruments();
+checkExercises();
+checkStrum();
+checkSettings();
+await checkPitchTrack();
+await checkWavAnalysis();
+
+const failures = listFailures();
+if (failures.length > 0) {
+  console.error(`\n${failures.length} check(s) failed:`);
+  for (const message of failures) console.error(`  ${message}`);
+  process.exitCode = 1;
+} else {
+  console.log("\nall checks passed");
+}
@@ -0,0 +1,187 @@
+/**
+ * Offline pitch analysis of a WAV file, without a browser.
+ *
+ * Usage (from the repository root, Node 20.19+ / 22+):
+ *   node tools/analyse-wav.js <file.wav> [options]
+ *
+ * Runs the tuner's pitch detector frame by frame over the file and prints
+ * time, frequency, confidence, note and cents per frame as CSV or JSON.
+ * With --truth it also scores the result against a ground-truth annotation
+ * (see pitch-score.js) and can fail (exit code 1) when the gross pitch error
+ * rate or mean cents error exceed given limits, for regression checks.
+ * Run with --help for the options.
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import { decodeWav } from "./wav-file.js";
+import { parseAnnotation, scorePitchTrack } from "./pitch-score.js";
+import {
+  computePitchTrack,
+  pitchTrackToCsv,
+  selectChannel,
+  toPitchTrackRows,
+} from "../src/pitch-track.js";
+import { getPitchRange } from "../src/pitch-range.js";
+import { setReferenceFrequency } from "../src/note-mapping.js";
+import { CAPTURE_CHANNELS } from "../src/capture-settings.js";
+
+const USAGE = "Usage: node tools/analyse-wav.js <file.wav> [options]";
+const OPTIONS = `Options:
+  --detector <id>        yin (default) or mpm
+  --range <key>          full (default), bass, guitar or high
+  --window <samples>     analysis window (default: from the range)
+  --hop <samples>        samples between frames (default 1024)
+  --channel <channel>    sum (default), left or right
+  --reference <Hz>       A4 reference for note names (default 440)
+  --format <format>      csv (default) or json
+  --quiet                don't print frames (only the score)
+  --truth <file>         ground-truth "time frequency" annotation
+  --gross-cents <cents>  gross error limit (default 50)
+  --min-confidence <x>   treat less confident frames as unvoiced
+  --max-gpe <rate>       fail if the gross pitch error rate is higher
+  --max-cents <cents>    fail if the mean absolute cents error is higher`;
+
+/**
+ * Parse an optional numeric option.
+ * @param {string | undefined} value
+ * @param {string} name - Option name for the error message
+ * @returns {number | undefined}
+ * @throws {RangeError} If the value is not a number
+ */
+function toNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isFinite(number)) {
+    throw new RangeError(`--${name} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+function format(value, digits) {
+  return Number.isNaN(value) ? "n/a" : value.toFixed(digits);
+}
+
+/**
+ * @returns {Promise<number>} Process exit code
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      detector: { type: "string", default: "yin" },
+      range: { type: "string", default: "full" },
+      window: { type: "string" },
+      hop: { type: "string" },
+      channel: { type: "string", default: "sum" },
+      reference: { type: "string" },
+      format: { type: "string", default: "csv" },
+      quiet: { type: "boolean", default: false },
+      truth: { type: "string" },
+      "gross-cents": { type: "string" },
+      "min-confidence": { type: "string" },
+      "max-gpe": { type: "string" },
+      "max-cents": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(`${USAGE}\n\n${OPTIONS}`);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (values.format !== "csv" && values.format !== "json") {
+    throw new RangeError(
+      `--format must be csv or json, got "${values.format}"`,
+    );
+  }
+  const channel =
+    /** @type {import("../src/capture-settings.js").CaptureChannel} */ (
+      values.channel
+    );
+  if (!CAPTURE_CHANNELS.includes(channel)) {
+    throw new RangeError(
+      `--channel must be one of ${CAPTURE_CHANNELS.join(", ")}, got "${channel}"`,
+    );
+  }
+
+  const reference = toNumber(values.reference, "reference");
+  if (reference !== undefined) setReferenceFrequency(reference);
+
+  const file = await readFile(positionals[0]);
+  const { sampleRate, channels } = decodeWav(
+    file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength),
+  );
+  const track = await computePitchTrack(
+    selectChannel(channels, channel),
+    sampleRate,
+    {
+      range: getPitchRange(values.range),
+      detector: values.detector,
+      windowSize: toNumber(values.window, "window"),
+      hopSize: toNumber(values.hop, "hop"),
+    },
+  );
+
+  if (!values.quiet) {
+    process.stdout.write(
+      values.format === "json"
+        ? JSON.stringify(toPitchTrackRows(track), null, 2) + "\n"
+        : pitchTrackToCsv(track),
+    );
+  }
+
+  if (values.truth === undefined) return 0;
+
+  const truth = parseAnnotation(await readFile(values.truth, "utf8"));
+  const score = scorePitchTrack(track, truth, {
+    grossErrorCents: toNumber(values["gross-cents"], "gross-cents"),
+    minConfidence: toNumber(values["min-confidence"], "min-confidence"),
+  });
+
+  // the score goes to stderr so stdout stays a clean CSV/JSON stream
+  console.error(
+    [
+      `frames compared       ${score.frames} (${score.voicedFrames} voiced in ground truth)`,
+      `gross pitch errors    ${score.grossErrors} of ${score.matchedFrames} (${format(100 * score.grossPitchErrorRate, 2)} %)`,
+      `mean cents error      ${format(score.meanCentsError, 2)}`,
+      `mean |cents error|    ${format(score.meanAbsoluteCentsError, 2)}`,
+      `voicing recall        ${format(100 * score.voicingRecall, 1)} %`,
+      `voicing false alarms  ${format(100 * score.voicingFalseAlarmRate, 1)} %`,
+    ].join("\n"),
+  );
+
+  const maxGpe = toNumber(values["max-gpe"], "max-gpe");
+  const maxCents = toNumber(values["max-cents"], "max-cents");
+  let failed = false;
+  if (maxGpe !== undefined && !(score.grossPitchErrorRate <= maxGpe)) {
+    console.error(`FAIL: gross pitch error rate above ${maxGpe}`);
+    failed = true;
+  }
+  if (maxCents !== undefined && !(score.meanAbsoluteCentsError <= maxCents)) {
+    console.error(`FAIL: mean absolute cents error above ${maxCents}`);
+    failed = true;
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    console.error(error instanceof Error ? error.message : error);
+    console.error(USAGE);
+    process.exitCode = 2;
+  },
+);
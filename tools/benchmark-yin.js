@@ -0,0 +1,387 @@
+/**
+ * Benchmark: legacy per-lag YIN difference function vs the FFT-based one.
+ *
+ * Usage (from the repository root, Node 20.19+ / 22+):
+ *   node tools/benchmark-yin.js [iterations]
+ *
+ * For a set of synthetic buffers it runs the pre-FFT detector (kept below
+ * as an untouched copy of the original yin-algorithm.js) and the current
+ * `detectPitch`, and prints the mean time per call for both and how far
+ * each reads from the buffer's true pitch. The current detector sums the
+ * difference function over the overlapping samples only, interpolates the
+ * lag on it and searches at most half the buffer; the original reads low
+ * notes and short periods several cents sharp.
+ *
+ * The FFT path must compute the same thing as a per-lag version of the
+ * current detector (also kept below): at every lag, its difference
+ * function must equal the directly summed one, and `detectPitch` must read
+ * the same frequency and clarity up to float rounding. Exits with code 1
+ * if any of that fails.
+ */
+
+import { computeDF, detectPitch } from "../src/yin-algorithm.js";
+
+const MIN_FREQUENCY = 27;
+const MAX_FREQUENCY = 5000;
+const THRESHOLD = 0.1;
+
+// Both difference functions are stored as Float32, so allow float noise
+// relative to the window's energy
+const DIFFERENCE_TOLERANCE = 1e-5;
+// Furthest detectPitch may read from the per-lag reference: float rounding,
+// not a change in what the detector finds
+const FREQUENCY_TOLERANCE_CENTS = 1e-3;
+const CLARITY_TOLERANCE = 1e-5;
+
+// -----------------------------------------------------------------------------
+// legacy reference implementation (O(N·tau) difference function)
+// -----------------------------------------------------------------------------
+/**
+ * @param {Float32Array} samples
+ * @param {number} tau
+ * @returns {number}
+ */
+function legacyACF(samples, tau) {
+  let acf = 0;
+  const limit = samples.length - tau;
+  for (let x = 0; x < limit; x++) {
+    acf += samples[x] * samples[x + tau];
+  }
+  return acf;
+}
+
+/**
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{frequency: number, confidence: number} | null} confidence is
+ *   the CMNDF at the chosen lag (lower is better)
+ */
+function legacyDetectPitch(samples, sampleRate) {
+  const tauMin = Math.floor(sampleRate / MAX_FREQUENCY);
+  const tauMax = Math.floor(sampleRate / MIN_FREQUENCY);
+  const maxTau = Math.min(tauMax, samples.length - 1);
+  const df = new Float32Array(maxTau + 1);
+  const cmndf = new Float32Array(maxTau + 1);
+
+  for (let tau = 1; tau <= maxTau; tau++) {
+    df[tau] =
+      legacyACF(samples, 0) +
+      legacyACF(samples.subarray(tau), 0) -
+      2 * legacyACF(samples, tau);
+  }
+
+  cmndf[0] = 1;
+  let cumulativeDF = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    cumulativeDF += df[tau];
+    cmndf[tau] = cumulativeDF === 0 ? 1 : (df[tau] * tau) / cumulativeDF;
+  }
+
+  let tau = -1;
+  for (let t = tauMin; t < tauMax && tau < 0; t++) {
+    if (cmndf[t] < THRESHOLD) {
+      tau = t;
+      while (tau + 1 < tauMax && cmndf[tau + 1] < cmndf[tau]) tau++;
+    }
+  }
+  if (tau < 0) {
+    tau = tauMin;
+    for (let t = tauMin + 1; t < tauMax; t++) {
+      if (cmndf[t] < cmndf[tau]) tau = t;
+    }
+  }
+
+  let refinedTau = tau;
+  if (tau >= 1 && tau + 1 < cmndf.length) {
+    const numerator = cmndf[tau - 1] - cmndf[tau + 1];
+    const denominator = cmndf[tau - 1] - 2 * cmndf[tau] + cmndf[tau + 1];
+    refinedTau = tau + 0.5 * (numerator / denominator);
+  }
+
+  const frequency = sampleRate / refinedTau;
+  if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) return null;
+  return { frequency, confidence: cmndf[tau] };
+}
+
+// -----------------------------------------------------------------------------
+// per-lag reference of the current detector
+// -----------------------------------------------------------------------------
+/**
+ * @param {Float32Array} samples
+ * @param {number} tau
+ * @returns {number} Σ (x[j] − x[j+tau])² over the overlapping samples
+ */
+function referenceDifference(samples, tau) {
+  let sum = 0;
+  const limit = samples.length - tau;
+  for (let x = 0; x < limit; x++) {
+    const delta = samples[x] - samples[x + tau];
+    sum += delta * delta;
+  }
+  return sum;
+}
+
+/**
+ * Largest lag the current detector searches in a buffer.
+ * @param {number} size - Samples
+ * @param {number} sampleRate
+ * @returns {number}
+ */
+function referenceTauMax(size, sampleRate) {
+  return Math.min(Math.floor(sampleRate / MIN_FREQUENCY), Math.floor(size / 2));
+}
+
+/**
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{frequency: number, clarity: number} | null}
+ */
+function referenceDetectPitch(samples, sampleRate) {
+  const tauMin = Math.floor(sampleRate / MAX_FREQUENCY);
+  const tauMax = referenceTauMax(samples.length, sampleRate);
+  if (tauMin >= tauMax) return null;
+  const df = new Float32Array(tauMax + 1);
+  const cmndf = new Float32Array(tauMax + 1);
+
+  for (let tau = 1; tau <= tauMax; tau++) {
+    df[tau] = referenceDifference(samples, tau);
+  }
+
+  cmndf[0] = 1;
+  let cumulativeDF = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    cumulativeDF += df[tau];
+    cmndf[tau] = cumulativeDF === 0 ? 1 : (df[tau] * tau) / cumulativeDF;
+  }
+
+  let tau = -1;
+  for (let t = tauMin; t < tauMax && tau < 0; t++) {
+    if (cmndf[t] < THRESHOLD) {
+      tau = t;
+      while (tau + 1 < tauMax && cmndf[tau + 1] < cmndf[tau]) tau++;
+    }
+  }
+  if (tau < 0) {
+    tau = tauMin;
+    for (let t = tauMin + 1; t < tauMax; t++) {
+      if (cmndf[t] < cmndf[tau]) tau = t;
+    }
+  }
+
+  let refinedTau = tau;
+  if (tau >= 1 && tau + 1 < df.length) {
+    const numerator = df[tau - 1] - df[tau + 1];
+    const denominator = df[tau - 1] - 2 * df[tau] + df[tau + 1];
+    if (denominator > 0) refinedTau = tau + 0.5 * (numerator / denominator);
+  }
+
+  const frequency = sampleRate / refinedTau;
+  if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) return null;
+  return { frequency, clarity: Math.max(0, Math.min(1, 1 - cmndf[tau])) };
+}
+
+// -----------------------------------------------------------------------------
+// synthetic buffers
+// -----------------------------------------------------------------------------
+/**
+ * Build a test buffer from a per-sample generator.
+ * @param {number} size
+ * @param {(t: number) => number} generator - Called with time in seconds
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+function makeBuffer(size, generator, sampleRate) {
+  const buffer = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    buffer[i] = generator(i / sampleRate);
+  }
+  return buffer;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) so runs are repeatable.
+ * @param {number} seed
+ * @returns {() => number} Uniform values in [-1, 1)
+ */
+function makeNoise(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 31 - 1;
+  };
+}
+
+/**
+ * @param {number} sampleRate
+ * @param {number} size
+ * @returns {{label: string, frequency: number | null, buffer: Float32Array}[]}
+ *   frequency - the pitch the buffer should read as, null for none
+ */
+function makeCases(sampleRate, size) {
+  const noise = makeNoise(1234);
+  return [
+    {
+      label: "sine 110 Hz",
+      frequency: 110,
+      buffer: makeBuffer(
+        size,
+        (t) => Math.sin(2 * Math.PI * 110 * t),
+        sampleRate,
+      ),
+    },
+    {
+      label: "sine 440 Hz",
+      frequency: 440,
+      buffer: makeBuffer(
+        size,
+        (t) => Math.sin(2 * Math.PI * 440 * t),
+        sampleRate,
+      ),
+    },
+    {
+      label: "saw 82.4 Hz",
+      frequency: 82.41,
+      buffer: makeBuffer(size, (t) => 2 * ((t * 82.41) % 1) - 1, sampleRate),
+    },
+    {
+      label: "sine 196 Hz + noise",
+      frequency: 196,
+      buffer: makeBuffer(
+        size,
+        (t) => Math.sin(2 * Math.PI * 196 * t) + 0.2 * noise(),
+        sampleRate,
+      ),
+    },
+    {
+      label: "silence",
+      frequency: null,
+      buffer: new Float32Array(size),
+    },
+  ];
+}
+
+// -----------------------------------------------------------------------------
+// runner
+// -----------------------------------------------------------------------------
+/**
+ * Mean wall-clock time of a function in milliseconds.
+ * @param {() => unknown} fn
+ * @param {number} iterations
+ * @returns {number}
+ */
+function timeIt(fn, iterations) {
+  fn(); // warm-up
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  return (performance.now() - start) / iterations;
+}
+
+/**
+ * Largest difference, relative to the window's energy, between the FFT
+ * difference function and the directly summed one.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number}
+ */
+function differenceError(samples, sampleRate) {
+  const maxTau = referenceTauMax(samples.length, sampleRate);
+  const df = computeDF(samples, maxTau);
+  const energy = legacyACF(samples, 0);
+  let worst = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    const expected = referenceDifference(samples, tau);
+    worst = Math.max(worst, Math.abs(df[tau] - expected) / (energy || 1));
+  }
+  return worst;
+}
+
+/**
+ * How far a reading is from the buffer's true pitch.
+ * @param {{frequency: number} | null} result
+ * @param {number | null} frequency - True pitch in Hz, null for none
+ * @returns {string}
+ */
+function formatError(result, frequency) {
+  if (!result) return "null";
+  if (!Number.isFinite(result.frequency)) return `${result.frequency}`;
+  if (frequency === null) return "pitch";
+  const cents = 1200 * Math.log2(result.frequency / frequency);
+  return `${cents >= 0 ? "+" : ""}${cents.toFixed(2)} cents`;
+}
+
+/**
+ * Whether the current reading is the per-lag reference's up to float
+ * rounding.
+ * @param {{frequency: number, clarity: number} | null} reference
+ * @param {{frequency: number, clarity: number} | null} current
+ * @returns {boolean}
+ */
+function sameReading(reference, current) {
+  if (!reference || !current) return reference === current;
+  const cents = 1200 * Math.log2(current.frequency / reference.frequency);
+  return (
+    Math.abs(cents) <= FREQUENCY_TOLERANCE_CENTS &&
+    Math.abs(current.clarity - reference.clarity) <= CLARITY_TOLERANCE
+  );
+}
+
+const iterations = Number(process.argv[2]) || 5;
+let mismatches = 0;
+let changedReadings = 0;
+
+for (const sampleRate of [44100, 48000]) {
+  for (const size of [2048, 4096, 8192]) {
+    for (const { label, frequency, buffer } of makeCases(sampleRate, size)) {
+      const legacy = legacyDetectPitch(buffer, sampleRate);
+      const current = detectPitch(buffer, sampleRate);
+      const error = differenceError(buffer, sampleRate);
+      if (!(error <= DIFFERENCE_TOLERANCE)) mismatches++;
+      const same = sameReading(
+        referenceDetectPitch(buffer, sampleRate),
+        current,
+      );
+      if (!same) changedReadings++;
+
+      const legacyMs = timeIt(
+        () => legacyDetectPitch(buffer, sampleRate),
+        iterations,
+      );
+      const currentMs = timeIt(
+        () => detectPitch(buffer, sampleRate),
+        iterations,
+      );
+
+      console.log(
+        [
+          `${sampleRate} Hz`.padEnd(9),
+          `N=${size}`.padEnd(7),
+          label.padEnd(20),
+          `legacy ${legacyMs.toFixed(2).padStart(8)} ms`,
+          `fft ${currentMs.toFixed(2).padStart(7)} ms`,
+          `x${(legacyMs / currentMs).toFixed(1)}`.padStart(7),
+          error <= DIFFERENCE_TOLERANCE
+            ? "df ok"
+            : `df MISMATCH ${error.toExponential(1)}`,
+          same ? "per-lag ok" : "per-lag MISMATCH",
+          `legacy ${formatError(legacy, frequency).padStart(12)}`,
+          `fft ${formatError(current, frequency).padStart(12)}`,
+        ].join("  "),
+      );
+    }
+  }
+}
+
+if (mismatches > 0) {
+  console.error(
+    `${mismatches} case(s) where the FFT difference function differs`,
+  );
+  process.exitCode = 1;
+}
+if (changedReadings > 0) {
+  console.error(
+    `${changedReadings} case(s) where detectPitch reads differently from the per-lag reference`,
+  );
+  process.exitCode = 1;
+}
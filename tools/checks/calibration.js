@@ -0,0 +1,97 @@
+/**
+ * Calibration checks: the reference is recovered from a steady A.
+ */
+
+import {
+  CALIBRATION_TIME,
+  addCalibrationReading,
+  resetCalibration,
+} from "../../src/calibration.js";
+import {
+  DEFAULT_REFERENCE_FREQUENCY,
+  setReferenceFrequency,
+} from "../../src/note-mapping.js";
+import { startSection } from "./check.js";
+
+/**
+ * An A held steady (with a little jitter) in any octave must calibrate to
+ * its reference after CALIBRATION_TIME and not before, as long as it is
+ * within half a semitone of the current reference; other notes (even the
+ * G♯ and B♭ next to the A), and an A interrupted by a dropout or another
+ * note, must not calibrate early.
+ * @returns {void}
+ */
+export function checkCalibration() {
+  const { expect, end } = startSection("calibration");
+  const hop = 1024 / 48000;
+
+  /**
+   * Feed a steady pitch and return the first result and when it came.
+   * @param {number} frequency
+   * @param {number} seconds
+   * @param {number} [start=0]
+   * @returns {{reference: number | null, time: number}}
+   */
+  const hold = (frequency, seconds, start = 0) => {
+    for (let i = 0; i * hop <= seconds; i++) {
+      const jitter = Math.pow(2, (((i % 3) - 1) * 2) / 1200); // ±2 cents
+      const time = start + i * hop;
+      const reference = addCalibrationReading(frequency * jitter, time);
+      if (reference !== null) return { reference, time: time - start };
+    }
+    return { reference: null, time: seconds };
+  };
+
+  for (const reference of [430, 440, 441.3, 443, 452]) {
+    for (const octave of [-2, -1, 0, 1, 2]) {
+      resetCalibration();
+      const result = hold(reference * 2 ** octave, CALIBRATION_TIME + 0.5);
+      expect(
+        `A = ${reference} Hz in octave ${octave} gave ${result.reference} after ${result.time.toFixed(2)} s`,
+        result.reference === reference &&
+          result.time >= CALIBRATION_TIME &&
+          result.time <= CALIBRATION_TIME + 2 * hop,
+      );
+    }
+  }
+
+  for (const [name, frequency] of /** @type {[string, number][]} */ ([
+    ["G4", 392],
+    ["G♯4", 415.3],
+    ["B♭4", 466.2],
+  ])) {
+    resetCalibration();
+    expect(
+      `${name} is not taken for an A`,
+      hold(frequency, CALIBRATION_TIME + 0.5).reference === null,
+    );
+  }
+
+  setReferenceFrequency(415);
+  resetCalibration();
+  expect(
+    "a baroque A calibrates from a baroque reference",
+    hold(416 / 2, CALIBRATION_TIME + 0.5).reference === 416,
+  );
+  setReferenceFrequency(DEFAULT_REFERENCE_FREQUENCY);
+
+  resetCalibration();
+  hold(440, CALIBRATION_TIME - 0.5);
+  addCalibrationReading(null, CALIBRATION_TIME - 0.4);
+  const afterDropout = hold(442, CALIBRATION_TIME + 0.5, CALIBRATION_TIME);
+  expect(
+    "a dropout restarts collection",
+    afterDropout.reference === 442 && afterDropout.time >= CALIBRATION_TIME,
+  );
+
+  resetCalibration();
+  hold(440, CALIBRATION_TIME - 0.5);
+  const afterChange = hold(446, CALIBRATION_TIME + 0.5, CALIBRATION_TIME);
+  expect(
+    "a change of pitch restarts collection",
+    afterChange.reference === 446 && afterChange.time >= CALIBRATION_TIME,
+  );
+  resetCalibration();
+
+  end();
+}
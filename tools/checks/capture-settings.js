@@ -0,0 +1,146 @@
+/**
+ * Capture settings checks: validation, the getUserMedia() constraints they
+ * turn into and when they need a new microphone stream.
+ */
+
+import {
+  CAPTURE_CHANNELS,
+  DEFAULT_CAPTURE_SETTINGS,
+  MAX_INPUT_GAIN,
+  MIN_INPUT_GAIN,
+  dbToGain,
+  needsNewStream,
+  resolveCaptureSettings,
+  toAudioConstraints,
+} from "../../src/capture-settings.js";
+import { startSection } from "./check.js";
+
+/** @typedef {import("../../src/capture-settings.js").CaptureSettings} CaptureSettings */
+
+/**
+ * Settings must resolve over their base, keep only their own fields and
+ * reject non-boolean processing flags, gains outside MIN_INPUT_GAIN to
+ * MAX_INPUT_GAIN and unknown channels. The constraints must carry each
+ * processing flag as set, ask for stereo only when a single channel is
+ * picked and pin the device only when one is given. Only processing
+ * changes and switches between the sum and a single channel may need a
+ * new stream; gain is applied in dB.
+ * @returns {void}
+ */
+export function checkCaptureSettings() {
+  const { expect, expectError, end } = startSection("capture");
+
+  const defaults = resolveCaptureSettings();
+  expect(
+    "no changes resolve to the defaults",
+    JSON.stringify(defaults) === JSON.stringify(DEFAULT_CAPTURE_SETTINGS) &&
+      defaults !== DEFAULT_CAPTURE_SETTINGS,
+  );
+  const base = resolveCaptureSettings({ inputGain: 12, channel: "left" });
+  const resolved = resolveCaptureSettings(
+    /** @type {Partial<CaptureSettings>} */ ({
+      echoCancellation: true,
+      extra: 1,
+    }),
+    base,
+  );
+  expect(
+    "changes merge over their base and drop unknown fields",
+    resolved.echoCancellation &&
+      resolved.inputGain === 12 &&
+      resolved.channel === "left" &&
+      !("extra" in resolved),
+  );
+  expect(
+    "the gain limits themselves are accepted",
+    resolveCaptureSettings({ inputGain: MIN_INPUT_GAIN }).inputGain ===
+      MIN_INPUT_GAIN &&
+      resolveCaptureSettings({ inputGain: MAX_INPUT_GAIN }).inputGain ===
+        MAX_INPUT_GAIN,
+  );
+
+  for (const [
+    label,
+    settings,
+    message,
+  ] of /** @type {[string, object, string][]} */ ([
+    ["echo cancellation of 1", { echoCancellation: 1 }, "echoCancellation"],
+    [
+      "noise suppression of null",
+      { noiseSuppression: null },
+      "noiseSuppression",
+    ],
+    ['auto gain of "false"', { autoGainControl: "false" }, "autoGainControl"],
+    ["a gain below the limit", { inputGain: MIN_INPUT_GAIN - 1 }, "Input gain"],
+    ["a gain above the limit", { inputGain: MAX_INPUT_GAIN + 1 }, "Input gain"],
+    ["a NaN gain", { inputGain: NaN }, "Input gain"],
+    ["an unknown channel", { channel: "centre" }, "Channel"],
+  ])) {
+    expectError(
+      label,
+      RangeError,
+      () => resolveCaptureSettings(settings),
+      message,
+    );
+  }
+
+  for (const flags of [
+    { echoCancellation: true, noiseSuppression: false, autoGainControl: true },
+    { echoCancellation: false, noiseSuppression: true, autoGainControl: false },
+  ]) {
+    const constraints = toAudioConstraints(resolveCaptureSettings(flags), null);
+    expect(
+      `constraints carry ${JSON.stringify(flags)}`,
+      constraints.echoCancellation === flags.echoCancellation &&
+        constraints.noiseSuppression === flags.noiseSuppression &&
+        constraints.autoGainControl === flags.autoGainControl &&
+        !("deviceId" in constraints),
+    );
+  }
+  for (const channel of CAPTURE_CHANNELS) {
+    const constraints = toAudioConstraints(
+      resolveCaptureSettings({ channel }),
+      "interface-1",
+    );
+    const stereo = JSON.stringify(constraints.channelCount);
+    expect(
+      `channel ${channel} asks for ${stereo ?? "any"} channels`,
+      channel === "sum"
+        ? constraints.channelCount === undefined
+        : stereo === JSON.stringify({ ideal: 2 }),
+    );
+    expect(
+      `channel ${channel} opens the chosen device`,
+      JSON.stringify(constraints.deviceId) ===
+        JSON.stringify({ exact: "interface-1" }),
+    );
+  }
+
+  for (const [
+    label,
+    changes,
+    expected,
+  ] of /** @type {[string, Partial<CaptureSettings>, boolean][]} */ ([
+    ["gain", { inputGain: 20 }, false],
+    ["left to right", { channel: "right" }, false],
+    ["echo cancellation", { echoCancellation: true }, true],
+    ["noise suppression", { noiseSuppression: true }, true],
+    ["auto gain", { autoGainControl: false }, true],
+    ["left to sum", { channel: "sum" }, true],
+  ])) {
+    const from = resolveCaptureSettings({ channel: "left" });
+    expect(
+      `changing ${label} ${expected ? "needs" : "keeps"} the stream`,
+      needsNewStream(from, resolveCaptureSettings(changes, from)) === expected,
+    );
+  }
+
+  expect(
+    "gain is applied in dB",
+    dbToGain(0) === 1 &&
+      Math.abs(dbToGain(20) - 10) < 1e-12 &&
+      Math.abs(dbToGain(-6) - 0.501) < 1e-3,
+  );
+
+  end();
+}
@@ -0,0 +1,85 @@
+/**
+ * Shared helpers of the accuracy sweep's checks.
+ *
+ * Failures from every section are collected here, for the runner to print
+ * at the end. Each check file opens a section, runs its checks through the
+ * section's expect helpers and ends it, which prints how many it ran.
+ */
+
+/** Sample rates every detector and analysis is checked at */
+export const SAMPLE_RATES = [44100, 48000, 96000];
+
+/** @type {string[]} */
+const failures = [];
+
+/**
+ * @typedef {{
+ *   expect: (label: string, ok: boolean) => void,
+ *   expectError: (label: string, type: ErrorConstructor, run: () => unknown,
+ *     message?: string) => void,
+ *   end: () => void
+ * }} Section
+ *   expect - count a check, failing it unless ok
+ *   expectError - run something that must throw that type of error, with
+ *     the message in it if one is given
+ *   end - print how many checks the section ran
+ */
+
+/**
+ * Record a failed check.
+ * @param {string} message
+ * @returns {void}
+ */
+export function fail(message) {
+  failures.push(message);
+}
+
+/**
+ * Failed checks so far.
+ * @returns {readonly string[]}
+ */
+export function listFailures() {
+  return failures;
+}
+
+/**
+ * @param {number} detected - Hz
+ * @param {number} expected - Hz
+ * @returns {number} Error in cents
+ */
+export function centsError(detected, expected) {
+  return 1200 * Math.log2(detected / expected);
+}
+
+/**
+ * Start a named group of checks.
+ * @param {string} name - Printed with the count and before each failure
+ * @returns {Section}
+ */
+export function startSection(name) {
+  let checked = 0;
+
+  /** @type {Section["expect"]} */
+  const expect = (label, ok) => {
+    checked++;
+    if (!ok) fail(`${name}: ${label}`);
+  };
+
+  /** @type {Section["expectError"]} */
+  const expectError = (label, type, run, message = "") => {
+    let reported = null;
+    try {
+      run();
+    } catch (error) {
+      reported = error;
+    }
+    expect(
+      `${label} reported (got: ${reported ?? "no error"})`,
+      reported instanceof type && String(reported).includes(message),
+    );
+  };
+
+  const end = () => console.log(`${name.padEnd(13)} ${checked} checks`);
+
+  return { expect, expectError, end };
+}
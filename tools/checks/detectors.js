@@ -0,0 +1,281 @@
+/**
+ * Detector checks: synthetic tones swept across the whole range, and edge
+ * cases that must neither throw nor report NaN.
+ */
+
+import {
+  addNoise,
+  addOffset,
+  clip,
+  inharmonic,
+  pluck,
+  sawtooth,
+  sine,
+  vibrato,
+} from "../signal-synth.js";
+import { getDetector } from "../../src/pitch-detectors.js";
+import {
+  MAX_FREQUENCY,
+  MIN_FREQUENCY,
+  getPitchRange,
+  getWindowSize,
+} from "../../src/pitch-range.js";
+import { DEFAULT_DETECTOR_OPTIONS } from "../../src/voicing.js";
+import { centsError, fail } from "./check.js";
+
+// Sweep step and detune, so tones fall between semitones and FFT bins
+const STEP_SEMITONES = 2;
+const DETUNE_CENTS = 13;
+// Error beyond which a result counts as the wrong note (octave errors etc.)
+const GROSS_ERROR_CENTS = 50;
+// Plucks are judged after the attack, once the noise burst has been round
+// the string a few times (high notes die away long before 0.1 s)
+const PLUCK_ATTACK_PERIODS = 10;
+const VIBRATO_DEPTH_CENTS = 15;
+const VIBRATO_RATE = 5; // Hz
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   tolerance: [number, number][],
+ *   make: (size: number, sampleRate: number, frequency: number) =>
+ *     {buffer: Float32Array, frequency: number}
+ * }} ToneCase
+ *   tolerance - allowed error in cents (the tuner calls ±5 cents in tune)
+ *     per frequency band, as [highest frequency in Hz, cents] from the
+ *     lowest band up. Harmonic-rich tones get more at the top: their
+ *     periods are a few samples long at 44.1 and 48 kHz, and the
+ *     three-point interpolation of the lag reads them a few cents off
+ *   make - builds the tone and returns the frequency it should read as
+ */
+
+/** @type {ToneCase[]} */
+const TONE_CASES = [
+  {
+    label: "sine",
+    tolerance: [[MAX_FREQUENCY, 1]],
+    make: (size, rate, f) => ({ buffer: sine(size, rate, f), frequency: f }),
+  },
+  {
+    label: "sawtooth",
+    tolerance: [
+      [1000, 2],
+      [2000, 3],
+      [4000, 6],
+      [MAX_FREQUENCY, 7],
+    ],
+    make: (size, rate, f) => ({
+      buffer: sawtooth(size, rate, f),
+      frequency: f,
+    }),
+  },
+  {
+    label: "pluck",
+    tolerance: [[MAX_FREQUENCY, 5]],
+    make: (size, rate, f) => {
+      const attack = Math.round((PLUCK_ATTACK_PERIODS * rate) / f);
+      const { buffer, frequency } = pluck(attack + size, rate, f);
+      return { buffer: buffer.subarray(attack), frequency };
+    },
+  },
+  {
+    // piano-like stretch; its pitch is still read against f0
+    label: "inharmonic",
+    tolerance: [
+      [4000, 5],
+      [MAX_FREQUENCY, 7],
+    ],
+    make: (size, rate, f) => ({
+      buffer: inharmonic(size, rate, f, 1e-4),
+      frequency: f,
+    }),
+  },
+  {
+    label: "saw + noise",
+    tolerance: [
+      [2000, 5],
+      [4000, 6],
+      [MAX_FREQUENCY, 7],
+    ],
+    make: (size, rate, f) => ({
+      buffer: addNoise(sawtooth(size, rate, f), 20),
+      frequency: f,
+    }),
+  },
+  {
+    // the window spans most of a vibrato cycle, so it is judged against
+    // the mean pitch over the window
+    label: "vibrato",
+    tolerance: [[MAX_FREQUENCY, 2]],
+    make: (size, rate, f) => {
+      let sum = 0;
+      for (let i = 0; i < size; i++) {
+        const phase = (2 * Math.PI * VIBRATO_RATE * i) / rate;
+        sum += Math.pow(2, (VIBRATO_DEPTH_CENTS * Math.sin(phase)) / 1200);
+      }
+      return {
+        buffer: vibrato(size, rate, f, VIBRATO_DEPTH_CENTS, VIBRATO_RATE),
+        frequency: (f * sum) / size,
+      };
+    },
+  },
+];
+
+/**
+ * Frequencies swept, from MIN_FREQUENCY to MAX_FREQUENCY.
+ * @returns {number[]}
+ */
+function sweepFrequencies() {
+  const frequencies = [];
+  const first = Math.ceil(12 * Math.log2(MIN_FREQUENCY / 440));
+  for (let semitone = first; ; semitone += STEP_SEMITONES) {
+    const frequency = 440 * Math.pow(2, (100 * semitone + DETUNE_CENTS) / 1200);
+    if (frequency > MAX_FREQUENCY) break;
+    if (frequency >= MIN_FREQUENCY) frequencies.push(frequency);
+  }
+  return frequencies;
+}
+
+/**
+ * Allowed error for a tone: the tolerance of the band its frequency is in.
+ * @param {ToneCase["tolerance"]} tolerance
+ * @param {number} frequency - Hz
+ * @returns {number} Cents
+ */
+function allowedError(tolerance, frequency) {
+  const band = tolerance.find(([highest]) => frequency <= highest);
+  return (band ?? tolerance[tolerance.length - 1])[1];
+}
+
+/**
+ * Sweep the tone cases for one detector and sample rate.
+ * @param {string} detectorId
+ * @param {number} sampleRate
+ * @returns {void}
+ */
+export function sweepTones(detectorId, sampleRate) {
+  const { detect } = getDetector(detectorId);
+  const range = getPitchRange("full");
+  const size = getWindowSize(range, sampleRate);
+
+  for (const toneCase of TONE_CASES) {
+    const { tolerance } = toneCase;
+    let checked = 0;
+    let grossErrors = 0;
+    let worst = 0;
+
+    for (const requested of sweepFrequencies()) {
+      const { buffer, frequency } = toneCase.make(size, sampleRate, requested);
+      const result = detect(buffer, sampleRate, range);
+      const where = `${detectorId} @ ${sampleRate} Hz, ${toneCase.label} ${frequency.toFixed(2)} Hz`;
+      checked++;
+
+      if (!result || !result.voiced) {
+        fail(`${where}: ${result ? "unvoiced" : "no pitch"}`);
+        continue;
+      }
+      const error = centsError(result.frequency, frequency);
+      if (!(Math.abs(error) <= GROSS_ERROR_CENTS)) {
+        grossErrors++;
+        fail(`${where}: read ${result.frequency.toFixed(2)} Hz (gross error)`);
+        continue;
+      }
+      worst = Math.max(worst, Math.abs(error));
+      if (Math.abs(error) > allowedError(tolerance, frequency)) {
+        fail(`${where}: off by ${error.toFixed(2)} cents`);
+      }
+    }
+
+    console.log(
+      [
+        detectorId.padEnd(5),
+        `${sampleRate} Hz`.padEnd(9),
+        toneCase.label.padEnd(12),
+        `${checked} tones`,
+        `gross ${grossErrors}`.padEnd(8),
+        `max |error| ${worst.toFixed(2)} cents`,
+        `(limit ${tolerance
+          .map(([highest, cents]) => `${cents} cents to ${highest} Hz`)
+          .join(", ")})`,
+      ].join("  "),
+    );
+  }
+}
+
+/**
+ * Edge cases for one detector and sample rate: nothing may throw or report
+ * a NaN frequency, and usable signals must still read correctly.
+ * @param {string} detectorId
+ * @param {number} sampleRate
+ * @returns {void}
+ */
+export function checkEdgeCases(detectorId, sampleRate) {
+  const { detect } = getDetector(detectorId);
+  const range = getPitchRange("full");
+  const size = getWindowSize(range, sampleRate);
+  const tauMax = Math.floor(sampleRate / range.minFrequency);
+
+  /**
+   * @param {string} label
+   * @param {Float32Array} buffer
+   * @param {number | null} expected - Frequency to read, or null when the
+   *   frame must not come out voiced
+   * @returns {void}
+   */
+  const check = (label, buffer, expected) => {
+    const where = `${detectorId} @ ${sampleRate} Hz, ${label}`;
+    let result;
+    try {
+      result = detect(buffer, sampleRate, range, DEFAULT_DETECTOR_OPTIONS);
+    } catch (error) {
+      fail(`${where}: threw ${error}`);
+      return;
+    }
+    if (result && !Number.isFinite(result.frequency)) {
+      fail(`${where}: frequency is ${result.frequency}`);
+      return;
+    }
+    if (expected === null) {
+      if (result && result.voiced) fail(`${where}: reported voiced`);
+      return;
+    }
+    if (!result || !result.voiced) {
+      fail(`${where}: ${result ? "unvoiced" : "no pitch"}`);
+      return;
+    }
+    const error = centsError(result.frequency, expected);
+    if (!(Math.abs(error) <= 2)) {
+      fail(`${where}: read ${result.frequency.toFixed(2)} Hz`);
+    }
+  };
+
+  check("empty buffer", new Float32Array(0), null);
+  check("silence", new Float32Array(size), null);
+  check("DC only", addOffset(new Float32Array(size), 0.5), null);
+  check(
+    "sine 220 Hz + DC offset",
+    addOffset(sine(size, sampleRate, 220), 0.3),
+    220,
+  );
+  check("clipped sine 110 Hz", clip(sine(size, sampleRate, 110), 8), 110);
+  check(
+    "clipped sawtooth 82.4 Hz",
+    clip(sawtooth(size, sampleRate, 82.41), 6),
+    82.41,
+  );
+
+  // shorter than the longest period searched: low notes can't be seen, but
+  // ones that fit the buffer a few times still can
+  const short = Math.floor(tauMax / 2);
+  check(
+    "sine 440 Hz in half the longest period",
+    sine(short, sampleRate, 440),
+    440,
+  );
+  check(
+    "sine 30 Hz in half the longest period",
+    sine(short, sampleRate, 30),
+    null,
+  );
+  check("16-sample buffer", sine(16, sampleRate, 440), null);
+}
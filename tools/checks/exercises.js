@@ -0,0 +1,160 @@
+/**
+ * Ear-training checks: exercise targets and how played notes are scored.
+ */
+
+import { getNoteFrequency } from "../../src/note-mapping.js";
+import {
+  describeTarget,
+  getTargetFrequency,
+  listExercises,
+  parseExercise,
+  resolveStep,
+} from "../../src/exercises.js";
+import {
+  HIT_HOLD_TIME,
+  getExerciseProgress,
+  setExercise,
+  trackTarget,
+} from "../../src/exercise-trainer.js";
+import { startSection } from "./check.js";
+
+/** @typedef {import("../../src/exercises.js").ExerciseStep} ExerciseStep */
+/** @typedef {import("../../src/exercises.js").ExerciseTarget} ExerciseTarget */
+
+/**
+ * Exercise targets must land on the right notes, with pure intervals off
+ * equal temperament by their just ratios (a major third 13.7 cents flat),
+ * and broken exercise files must name the step at fault. Played through,
+ * a tempered third against a pure target must score a miss, a blip
+ * nothing, and each target held in tune a hit that moves on.
+ * @returns {void}
+ */
+export function checkExercises() {
+  const { expect, expectError, end } = startSection("exercises");
+  /**
+   * @param {number} from - Hz
+   * @param {number} to - Hz
+   * @returns {number}
+   */
+  const cents = (from, to) => 1200 * Math.log2(to / from);
+
+  const pureThird = resolveStep({
+    drone: "C4",
+    interval: "M3",
+    tuning: "pure",
+  });
+  const temperedThird = resolveStep({ drone: "C4", interval: "M3" });
+  const pureFifth = resolveStep({
+    drone: "D4",
+    interval: "P5",
+    tuning: "pure",
+  });
+  const pureOffset = cents(
+    getTargetFrequency(temperedThird),
+    getTargetFrequency(pureThird),
+  );
+  expect(
+    `pure major third is 13.69 cents flat (got ${pureOffset.toFixed(3)})`,
+    pureThird.midiNote === 64 && Math.abs(pureOffset + 13.686) < 0.001,
+  );
+  expect(
+    "pure fifth is a 3/2 above its drone",
+    pureFifth.midiNote === 69 &&
+      Math.abs(getTargetFrequency(pureFifth) / getNoteFrequency(62) - 3 / 2) <
+        1e-12,
+  );
+
+  for (const [
+    step,
+    midi,
+    text,
+  ] of /** @type {[ExerciseStep | ExerciseTarget, number, string][]} */ ([
+    [{ note: "A4" }, 69, "A4"],
+    [pureThird, 64, "a major third above C4 (pure)"],
+    [{ drone: "D3", interval: "P8" }, 62, "an octave above D3"],
+    [{ key: "G3", degree: 5 }, 62, "degree 5 of G3 major"],
+    [{ key: "A3", scale: "minor", degree: 3 }, 60, "degree 3 of A3 minor"],
+    [{ key: "A3", scale: "minor", degree: 7 }, 67, "degree 7 of A3 minor"],
+  ])) {
+    const target = "midiNote" in step ? step : resolveStep(step);
+    const description = describeTarget(target);
+    expect(
+      `${text} is MIDI ${midi} (got ${target.midiNote}, "${description}")`,
+      target.midiNote === midi && description === text,
+    );
+  }
+  expect("built-in exercises", listExercises().length > 0);
+
+  for (const [label, text, message] of [
+    ["malformed JSON", "{", "Exercise JSON:"],
+    ["no steps", '{"label": "x"}', '"steps"'],
+    ["empty", '{"label": "x", "steps": []}', "at least one step"],
+    [
+      "bad interval",
+      '{"label": "x", "steps": [{"note": "A4"}, {"drone": "C4", "interval": "M9"}]}',
+      "step 2:",
+    ],
+    [
+      "bad degree",
+      '{"label": "x", "steps": [{"key": "C4", "degree": 9}]}',
+      "step 1:",
+    ],
+    ["bad step", '{"label": "x", "steps": [{"cents": 5}]}', "step 1:"],
+  ]) {
+    expectError(label, SyntaxError, () => parseExercise(text), message);
+  }
+
+  setExercise({
+    tolerance: 10,
+    targets: [pureThird, resolveStep({ note: "A4" })],
+  });
+  const hop = 1024 / 48000;
+  let time = 0;
+  /**
+   * @param {number | null} frequency
+   * @param {number} seconds
+   * @returns {ReturnType<typeof trackTarget>} The last reading
+   */
+  const play = (frequency, seconds) => {
+    let note = null;
+    for (const end = time + seconds; time < end;) {
+      note = trackTarget(frequency, (time += hop));
+    }
+    return note;
+  };
+
+  const tempered = play(getTargetFrequency(temperedThird), 1);
+  play(null, 0.5);
+  expect(
+    "a tempered third against a pure target misses",
+    !!tempered &&
+      Math.abs(tempered.cents - 13.686) < 0.001 &&
+      getExerciseProgress().step === 0 &&
+      getExerciseProgress().misses === 1,
+  );
+  play(getTargetFrequency(pureThird), 0.2);
+  play(null, 0.5);
+  expect("a blip is not judged", getExerciseProgress().misses === 1);
+
+  play(getTargetFrequency(pureThird) * 2 ** (2 / 1200), HIT_HOLD_TIME + 0.1);
+  const afterHit = getExerciseProgress();
+  expect(
+    "holding the target is a hit",
+    afterHit.step === 1 && afterHit.hits === 1 && afterHit.lastResult === "hit",
+  );
+  play(getTargetFrequency(pureThird), 1);
+  play(null, 0.5);
+  expect(
+    "the note that hit is not judged against the next target",
+    getExerciseProgress().misses === 1,
+  );
+
+  play(440 * 2 ** (-3 / 1200), HIT_HOLD_TIME + 0.1);
+  const { done, hits, misses } = getExerciseProgress();
+  expect(
+    `the exercise completes (${hits} hits, ${misses} misses)`,
+    done && hits === 2 && misses === 1 && play(440, 0.1) === null,
+  );
+
+  end();
+}
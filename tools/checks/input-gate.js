@@ -0,0 +1,69 @@
+/**
+ * Noise gate checks: hysteresis, attacks and the hold time.
+ */
+
+import {
+  DEFAULT_GATE_OPTIONS,
+  isHolding,
+  markStable,
+  resetGate,
+  setGateOptions,
+  updateGate,
+} from "../../src/input-gate.js";
+import { startSection } from "./check.js";
+
+/**
+ * Feed the gate a note that starts, hovers around the threshold, is
+ * re-plucked and dies away: it must open at the gate level and only close
+ * below the hysteresis, skip attackTime after each attack (including a
+ * jump in level while open), not reopen until the level is back at the
+ * gate level, and hold the last reading for exactly holdTime.
+ * @returns {void}
+ */
+export function checkGate() {
+  const { expect, end } = startSection("gate");
+  setGateOptions({
+    openLevel: -50,
+    hysteresis: 6,
+    onsetRise: 9,
+    attackTime: 0.06,
+    holdTime: 0.5,
+  });
+  resetGate();
+
+  /** @type {[number, number, string, boolean, string][]} */
+  const sequence = [
+    // [time, level, phase, onset, what]
+    [0.0, -70, "closed", false, "silence"],
+    [0.01, -51, "closed", false, "just below the gate level"],
+    [0.02, -50, "attack", true, "a note starts at the gate level"],
+    [0.05, -48, "attack", false, "its transient"],
+    [0.09, -48, "sustain", false, "attackTime after the start"],
+    [0.1, -55, "sustain", false, "a dip inside the hysteresis"],
+    [0.11, -47, "sustain", false, "a rise smaller than onsetRise"],
+    [0.12, -35, "attack", true, "a re-pluck while open"],
+    [0.2, -40, "sustain", false, "the re-plucked note"],
+    [0.21, -57, "closed", false, "below the hysteresis"],
+    [0.22, -52, "closed", false, "back above it but below the gate level"],
+    [0.23, -49, "attack", true, "the gate level again"],
+  ];
+  for (const [time, level, phase, onset, what] of sequence) {
+    const state = updateGate(level, time);
+    expect(
+      `${what}: ${phase}${onset ? " with an onset" : ""}` +
+        ` (got ${state.phase}${state.onset ? " with an onset" : ""})`,
+      state.phase === phase && state.onset === onset,
+    );
+  }
+
+  expect("nothing to hold before a reading", !isHolding(0.3));
+  markStable(1);
+  expect("a reading is held at once", isHolding(1));
+  expect("and for holdTime", isHolding(1.5));
+  expect("but no longer", !isHolding(1.51));
+  resetGate();
+  expect("reset forgets the reading", !isHolding(1.1));
+
+  setGateOptions(DEFAULT_GATE_OPTIONS);
+  end();
+}
@@ -0,0 +1,91 @@
+/**
+ * Instrument checks: note names parse, and guided tuning finds and ticks
+ * off every string of every preset.
+ */
+
+import {
+  getReferenceFrequency,
+  parseNoteName,
+} from "../../src/note-mapping.js";
+import {
+  getTuning,
+  listTunings,
+  resolveStrings,
+} from "../../src/instrument-tunings.js";
+import {
+  DONE_HOLD_TIME,
+  getStringProgress,
+  setStrings,
+  trackString,
+} from "../../src/string-tuner.js";
+import { startSection } from "./check.js";
+
+/**
+ * Note names must parse to the right MIDI notes, and for every instrument
+ * preset each string played slightly sharp must be recognised and marked
+ * done after DONE_HOLD_TIME, while a string held 20 cents off never is.
+ * @returns {void}
+ */
+export function checkInstruments() {
+  const { expect, end } = startSection("instruments");
+
+  for (const [name, midi] of /** @type {[string, number | null][]} */ ([
+    ["C-1", 0],
+    ["A4", 69],
+    ["C#4", 61],
+    ["C♯4", 61],
+    ["Bb3", 58],
+    ["E♭2", 39],
+    ["G9", 127],
+    ["H2", null],
+    ["G#9", null],
+    ["Cb-1", null],
+    ["e2", null],
+  ])) {
+    let result = null;
+    try {
+      result = parseNoteName(name);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+    }
+    expect(`"${name}" parses to ${midi} (got ${result})`, result === midi);
+  }
+
+  /**
+   * @param {number} midi
+   * @param {number} cents
+   * @returns {number}
+   */
+  const stringFrequency = (midi, cents) =>
+    getReferenceFrequency() * Math.pow(2, (midi - 69 + cents / 100) / 12);
+
+  for (const { id } of listTunings()) {
+    const strings = resolveStrings(getTuning(id).strings);
+    setStrings(strings);
+    let time = 0;
+    strings.forEach((midi, index) => {
+      let note = null;
+      for (let t = 0; t <= DONE_HOLD_TIME + 0.2; t += 0.05) {
+        note = trackString(stringFrequency(midi, 3), (time += 0.05));
+      }
+      expect(
+        `${id} string ${index + 1} read at +3 cents`,
+        !!note &&
+          note.midiNote === midi &&
+          getStringProgress().activeString === index &&
+          Math.abs(note.cents - 3) < 1e-6,
+      );
+      trackString(null, (time += 0.05));
+    });
+    expect(`${id} every string done`, getStringProgress().done.every(Boolean));
+
+    setStrings(strings);
+    for (let t = 0; t <= 2 * DONE_HOLD_TIME; t += 0.05) {
+      trackString(stringFrequency(strings[0], 20), t);
+    }
+    expect(`${id} not done 20 cents off`, !getStringProgress().done[0]);
+  }
+  setStrings([]);
+
+  end();
+}
@@ -0,0 +1,40 @@
+/**
+ * McLeod Pitch Method checks: the key maximum it settles on.
+ */
+
+import { sawtooth } from "../signal-synth.js";
+import { detectPitch } from "../../src/mcleod-algorithm.js";
+import { getPitchRange, getWindowSize } from "../../src/pitch-range.js";
+import { SAMPLE_RATES, centsError, startSection } from "./check.js";
+
+/**
+ * Key maxima must be compared at their interpolated heights: at integer
+ * lags a short period that falls between samples undersells its own
+ * maximum, which can then miss the cutoff and leave the one an octave
+ * below to be picked. Sawtooths a semitone apart from 2 to 4 kHz must
+ * read in the right octave at every sample rate.
+ * @returns {void}
+ */
+export function checkMcLeod() {
+  const { expect, end } = startSection("mpm");
+  const range = getPitchRange("full");
+
+  for (const sampleRate of SAMPLE_RATES) {
+    const size = getWindowSize(range, sampleRate);
+    for (let semitone = 0; semitone <= 12; semitone++) {
+      const frequency = 2000 * 2 ** (semitone / 12);
+      const result = detectPitch(
+        sawtooth(size, sampleRate, frequency),
+        sampleRate,
+        range,
+      );
+      const cents = result && centsError(result.frequency, frequency);
+      expect(
+        `sawtooth ${frequency.toFixed(2)} Hz at ${sampleRate} Hz in the right octave (got ${cents?.toFixed(2)} cents)`,
+        cents !== null && Math.abs(cents) < 50,
+      );
+    }
+  }
+
+  end();
+}
@@ -0,0 +1,83 @@
+/**
+ * Note mapping checks: every piano key round-trips through frequencyToNote,
+ * in equal temperament and in every registered temperament.
+ */
+
+import {
+  frequencyToNote,
+  getNoteFrequency,
+  getReferenceFrequency,
+  setTemperament,
+} from "../../src/note-mapping.js";
+import {
+  DEFAULT_TEMPERAMENT,
+  getTemperament,
+  listTemperaments,
+} from "../../src/temperaments.js";
+import { startSection } from "./check.js";
+
+/**
+ * frequencyToNote must map every piano key, detuned within ±49 cents, back
+ * to that key with the detune as the cents offset.
+ * @returns {void}
+ */
+export function checkNoteMapping() {
+  const { expect, end } = startSection("note mapping");
+  for (let midi = 21; midi <= 108; midi++) {
+    for (const cents of [-49, -5, 0, 5, 49]) {
+      const frequency =
+        getReferenceFrequency() * Math.pow(2, (midi - 69 + cents / 100) / 12);
+      const note = frequencyToNote(frequency);
+      expect(
+        `frequencyToNote(${frequency.toFixed(3)}): expected MIDI ${midi} ` +
+          `${cents} cents, got ${note ? `${note.midiNote} ${note.cents.toFixed(3)}` : "null"}`,
+        !!note &&
+          note.midiNote === midi &&
+          Math.abs(note.cents - cents) <= 1e-6,
+      );
+    }
+  }
+  for (const invalid of [0, -1, NaN]) {
+    expect(
+      `frequencyToNote(${invalid}): expected null`,
+      frequencyToNote(invalid) === null,
+    );
+  }
+  end();
+}
+
+/**
+ * In every temperament and from every tonic, each note of octave 4 tuned
+ * exactly to its offset must read as that note at 0 cents (and be the pitch
+ * the reference tone plays), and A4 must stay on the reference frequency.
+ * @returns {void}
+ */
+export function checkTemperaments() {
+  const { expect, end } = startSection("temperaments");
+  const reference = getReferenceFrequency();
+  for (const { id } of listTemperaments()) {
+    const { offsets } = getTemperament(id);
+    for (let tonic = 0; tonic < 12; tonic++) {
+      setTemperament(getTemperament(id), tonic);
+      const offsetOfA = offsets[(9 - tonic + 12) % 12];
+      for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+        const midi = 60 + pitchClass;
+        const offset = offsets[(pitchClass - tonic + 12) % 12] - offsetOfA;
+        const frequency =
+          reference * Math.pow(2, (midi - 69 + offset / 100) / 12);
+        const note = frequencyToNote(frequency);
+        expect(
+          `${id} from tonic ${tonic}: MIDI ${midi} at ${frequency.toFixed(3)} Hz ` +
+            `read as ${note ? `${note.midiNote} ${note.cents.toFixed(3)} cents` : "null"}`,
+          !!note &&
+            note.midiNote === midi &&
+            Math.abs(note.cents) <= 1e-6 &&
+            Math.abs(getNoteFrequency(midi) / frequency - 1) <= 1e-9 &&
+            (midi !== 69 || Math.abs(note.targetFrequency - reference) <= 1e-9),
+        );
+      }
+    }
+  }
+  setTemperament(getTemperament(DEFAULT_TEMPERAMENT));
+  end();
+}
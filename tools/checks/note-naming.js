@@ -0,0 +1,77 @@
+/**
+ * Note naming checks: names in every convention and transposition.
+ */
+
+import {
+  frequencyToNote,
+  getReferenceFrequency,
+  setNoteNaming,
+} from "../../src/note-mapping.js";
+import { DEFAULT_NOTE_NAMING } from "../../src/note-naming.js";
+import { startSection } from "./check.js";
+
+/** @typedef {import("../../src/note-naming.js").NoteNaming} NoteNaming */
+
+/**
+ * Concert B♭3, C4, C♯4 and B4 must be named as expected in each naming
+ * convention and transposition, which must not change cents or midiNote.
+ * @returns {void}
+ */
+export function checkNoteNaming() {
+  const { expect, expectError, end } = startSection("note naming");
+  const notes = [58, 60, 61, 71];
+
+  for (const [
+    naming,
+    expected,
+  ] of /** @type {[Partial<NoteNaming>, string][]} */ ([
+    [{}, "A♯3 C4 C♯4 B4"],
+    [{ spelling: "flats" }, "B♭3 C4 D♭4 B4"],
+    [{ spelling: "key", key: 7 }, "A♯3 C4 C♯4 B4"],
+    [{ spelling: "key", key: 5 }, "B♭3 C4 D♭4 B4"],
+    [{ system: "german" }, "Ais3 C4 Cis4 H4"],
+    [{ system: "german", spelling: "flats" }, "B3 C4 Des4 H4"],
+    [{ system: "solfege-fixed" }, "La♯3 Do4 Do♯4 Si4"],
+    [{ system: "solfege-movable", key: 7 }, "Ri3 Fa4 Fi4 Mi4"],
+    [
+      { system: "solfege-movable", spelling: "flats", key: 2 },
+      "Le3 Te4 Ti4 La4",
+    ],
+    [{ octaves: "helmholtz" }, "a♯ c′ c♯′ b′"],
+    [{ transposition: 2 }, "C4 D4 D♯4 C♯5"],
+    [{ transposition: 9, spelling: "flats" }, "G4 A4 B♭4 A♭5"],
+    [{ transposition: 14, octaves: "helmholtz" }, "c′′ d′′ d♯′′ c♯′′′"],
+  ])) {
+    setNoteNaming({ ...DEFAULT_NOTE_NAMING, ...naming });
+    const names = notes
+      .map((midi) => {
+        const note = frequencyToNote(
+          getReferenceFrequency() * Math.pow(2, (midi - 69 + 0.1) / 12),
+        );
+        return note &&
+          note.midiNote === midi &&
+          Math.abs(note.cents - 10) < 1e-6
+          ? note.displayName
+          : "?";
+      })
+      .join(" ");
+    expect(
+      `${JSON.stringify(naming)}: expected ${expected}, got ${names}`,
+      names === expected,
+    );
+  }
+
+  for (const invalid of [
+    { system: "roman" },
+    { key: 12 },
+    { transposition: 1.5 },
+    { transposition: 25 },
+  ]) {
+    expectError(JSON.stringify(invalid), RangeError, () =>
+      setNoteNaming(/** @type {any} */ (invalid)),
+    );
+  }
+  setNoteNaming(DEFAULT_NOTE_NAMING);
+
+  end();
+}
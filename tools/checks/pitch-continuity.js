@@ -0,0 +1,131 @@
+/**
+ * Pitch continuity checks: octave corrections must not hold on to a note
+ * that has really changed.
+ */
+
+import { sawtooth } from "../signal-synth.js";
+import { getDetector, listDetectors } from "../../src/pitch-detectors.js";
+import {
+  NOTE_CHANGE_DETECTIONS,
+  PitchContinuity,
+} from "../../src/pitch-continuity.js";
+import {
+  DEFAULT_PITCH_RANGE,
+  getPitchRange,
+  getWindowSize,
+} from "../../src/pitch-range.js";
+import { DEFAULT_DETECTOR_OPTIONS } from "../../src/voicing.js";
+import { centsError, startSection } from "./check.js";
+
+const SAMPLE_RATE = 48000;
+const HOP_SIZE = 1024; // as in the tuner
+// Seconds of each note
+const NOTE_SECONDS = 0.5;
+// Octave jumps up and down, and a fifth
+const CHANGES = [
+  [220, 440],
+  [440, 220],
+  [110, 220],
+  [196, 392],
+  [196, 293.66],
+];
+
+/**
+ * Drive the continuity the way the worklet does with a few hand-made
+ * detections, then run every detector with it over notes that jump an
+ * octave or a fifth: the first note must be read throughout, and the new
+ * one within NOTE_CHANGE_DETECTIONS hops of the first window that holds
+ * only it.
+ * @returns {void}
+ */
+export function checkContinuity() {
+  const { expect, end } = startSection("continuity");
+
+  /**
+   * @param {number} frequency
+   * @param {boolean} corrected
+   * @returns {import("../../src/pitch-detectors.js").PitchDetection}
+   */
+  const detection = (frequency, corrected) => ({
+    frequency,
+    confidence: 1,
+    clarity: 1,
+    voiced: true,
+    corrected,
+  });
+  const continuity = new PitchContinuity();
+  continuity.update(detection(220, false));
+  expect(
+    "a voiced reading is remembered",
+    continuity.previousFrequency === 220,
+  );
+  for (let i = 1; i < NOTE_CHANGE_DETECTIONS; i++) {
+    continuity.update(detection(220, true));
+  }
+  expect(
+    "short runs of corrections keep it",
+    continuity.previousFrequency === 220,
+  );
+  continuity.update(detection(220, true));
+  expect(
+    `${NOTE_CHANGE_DETECTIONS} corrections in a row drop it`,
+    continuity.previousFrequency === null,
+  );
+  continuity.update(detection(440, false));
+  continuity.update(null);
+  expect("one dropout keeps it", continuity.previousFrequency === 440);
+  continuity.reset();
+  expect("reset forgets it", continuity.previousFrequency === null);
+
+  const range = getPitchRange(DEFAULT_PITCH_RANGE);
+  const windowSize = getWindowSize(range, SAMPLE_RATE);
+  const noteSize = Math.round(NOTE_SECONDS * SAMPLE_RATE);
+  for (const { id } of listDetectors()) {
+    const detector = getDetector(id);
+    for (const [from, to] of CHANGES) {
+      const samples = new Float32Array(2 * noteSize);
+      samples.set(sawtooth(noteSize, SAMPLE_RATE, from));
+      samples.set(sawtooth(noteSize, SAMPLE_RATE, to), noteSize);
+
+      const tracker = new PitchContinuity();
+      const firstAfter = Math.ceil(noteSize / HOP_SIZE);
+      let wrongBefore = 0;
+      let accepted = -1;
+      for (let hop = 0; hop * HOP_SIZE + windowSize <= samples.length; hop++) {
+        const start = hop * HOP_SIZE;
+        const result = detector.detect(
+          samples.subarray(start, start + windowSize),
+          SAMPLE_RATE,
+          range,
+          DEFAULT_DETECTOR_OPTIONS,
+          tracker.previousFrequency,
+        );
+        tracker.update(result);
+        const frequency = result ? result.frequency : NaN;
+
+        if (start + windowSize <= noteSize) {
+          if (!(Math.abs(centsError(frequency, from)) < 50)) wrongBefore++;
+        } else if (
+          hop >= firstAfter &&
+          accepted < 0 &&
+          Math.abs(centsError(frequency, to)) < 50
+        ) {
+          accepted = hop - firstAfter;
+        }
+      }
+
+      const where = `${id} ${from} → ${to} Hz`;
+      expect(
+        `${where}: first note read throughout (${wrongBefore} wrong)`,
+        wrongBefore === 0,
+      );
+      expect(
+        `${where}: new note within ${NOTE_CHANGE_DETECTIONS} hops` +
+          ` (got ${accepted < 0 ? "never" : accepted})`,
+        accepted >= 0 && accepted <= NOTE_CHANGE_DETECTIONS,
+      );
+    }
+  }
+
+  end();
+}
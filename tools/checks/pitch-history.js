@@ -0,0 +1,72 @@
+/**
+ * Pitch history checks: runs break at pauses and note changes.
+ */
+
+import {
+  HISTORY_SECONDS,
+  addHistoryPoint,
+  clearHistory,
+  getHistoryEnd,
+  getHistorySegments,
+} from "../../src/pitch-history.js";
+import { startSection } from "./check.js";
+
+/**
+ * A held A, a pause, the same A again, then a B: the history must hold
+ * three runs with markers on the first and the B only, drop readings older
+ * than HISTORY_SECONDS and start over when the audio clock restarts.
+ * @returns {void}
+ */
+export function checkHistory() {
+  const { expect, end } = startSection("history");
+  const hop = 1024 / 48000;
+  /**
+   * @param {number} midiNote
+   * @returns {{cents: number, midiNote: number, displayName: string}}
+   */
+  const note = (midiNote) => ({
+    cents: 3,
+    midiNote,
+    displayName: String(midiNote),
+  });
+
+  clearHistory();
+  let time = 100;
+  for (let i = 0; i < 40; i++) addHistoryPoint((time += hop), note(69));
+  for (let i = 0; i < 10; i++) addHistoryPoint((time += hop), null);
+  for (let i = 0; i < 40; i++) addHistoryPoint((time += hop), note(69));
+  for (let i = 0; i < 40; i++) addHistoryPoint((time += hop), note(71));
+
+  const segments = getHistorySegments();
+  expect(
+    `runs split at the pause and the note change (got ${segments.length})`,
+    segments.length === 3,
+  );
+  expect(
+    "markers only on note changes",
+    segments.map(({ noteChange }) => noteChange).join() === "true,false,true",
+  );
+  expect("end is the latest reading", getHistoryEnd() === time);
+
+  addHistoryPoint((time += HISTORY_SECONDS), note(71));
+  const [first] = getHistorySegments();
+  expect(
+    "old readings expire",
+    first.points[0].time >= time - HISTORY_SECONDS - hop,
+  );
+
+  addHistoryPoint(1, note(60));
+  expect(
+    "a restarted clock clears the history",
+    getHistorySegments().length === 1 && getHistoryEnd() === 1,
+  );
+
+  addHistoryPoint(1.5, note(60));
+  expect(
+    "a gap in the readings breaks the line",
+    getHistorySegments().length === 2,
+  );
+  clearHistory();
+
+  end();
+}
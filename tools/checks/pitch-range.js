@@ -0,0 +1,97 @@
+/**
+ * Pitch range checks: the presets, their validation and the analysis
+ * window each one needs.
+ */
+
+import {
+  DEFAULT_PITCH_RANGE,
+  MAX_FREQUENCY,
+  MIN_FREQUENCY,
+  PITCH_RANGES,
+  getPitchRange,
+  getWindowSize,
+  validatePitchRange,
+} from "../../src/pitch-range.js";
+import { SAMPLE_RATES, startSection } from "./check.js";
+
+/**
+ * Every preset must be ordered and within MIN_FREQUENCY–MAX_FREQUENCY,
+ * pass validation and be found by its key; the default must be one of
+ * them and unknown keys (inherited ones too) must be rejected. Validation
+ * must strip extra fields and reject unordered, non-numeric and
+ * out-of-limit bounds. At every sample rate each preset's window must be a
+ * power of two holding three periods of its lowest note (up to the
+ * largest window), and lower ranges must never get shorter windows.
+ * @returns {void}
+ */
+export function checkPitchRanges() {
+  const { expect, expectError, end } = startSection("pitch ranges");
+
+  for (const [key, range] of Object.entries(PITCH_RANGES)) {
+    expect(
+      `${key} is ordered and within the detector's limits`,
+      MIN_FREQUENCY <= range.minFrequency &&
+        range.minFrequency < range.maxFrequency &&
+        range.maxFrequency <= MAX_FREQUENCY,
+    );
+    const { minFrequency, maxFrequency } = range;
+    const validated = validatePitchRange(range);
+    expect(
+      `${key} validates to its bounds only`,
+      Object.keys(validated).join() === "minFrequency,maxFrequency" &&
+        validated.minFrequency === minFrequency &&
+        validated.maxFrequency === maxFrequency,
+    );
+    expect(`${key} is found by its key`, getPitchRange(key) === range);
+  }
+  expect(
+    "the default range is a preset",
+    Object.keys(PITCH_RANGES).includes(DEFAULT_PITCH_RANGE),
+  );
+  for (const key of ["treble", "", "constructor", "toString"]) {
+    expectError(`unknown range "${key}"`, RangeError, () => getPitchRange(key));
+  }
+
+  for (const [
+    label,
+    minFrequency,
+    maxFrequency,
+  ] of /** @type {[string, number, number][]} */ ([
+    ["reversed bounds", 400, 100],
+    ["equal bounds", 220, 220],
+    ["NaN", NaN, 400],
+    ["infinite maximum", 100, Infinity],
+    ["below the lowest frequency", MIN_FREQUENCY / 2, 400],
+    ["above the highest frequency", 100, 2 * MAX_FREQUENCY],
+    ["a negative minimum", -10, 400],
+  ])) {
+    expectError(label, RangeError, () =>
+      validatePitchRange({ minFrequency, maxFrequency }),
+    );
+  }
+
+  for (const sampleRate of SAMPLE_RATES) {
+    let previous = Infinity;
+    const byLowest = Object.entries(PITCH_RANGES).sort(
+      ([, a], [, b]) => a.minFrequency - b.minFrequency,
+    );
+    for (const [key, range] of byLowest) {
+      const size = getWindowSize(range, sampleRate);
+      const periods = (size * range.minFrequency) / sampleRate;
+      // getWindowSize stops doubling at 16384 and starts at 1024
+      expect(
+        `${key} at ${sampleRate} Hz: ${size} samples hold 3 periods`,
+        Number.isInteger(Math.log2(size)) &&
+          (periods >= 3 || size === 16384) &&
+          (periods < 6 || size === 1024),
+      );
+      expect(
+        `${key} at ${sampleRate} Hz: no longer than a lower range's`,
+        size <= previous,
+      );
+      previous = size;
+    }
+  }
+
+  end();
+}
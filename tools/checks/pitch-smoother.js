@@ -0,0 +1,58 @@
+/**
+ * Pitch smoother checks: outliers are held back, real steps are followed.
+ */
+
+import { resetSmoother, smoothPitch } from "../../src/pitch-smoother.js";
+import { centsError, startSection } from "./check.js";
+
+/**
+ * A steady A4 with jitter, one wrong-octave frame and a step up to C5: the
+ * jitter must be smoothed, the single outlier must not move the reading,
+ * and the step must be reached within the two confirming frames; the
+ * first frame after a reset is passed through as is.
+ * @returns {void}
+ */
+export function checkSmoother() {
+  const { expect, end } = startSection("smoother");
+  /** @param {number} cents */
+  const a4 = (cents) => 440 * 2 ** (cents / 1200);
+  const c5 = 440 * 2 ** (3 / 12);
+
+  resetSmoother();
+  expect("first frame passed through", smoothPitch(a4(4)) === a4(4));
+
+  let smoothed = 0;
+  for (let i = 0; i < 20; i++) smoothed = smoothPitch(a4(i % 2 ? 4 : -4));
+  expect(
+    `±4 cents of jitter smoothed (got ${centsError(smoothed, 440).toFixed(2)})`,
+    Math.abs(centsError(smoothed, 440)) < 2,
+  );
+
+  const outlier = smoothPitch(880);
+  expect(
+    `an octave outlier is held back (got ${outlier.toFixed(2)} Hz)`,
+    Math.abs(centsError(outlier, smoothed)) < 1,
+  );
+  smoothed = smoothPitch(440);
+  expect(
+    "and forgotten when the note goes on",
+    Math.abs(centsError(smoothed, 440)) < 2,
+  );
+
+  const first = smoothPitch(c5);
+  expect(
+    `one frame of a new note is held back (got ${first.toFixed(2)} Hz)`,
+    Math.abs(centsError(first, 440)) < 2,
+  );
+  const second = smoothPitch(c5);
+  expect(
+    `the second one is followed (got ${second.toFixed(2)} Hz)`,
+    Math.abs(centsError(second, c5)) < 0.01,
+  );
+
+  resetSmoother();
+  expect("a reset starts afresh", smoothPitch(220) === 220);
+  resetSmoother();
+
+  end();
+}
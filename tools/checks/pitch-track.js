@@ -0,0 +1,188 @@
+/**
+ * Pitch track checks: the offline track of a recording, its rows and CSV
+ * export, and the RFC 4180 quoting the CSV exports share.
+ */
+
+import { sine } from "../signal-synth.js";
+import {
+  computePitchTrack,
+  pitchTrackToCsv,
+  toPitchTrackRows,
+} from "../../src/pitch-track.js";
+import { formatCsvRecord, parseCsvRecord } from "../../src/csv.js";
+import { setNoteNaming } from "../../src/note-mapping.js";
+import { DEFAULT_NOTE_NAMING } from "../../src/note-naming.js";
+import { centsError, fail, startSection } from "./check.js";
+
+const SAMPLE_RATE = 48000;
+const HOP_SIZE = 1024;
+const WINDOW_SIZE = 8192;
+
+/**
+ * Half a second of silence then A1 (55 Hz): frames must be a hop apart and
+ * timed at their window's centre, unvoiced with no pitch over the silence
+ * and A1 within a cent once the window is all tone, with progress rising
+ * to 1. Bad sample rates, hops and windows must be rejected. Rows and CSV
+ * must leave the pitch fields of unvoiced frames empty, and in Helmholtz
+ * notation quote the name "A,". formatCsvRecord must quote exactly the
+ * fields with a comma, a double quote or a line break, doubling the
+ * quotes, and parseCsvRecord must read a record back and reject
+ * malformed ones.
+ * @returns {Promise<void>}
+ */
+export async function checkPitchTrack() {
+  const { expect, expectError, end } = startSection("pitch track");
+
+  const half = SAMPLE_RATE / 2;
+  const samples = new Float32Array(2 * half);
+  samples.set(sine(half, SAMPLE_RATE, 55), half);
+  /** @type {number[]} */
+  const progress = [];
+  const options = {
+    detector: "mpm",
+    hopSize: HOP_SIZE,
+    windowSize: WINDOW_SIZE,
+  };
+  const track = await computePitchTrack(
+    samples,
+    SAMPLE_RATE,
+    options,
+    (fraction) => progress.push(fraction),
+  );
+
+  const frames = Math.floor((samples.length - WINDOW_SIZE) / HOP_SIZE) + 1;
+  if (track.length !== frames) {
+    fail(`pitch track: expected ${frames} frames, got ${track.length}`);
+    end();
+    return;
+  }
+  expect(
+    "frames are a hop apart, timed at the window's centre",
+    track.every(
+      ({ time }, i) =>
+        Math.abs(time - (i * HOP_SIZE + WINDOW_SIZE / 2) / SAMPLE_RATE) < 1e-9,
+    ),
+  );
+  const silent = track.filter((_, i) => i * HOP_SIZE + WINDOW_SIZE <= half);
+  const toned = track.filter((_, i) => i * HOP_SIZE >= half);
+  expect(
+    "silent frames are unvoiced without a pitch",
+    silent.length > 0 &&
+      silent.every(
+        ({ voiced, frequency, level }) =>
+          !voiced && Number.isNaN(frequency) && level === 0,
+      ),
+  );
+  expect(
+    "frames of the tone read A1 within a cent",
+    toned.length > 0 &&
+      toned.every(
+        ({ voiced, frequency }) =>
+          voiced && Math.abs(centsError(frequency, 55)) <= 1,
+      ),
+  );
+  expect(
+    `progress rises to 1 (got ${progress.map((f) => f.toFixed(2))})`,
+    progress.length > 0 &&
+      progress[progress.length - 1] === 1 &&
+      progress.every((f, i) => f >= 0 && (i === 0 || f >= progress[i - 1])),
+  );
+
+  for (const [
+    label,
+    sampleRate,
+    changes,
+  ] of /** @type {[string, number, object][]} */ ([
+    ["a sample rate of 0", 0, {}],
+    ["a hop of 0", SAMPLE_RATE, { hopSize: 0 }],
+    ["a fractional window", SAMPLE_RATE, { windowSize: 1024.5 }],
+    [
+      "an inverted range",
+      SAMPLE_RATE,
+      { range: { minFrequency: 400, maxFrequency: 100 } },
+    ],
+  ])) {
+    let reported = null;
+    try {
+      await computePitchTrack(samples, sampleRate, { ...options, ...changes });
+    } catch (error) {
+      reported = error;
+    }
+    expect(`${label} is rejected`, reported instanceof RangeError);
+  }
+
+  const rows = toPitchTrackRows(track);
+  const silentRow = rows[0];
+  const tonedRow = rows[rows.length - 1];
+  expect(
+    "unvoiced rows have no pitch fields",
+    silentRow.frequency === null &&
+      silentRow.note === null &&
+      silentRow.cents === null &&
+      !silentRow.voiced,
+  );
+  expect(
+    `voiced rows are named (got ${tonedRow.note})`,
+    tonedRow.note === "A1" &&
+      tonedRow.cents !== null &&
+      Math.abs(tonedRow.cents) <= 1,
+  );
+
+  setNoteNaming({ octaves: "helmholtz" });
+  const lines = pitchTrackToCsv(track).trimEnd().split("\n");
+  setNoteNaming(DEFAULT_NOTE_NAMING);
+  const header = parseCsvRecord(lines[0]);
+  const first = parseCsvRecord(lines[1]);
+  const last = parseCsvRecord(lines[lines.length - 1]);
+  expect(
+    "the CSV has a header and a row per frame",
+    header.join() === "time,frequency,confidence,voiced,note,cents" &&
+      lines.length === track.length + 1,
+  );
+  expect(
+    "unvoiced CSV rows leave the pitch columns empty",
+    first.length === 6 &&
+      first[1] === "" &&
+      first[3] === "0" &&
+      first[4] === "" &&
+      first[5] === "",
+  );
+  expect(
+    `Helmholtz names are quoted (got ${lines[lines.length - 1]})`,
+    lines[lines.length - 1].includes(',"A,",') &&
+      last.length === 6 &&
+      last[4] === "A," &&
+      last[3] === "1",
+  );
+
+  for (const [
+    values,
+    expected,
+  ] of /** @type {[(string | number)[], string][]} */ ([
+    [["A4", 440, -1.5], "A4,440,-1.5"],
+    [["E,,", "c′"], '"E,,",c′'],
+    [['say "hi"'], '"say ""hi"""'],
+    [["two\nlines", "cr\r"], '"two\nlines","cr\r"'],
+    [["", ""], ","],
+  ])) {
+    const record = formatCsvRecord(values);
+    expect(
+      `${JSON.stringify(values)} formats as ${JSON.stringify(expected)} (got ${JSON.stringify(record)})`,
+      record === expected,
+    );
+  }
+  const fields = ["E,,", 'a "b"', "", "plain", ","];
+  expect(
+    "a record reads back",
+    parseCsvRecord(formatCsvRecord(fields)).join("|") === fields.join("|"),
+  );
+  for (const [label, line, message] of [
+    ["an unclosed field", '"E,,', "not closed"],
+    ["text after a quoted field", '"E"x,1', "expected a comma"],
+    ["a bare quote", 'a"b,1', "not quoted"],
+  ]) {
+    expectError(label, SyntaxError, () => parseCsvRecord(line), message);
+  }
+
+  end();
+}
@@ -0,0 +1,137 @@
+/**
+ * Practice session checks: logged notes, their statistics and the CSV and
+ * JSON round trip.
+ */
+
+import {
+  MIN_NOTE_DURATION,
+  endSession,
+  parseSession,
+  recordReading,
+  sessionToCsv,
+  sessionToJson,
+  startSession,
+  summarizeSession,
+} from "../../src/practice-session.js";
+import { DEFAULT_NOTE_NAMING, nameNote } from "../../src/note-naming.js";
+import { fail, startSection } from "./check.js";
+
+/**
+ * A4 held at +4 ± 2 cents, a blip too short to log, then A4 again at −6
+ * cents: the session must log two A4s with the right statistics, summarise
+ * them weighted by duration, export to CSV and JSON and read back the same,
+ * also with Helmholtz names that contain commas, and reject broken files
+ * naming the offending line.
+ * @returns {void}
+ */
+export function checkPracticeSessions() {
+  const { expect, expectError, end } = startSection("sessions");
+  const hop = 1024 / 48000;
+  /**
+   * @param {number} midiNote
+   * @param {number} cents
+   * @returns {{cents: number, midiNote: number, displayName: string}}
+   */
+  const note = (midiNote, cents) => ({
+    cents,
+    midiNote,
+    displayName: midiNote === 69 ? "A4" : "B4",
+  });
+  const startedAt = Date.UTC(2024, 4, 1, 18, 30);
+
+  startSession(startedAt);
+  let time = 50;
+  for (let i = 0; i < 100; i++) {
+    recordReading(note(69, i % 2 ? 6 : 2), (time += hop));
+  }
+  recordReading(null, (time += hop));
+  for (let i = 0; i < 5; i++) recordReading(note(71, 0), (time += hop));
+  recordReading(null, (time += hop));
+  for (let i = 0; i < 50; i++) recordReading(note(69, -6), (time += hop));
+  const session = endSession(startedAt + 10000);
+
+  if (!session) {
+    fail("sessions: endSession returned no session");
+    return;
+  }
+  const [first, second] = session.notes;
+  expect(
+    `short notes are not logged (got ${session.notes.length} notes)`,
+    session.notes.length === 2 && 5 * hop < MIN_NOTE_DURATION,
+  );
+  expect(
+    "mean and standard deviation",
+    Math.abs(first.meanCents - 4) < 1e-9 &&
+      Math.abs(first.sdCents - 2) < 1e-9 &&
+      Math.abs(second.meanCents + 6) < 1e-9 &&
+      second.sdCents < 1e-6,
+  );
+  expect(
+    "durations and timestamps",
+    Math.abs(first.duration - 99 * hop) < 1e-9 &&
+      first.timestamp === startedAt &&
+      second.timestamp > first.timestamp + first.duration * 1000,
+  );
+
+  const [summary] = summarizeSession(session);
+  const weighted =
+    (first.duration * 4 - second.duration * 6) /
+    (first.duration + second.duration);
+  expect(
+    `summary weighted by duration (got ${summary.meanCents})`,
+    summary.count === 2 && Math.abs(summary.meanCents - weighted) < 1e-9,
+  );
+
+  for (const [format, text] of [
+    ["CSV", sessionToCsv(session)],
+    ["JSON", sessionToJson(session)],
+  ]) {
+    const imported = parseSession(text);
+    expect(
+      `${format} round trip`,
+      imported.notes.length === 2 &&
+        imported.startedAt === session.startedAt &&
+        imported.notes.every(
+          (event, index) =>
+            event.name === session.notes[index].name &&
+            event.midiNote === session.notes[index].midiNote &&
+            event.timestamp === session.notes[index].timestamp &&
+            Math.abs(event.meanCents - session.notes[index].meanCents) < 0.01 &&
+            Math.abs(event.duration - session.notes[index].duration) < 0.001,
+        ),
+    );
+  }
+
+  const helmholtz = {
+    ...session,
+    notes: [28, 23].map((midiNote, index) => ({
+      ...session.notes[index],
+      midiNote,
+      name: nameNote(midiNote, { ...DEFAULT_NOTE_NAMING, octaves: "helmholtz" })
+        .displayName,
+    })),
+  };
+  const names = helmholtz.notes.map(({ name }) => name).join(" ");
+  const imported = parseSession(sessionToCsv(helmholtz));
+  expect(
+    `CSV round trip of ${names}`,
+    names === "E, B,," &&
+      imported.notes.map(({ name }) => name).join(" ") === names,
+  );
+
+  const brokenCsv = sessionToCsv(session).replace(",69,", ",A,");
+  for (const [label, text, message] of [
+    ["bad CSV row", brokenCsv, "line 2"],
+    [
+      "unclosed CSV quote",
+      sessionToCsv(helmholtz).replace('"E,"', '"E,'),
+      "line 2",
+    ],
+    ["wrong CSV header", "note,cents\n", "line 1"],
+    ["foreign JSON", '{"notes": []}', "not an exported practice session"],
+  ]) {
+    expectError(label, SyntaxError, () => parseSession(text), message);
+  }
+
+  end();
+}
@@ -0,0 +1,164 @@
+/**
+ * Scala checks: scales and keyboard mappings map like their files say, and
+ * malformed files name the line at fault.
+ */
+
+import {
+  frequencyToNote,
+  getKeyFrequency,
+  getKeyName,
+  getNoteFrequency,
+  getNoteName,
+  getReferenceFrequency,
+  setScale,
+} from "../../src/note-mapping.js";
+import { parseKeyboardMapping, parseScala } from "../../src/scala.js";
+import { startSection } from "./check.js";
+
+const EQUAL_12_SCL = `! 12-edo.scl
+!
+12 equal
+ 12
+!
+${Array.from({ length: 11 }, (_, i) => ` ${100 * (i + 1)}.0`).join("\n")}
+ 2/1
+`;
+
+// Bohlen-Pierce: 13 just steps to the tritave (3/1) instead of the octave
+const BOHLEN_PIERCE_SCL = `Bohlen-Pierce
+13
+27/25
+25/21
+9/7
+7/5
+75/49
+5/3
+9/5
+49/25
+15/7
+7/3
+63/25
+25/9
+3/1
+`;
+
+// white keys only, A4 = 432 Hz
+const WHITE_KEYS_KBM = `12
+0
+127
+60
+69
+432.0
+12
+0
+x
+2
+x
+4
+5
+x
+7
+x
+9
+x
+11
+`;
+
+/**
+ * Scala scales: a 12-EDO file must map like equal temperament, a
+ * non-octave scale must repeat at its period, a keyboard mapping must
+ * skip unmapped keys and use its own reference, keys must sound (for the
+ * reference tone) and be named as their degrees, and malformed files must
+ * fail with the offending line number.
+ * @returns {void}
+ */
+export function checkScala() {
+  const { expect, expectError, end } = startSection("scala");
+
+  const equal = parseScala(EQUAL_12_SCL);
+  setScale(equal);
+  for (let midi = 21; midi <= 108; midi++) {
+    const frequency =
+      getReferenceFrequency() * Math.pow(2, (midi - 69 + 0.07) / 12);
+    const note = frequencyToNote(frequency);
+    expect(
+      `12-EDO maps ${frequency.toFixed(2)} Hz to key ${midi} at +7 cents`,
+      !!note &&
+        note.midiNote === midi &&
+        Number(note.name) === (midi - 60 + 120) % 12 &&
+        Math.abs(note.cents - 7) < 1e-6,
+    );
+  }
+
+  setScale(parseScala(BOHLEN_PIERCE_SCL));
+  const tritave = frequencyToNote(3 * getReferenceFrequency());
+  expect(
+    "Bohlen-Pierce repeats at 3/1",
+    !!tritave &&
+      tritave.midiNote === 82 &&
+      tritave.octave === 5 &&
+      Math.abs(tritave.cents) < 1e-6,
+  );
+  for (const midi of [60, 69, 70, 82]) {
+    const frequency = getKeyFrequency(midi);
+    const note = frequency === null ? null : frequencyToNote(frequency);
+    expect(
+      `Bohlen-Pierce key ${midi} sounds its degree (got ${frequency} Hz)`,
+      !!note &&
+        note.midiNote === midi &&
+        Math.abs(note.cents) < 1e-6 &&
+        getKeyName(midi) === note.displayName,
+    );
+  }
+
+  setScale(equal, parseKeyboardMapping(WHITE_KEYS_KBM));
+  const sharp = frequencyToNote(432 * Math.pow(2, -8 / 12)); // C♯4
+  const reference = frequencyToNote(432);
+  expect(
+    "keyboard mapping skips unmapped keys",
+    !!sharp && [60, 62].includes(sharp.midiNote) && Math.abs(sharp.cents) > 90,
+  );
+  expect(
+    "keyboard mapping uses its reference frequency",
+    !!reference &&
+      reference.midiNote === 69 &&
+      Math.abs(reference.cents) < 1e-6,
+  );
+  expect(
+    "mapped keys sound at the mapping's reference",
+    getKeyFrequency(69) === 432,
+  );
+  expect(
+    "unmapped keys neither sound nor are named",
+    getKeyFrequency(61) === null && getKeyName(61) === null,
+  );
+  setScale(null);
+  expect(
+    "without a scale keys sound and are named as notes",
+    getKeyFrequency(61) === getNoteFrequency(61) &&
+      getKeyName(61) === getNoteName(61),
+  );
+
+  for (const [
+    label,
+    parse,
+    text,
+    line,
+  ] of /** @type {[string, (text: string) => unknown, string, number][]} */ ([
+    ["bad ratio", parseScala, "x\n2\n3/0\n2/1\n", 3],
+    ["bad count", parseScala, "! c\nx\nfive\n", 3],
+    ["missing notes", parseScala, "x\n3\n100.0\n", 4],
+    ["no period", parseScala, "x\n1\n-5.0\n", 3],
+    ["bad frequency", parseKeyboardMapping, "0\n0\n127\n60\n69\nabc\n12\n", 6],
+    ["bad degree", parseKeyboardMapping, "1\n0\n127\n60\n69\n440\n12\ny\n", 8],
+  ])) {
+    expectError(
+      `${label} on line ${line}`,
+      SyntaxError,
+      () => parse(text),
+      `line ${line}:`,
+    );
+  }
+
+  end();
+}
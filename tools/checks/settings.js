@@ -0,0 +1,167 @@
+/**
+ * Settings checks: validation, migration and shared links.
+ */
+
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION,
+  migrateSettings,
+  parseSettingsQuery,
+  resolveSettings,
+  settingsToQuery,
+} from "../../src/settings.js";
+import { startSection } from "./check.js";
+
+/**
+ * Settings must be validated one by one, migrate from the legacy keys and
+ * from older versions with invalid values falling back to their defaults,
+ * and survive a round trip through a shared link without the device
+ * settings. A link must be recognised only by its own version key, and one
+ * from a newer or unknown version rejected.
+ * @returns {void}
+ */
+export function checkSettings() {
+  const { expect, expectError, end } = startSection("settings");
+  // validation
+  const valid = resolveSettings({
+    referenceFrequency: 442,
+    temperament: "vallotti",
+    instrument: "guitar-drop-d",
+    gaugeRange: 10,
+  });
+  expect(
+    "valid changes are merged over the defaults",
+    valid.referenceFrequency === 442 &&
+      valid.gaugeRange === 10 &&
+      valid.detector === DEFAULT_SETTINGS.detector,
+  );
+  for (const [label, changes] of /** @type {[string, object][]} */ ([
+    ["reference out of range", { referenceFrequency: 300 }],
+    ["unknown temperament", { temperament: "nope" }],
+    ["tonic not 0-11", { temperamentTonic: 12 }],
+    ["unknown instrument", { instrument: "kazoo" }],
+    ["bad custom tuning", { customTuning: "E2 X9" }],
+    ["gauge range not offered", { gaugeRange: 30 }],
+    ["confidence above 1", { confidenceThreshold: 1.5 }],
+    ["confidence below the voicing floor", { confidenceThreshold: 0.5 }],
+    ["positive gate level", { gateLevel: 3 }],
+    ["NaN hold time", { holdTime: NaN }],
+    ["string for a number", { referenceFrequency: "442" }],
+    ["unknown setting", { colour: "red" }],
+  ])) {
+    expectError(label, RangeError, () =>
+      resolveSettings(/** @type {any} */ (changes)),
+    );
+  }
+
+  // migration from the separate keys of version 0
+  const legacy = migrateSettings({
+    version: 0,
+    settings: { referenceFrequency: "415", customTuning: "D2 A2 D3" },
+  });
+  expect(
+    "legacy reference and tuning are migrated",
+    legacy.settings.referenceFrequency === 415 &&
+      legacy.settings.customTuning === "D2 A2 D3" &&
+      legacy.invalid.length === 0,
+  );
+  const broken = migrateSettings({
+    version: 0,
+    settings: { referenceFrequency: "loud" },
+  });
+  expect(
+    "invalid legacy value falls back to its default",
+    broken.settings.referenceFrequency ===
+      DEFAULT_SETTINGS.referenceFrequency &&
+      broken.invalid.join() === "referenceFrequency",
+  );
+  const current = migrateSettings({
+    version: SETTINGS_VERSION,
+    settings: { ...valid, holdTime: -1, addedLater: true },
+  });
+  expect(
+    "current settings load, invalid and unknown ones dropped",
+    current.settings.temperament === "vallotti" &&
+      current.settings.holdTime === DEFAULT_SETTINGS.holdTime &&
+      current.invalid.join() === "holdTime" &&
+      !("addedLater" in current.settings),
+  );
+  expectError("bad version", RangeError, () =>
+    migrateSettings({ version: -1, settings: {} }),
+  );
+
+  // shared links
+  const shared = resolveSettings({
+    referenceFrequency: 442.5,
+    temperament: "werckmeister3",
+    temperamentTonic: 2,
+    nameSystem: "german",
+    customTuning: "C2 G2 D3 A3",
+    strumCheck: true,
+    showHistory: true,
+    confidenceThreshold: 0.9,
+    inputGain: 12,
+    inputChannel: "left",
+    toneVolume: 0.1,
+  });
+  const query = settingsToQuery(shared);
+  const link = parseSettingsQuery(`?${query}`);
+  expect(
+    "shared settings survive a link",
+    link !== null &&
+      link.invalid.length === 0 &&
+      Object.entries(link.settings).every(
+        ([key, value]) =>
+          value === shared[/** @type {keyof typeof shared} */ (key)],
+      ),
+  );
+  expect(
+    "device settings are not shared",
+    link !== null &&
+      !/inputGain|inputChannel|toneVolume/.test(query) &&
+      !("inputGain" in link.settings),
+  );
+  const defaults = parseSettingsQuery(settingsToQuery(DEFAULT_SETTINGS));
+  expect(
+    "a link to the defaults resets the shared settings",
+    defaults !== null &&
+      defaults.settings.referenceFrequency ===
+        DEFAULT_SETTINGS.referenceFrequency &&
+      defaults.settings.temperament === DEFAULT_SETTINGS.temperament,
+  );
+  expect(
+    "other queries hold no settings",
+    parseSettingsQuery("?referenceFrequency=442") === null &&
+      parseSettingsQuery("?v=3") === null &&
+      parseSettingsQuery("") === null,
+  );
+  expect(
+    "links carry their version under their own key",
+    query.startsWith(`jt=${SETTINGS_VERSION}&`),
+  );
+  for (const [label, version] of /** @type {[string, number | string][]} */ ([
+    ["newer link", SETTINGS_VERSION + 1],
+    ["link version 0", 0],
+    ["link version not a number", "x"],
+  ])) {
+    expectError(
+      label,
+      RangeError,
+      () => parseSettingsQuery(`?jt=${version}&referenceFrequency=442`),
+      "version",
+    );
+  }
+  const bad = parseSettingsQuery(
+    "jt=1&referenceFrequency=&temperament=vallotti&strumCheck=yes&gaugeRange=25",
+  );
+  expect(
+    "invalid link values are reported and fall back",
+    bad !== null &&
+      bad.invalid.join() === "referenceFrequency,strumCheck" &&
+      bad.settings.referenceFrequency === DEFAULT_SETTINGS.referenceFrequency &&
+      bad.settings.temperament === "vallotti" &&
+      bad.settings.gaugeRange === 25,
+  );
+
+  end();
+}
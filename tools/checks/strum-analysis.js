@@ -0,0 +1,267 @@
+/**
+ * Strum checks: every string of a strummed chord measured at once.
+ */
+
+import { addNoise, additive, inharmonic } from "../signal-synth.js";
+import {
+  getKeyPitches,
+  getNoteFrequency,
+  getReferenceFrequency,
+  setScale,
+} from "../../src/note-mapping.js";
+import { parseKeyboardMapping, parseScala } from "../../src/scala.js";
+import { getTuning, resolveStrings } from "../../src/instrument-tunings.js";
+import {
+  analyseStrum,
+  getStrumWindowSize,
+  validateStrumTargets,
+} from "../../src/strum-analysis.js";
+import { SAMPLE_RATES, centsError, startSection } from "./check.js";
+
+// Coefficient B of the stiff strings (steel strings ≈ 1e-4)
+const INHARMONICITIES = [5e-5, 1e-4, 2e-4];
+// Cents each string is off its target, detuned and in tune
+const DETUNINGS = /** @type {[string, number[]][]} */ ([
+  ["detuned", [3, -7, 0, 12, -2, 5]],
+  ["in tune", [0, 0, 0, 0, 0, 0]],
+]);
+
+// Per tuning, the strings whose partials all lie on a lower string's, with
+// the strings that hide them: they read null while any of those rings
+const UNRESOLVED = /** @type {Record<string, Record<number, number[]>>} */ ({
+  // B on the low E's 3rd harmonic, high E on its 4th and the A's 3rd
+  guitar: { 4: [0], 5: [0, 1] },
+  // D3 on the low D's 2nd, high E on the A's 3rd
+  "guitar-drop-d": { 2: [0], 5: [1] },
+  "bass-5": {},
+});
+
+// 5-limit just intonation; its E, A, D, G and B differ from equal
+// temperament by up to 18 cents
+const JUST_SCL = `5-limit just
+12
+16/15
+9/8
+6/5
+5/4
+4/3
+45/32
+3/2
+8/5
+5/3
+9/5
+15/8
+2/1
+`;
+
+// ratio of each pitch class to C in JUST_SCL
+const JUST_RATIOS = [
+  1,
+  16 / 15,
+  9 / 8,
+  6 / 5,
+  5 / 4,
+  4 / 3,
+  45 / 32,
+  3 / 2,
+  8 / 5,
+  5 / 3,
+  9 / 5,
+  15 / 8,
+];
+
+// every key but D, degree 0 on middle C and A4 = 440 Hz
+const NO_D_KBM = `12
+0
+127
+60
+69
+440.0
+12
+0
+1
+x
+3
+4
+5
+6
+7
+8
+9
+10
+11
+`;
+
+/**
+ * Strum checks on synthetic chords of a guitar in standard and drop-D
+ * tuning and of a five-string bass, each string detuned differently and
+ * all in tune.
+ *
+ * With harmonic partials every played string must be measured within half
+ * a cent at every sample rate, and a muted string must read null. The
+ * strings whose partials all lie on (or, in tune, exactly on) a lower
+ * string's — drop D's D3, the guitar's B and high E — are unresolved and
+ * must read null while that string rings, and be measured once it is
+ * muted. With stiff strings (stretched partials, from signal-synth's
+ * inharmonic) every string must read its first partial within a cent, not
+ * sharp. Targets
+ * that are not all frequencies > 0 must be rejected. With a Scala scale
+ * loaded the strings must be aimed at the keys' pitches in the scale, and
+ * strings on keys it leaves unmapped must be left out.
+ * @returns {void}
+ */
+export function checkStrum() {
+  const { expect, expectError, end } = startSection("strum");
+
+  const valid = [82.41, 110];
+  const validated = validateStrumTargets(valid);
+  expect(
+    "valid targets are copied",
+    validated !== valid && validated.join() === valid.join(),
+  );
+  for (const [label, invalid] of /** @type {[string, number[]][]} */ ([
+    ["no targets", []],
+    ["a target of 0 Hz", [82.41, 0]],
+    ["a NaN target", [NaN]],
+  ])) {
+    expectError(label, RangeError, () => validateStrumTargets(invalid));
+  }
+
+  const guitar = resolveStrings(getTuning("guitar").strings);
+  setScale(parseScala(JUST_SCL));
+  const just = getKeyPitches(guitar);
+  // degree 0 on middle C, a just major sixth (5/3) below A4
+  const middleC = (getReferenceFrequency() * 3) / 5;
+  expect(
+    `a Scala scale moves the strings' targets (got ${just.map(({ frequency }) => frequency.toFixed(2))} Hz)`,
+    just.length === guitar.length &&
+      just.every(({ midiNote, frequency }, index) => {
+        const ratio = JUST_RATIOS[midiNote % 12];
+        const expected =
+          middleC * ratio * 2 ** Math.floor((midiNote - 60) / 12);
+        return (
+          midiNote === guitar[index] &&
+          Math.abs(centsError(frequency, expected)) < 1e-6
+        );
+      }),
+  );
+  expect(
+    "the scale's D and G are off the tempered ones",
+    just.every(
+      ({ midiNote, frequency }) =>
+        ![2, 7].includes(midiNote % 12) ||
+        Math.abs(centsError(frequency, getNoteFrequency(midiNote))) > 15,
+    ),
+  );
+  setScale(parseScala(JUST_SCL), parseKeyboardMapping(NO_D_KBM));
+  const mapped = getKeyPitches(guitar).map(({ midiNote }) => midiNote);
+  expect(
+    "strings on unmapped keys are left out",
+    mapped.join() === guitar.filter((midi) => midi % 12 !== 2).join(),
+  );
+  setScale(null);
+  expect(
+    "without a scale the strings aim at the tempered notes",
+    getKeyPitches(guitar).every(
+      ({ midiNote, frequency }) => frequency === getNoteFrequency(midiNote),
+    ),
+  );
+
+  for (const id of ["guitar", "guitar-drop-d", "bass-5"]) {
+    const targets = resolveStrings(getTuning(id).strings).map(getNoteFrequency);
+    const all = [...targets.keys()];
+    const unresolved = UNRESOLVED[id];
+    for (const [tuned, detunes] of DETUNINGS) {
+      for (const sampleRate of SAMPLE_RATES) {
+        const size = getStrumWindowSize(sampleRate, Math.min(...targets));
+        /**
+         * @param {number[]} strings - Indices of the strings played
+         * @param {number} [inharmonicity=0] - B of every string
+         * @returns {(import("../../src/strum-analysis.js").StrumString | null)[]}
+         */
+        const strum = (strings, inharmonicity = 0) => {
+          const chord = new Float32Array(size);
+          for (const string of strings) {
+            const tone = inharmonicity
+              ? inharmonic(
+                  size,
+                  sampleRate,
+                  targets[string] * 2 ** (detunes[string] / 1200),
+                  inharmonicity,
+                  12,
+                )
+              : additive(
+                  size,
+                  sampleRate,
+                  Array.from({ length: 12 }, (_, k) => ({
+                    frequency:
+                      (k + 1) * targets[string] * 2 ** (detunes[string] / 1200),
+                    amplitude: 0.5 / (k + 1),
+                  })),
+                );
+            for (let i = 0; i < size; i++) chord[i] += 0.2 * tone[i];
+          }
+          return analyseStrum(addNoise(chord, 40), sampleRate, targets);
+        };
+
+        /**
+         * Check each string's reading against its first partial.
+         * @param {string} label
+         * @param {(import("../../src/strum-analysis.js").StrumString | null)[]} readings
+         * @param {number[]} played - The others must read null, as must the
+         *   unresolved strings among them
+         * @param {number} [inharmonicity=0]
+         * @param {number} [tolerance=0.5] - Cents
+         * @returns {void}
+         */
+        const expectReadings = (
+          label,
+          readings,
+          played,
+          inharmonicity = 0,
+          tolerance = 0.5,
+        ) => {
+          readings.forEach((reading, string) => {
+            const where = `${id} ${tuned} at ${sampleRate} Hz ${label} string ${string + 1}`;
+            const hidden = unresolved[string]?.some((lower) =>
+              played.includes(lower),
+            );
+            if (!played.includes(string) || hidden) {
+              expect(`${where} reads null`, reading === null);
+              return;
+            }
+            // a stiff string's first partial is sharp of f0 by √(1 + B)
+            const first =
+              targets[string] *
+              2 ** (detunes[string] / 1200) *
+              Math.sqrt(1 + inharmonicity);
+            const cents = reading && centsError(reading.frequency, first);
+            expect(
+              `${where} reads its first partial (got ${cents?.toFixed(2)} cents)`,
+              cents !== null && Math.abs(cents) <= tolerance,
+            );
+          });
+        };
+
+        expectReadings("strummed", strum(all), all);
+        for (const muted of all) {
+          const others = all.filter((string) => string !== muted);
+          expectReadings(`muted ${muted + 1}`, strum(others), others);
+        }
+        const upper = all.slice(1);
+        expectReadings("without the lowest", strum(upper), upper);
+        for (const inharmonicity of INHARMONICITIES) {
+          expectReadings(
+            `B = ${inharmonicity}`,
+            strum(all, inharmonicity),
+            all,
+            inharmonicity,
+            1,
+          );
+        }
+      }
+    }
+  }
+
+  end();
+}
@@ -0,0 +1,249 @@
+/**
+ * Reference tone checks: the timbre registry, the tone's validation and
+ * how a sounding tone is retuned, on a stand-in for the Web Audio API.
+ */
+
+import {
+  DEFAULT_TIMBRE,
+  getTimbre,
+  listTimbres,
+  registerTimbre,
+} from "../../src/timbres.js";
+import {
+  isTonePlaying,
+  playTone,
+  setToneEndedListener,
+  setToneVolume,
+  stopTone,
+} from "../../src/tone-generator.js";
+import { getKeyFrequency } from "../../src/note-mapping.js";
+import { fail, startSection } from "./check.js";
+
+/**
+ * Records what is scheduled on an AudioParam.
+ */
+class FakeParam {
+  /** @param {number} value */
+  constructor(value) {
+    this.value = value;
+    /** @type {[string, number][]} Method and target value */
+    this.calls = [];
+  }
+
+  /** @param {number} value */
+  setValueAtTime(value) {
+    this.calls.push(["setValueAtTime", value]);
+  }
+
+  /** @param {number} value */
+  linearRampToValueAtTime(value) {
+    this.calls.push(["linearRampToValueAtTime", value]);
+  }
+
+  /** @param {number} value */
+  setTargetAtTime(value) {
+    this.calls.push(["setTargetAtTime", value]);
+  }
+
+  cancelScheduledValues() {}
+}
+
+class FakeNode {
+  /**
+   * @param {FakeNode} node
+   * @returns {FakeNode}
+   */
+  connect(node) {
+    return node;
+  }
+
+  disconnect() {}
+}
+
+class FakeOscillator extends FakeNode {
+  constructor() {
+    super();
+    this.frequency = new FakeParam(440);
+    /** @type {{real: Float32Array, imag: Float32Array} | null} */
+    this.wave = null;
+    this.started = false;
+    this.stopped = false;
+    /** @type {(() => void) | null} */
+    this.onended = null;
+  }
+
+  /** @param {{real: Float32Array, imag: Float32Array}} wave */
+  setPeriodicWave(wave) {
+    this.wave = wave;
+  }
+
+  start() {
+    this.started = true;
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+/** Every oscillator the stand-in context made */
+const oscillators = /** @type {FakeOscillator[]} */ ([]);
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = "running";
+    this.destination = new FakeNode();
+  }
+
+  createGain() {
+    return Object.assign(new FakeNode(), { gain: new FakeParam(1) });
+  }
+
+  createOscillator() {
+    const oscillator = new FakeOscillator();
+    oscillators.push(oscillator);
+    return oscillator;
+  }
+
+  /**
+   * @param {Float32Array} real
+   * @param {Float32Array} imag
+   */
+  createPeriodicWave(real, imag) {
+    return { real, imag };
+  }
+}
+
+/**
+ * The built-in timbres must be listed with the default first, each with a
+ * label, non-negative harmonics of which one sounds and an attack >= 0;
+ * registering a timbre without such harmonics or attack, or looking up an
+ * unknown one, must be rejected. Tones of a frequency that is not finite
+ * and > 0, in an unknown timbre or at a volume outside 0–1 must be
+ * rejected before anything sounds. Every piano key must give a playable
+ * frequency. A tone must sound its frequency in its timbre's spectrum, a
+ * retune must glide the same oscillator to the new pitch and re-voice it,
+ * and stopping must fade it out and tell the listener.
+ * @returns {void}
+ */
+export function checkToneGenerator() {
+  const { expect, expectError, end } = startSection("tone");
+
+  const listed = listTimbres();
+  expect(
+    `the default timbre is listed first (got ${listed.map(({ id }) => id)})`,
+    listed.length >= 3 &&
+      listed[0].id === DEFAULT_TIMBRE &&
+      ["sine", "organ", "string"].every((id) =>
+        listed.some((timbre) => timbre.id === id),
+      ),
+  );
+  for (const { id, label } of listed) {
+    const timbre = getTimbre(id);
+    expect(
+      `timbre ${id} has a label, harmonics and an attack`,
+      label === timbre.label &&
+        label !== "" &&
+        timbre.harmonics.every((amplitude) => amplitude >= 0) &&
+        timbre.harmonics.some((amplitude) => amplitude > 0) &&
+        timbre.attack >= 0,
+    );
+  }
+  expect(
+    "the sine has only its fundamental",
+    getTimbre("sine").harmonics.join() === "1",
+  );
+  for (const [
+    label,
+    harmonics,
+    attack,
+  ] of /** @type {[string, number[], number][]} */ ([
+    ["no harmonics", [], 0],
+    ["silent harmonics", [0, 0], 0],
+    ["a negative harmonic", [1, -0.5], 0],
+    ["a NaN harmonic", [1, NaN], 0],
+    ["a negative attack", [1], -0.1],
+    ["a NaN attack", [1], NaN],
+  ])) {
+    expectError(label, RangeError, () =>
+      registerTimbre("broken", { label, harmonics, attack }),
+    );
+  }
+  expectError("an unknown timbre", RangeError, () => getTimbre("broken"));
+
+  for (const frequency of [0, -440, NaN, Infinity]) {
+    expectError(`a tone of ${frequency} Hz`, RangeError, () =>
+      playTone(frequency, { timbre: DEFAULT_TIMBRE, sustain: true }),
+    );
+  }
+  expectError("a tone in an unknown timbre", RangeError, () =>
+    playTone(440, { timbre: "kazoo", sustain: true }),
+  );
+  for (const volume of [-0.1, 1.5, NaN]) {
+    expectError(`a volume of ${volume}`, RangeError, () =>
+      setToneVolume(volume),
+    );
+  }
+  expect("nothing sounds after rejected tones", !isTonePlaying());
+
+  const keys = Array.from({ length: 88 }, (_, i) => 21 + i);
+  const unplayable = keys.filter((midi) => {
+    const frequency = getKeyFrequency(midi);
+    return frequency === null || !(Number.isFinite(frequency) && frequency > 0);
+  });
+  expect(
+    `every piano key gives a playable frequency (not ${unplayable})`,
+    unplayable.length === 0,
+  );
+
+  const globals = /** @type {{AudioContext?: unknown}} */ (globalThis);
+  const original = globals.AudioContext;
+  globals.AudioContext = FakeAudioContext;
+  let ended = 0;
+  setToneEndedListener(() => ended++);
+  try {
+    playTone(440, { timbre: "organ", sustain: true });
+    const [oscillator] = oscillators;
+    const organ = getTimbre("organ").harmonics;
+    expect(
+      "a tone sounds its frequency in its timbre",
+      oscillators.length === 1 &&
+        oscillator.started &&
+        oscillator.frequency.value === 440 &&
+        !!oscillator.wave &&
+        oscillator.wave.real.every((value) => value === 0) &&
+        organ.every(
+          (amplitude, index) =>
+            oscillator.wave?.imag[index + 1] === Math.fround(amplitude),
+        ) &&
+        isTonePlaying(),
+    );
+
+    playTone(466.16, { timbre: "sine", sustain: true });
+    const { calls } = oscillator.frequency;
+    const glide = calls[calls.length - 1];
+    expect(
+      "a retune glides the same oscillator and re-voices it",
+      oscillators.length === 1 &&
+        !oscillator.stopped &&
+        glide?.[0] === "setTargetAtTime" &&
+        glide[1] === 466.16 &&
+        oscillator.wave?.imag.length === 2,
+    );
+
+    stopTone();
+    expect(
+      "stopping fades the tone out and tells the listener",
+      oscillator.stopped && !isTonePlaying() && ended === 1,
+    );
+  } catch (error) {
+    fail(`tone: threw ${error}`);
+  } finally {
+    stopTone();
+    setToneEndedListener(null);
+    globals.AudioContext = original;
+  }
+
+  end();
+}
@@ -0,0 +1,39 @@
+/**
+ * Voicing checks: the level a frame is voiced on.
+ */
+
+import { addOffset, sine } from "../signal-synth.js";
+import { computeRMS } from "../../src/voicing.js";
+import { getDetector, listDetectors } from "../../src/pitch-detectors.js";
+import { startSection } from "./check.js";
+
+/**
+ * computeRMS must measure around the buffer's mean: a DC offset alone
+ * (a microphone or interface that does not block it) is no signal and
+ * must not lift a flat frame over the voicing floor, so DC only must read
+ * 0 and come out unvoiced from every detector, and DC under a sine must
+ * not change the sine's level.
+ * @returns {void}
+ */
+export function checkVoicing() {
+  const { expect, end } = startSection("voicing");
+  const sampleRate = 48000;
+  const size = 4096;
+
+  const dc = addOffset(new Float32Array(size), 0.5);
+  expect(`DC only has no level (got ${computeRMS(dc)})`, computeRMS(dc) < 1e-6);
+  const tone = sine(size, sampleRate, 1000);
+  const level = computeRMS(tone);
+  const offset = computeRMS(addOffset(sine(size, sampleRate, 1000), 0.3));
+  expect(
+    `DC under a sine leaves its level (${level.toFixed(4)}, got ${offset.toFixed(4)})`,
+    Math.abs(offset - level) < 1e-4,
+  );
+
+  for (const { id } of listDetectors()) {
+    const result = getDetector(id).detect(dc, sampleRate);
+    expect(`${id} does not voice DC only`, !result || !result.voiced);
+  }
+
+  end();
+}
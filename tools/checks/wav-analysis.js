@@ -0,0 +1,297 @@
+/**
+ * WAV analysis checks: the command-line tools' WAV decoder, the channel
+ * down-mix and the scoring of a pitch track against ground truth.
+ */
+
+import { sine } from "../signal-synth.js";
+import { decodeWav } from "../wav-file.js";
+import { parseAnnotation, scorePitchTrack } from "../pitch-score.js";
+import { computePitchTrack, selectChannel } from "../../src/pitch-track.js";
+import { getPitchRange } from "../../src/pitch-range.js";
+import { fail, startSection } from "./check.js";
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * @typedef {{
+ *   format: number,
+ *   bits: number,
+ *   subFormat?: number,
+ *   fmtSize?: number
+ * }} WavLayout
+ *   format - format tag of the fmt chunk
+ *   subFormat - real format of a WAVE_FORMAT_EXTENSIBLE file
+ *   fmtSize - size of the fmt chunk, if not the format's own
+ */
+
+/**
+ * Write samples as a WAV file, the way recorders lay it out.
+ * @param {Float32Array[]} channels - One array per channel, equal lengths
+ * @param {number} sampleRate
+ * @param {WavLayout} layout
+ * @returns {ArrayBuffer}
+ */
+function encodeWav(channels, sampleRate, layout) {
+  const { format, bits } = layout;
+  const sampleFormat = layout.subFormat ?? format;
+  const bytesPerSample = bits / 8;
+  const blockAlign = channels.length * bytesPerSample;
+  const fmtSize = layout.fmtSize ?? (format === FORMAT_EXTENSIBLE ? 40 : 16);
+  const frameCount = channels[0].length;
+  const dataSize = frameCount * blockAlign;
+  const view = new DataView(new ArrayBuffer(28 + fmtSize + dataSize));
+
+  /**
+   * @param {number} offset
+   * @param {string} id
+   * @returns {void}
+   */
+  const writeId = (offset, id) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+  };
+
+  writeId(0, "RIFF");
+  view.setUint32(4, view.byteLength - 8, true);
+  writeId(8, "WAVE");
+  writeId(12, "fmt ");
+  view.setUint32(16, fmtSize, true);
+  if (fmtSize >= 16) {
+    view.setUint16(20, format, true);
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bits, true);
+  }
+  if (format === FORMAT_EXTENSIBLE) view.setUint16(44, sampleFormat, true);
+  const data = 20 + fmtSize;
+  writeId(data, "data");
+  view.setUint32(data + 4, dataSize, true);
+
+  for (let i = 0; i < frameCount; i++) {
+    channels.forEach((samples, c) => {
+      const offset = data + 8 + i * blockAlign + c * bytesPerSample;
+      const value = samples[i];
+      if (sampleFormat === FORMAT_FLOAT) {
+        if (bits === 64) view.setFloat64(offset, value, true);
+        else view.setFloat32(offset, value, true);
+        return;
+      }
+      const scale = 2 ** (bits - 1);
+      const integer = Math.max(
+        -scale,
+        Math.min(scale - 1, Math.round(value * scale)),
+      );
+      if (bits === 8) view.setUint8(offset, integer + 128);
+      else if (bits === 16) view.setInt16(offset, integer, true);
+      else if (bits === 32) view.setInt32(offset, integer, true);
+      else {
+        view.setUint8(offset, integer & 0xff);
+        view.setUint8(offset + 1, (integer >> 8) & 0xff);
+        view.setInt8(offset + 2, integer >> 16);
+      }
+    });
+  }
+  return view.buffer;
+}
+
+/**
+ * Largest difference between two sample arrays.
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number} Infinity if their lengths differ
+ */
+function maxDifference(a, b) {
+  if (a.length !== b.length) return Infinity;
+  let worst = 0;
+  for (let i = 0; i < a.length; i++) {
+    worst = Math.max(worst, Math.abs(a[i] - b[i]));
+  }
+  return worst;
+}
+
+/**
+ * A stereo recording of a 220 Hz sine on the left and a 330 Hz one on the
+ * right, written in every supported sample format, must decode to the
+ * same samples within the format's quantisation step; the sum down-mix
+ * must average the channels. Read from a 16-bit file, the left channel
+ * must score no gross errors and under a cent against its annotation, a
+ * track an octave off must score all gross errors, and voiced frames
+ * where the ground truth is silent must count as false alarms. Files
+ * without a RIFF/WAVE header, fmt or data chunk, with a short fmt chunk,
+ * a block size too small for their samples or an unsupported format,
+ * broken annotations and an unknown --range must all be rejected.
+ * @returns {Promise<void>}
+ */
+export async function checkWavAnalysis() {
+  const { expect, expectError, end } = startSection("wav analysis");
+  const sampleRate = 48000;
+  const left = sine(sampleRate, sampleRate, 220);
+  const right = sine(sampleRate, sampleRate, 330);
+
+  for (const [
+    label,
+    layout,
+    step,
+  ] of /** @type {[string, WavLayout, number][]} */ ([
+    ["8-bit PCM", { format: FORMAT_PCM, bits: 8 }, 2 ** -7],
+    ["16-bit PCM", { format: FORMAT_PCM, bits: 16 }, 2 ** -15],
+    ["24-bit PCM", { format: FORMAT_PCM, bits: 24 }, 2 ** -23],
+    ["32-bit PCM", { format: FORMAT_PCM, bits: 32 }, 2 ** -24],
+    ["32-bit float", { format: FORMAT_FLOAT, bits: 32 }, 0],
+    ["64-bit float", { format: FORMAT_FLOAT, bits: 64 }, 0],
+    [
+      "extensible 24-bit PCM",
+      { format: FORMAT_EXTENSIBLE, subFormat: FORMAT_PCM, bits: 24 },
+      2 ** -23,
+    ],
+    [
+      "extensible 32-bit float",
+      { format: FORMAT_EXTENSIBLE, subFormat: FORMAT_FLOAT, bits: 32 },
+      0,
+    ],
+  ])) {
+    const decoded = decodeWav(encodeWav([left, right], sampleRate, layout));
+    const [decodedLeft, decodedRight] = decoded.channels;
+    const error = Math.max(
+      maxDifference(decodedLeft, left),
+      maxDifference(decodedRight, right),
+    );
+    expect(
+      `${label} decodes within its step (off by ${error.toExponential(1)})`,
+      decoded.sampleRate === sampleRate &&
+        decoded.channels.length === 2 &&
+        error <= step,
+    );
+  }
+
+  const { channels } = decodeWav(
+    encodeWav([left, right], sampleRate, { format: FORMAT_PCM, bits: 16 }),
+  );
+  const mono = selectChannel(channels);
+  expect(
+    "the sum down-mix averages the channels",
+    mono.every((sample, i) => sample === (channels[0][i] + channels[1][i]) / 2),
+  );
+  expect(
+    "left and right pick one channel",
+    selectChannel(channels, "left") === channels[0] &&
+      selectChannel(channels, "right") === channels[1],
+  );
+
+  const track = await computePitchTrack(
+    selectChannel(channels, "left"),
+    sampleRate,
+    { range: getPitchRange("guitar") },
+  );
+  if (track.length === 0) {
+    fail("wav analysis: no frames in a second of audio");
+    end();
+    return;
+  }
+  const truth = parseAnnotation(
+    [
+      "time,frequency",
+      "# the left channel",
+      ...track.map(({ time }) => `${time}, 220`),
+    ].join("\n"),
+  );
+  const score = scorePitchTrack(track, truth);
+  expect(
+    `a 220 Hz sine scores true (GPE ${score.grossPitchErrorRate}, ${score.meanAbsoluteCentsError.toFixed(2)} cents)`,
+    score.frames === track.length &&
+      score.matchedFrames === track.length &&
+      score.grossErrors === 0 &&
+      score.meanAbsoluteCentsError < 1 &&
+      score.voicingRecall === 1,
+  );
+
+  const octave = track.map((point) => ({
+    ...point,
+    frequency: 2 * point.frequency,
+  }));
+  const octaveScore = scorePitchTrack(octave, truth);
+  expect(
+    "an octave error is a gross error",
+    octaveScore.grossPitchErrorRate === 1 &&
+      Number.isNaN(octaveScore.meanCentsError),
+  );
+
+  const silent = truth.map(({ time }) => ({ time, frequency: 0 }));
+  const silentScore = scorePitchTrack(track, silent);
+  expect(
+    "voiced frames over silent ground truth are false alarms",
+    silentScore.voicedFrames === 0 &&
+      silentScore.voicingFalseAlarmRate === 1 &&
+      Number.isNaN(silentScore.voicingRecall),
+  );
+  const unsure = scorePitchTrack(track, truth, { minConfidence: 2 });
+  expect(
+    "frames under the minimum confidence count as unvoiced",
+    unsure.matchedFrames === 0 && unsure.voicingRecall === 0,
+  );
+
+  const wav = encodeWav([left], sampleRate, { format: FORMAT_PCM, bits: 16 });
+  /**
+   * @param {(view: DataView) => void} change
+   * @returns {ArrayBuffer}
+   */
+  const broken = (change) => {
+    const copy = wav.slice(0);
+    change(new DataView(copy));
+    return copy;
+  };
+  for (const [
+    label,
+    data,
+    message,
+  ] of /** @type {[string, ArrayBuffer, string][]} */ ([
+    ["an empty file", new ArrayBuffer(0), "RIFF/WAVE"],
+    ["a file without RIFF", broken((view) => view.setUint8(0, 0)), "RIFF/WAVE"],
+    ["a file without data", wav.slice(0, 36), "no data chunk"],
+    [
+      "a file without fmt",
+      broken((view) => view.setUint8(12, "g".charCodeAt(0))),
+      "no fmt chunk",
+    ],
+    [
+      "a short fmt chunk",
+      encodeWav([left], sampleRate, {
+        format: FORMAT_PCM,
+        bits: 16,
+        fmtSize: 8,
+      }),
+      "too short",
+    ],
+    [
+      "a block size too small",
+      broken((view) => view.setUint16(32, 1, true)),
+      "too small",
+    ],
+    [
+      "12-bit PCM",
+      broken((view) => view.setUint16(34, 12, true)),
+      "Unsupported",
+    ],
+    ["ADPCM", broken((view) => view.setUint16(20, 2, true)), "Unsupported"],
+  ])) {
+    expectError(label, Error, () => decodeWav(data), message);
+  }
+
+  expectError(
+    "a broken annotation line",
+    Error,
+    () => parseAnnotation("0.0 220\n0.1 x\n"),
+    "line 2",
+  );
+  expectError(
+    "an unknown --range",
+    RangeError,
+    () => getPitchRange("treble"),
+    "treble",
+  );
+
+  end();
+}
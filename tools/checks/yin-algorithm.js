@@ -0,0 +1,122 @@
+/**
+ * YIN checks: the difference function, the lag it settles on and how that
+ * lag is refined.
+ */
+
+import { sawtooth, sine } from "../signal-synth.js";
+import {
+  computeDF,
+  detectPitch,
+  findBestTau,
+  refineTau,
+} from "../../src/yin-algorithm.js";
+import { getPitchRange, getWindowSize } from "../../src/pitch-range.js";
+import { SAMPLE_RATES, centsError, startSection } from "./check.js";
+
+// The difference function is stored as Float32, so allow float noise
+// relative to the window's energy
+const DIFFERENCE_TOLERANCE = 1e-5;
+// Samples; the parabola's values are stored as Float32
+const VERTEX_TOLERANCE = 1e-4;
+
+/**
+ * The difference function must be Σ (x[j] − x[j+tau])² over the N − tau
+ * overlapping samples at every lag: counting the whole window's energy
+ * adds a term that grows with tau and reads low notes sharp, so a low E
+ * and the lowest A must read within a cent at every sample rate. The lag
+ * must be interpolated on the difference function, not the CMNDF, whose
+ * normalization biases short periods: sines at 2 and 4 kHz must read
+ * within a cent too. Only lags of at most half the buffer are searched: a
+ * 30 Hz sine in a buffer of half its period must not read voiced, while a
+ * 440 Hz one still reads. The lag search takes the bottom of the first dip
+ * under the threshold, even when a later one is deeper, and the deepest lag
+ * in range when none crosses it; the interpolation must find the vertex of
+ * a parabolic dip and leave flat or edge lags whole.
+ * @returns {void}
+ */
+export function checkYin() {
+  const { expect, end } = startSection("yin");
+
+  const samples = sawtooth(2048, 48000, 110);
+  const maxTau = 1024;
+  const df = computeDF(samples, maxTau);
+  let energy = 0;
+  for (const sample of samples) energy += sample * sample;
+  let worst = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let expected = 0;
+    for (let j = 0; j + tau < samples.length; j++) {
+      expected += (samples[j] - samples[j + tau]) ** 2;
+    }
+    worst = Math.max(worst, Math.abs(df[tau] - expected) / energy);
+  }
+  expect(
+    `difference function sums the overlap only (off by ${worst.toExponential(1)} of the energy)`,
+    worst <= DIFFERENCE_TOLERANCE,
+  );
+
+  // CMNDF with a shallow dip at 5–7 under the threshold, a deeper one at 12
+  // and a lower value at 2, outside the searched lags
+  const cmndf = Float32Array.from([
+    1, 0.9, 0.02, 0.6, 0.3, 0.09, 0.05, 0.07, 0.4, 0.8, 0.5, 0.2, 0.01, 0.3,
+    0.9,
+  ]);
+  const first = findBestTau(cmndf, 0.1, 3, 14);
+  expect(`the first dip under the threshold wins (got ${first})`, first === 6);
+  const fallback = findBestTau(cmndf, 0.005, 3, 14);
+  expect(
+    `the deepest lag in range wins when none crosses (got ${fallback})`,
+    fallback === 12,
+  );
+  const clipped = findBestTau(cmndf, 0.005, 3, 12);
+  expect(
+    `the fallback stays below the longest lag (got ${clipped})`,
+    clipped === 6,
+  );
+
+  const vertex = 10.3;
+  const parabola = Float32Array.from(
+    { length: 21 },
+    (_, tau) => 2 + (tau - vertex) ** 2,
+  );
+  const refined = refineTau(parabola, 10);
+  expect(
+    `interpolation finds the vertex of a parabolic dip (got ${refined})`,
+    Math.abs(refined - vertex) <= VERTEX_TOLERANCE,
+  );
+  expect(
+    "interpolation leaves the edge lags and a flat dip whole",
+    refineTau(parabola, 0) === 0 &&
+      refineTau(parabola, 20) === 20 &&
+      refineTau(new Float32Array(21), 10) === 10,
+  );
+
+  const range = getPitchRange("full");
+  for (const sampleRate of SAMPLE_RATES) {
+    const size = getWindowSize(range, sampleRate);
+    for (const frequency of [27.5, 41.2, 2000, 4000]) {
+      const result = detectPitch(sine(size, sampleRate, frequency), sampleRate);
+      const cents = result && centsError(result.frequency, frequency);
+      expect(
+        `sine ${frequency} Hz at ${sampleRate} Hz within a cent (got ${cents?.toFixed(2)})`,
+        cents !== null && Math.abs(cents) <= 1,
+      );
+    }
+
+    const short = Math.round(sampleRate / 60);
+    const low = detectPitch(sine(short, sampleRate, 30), sampleRate);
+    expect(
+      `sine 30 Hz in ${short} samples at ${sampleRate} Hz not voiced (got ${low?.frequency.toFixed(2)} Hz)`,
+      !low || !low.voiced,
+    );
+    const high = detectPitch(sine(short, sampleRate, 440), sampleRate);
+    expect(
+      `sine 440 Hz in ${short} samples at ${sampleRate} Hz read`,
+      high !== null &&
+        high.voiced &&
+        Math.abs(centsError(high.frequency, 440)) <= 1,
+    );
+  }
+
+  end();
+}
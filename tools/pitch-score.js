@@ -0,0 +1,182 @@
+/**
+ * Score a pitch track against a ground-truth annotation.
+ *
+ * Annotations are text files with one `time frequency` pair per line
+ * (seconds and Hz, separated by commas, tabs or spaces), the format used by
+ * most pitch datasets. A frequency of 0 or less marks an unvoiced frame.
+ * Blank lines, `#` comments and a non-numeric header line are skipped.
+ */
+
+/**
+ * @typedef {{time: number, frequency: number}} AnnotationPoint
+ */
+
+/**
+ * @typedef {{
+ *   frames: number,
+ *   voicedFrames: number,
+ *   matchedFrames: number,
+ *   grossErrors: number,
+ *   grossPitchErrorRate: number,
+ *   meanCentsError: number,
+ *   meanAbsoluteCentsError: number,
+ *   voicingRecall: number,
+ *   voicingFalseAlarmRate: number
+ * }} PitchScore
+ *   frames - estimated frames with a ground-truth annotation nearby
+ *   voicedFrames - of those, frames voiced in the ground truth
+ *   matchedFrames - frames voiced in both ground truth and estimate
+ *   grossErrors - matched frames further off than the gross error limit
+ *   grossPitchErrorRate - grossErrors / matchedFrames
+ *   meanCentsError - mean signed error of the non-gross frames (bias)
+ *   meanAbsoluteCentsError - mean absolute error of the non-gross frames
+ *   voicingRecall - voiced ground-truth frames the estimate found voiced
+ *   voicingFalseAlarmRate - unvoiced ground-truth frames marked voiced
+ */
+
+/**
+ * Parse a ground-truth annotation file.
+ * @param {string} text - File contents
+ * @returns {AnnotationPoint[]} Points sorted by time
+ * @throws {Error} If a line cannot be parsed (with its line number)
+ */
+export function parseAnnotation(text) {
+  /** @type {AnnotationPoint[]} */
+  const points = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/#.*/, "").trim();
+    if (line === "") continue;
+
+    const fields = line.split(/[\s,;]+/);
+    const time = Number(fields[0]);
+    const frequency = Number(fields[1]);
+    if (
+      fields.length < 2 ||
+      !Number.isFinite(time) ||
+      Number.isNaN(frequency)
+    ) {
+      if (points.length === 0 && !/\d/.test(fields[0])) continue; // header
+      throw new Error(
+        `Annotation line ${i + 1}: expected "time frequency", got "${lines[i]}"`,
+      );
+    }
+    points.push({ time, frequency });
+  }
+
+  return points.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Index of the annotation point closest in time (binary search).
+ * @param {AnnotationPoint[]} points - Sorted by time, not empty
+ * @param {number} time
+ * @returns {number}
+ */
+function findNearest(points, time) {
+  let low = 0;
+  let high = points.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (points[mid].time <= time) low = mid;
+    else high = mid;
+  }
+  return Math.abs(points[high].time - time) < Math.abs(points[low].time - time)
+    ? high
+    : low;
+}
+
+/**
+ * Largest distance between an estimate and an annotation for the two to be
+ * compared: half the median annotation spacing, so each estimate is judged
+ * against its own annotation frame.
+ * @param {AnnotationPoint[]} points
+ * @returns {number} Seconds
+ */
+function getMatchTolerance(points) {
+  const gaps = [];
+  for (let i = 1; i < points.length; i++) {
+    gaps.push(points[i].time - points[i - 1].time);
+  }
+  if (gaps.length === 0) return 0.05;
+  gaps.sort((a, b) => a - b);
+  return Math.max(0.001, gaps[gaps.length >> 1] / 2);
+}
+
+/**
+ * Compare a pitch track with a ground-truth annotation.
+ * @param {{time: number, frequency: number, confidence: number, voiced: boolean}[]} track
+ *   Estimated pitch track (see pitch-track.js)
+ * @param {AnnotationPoint[]} truth - Ground truth, sorted by time
+ * @param {{grossErrorCents?: number, minConfidence?: number}} [options]
+ *   grossErrorCents - error above which a frame counts as a gross error
+ *   (default 50 cents, i.e. the wrong note); minConfidence - confidence
+ *   below which an estimate counts as unvoiced (default 0)
+ * @returns {PitchScore}
+ */
+export function scorePitchTrack(track, truth, options = {}) {
+  const { grossErrorCents = 50, minConfidence = 0 } = options;
+
+  const score = {
+    frames: 0,
+    voicedFrames: 0,
+    matchedFrames: 0,
+    grossErrors: 0,
+    grossPitchErrorRate: NaN,
+    meanCentsError: NaN,
+    meanAbsoluteCentsError: NaN,
+    voicingRecall: NaN,
+    voicingFalseAlarmRate: NaN,
+  };
+  if (truth.length === 0) return score;
+
+  const tolerance = getMatchTolerance(truth);
+  let detectedVoiced = 0;
+  let falseAlarms = 0;
+  let centsSum = 0;
+  let absoluteCentsSum = 0;
+
+  for (const point of track) {
+    const reference = truth[findNearest(truth, point.time)];
+    if (Math.abs(reference.time - point.time) > tolerance) continue;
+    score.frames++;
+
+    const estimateVoiced =
+      point.voiced && point.confidence >= minConfidence && point.frequency > 0;
+    if (reference.frequency <= 0) {
+      if (estimateVoiced) falseAlarms++;
+      continue;
+    }
+
+    score.voicedFrames++;
+    if (!estimateVoiced) continue;
+    detectedVoiced++;
+    score.matchedFrames++;
+
+    const cents = 1200 * Math.log2(point.frequency / reference.frequency);
+    if (Math.abs(cents) > grossErrorCents) {
+      score.grossErrors++;
+    } else {
+      centsSum += cents;
+      absoluteCentsSum += Math.abs(cents);
+    }
+  }
+
+  const fineFrames = score.matchedFrames - score.grossErrors;
+  const unvoicedFrames = score.frames - score.voicedFrames;
+  if (score.matchedFrames > 0) {
+    score.grossPitchErrorRate = score.grossErrors / score.matchedFrames;
+  }
+  if (fineFrames > 0) {
+    score.meanCentsError = centsSum / fineFrames;
+    score.meanAbsoluteCentsError = absoluteCentsSum / fineFrames;
+  }
+  if (score.voicedFrames > 0) {
+    score.voicingRecall = detectedVoiced / score.voicedFrames;
+  }
+  if (unvoicedFrames > 0) {
+    score.voicingFalseAlarmRate = falseAlarms / unvoicedFrames;
+  }
+  return score;
+}
@@ -0,0 +1,204 @@
+/**
+ * Synthetic test signals for the detector tools.
+ *
+ * Every generator returns a Float32Array of `size` samples at `sampleRate`.
+ * Random parts use a seeded generator, so runs are repeatable.
+ */
+
+// Highest partial generated, like the anti-aliasing filter of a real
+// recording chain (Nyquist is lower still at 44.1 kHz)
+const BANDWIDTH = 20000; // Hz
+
+/**
+ * Deterministic pseudo-random generator (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} Uniform values in [-1, 1)
+ */
+export function makeNoise(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 31 - 1;
+  };
+}
+
+/**
+ * Sum of sine partials.
+ * @param {number} size
+ * @param {number} sampleRate
+ * @param {{frequency: number, amplitude: number}[]} partials - Partials
+ *   at or above BANDWIDTH or Nyquist are left out
+ * @returns {Float32Array}
+ */
+export function additive(size, sampleRate, partials) {
+  const limit = Math.min(BANDWIDTH, sampleRate / 2);
+  const buffer = new Float32Array(size);
+  for (const { frequency, amplitude } of partials) {
+    if (frequency >= limit) continue;
+    const step = (2 * Math.PI * frequency) / sampleRate;
+    for (let i = 0; i < size; i++) {
+      buffer[i] += amplitude * Math.sin(step * i);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Pure sine tone.
+ * @param {number} size
+ * @param {number} sampleRate
+ * @param {number} frequency - Hz
+ * @param {number} [amplitude=0.5]
+ * @returns {Float32Array}
+ */
+export function sine(size, sampleRate, frequency, amplitude = 0.5) {
+  return additive(size, sampleRate, [{ frequency, amplitude }]);
+}
+
+/**
+ * Band-limited sawtooth (harmonics 1/n up to BANDWIDTH, so high notes do not
+ * alias back below the fundamental).
+ * @param {number} size
+ * @param {number} sampleRate
+ * @param {number} frequency - Hz
+ * @param {number} [amplitude=0.5] - Amplitude of the fundamental
+ * @returns {Float32Array}
+ */
+export function sawtooth(size, sampleRate, frequency, amplitude = 0.5) {
+  const partials = [];
+  for (let n = 1; n * frequency < sampleRate / 2; n++) {
+    partials.push({ frequency: n * frequency, amplitude: amplitude / n });
+  }
+  return additive(size, sampleRate, partials);
+}
+
+/**
+ * Stiff-string tone with stretched (inharmonic) partials, as in a piano:
+ * f_n = n · f0 · √(1 + B·n²).
+ * @param {number} size
+ * @param {number} sampleRate
+ * @param {number} frequency - Nominal fundamental f0 in Hz
+ * @param {number} inharmonicity - Coefficient B (≈ 1e-4 for mid piano)
+ * @param {number} [partialCount=8]
+ * @returns {Float32Array}
+ */
+export function inharmonic(
+  size,
+  sampleRate,
+  frequency,
+  inharmonicity,
+  partialCount = 8,
+) {
+  const partials = [];
+  for (let n = 1; n <= partialCount; n++) {
+    partials.push({
+      frequency: n * frequency * Math.sqrt(1 + inharmonicity * n * n),
+      amplitude: 0.5 / n,
+    });
+  }
+  return additive(size, sampleRate, partials);
+}
+
+/**
+ * Plucked string (Karplus-Strong): a noise burst circulating through a
+ * delay line with a two-point averaging filter. The burst is made zero-mean,
+ * as the filter would otherwise keep its DC part long after the tone dies.
+ *
+ * Each sample is averaged with the one after it, so the loop period is a
+ * whole number of samples less half a sample and the tone is only close
+ * to the requested frequency; the frequency it actually has is returned
+ * with the samples.
+ *
+ * @param {number} size
+ * @param {number} sampleRate
+ * @param {number} frequency - Requested fundamental in Hz
+ * @param {number} [seed=1]
+ * @returns {{buffer: Float32Array, frequency: number}}
+ */
+export function pluck(size, sampleRate, frequency, seed = 1) {
+  const delay = Math.max(2, Math.round(sampleRate / frequency + 0.5));
+  const noise = makeNoise(seed);
+  const line = new Float32Array(delay);
+  let mean = 0;
+  for (let i = 0; i < delay; i++) {
+    line[i] = 0.5 * noise();
+    mean += line[i] / delay;
+  }
+  for (let i = 0; i < delay; i++) line[i] -= mean;
+
+  const buffer = new Float32Array(size);
+  let index = 0;
+  for (let i = 0; i < size; i++) {
+    const next = (index + 1) % delay;
+    const sample = line[index];
+    buffer[i] = sample;
+    line[index] = 0.996 * 0.5 * (sample + line[next]);
+    index = next;
+  }
+  return { buffer, frequency: sampleRate / (delay - 0.5) };
+}
+
+/**
+ * Sine with slow vibrato (sinusoidal frequency modulation).
+ * @param {number} size
+ * @param {number} sampleRate
+ * @param {number} frequency - Centre frequency in Hz
+ * @param {number} depthCents - Peak deviation in cents
+ * @param {number} [rate=5] - Vibrato rate in Hz
+ * @returns {Float32Array}
+ */
+export function vibrato(size, sampleRate, frequency, depthCents, rate = 5) {
+  const buffer = new Float32Array(size);
+  let phase = 0;
+  for (let i = 0; i < size; i++) {
+    const cents = depthCents * Math.sin((2 * Math.PI * rate * i) / sampleRate);
+    phase += (2 * Math.PI * frequency * Math.pow(2, cents / 1200)) / sampleRate;
+    buffer[i] = 0.5 * Math.sin(phase);
+  }
+  return buffer;
+}
+
+/**
+ * Add white noise at a given signal-to-noise ratio (in place).
+ * @param {Float32Array} buffer
+ * @param {number} snrDb - Signal-to-noise ratio in dB
+ * @param {number} [seed=1]
+ * @returns {Float32Array} The same buffer
+ */
+export function addNoise(buffer, snrDb, seed = 1) {
+  let power = 0;
+  for (let i = 0; i < buffer.length; i++) power += buffer[i] * buffer[i];
+  power /= buffer.length || 1;
+
+  // uniform noise in [-a, a) has power a² / 3
+  const amplitude = Math.sqrt((3 * power) / Math.pow(10, snrDb / 10));
+  const noise = makeNoise(seed);
+  for (let i = 0; i < buffer.length; i++) buffer[i] += amplitude * noise();
+  return buffer;
+}
+
+/**
+ * Add a constant DC offset (in place).
+ * @param {Float32Array} buffer
+ * @param {number} offset
+ * @returns {Float32Array} The same buffer
+ */
+export function addOffset(buffer, offset) {
+  for (let i = 0; i < buffer.length; i++) buffer[i] += offset;
+  return buffer;
+}
+
+/**
+ * Amplify and hard-clip to ±1, like an overdriven input (in place).
+ * @param {Float32Array} buffer
+ * @param {number} gain - Linear gain applied before clipping
+ * @returns {Float32Array} The same buffer
+ */
+export function clip(buffer, gain) {
+  for (let i = 0; i < buffer.length; i++) {
+    buffer[i] = Math.max(-1, Math.min(1, gain * buffer[i]));
+  }
+  return buffer;
+}
@@ -0,0 +1,158 @@
+/**
+ * Minimal WAV (RIFF/WAVE) reader for the command-line tools.
+ *
+ * Plain JavaScript on an ArrayBuffer, no browser or Node audio APIs.
+ * Supports integer PCM (8, 16, 24 and 32 bit), IEEE float (32 and 64 bit)
+ * and WAVE_FORMAT_EXTENSIBLE files carrying either of them.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Read a four-character chunk id.
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+function readId(view, offset) {
+  let id = "";
+  for (let i = 0; i < 4; i++) {
+    id += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return id;
+}
+
+/**
+ * Decode one sample to the -1..1 range.
+ * @param {DataView} view
+ * @param {number} offset - Byte offset of the sample
+ * @param {number} format - FORMAT_PCM or FORMAT_FLOAT
+ * @param {number} bits - Bits per sample
+ * @returns {number}
+ */
+function readSample(view, offset, format, bits) {
+  if (format === FORMAT_FLOAT) {
+    return bits === 64
+      ? view.getFloat64(offset, true)
+      : view.getFloat32(offset, true);
+  }
+  switch (bits) {
+    case 8: // unsigned, centred on 128
+      return (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return view.getInt16(offset, true) / 0x8000;
+    case 24: {
+      const value =
+        view.getUint8(offset) |
+        (view.getUint8(offset + 1) << 8) |
+        (view.getInt8(offset + 2) << 16);
+      return value / 0x800000;
+    }
+    default: // 32
+      return view.getInt32(offset, true) / 0x80000000;
+  }
+}
+
+/**
+ * Parse a WAV file.
+ * @param {ArrayBuffer} data - The whole file
+ * @returns {{sampleRate: number, channels: Float32Array[]}} One array of
+ *   samples (-1..1) per channel
+ * @throws {Error} If the file is not a WAV file, its fmt chunk is
+ *   malformed or it uses an unsupported sample format
+ */
+export function decodeWav(data) {
+  const view = new DataView(data);
+  if (
+    view.byteLength < 12 ||
+    readId(view, 0) !== "RIFF" ||
+    readId(view, 8) !== "WAVE"
+  ) {
+    throw new Error("Not a WAV file (missing RIFF/WAVE header)");
+  }
+
+  /** @type {{format: number, channelCount: number, sampleRate: number, blockAlign: number, bits: number} | null} */
+  let fmt = null;
+  /** @type {{offset: number, size: number} | null} */
+  let dataChunk = null;
+
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readId(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      if (size < 16 || body + 16 > view.byteLength) {
+        throw new Error(`WAV fmt chunk is too short (${size} bytes)`);
+      }
+      let format = view.getUint16(body, true);
+      if (
+        format === FORMAT_EXTENSIBLE &&
+        size >= 26 &&
+        body + 26 <= view.byteLength
+      ) {
+        // the first two bytes of the SubFormat GUID hold the real format
+        format = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        format,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bits: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      // a streamed file may claim more data than was written
+      dataChunk = {
+        offset: body,
+        size: Math.min(size, view.byteLength - body),
+      };
+    }
+
+    offset = body + size + (size % 2); // chunks are word aligned
+  }
+
+  if (!fmt) throw new Error("WAV file has no fmt chunk");
+  if (!dataChunk) throw new Error("WAV file has no data chunk");
+
+  const { format, channelCount, sampleRate, blockAlign, bits } = fmt;
+  const supported =
+    (format === FORMAT_PCM && [8, 16, 24, 32].includes(bits)) ||
+    (format === FORMAT_FLOAT && [32, 64].includes(bits));
+  if (!supported || channelCount === 0 || blockAlign === 0) {
+    throw new Error(
+      `Unsupported WAV sample format ${format} with ${bits} bits per sample`,
+    );
+  }
+
+  const bytesPerSample = bits / 8;
+  if (blockAlign < channelCount * bytesPerSample) {
+    throw new Error(
+      `WAV block size of ${blockAlign} bytes is too small for ${channelCount} channel(s) of ${bits} bits`,
+    );
+  }
+
+  const frameCount = Math.floor(dataChunk.size / blockAlign);
+  /** @type {Float32Array[]} */
+  const channels = [];
+  for (let c = 0; c < channelCount; c++) {
+    channels.push(new Float32Array(frameCount));
+  }
+
+  for (let i = 0; i < frameCount; i++) {
+    const frameOffset = dataChunk.offset + i * blockAlign;
+    for (let c = 0; c < channelCount; c++) {
+      channels[c][i] = readSample(
+        view,
+        frameOffset + c * bytesPerSample,
+        format,
+        bits,
+      );
+    }
+  }
+
+  return { sampleRate, channels };
+}